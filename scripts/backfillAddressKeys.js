@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Property = require('../server/models/Property');
+const { normalizeAddress } = require('../server/utils/addressNormalizer');
+
+// Normalize addresses and set addressKey on properties created before canonical keys existed.
+// Properties that resolve to an already-keyed address are reported, not merged.
+async function backfillAddressKeys() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foreclosure_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Property.find({ addressKey: { $exists: false } }).cursor();
+    let updated = 0;
+    const duplicates = [];
+
+    for (let property = await cursor.next(); property != null; property = await cursor.next()) {
+      const normalized = normalizeAddress(property.address.toObject ? property.address.toObject() : property.address);
+      if (!normalized || !normalized.key) continue;
+
+      const existing = await Property.findOne({ addressKey: normalized.key });
+      if (existing) {
+        duplicates.push({ id: property._id, duplicateOf: existing._id, key: normalized.key });
+        continue;
+      }
+
+      property.markModified('address');
+      await property.save();
+      updated++;
+    }
+
+    console.log(`🏠 Updated ${updated} properties`);
+    if (duplicates.length > 0) {
+      console.log(`⚠️  ${duplicates.length} properties duplicate an existing address:`);
+      duplicates.forEach(dup => console.log(`   ${dup.id} -> ${dup.duplicateOf} (${dup.key})`));
+    }
+  } catch (error) {
+    console.error('❌ Error backfilling address keys:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+backfillAddressKeys();
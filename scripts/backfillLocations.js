@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Property = require('../server/models/Property');
+
+// Set the GeoJSON location on properties geocoded before it existed, then build
+// the 2dsphere index geospatial searches depend on.
+async function backfillLocations() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foreclosure_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const result = await Property.updateMany(
+      {
+        location: { $exists: false },
+        'address.coordinates.lat': { $type: 'number', $gte: -90, $lte: 90 },
+        'address.coordinates.lng': { $type: 'number', $gte: -180, $lte: 180 }
+      },
+      [{
+        $set: {
+          location: { type: 'Point', coordinates: ['$address.coordinates.lng', '$address.coordinates.lat'] }
+        }
+      }]
+    );
+    console.log(`📍 Set location on ${result.modifiedCount} properties`);
+
+    // Swapped or bad pairs are left without a location; list them for correction
+    const outOfRange = await Property.find({
+      location: { $exists: false },
+      'address.coordinates.lat': { $type: 'number' },
+      'address.coordinates.lng': { $type: 'number' },
+      $or: [
+        { 'address.coordinates.lat': { $not: { $gte: -90, $lte: 90 } } },
+        { 'address.coordinates.lng': { $not: { $gte: -180, $lte: 180 } } }
+      ]
+    }).select('address.street address.coordinates');
+    outOfRange.forEach(property => {
+      const { lat, lng } = property.address.coordinates;
+      console.warn(`⚠️  Skipped ${property._id} (${property.address.street}): coordinates out of range (${lat}, ${lng})`);
+    });
+
+    await Property.syncIndexes();
+    console.log('🗂️  Property indexes synced');
+  } catch (error) {
+    console.error('❌ Error backfilling locations:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+backfillLocations();
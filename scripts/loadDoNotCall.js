@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ContactCompliance = require('../server/services/compliance/contactCompliance');
+
+// Load a Do-Not-Call registry download (one number per line) into the suppression list.
+// Usage: npm run load:dnc -- <file> [--list National|State|Internal] [--state TX] [--replace]
+const parseArgs = (args) => {
+  const options = { list: 'National', replace: false };
+  const files = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--replace') options.replace = true;
+    else if (['--list', '--state'].includes(arg)) options[arg.slice(2)] = args[++index];
+    else files.push(arg);
+  }
+
+  return { file: files[0], options };
+};
+
+async function loadDoNotCall() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/loadDoNotCall.js <file> [--list National|State|Internal] [--state code] [--replace]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foreclosure_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const report = await new ContactCompliance().importRegistry(fs.createReadStream(file), {
+      ...options,
+      source: path.basename(file)
+    });
+    console.log(`📵 ${report.imported} numbers loaded from ${report.read} lines (${report.invalid} invalid)`);
+    if (options.replace) console.log(`   ${report.removed} numbers no longer on the list removed`);
+  } catch (error) {
+    console.error('❌ Error loading Do-Not-Call registry:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+loadDoNotCall();
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const RecordedSalesLoader = require('../server/services/valuation/recordedSalesLoader');
+const { parseTabularFile } = require('../server/utils/tabularFile');
+
+// Load a county deed/sales file (CSV or .xlsx) into the recorded sales used for comps.
+// Usage: npm run load:sales -- <file> [--source "Travis County Deeds"] [--county Travis] [--state TX] [--no-geocode]
+const parseArgs = (args) => {
+  const options = { geocode: true };
+  const files = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--no-geocode') options.geocode = false;
+    else if (['--source', '--county', '--state'].includes(arg)) options[arg.slice(2)] = args[++index];
+    else files.push(arg);
+  }
+
+  return { file: files[0], options };
+};
+
+async function loadRecordedSales() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/loadRecordedSales.js <file> [--source name] [--county name] [--state code] [--no-geocode]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foreclosure_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const { rows } = await parseTabularFile({ originalname: path.basename(file), buffer: fs.readFileSync(file) });
+    console.log(`📄 Read ${rows.length} rows from ${file}`);
+
+    const report = await new RecordedSalesLoader().load(rows, { ...options, sourceFile: path.basename(file) });
+    console.log(`🏠 ${report.created} sales created, ${report.updated} updated, ${report.unchanged} unchanged`);
+    console.log(`   ${report.nonArmsLength} marked non-arms-length (excluded from comps)`);
+    if (report.failed > 0) {
+      console.log(`⚠️  ${report.failed} rows failed:`);
+      report.errors.forEach(error => console.log(`   Row ${error.row}: ${error.message}`));
+    }
+  } catch (error) {
+    console.error('❌ Error loading recorded sales:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+loadRecordedSales();
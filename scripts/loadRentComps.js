@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const RentCompsLoader = require('../server/services/valuation/rentCompsLoader');
+const { parseTabularFile } = require('../server/utils/tabularFile');
+
+// Load a rent listing or lease export (CSV or .xlsx) into the rentals used for rent estimates.
+// Usage: npm run load:rents -- <file> [--source "MLS Leases"] [--county Travis] [--state TX] [--no-geocode]
+const parseArgs = (args) => {
+  const options = { geocode: true };
+  const files = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--no-geocode') options.geocode = false;
+    else if (['--source', '--county', '--state'].includes(arg)) options[arg.slice(2)] = args[++index];
+    else files.push(arg);
+  }
+
+  return { file: files[0], options };
+};
+
+async function loadRentComps() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/loadRentComps.js <file> [--source name] [--county name] [--state code] [--no-geocode]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foreclosure_platform');
+    console.log('✅ Connected to MongoDB');
+
+    const { rows } = await parseTabularFile({ originalname: path.basename(file), buffer: fs.readFileSync(file) });
+    console.log(`📄 Read ${rows.length} rows from ${file}`);
+
+    const report = await new RentCompsLoader().load(rows, { ...options, sourceFile: path.basename(file) });
+    console.log(`🏠 ${report.created} rentals created, ${report.updated} updated, ${report.unchanged} unchanged`);
+    if (report.failed > 0) {
+      console.log(`⚠️  ${report.failed} rows failed:`);
+      report.errors.forEach(error => console.log(`   Row ${error.row}: ${error.message}`));
+    }
+  } catch (error) {
+    console.error('❌ Error loading rent comps:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+loadRentComps();
@@ -5,6 +5,7 @@ require('dotenv').config();
 const User = require('../server/models/User');
 const Property = require('../server/models/Property');
 const Lead = require('../server/models/Lead');
+const TargetArea = require('../server/models/TargetArea');
 
 async function seedDatabase() {
   try {
@@ -16,6 +17,7 @@ async function seedDatabase() {
     await User.deleteMany({});
     await Property.deleteMany({});
     await Lead.deleteMany({});
+    await TargetArea.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
     // Create admin user
@@ -325,11 +327,22 @@ async function seedDatabase() {
     ]);
     console.log('📞 Created sample leads');
 
+    // Create default target areas for data collection
+    await TargetArea.create([
+      { county: 'Los Angeles', state: 'CA' },
+      { county: 'Miami-Dade', state: 'FL' },
+      { county: 'Harris', state: 'TX' },
+      { county: 'Maricopa', state: 'AZ' },
+      { county: 'Cook', state: 'IL' }
+    ].map(area => ({ ...area, owner: adminUser._id, createdBy: adminUser._id })));
+    console.log('🗺️  Created target areas');
+
     console.log('\n🎉 Database seeded successfully!');
     console.log('\n📋 Sample Data Created:');
     console.log(`   👤 Users: ${await User.countDocuments()}`);
     console.log(`   🏠 Properties: ${await Property.countDocuments()}`);
     console.log(`   📞 Leads: ${await Lead.countDocuments()}`);
+    console.log(`   🗺️  Target Areas: ${await TargetArea.countDocuments()}`);
     
     console.log('\n🔑 Login Credentials:');
     console.log('   Admin: admin@reai.com / admin123');
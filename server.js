@@ -10,6 +10,7 @@ require('dotenv').config();
 
 const logger = require('./server/utils/logger');
 const errorHandler = require('./server/middleware/errorHandler');
+const { setIO } = require('./server/utils/realtime');
 
 // Import routes
 const authRoutes = require('./server/routes/auth');
@@ -19,6 +20,13 @@ const analysisRoutes = require('./server/routes/analysis');
 const userRoutes = require('./server/routes/users');
 const automationRoutes = require('./server/routes/automation');
 const reportRoutes = require('./server/routes/reports');
+const importRoutes = require('./server/routes/imports');
+const savedSearchRoutes = require('./server/routes/savedSearches');
+const scoringProfileRoutes = require('./server/routes/scoringProfiles');
+const complianceRoutes = require('./server/routes/compliance');
+const webhookRoutes = require('./server/routes/webhooks');
+const mailRoutes = require('./server/routes/mail');
+const sequenceRoutes = require('./server/routes/sequences');
 
 const app = express();
 const server = createServer(app);
@@ -29,6 +37,9 @@ const io = new Server(server, {
   }
 });
 
+// Let background jobs push socket notifications
+setIO(io);
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -37,7 +48,10 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Provider webhooks arrive from a few shared IPs and are authenticated by signature;
+  // a 429 there loses the reply since Twilio doesn't retry
+  skip: (req) => req.path.startsWith('/webhooks/')
 });
 app.use('/api/', limiter);
 
@@ -68,6 +82,13 @@ app.use('/api/analysis', analysisRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/automation', automationRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/scoring-profiles', scoringProfileRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/mail', mailRoutes);
+app.use('/api/sequences', sequenceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
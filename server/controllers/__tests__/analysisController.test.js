@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Property = require('../../models/Property');
+const RentEstimator = require('../../services/valuation/rentEstimator');
+const analysisController = require('../analysisController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const property = { _id: new mongoose.Types.ObjectId(), financials: { currentValue: 250000 } };
+
+const analyze = async (body) => {
+  const res = response();
+  await analysisController.calculateRentalAnalysis({ user, body: { propertyId: property._id, purchasePrice: 200000, ...body } }, res);
+  return res;
+};
+
+describe('analysisController.calculateRentalAnalysis', () => {
+  beforeEach(() => {
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('uses the estimated market rent when no rent is given', async () => {
+    const rentEstimate = { rent: 1800, low: 1710, high: 1890, confidence: 75, method: 'Rent Comps' };
+    const estimate = jest.spyOn(RentEstimator.prototype, 'estimate').mockResolvedValue(rentEstimate);
+
+    const res = await analyze({});
+
+    expect(estimate).toHaveBeenCalledWith(property);
+    const { rental } = res.json.mock.calls[0][0].data;
+    expect(rental).toMatchObject({ monthlyRent: 1800, annualRent: 21600, rentEstimate });
+  });
+
+  it('keeps the rent the user gave', async () => {
+    const estimate = jest.spyOn(RentEstimator.prototype, 'estimate');
+
+    const res = await analyze({ monthlyRent: 2000 });
+
+    expect(estimate).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.rental).toMatchObject({ monthlyRent: 2000, rentEstimate: undefined });
+  });
+
+  it('asks for a rent when nothing covers the property', async () => {
+    jest.spyOn(RentEstimator.prototype, 'estimate').mockResolvedValue(null);
+
+    const res = await analyze({ monthlyRent: '' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Monthly rent is required: no comparable rentals or Fair Market Rents cover this property'
+    });
+  });
+});
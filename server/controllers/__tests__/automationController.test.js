@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Sequence = require('../../models/Sequence');
+const Workflow = require('../../models/Workflow');
+const TargetArea = require('../../models/TargetArea');
+const JobRun = require('../../models/JobRun');
+const automationController = require('../automationController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+describe('automationController workflows', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('createWorkflow', () => {
+    it('saves a workflow with an enroll_sequence action', async () => {
+      const sequenceId = new mongoose.Types.ObjectId();
+      jest.spyOn(Sequence, 'exists').mockResolvedValue({ _id: sequenceId });
+      const save = jest.spyOn(Workflow.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      const res = response();
+
+      await automationController.createWorkflow({
+        user,
+        body: {
+          name: 'Enroll new leads',
+          triggers: [{ type: 'new_lead', conditions: { priority: 'High' } }],
+          actions: [{ type: 'enroll_sequence', config: { sequenceId: String(sequenceId) } }]
+        }
+      }, res);
+
+      expect(save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      const workflow = res.json.mock.calls[0][0].data;
+      expect(workflow.actions[0]).toMatchObject({ type: 'enroll_sequence', config: { sequenceId: String(sequenceId) } });
+    });
+
+    it('rejects unknown actions and missing sequences', async () => {
+      jest.spyOn(Sequence, 'exists').mockResolvedValue(null);
+      const save = jest.spyOn(Workflow.prototype, 'save');
+      const body = { name: 'Bad', triggers: [{ type: 'new_lead' }] };
+
+      const unknown = response();
+      await automationController.createWorkflow({ user, body: { ...body, actions: [{ type: 'fax' }] } }, unknown);
+      expect(unknown.status).toHaveBeenCalledWith(400);
+
+      const missing = response();
+      await automationController.createWorkflow({ user, body: { ...body, actions: [{ type: 'enroll_sequence' }] } }, missing);
+      expect(missing.status).toHaveBeenCalledWith(400);
+      expect(missing.json).toHaveBeenCalledWith({ success: false, message: 'Action 1: sequence not found' });
+
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeWorkflow', () => {
+    it('runs the saved workflow\'s actions', async () => {
+      const sequence = new Sequence({ name: 'Outreach', steps: [{ type: 'Task', task: { action: 'Call' } }] });
+      const leadId = String(new mongoose.Types.ObjectId());
+      jest.spyOn(Workflow, 'findOne').mockResolvedValue(new Workflow({
+        name: 'Enroll',
+        triggers: [{ type: 'manual' }],
+        actions: [{ type: 'enroll_sequence', config: { sequenceId: sequence._id } }]
+      }));
+      jest.spyOn(Sequence, 'findOne').mockResolvedValue(sequence);
+      const enroll = jest.spyOn(automationController.sequences, 'enroll').mockResolvedValue({ enrolled: 1, alreadyEnrolled: 0, skipped: 0 });
+      const res = response();
+
+      await automationController.executeWorkflow({ user, body: { workflowId: String(new mongoose.Types.ObjectId()), data: { leadId } } }, res);
+
+      expect(enroll).toHaveBeenCalledWith(sequence, [leadId], { source: 'Workflow', userId: user._id });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { results: [{ type: 'enroll_sequence', status: 'success', enrolled: 1, alreadyEnrolled: 0, skipped: 0 }] }
+      });
+    });
+
+    it('rejects a malformed workflow id', async () => {
+      const findOne = jest.spyOn(Workflow, 'findOne');
+      const res = response();
+
+      await automationController.executeWorkflow({ user, body: { workflowId: '1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeWorkflowActions', () => {
+    it('fails an enroll_sequence action without config on its own', async () => {
+      const findOne = jest.spyOn(Sequence, 'findOne');
+
+      const results = await automationController.executeWorkflowActions([{ type: 'enroll_sequence' }, { type: 'other' }], {});
+
+      expect(results).toEqual([
+        { type: 'enroll_sequence', status: 'failed', error: 'Sequence not found' },
+        { type: 'other', status: 'skipped' }
+      ]);
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('automationController data collection', () => {
+  let runManualDataCollection;
+
+  beforeEach(() => {
+    runManualDataCollection = jest.spyOn(automationController.scheduler, 'runManualDataCollection').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('triggerDataCollection', () => {
+    it('starts a collection for target area ids and counties', async () => {
+      const areaId = String(new mongoose.Types.ObjectId());
+      jest.spyOn(TargetArea, 'exists').mockResolvedValue({ _id: areaId });
+      const res = response();
+
+      await automationController.triggerDataCollection({
+        user,
+        body: { areas: [areaId, { county: ' Maricopa ', state: 'AZ', _id: 'x' }] }
+      }, res);
+
+      expect(runManualDataCollection).toHaveBeenCalledWith([areaId, { county: 'Maricopa', state: 'AZ' }], { triggeredBy: user._id });
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('rejects areas that aren\'t target area ids before starting', async () => {
+      const exists = jest.spyOn(TargetArea, 'exists').mockResolvedValue(null);
+      const res = response();
+
+      await automationController.triggerDataCollection({ user, body: { areas: [{ $ne: null }] } }, res);
+      await automationController.triggerDataCollection({ user, body: { areas: ['not-an-id'] } }, res);
+      await automationController.triggerDataCollection({ user, body: { areas: [String(new mongoose.Types.ObjectId())] } }, res);
+      await automationController.triggerDataCollection({ user, body: { areas: 'Maricopa' } }, res);
+
+      expect(res.status.mock.calls).toEqual([[400], [400], [400], [400]]);
+      expect(res.json.mock.calls[0][0].message).toBe('Each area needs a county and state');
+      expect(res.json.mock.calls[1][0].message).toBe('Target area not-an-id not found');
+      expect(exists).toHaveBeenCalledTimes(1);
+      expect(runManualDataCollection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRun', () => {
+    it('rejects a malformed run id', async () => {
+      const findById = jest.spyOn(JobRun, 'findById');
+      const res = response();
+
+      await automationController.getRun({ params: { id: 'latest' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid run ID' });
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const MailCampaign = require('../../models/MailCampaign');
+const MailTemplate = require('../../models/MailTemplate');
+const SavedSearch = require('../../models/SavedSearch');
+const MailPiece = require('../../models/MailPiece');
+const mailController = require('../mailController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const creator = { _id: new mongoose.Types.ObjectId(), role: 'Manager' };
+const otherManager = { _id: new mongoose.Types.ObjectId(), role: 'Manager' };
+
+const buildCampaign = () => {
+  const campaign = new MailCampaign({
+    name: 'Spring mailing',
+    template: new mongoose.Types.ObjectId(),
+    savedSearch: new mongoose.Types.ObjectId(),
+    createdBy: creator._id
+  });
+  jest.spyOn(campaign, 'save').mockResolvedValue(campaign);
+  return campaign;
+};
+
+describe('mailController', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('updateCampaign', () => {
+    it('checks the saved search against the campaign creator, not the editor', async () => {
+      const campaign = buildCampaign();
+      jest.spyOn(MailCampaign, 'findOne').mockResolvedValue(campaign);
+      jest.spyOn(MailTemplate, 'findOne').mockResolvedValue({ _id: campaign.template });
+      const searchLookup = jest.spyOn(SavedSearch, 'findOne').mockResolvedValue({ _id: campaign.savedSearch });
+      const res = response();
+
+      await mailController.updateCampaign({ user: otherManager, params: { id: String(campaign._id) }, body: { name: 'Renamed' } }, res);
+
+      expect(searchLookup).toHaveBeenCalledWith({ _id: campaign.savedSearch, user: creator._id, isActive: true });
+      expect(res.status).not.toHaveBeenCalled();
+      expect(campaign).toMatchObject({ name: 'Renamed', updatedBy: otherManager._id });
+    });
+  });
+
+  describe('campaign access', () => {
+    const member = { _id: new mongoose.Types.ObjectId(), role: 'Investor', team: { teamId: new mongoose.Types.ObjectId() } };
+
+    it('scopes campaign lookups to the user\'s own and team campaigns', async () => {
+      const findOne = jest.spyOn(MailCampaign, 'findOne').mockResolvedValue(null);
+      const res = response();
+
+      await mailController.exportCampaign({ user: member, params: { id: 'c1' }, query: {} }, res);
+
+      expect(findOne).toHaveBeenCalledWith({
+        isActive: true,
+        $or: [
+          { owner: member._id },
+          { team: member.team.teamId },
+          { owner: { $exists: false }, createdBy: member._id }
+        ],
+        _id: 'c1'
+      });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('lets admins reach every campaign', async () => {
+      const findOne = jest.spyOn(MailCampaign, 'findOne').mockResolvedValue(null);
+
+      await mailController.refreshTracking({ user: { _id: new mongoose.Types.ObjectId(), role: 'Admin' }, params: { id: 'c1' } }, response());
+
+      expect(findOne).toHaveBeenCalledWith({ isActive: true, _id: 'c1' });
+    });
+
+    it('lists no pieces of a campaign the user can\'t see', async () => {
+      jest.spyOn(MailCampaign, 'exists').mockResolvedValue(null);
+      const find = jest.spyOn(MailPiece, 'find');
+      const res = response();
+
+      await mailController.getPieces({ user: member, params: { id: 'c1' }, query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('doesn\'t update a piece on someone else\'s campaign', async () => {
+      jest.spyOn(MailPiece, 'findById').mockResolvedValue({ _id: 'p1', campaign: 'c2', mailedAt: new Date() });
+      jest.spyOn(MailCampaign, 'findOne').mockResolvedValue(null);
+      const res = response();
+
+      await mailController.updatePiece({ user: member, params: { id: 'p1' }, body: { status: 'Returned' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('records the creator and team as the owners of a new campaign', async () => {
+      jest.spyOn(MailTemplate, 'findOne').mockResolvedValue({});
+      jest.spyOn(SavedSearch, 'findOne').mockResolvedValue({});
+      jest.spyOn(MailCampaign.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      const res = response();
+
+      await mailController.createCampaign({
+        user: member,
+        body: { name: 'Mailing', template: new mongoose.Types.ObjectId(), savedSearch: new mongoose.Types.ObjectId() }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ owner: member._id, team: member.team.teamId });
+    });
+  });
+});
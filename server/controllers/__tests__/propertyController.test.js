@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Property = require('../../models/Property');
+const propertyController = require('../propertyController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const manager = { _id: new mongoose.Types.ObjectId(), role: 'Manager' };
+
+// A property as loaded from the database, with the address key saved for its address
+const buildProperty = (street = '123 Main St') => Property.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  address: { street, city: 'Anytown', state: 'CA', zipCode: '90001', county: 'Los Angeles' },
+  addressKey: `${street.toUpperCase()}||ANYTOWN|CA`,
+  propertyType: 'Single Family',
+  foreclosureStatus: 'Auction',
+  leadInfo: { source: 'County Records' }
+});
+
+describe('propertyController', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('bulkUpdateProperties', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      // Run the validate hooks a real save would
+      jest.spyOn(Property.prototype, 'save').mockImplementation(async function() {
+        await this.validate();
+        saved.push(this);
+        return this;
+      });
+    });
+
+    it('saves each property so its address key and location are recomputed', async () => {
+      const properties = [buildProperty(), buildProperty('9 Oak Ave')];
+      jest.spyOn(Property, 'find').mockResolvedValue(properties);
+      const res = response();
+
+      await propertyController.bulkUpdateProperties({
+        user: manager,
+        body: {
+          propertyIds: properties.map(property => String(property._id)),
+          updates: { address: { city: 'Springfield', coordinates: { lat: 34.05, lng: -118.25 } } }
+        }
+      }, res);
+
+      expect(saved).toHaveLength(2);
+      expect(properties.map(property => property.addressKey)).toEqual(['123 MAIN ST||SPRINGFIELD|CA', '9 OAK AVE||SPRINGFIELD|CA']);
+      expect(properties[0].location.coordinates).toEqual([-118.25, 34.05]);
+      expect(properties[1].updatedBy).toEqual(manager._id);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: { modifiedCount: 2 } }));
+    });
+
+    it('records the edit as manual and logs a status change on the timeline', async () => {
+      const property = buildProperty();
+      jest.spyOn(Property, 'find').mockResolvedValue([property]);
+      const res = response();
+
+      await propertyController.bulkUpdateProperties({
+        user: manager,
+        body: { propertyIds: [String(property._id)], updates: { foreclosureStatus: 'Cancelled' } }
+      }, res);
+
+      expect(saved).toEqual([property]);
+      expect(property.foreclosureStatus).toBe('Cancelled');
+      expect(property.foreclosureEvents.map(event => event.type)).toEqual(['Sale Cancelled']);
+      expect(property.provenance.find(entry => entry.field === 'foreclosureStatus')).toMatchObject({ isManual: true });
+    });
+
+    it('skips properties the updates don\'t change', async () => {
+      const property = buildProperty();
+      jest.spyOn(Property, 'find').mockResolvedValue([property]);
+      const res = response();
+
+      await propertyController.bulkUpdateProperties({
+        user: manager,
+        body: { propertyIds: [String(property._id)], updates: { propertyType: 'Single Family' } }
+      }, res);
+
+      expect(saved).toHaveLength(0);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: { modifiedCount: 0 } }));
+    });
+
+    it('requires property ids and updates', async () => {
+      const find = jest.spyOn(Property, 'find');
+      const res = response();
+
+      await propertyController.bulkUpdateProperties({ user: manager, body: { propertyIds: ['p1'] } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Updates are required' });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
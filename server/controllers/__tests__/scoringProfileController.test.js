@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const ScoringProfile = require('../../models/ScoringProfile');
+const LeadScorer = require('../../services/scoring/leadScorer');
+const scoringProfileController = require('../scoringProfileController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Chained query stub: select() and populate() return the query, which resolves to result
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'Admin' };
+
+const { factors } = LeadScorer.BUILT_IN_PROFILE;
+
+const buildProfile = (overrides = {}) => {
+  const profile = new ScoringProfile({ key: 'distress', version: 2, name: 'Distress', factors, allocation: 20, ...overrides });
+  jest.spyOn(profile, 'save').mockResolvedValue(profile);
+  return profile;
+};
+
+describe('scoringProfileController', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('createProfile', () => {
+    it('saves version 1 under a key made from the name', async () => {
+      jest.spyOn(ScoringProfile, 'exists').mockResolvedValue(null);
+      jest.spyOn(ScoringProfile, 'find').mockReturnValue(query([]));
+      const create = jest.spyOn(ScoringProfile, 'create').mockImplementation(fields => Promise.resolve(fields));
+      const res = response();
+
+      await scoringProfileController.createProfile({ user: admin, body: { name: 'Tax Distress!', factors, allocation: 10 } }, res);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ key: 'tax-distress', version: 1, allocation: 10 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('rejects a key that is taken', async () => {
+      jest.spyOn(ScoringProfile, 'exists').mockResolvedValue({ _id: 'p1' });
+      const res = response();
+
+      await scoringProfileController.createProfile({ user: admin, body: { name: 'Distress', factors } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('rejects allocations over 100% across profiles', async () => {
+      jest.spyOn(ScoringProfile, 'exists').mockResolvedValue(null);
+      jest.spyOn(ScoringProfile, 'find').mockReturnValue(query([{ allocation: 60 }, { allocation: 30 }]));
+      const create = jest.spyOn(ScoringProfile, 'create');
+      const res = response();
+
+      await scoringProfileController.createProfile({ user: admin, body: { name: 'Equity', factors, allocation: 20 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Profiles would be allocated 110% of leads; the total can\'t exceed 100%'
+      });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('retires the current version and saves the next one', async () => {
+      const current = buildProfile();
+      jest.spyOn(ScoringProfile, 'findById').mockResolvedValue(current);
+      jest.spyOn(ScoringProfile, 'find').mockReturnValue(query([]));
+      const create = jest.spyOn(ScoringProfile, 'create').mockImplementation(fields => Promise.resolve(fields));
+      const res = response();
+
+      await scoringProfileController.updateProfile({ user: admin, params: { id: String(current._id) }, body: { allocation: 40 } }, res);
+
+      expect(current).toMatchObject({ isCurrent: false, updatedBy: admin._id });
+      expect(current.save).toHaveBeenCalled();
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        key: 'distress',
+        version: 3,
+        name: 'Distress',
+        allocation: 40,
+        createdBy: admin._id
+      }));
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('makes the new version the only default', async () => {
+      const current = buildProfile();
+      jest.spyOn(ScoringProfile, 'findById').mockResolvedValue(current);
+      const clear = jest.spyOn(ScoringProfile, 'updateMany').mockResolvedValue({});
+      jest.spyOn(ScoringProfile, 'create').mockImplementation(fields => Promise.resolve(fields));
+
+      await scoringProfileController.updateProfile({ user: admin, params: { id: String(current._id) }, body: { isDefault: true } }, response());
+
+      expect(clear).toHaveBeenCalledWith({ isCurrent: true, isDefault: true, key: { $ne: 'distress' } }, { isDefault: false });
+    });
+
+    it('refuses to edit a version that has been replaced', async () => {
+      const retired = buildProfile({ isCurrent: false });
+      jest.spyOn(ScoringProfile, 'findById').mockResolvedValue(retired);
+      const create = jest.spyOn(ScoringProfile, 'create');
+      const res = response();
+
+      await scoringProfileController.updateProfile({ user: admin, params: { id: String(retired._id) }, body: { name: 'New' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Version 2 has been replaced; edit the current version' });
+      expect(retired.save).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('keeps the current version when the edit is invalid', async () => {
+      const current = buildProfile();
+      jest.spyOn(ScoringProfile, 'findById').mockResolvedValue(current);
+      const res = response();
+
+      await scoringProfileController.updateProfile({
+        user: admin,
+        params: { id: String(current._id) },
+        body: { factors: [{ key: 'equity', weight: 50, rules: [] }] }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(current.isCurrent).toBe(true);
+      expect(current.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const TargetArea = require('../../models/TargetArea');
+const targetAreaController = require('../targetAreaController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const teamId = new mongoose.Types.ObjectId();
+const manager = { _id: new mongoose.Types.ObjectId(), role: 'Manager', team: { teamId } };
+
+const create = async (body, user = manager) => {
+  const res = response();
+  await targetAreaController.createArea({ user, body }, res);
+  return res;
+};
+
+describe('targetAreaController', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('createArea', () => {
+    it('saves the area for the user\'s team', async () => {
+      const createArea = jest.spyOn(TargetArea, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const res = await create({
+        county: 'Maricopa',
+        state: 'AZ',
+        sources: ['generic-county-records'],
+        schedule: '0 5 * * *',
+        timezone: 'America/Phoenix',
+        team: new mongoose.Types.ObjectId()
+      });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(createArea).toHaveBeenCalledWith(expect.objectContaining({ owner: manager._id, team: teamId, timezone: 'America/Phoenix' }));
+    });
+
+    it('rejects unknown sources, cron expressions and timezones', async () => {
+      const createArea = jest.spyOn(TargetArea, 'create');
+      const area = { county: 'Maricopa', state: 'AZ' };
+
+      const messages = [];
+      for (const settings of [
+        { sources: 'generic-county-records' },
+        { sources: ['generic-county-records', 'nowhere'] },
+        { schedule: 'every morning' },
+        { timezone: 'Mars/Olympus_Mons' },
+        { timezone: { $ne: null } }
+      ]) {
+        const res = await create({ ...area, ...settings });
+        expect(res.status).toHaveBeenCalledWith(400);
+        messages.push(res.json.mock.calls[0][0].message);
+      }
+
+      expect(messages).toEqual([
+        'Sources must be an array of source ids',
+        'Unknown sources: nowhere',
+        'Invalid cron schedule: every morning',
+        'Invalid timezone: Mars/Olympus_Mons',
+        'Invalid timezone: [object Object]'
+      ]);
+      expect(createArea).not.toHaveBeenCalled();
+    });
+
+    it('reports an area the team already has', async () => {
+      jest.spyOn(TargetArea, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      const res = await create({ county: 'Maricopa', state: 'AZ' });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Target area already exists' });
+    });
+  });
+
+  describe('updateArea', () => {
+    it('only lets the user change areas they can see, and not their owner', async () => {
+      const update = jest.spyOn(TargetArea, 'findOneAndUpdate').mockResolvedValue(null);
+      const res = response();
+
+      await targetAreaController.updateArea({
+        user: manager,
+        params: { id: 'a1' },
+        body: { schedule: '0 7 * * 1', owner: 'someone', team: 'other', lastRunStatus: 'Success' }
+      }, res);
+
+      const [filter, updates] = update.mock.calls[0];
+      expect(filter).toMatchObject({ _id: 'a1', $or: [{ owner: manager._id }, { team: teamId }] });
+      expect(updates).toEqual({ schedule: '0 7 * * 1', updatedBy: manager._id });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
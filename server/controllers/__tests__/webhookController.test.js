@@ -0,0 +1,135 @@
+const twilio = require('twilio');
+const InboundMessageHandler = require('../../services/inbound/inboundMessageHandler');
+const webhookController = require('../webhookController');
+
+const AUTH_TOKEN = 'test-auth-token';
+const EMAIL_TOKEN = 'inbound-email-token';
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+const body = { From: '+16025550142', To: '+16025550100', Body: 'STOP', MessageSid: 'SM0123456789abcdef' };
+
+const smsRequest = ({ url = 'https://api.example.com/api/webhooks/sms', signature, params = body } = {}) => {
+  const { protocol, host, pathname } = new URL(url);
+  const headers = {
+    host,
+    'x-twilio-signature': signature === undefined ? twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params) : signature
+  };
+  return {
+    protocol: protocol.replace(':', ''),
+    originalUrl: pathname,
+    ip: '203.0.113.9',
+    body: params,
+    get: name => headers[name.toLowerCase()]
+  };
+};
+
+describe('webhookController', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ['TWILIO_AUTH_TOKEN', 'INBOUND_EMAIL_TOKEN', 'WEBHOOK_BASE_URL'].forEach(name => {
+      saved[name] = process.env[name];
+    });
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.INBOUND_EMAIL_TOKEN = EMAIL_TOKEN;
+    delete process.env.WEBHOOK_BASE_URL;
+  });
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    jest.restoreAllMocks();
+  });
+
+  describe('receiveSms', () => {
+    it('handles a text signed by Twilio and answers with empty TwiML', async () => {
+      const handleSms = jest.spyOn(InboundMessageHandler.prototype, 'handleSms').mockResolvedValue({ matched: 1 });
+      const res = response();
+
+      await webhookController.receiveSms(smsRequest(), res);
+
+      expect(handleSms).toHaveBeenCalledWith(body);
+      expect(res.type).toHaveBeenCalledWith('text/xml');
+      expect(res.send).toHaveBeenCalledWith('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    });
+
+    it('rejects a missing, forged or replayed-with-changes signature', async () => {
+      const handleSms = jest.spyOn(InboundMessageHandler.prototype, 'handleSms').mockResolvedValue({ matched: 0 });
+      const signed = smsRequest();
+
+      for (const req of [
+        smsRequest({ signature: '' }),
+        smsRequest({ signature: 'bm90IGEgc2lnbmF0dXJl' }),
+        { ...signed, body: { ...body, Body: 'START' } }
+      ]) {
+        const res = response();
+        await webhookController.receiveSms(req, res);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid signature' });
+      }
+      expect(handleSms).not.toHaveBeenCalled();
+    });
+
+    it('checks the signature against the public URL behind a proxy', async () => {
+      process.env.WEBHOOK_BASE_URL = 'https://leads.example.com';
+      const handleSms = jest.spyOn(InboundMessageHandler.prototype, 'handleSms').mockResolvedValue({ matched: 0 });
+      const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, 'https://leads.example.com/api/webhooks/sms', body);
+      const res = response();
+
+      await webhookController.receiveSms(smsRequest({ url: 'http://localhost:5000/api/webhooks/sms', signature }), res);
+
+      expect(handleSms).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('refuses texts until Twilio is configured', async () => {
+      delete process.env.TWILIO_AUTH_TOKEN;
+      const res = response();
+
+      await webhookController.receiveSms(smsRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'SMS service not configured' });
+    });
+  });
+
+  describe('receiveEmail', () => {
+    const emailRequest = (token) => ({
+      query: { token },
+      ip: '203.0.113.9',
+      body: { from: 'jane.smith@example.com', subject: 'Re: Your property', text: 'Call me' },
+      files: [{ originalname: 'photo.jpg' }]
+    });
+
+    it('handles an email posted with the shared token', async () => {
+      const handleEmail = jest.spyOn(InboundMessageHandler.prototype, 'handleEmail').mockResolvedValue({ matched: 1, leads: [], optOut: false });
+      const res = response();
+
+      await webhookController.receiveEmail(emailRequest(EMAIL_TOKEN), res);
+
+      expect(handleEmail).toHaveBeenCalledWith(expect.objectContaining({ from: 'jane.smith@example.com', attachmentNames: ['photo.jpg'] }));
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { matched: 1, leads: [], optOut: false } });
+    });
+
+    it('rejects a wrong or missing token', async () => {
+      const handleEmail = jest.spyOn(InboundMessageHandler.prototype, 'handleEmail').mockResolvedValue({ matched: 0 });
+
+      for (const token of ['inbound-email-tokem', undefined, { $ne: '' }]) {
+        const res = response();
+        await webhookController.receiveEmail(emailRequest(token), res);
+        expect(res.status).toHaveBeenCalledWith(403);
+      }
+      expect(handleEmail).not.toHaveBeenCalled();
+    });
+  });
+});
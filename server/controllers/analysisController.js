@@ -1,6 +1,60 @@
 const Analysis = require('../models/Analysis');
 const Property = require('../models/Property');
 const logger = require('../utils/logger');
+const RentEstimator = require('../services/valuation/rentEstimator');
+const LienWaterfall = require('../services/valuation/lienWaterfall');
+const ForeclosureRules = require('../services/dataCollection/foreclosureRules');
+
+const rentEstimator = new RentEstimator();
+const lienWaterfall = new LienWaterfall();
+const foreclosureRules = new ForeclosureRules();
+
+// Liens a buyer takes the property subject to in the given sale scenario. Defaults to
+// buying at the foreclosure sale for auction properties and from the owner otherwise.
+// Returns null for a scenario that doesn't apply to the property.
+const getLienExposure = (property, scenario) => {
+  const analysis = lienWaterfall.analyze(property);
+  const name = scenario || (property.foreclosureStatus === 'Auction'
+    ? LienWaterfall.SCENARIOS.FORECLOSURE_SALE
+    : LienWaterfall.SCENARIOS.OWNER_SALE);
+  const match = analysis.scenarios.find(candidate => candidate.scenario === name) ||
+    (scenario ? null : analysis.scenarios[0]);
+  if (!match) return null;
+
+  return {
+    scenario: match.scenario,
+    survivingLienPayoff: match.survivingLienPayoff,
+    survivingLiens: match.survivingLiens.map(lien => ({
+      lienholder: lien.lienholder,
+      category: lien.category,
+      payoff: lien.payoff,
+      reason: lien.reason
+    })),
+    netEquity: match.netEquity,
+    totalLienPayoff: analysis.totalLienPayoff,
+    notes: match.notes
+  };
+};
+
+// State foreclosure rules for the purchase: when the sale is expected and, when buying
+// at the foreclosure sale, how long the former owner can redeem before title is final.
+// Returns null for states without rules.
+const getForeclosureTiming = (property, scenario) => {
+  const projection = foreclosureRules.assess(property);
+  if (!projection) return null;
+
+  const atSale = scenario === LienWaterfall.SCENARIOS.FORECLOSURE_SALE;
+  const redemptionDays = atSale ? projection.redemptionDays : 0;
+  return {
+    state: projection.state,
+    process: projection.process,
+    expectedAuctionDate: projection.expectedAuctionDate,
+    auctionDateProjected: projection.auctionDateProjected,
+    redemptionDays,
+    redemptionMonths: Math.ceil(redemptionDays / 30),
+    redemptionNote: redemptionDays > 0 ? projection.redemptionNote : undefined
+  };
+};
 
 class AnalysisController {
   // Get all analyses
@@ -174,7 +228,8 @@ class AnalysisController {
         financingType = 'Cash',
         downPayment = 0,
         interestRate = 0,
-        loanTerm = 0
+        loanTerm = 0,
+        acquisition
       } = req.body;
 
       const property = await Property.findById(propertyId);
@@ -189,21 +244,30 @@ class AnalysisController {
         return res.status(400).json({ success: false, message: 'Property value not available' });
       }
 
-      // Calculate financial metrics
-      const totalInvestment = purchasePrice + repairCosts + sellingCosts;
+      const liens = getLienExposure(property, acquisition);
+      if (!liens) {
+        return res.status(400).json({ success: false, message: `No ${acquisition} scenario applies to this property` });
+      }
+
+      // The property can't be renovated and resold until any redemption period runs out
+      const foreclosure = getForeclosureTiming(property, liens.scenario);
+      const totalHoldingPeriod = holdingPeriod + (foreclosure ? foreclosure.redemptionMonths : 0);
+
+      // Calculate financial metrics; liens that survive the purchase must be paid off too
+      const totalInvestment = purchasePrice + repairCosts + sellingCosts + liens.survivingLienPayoff;
       const netProfit = afterRepairValue - totalInvestment;
       const roi = (netProfit / totalInvestment) * 100;
 
       // Calculate holding costs
       const monthlyHoldingCosts = (purchasePrice * 0.01) / 12; // 1% annually
-      const totalHoldingCosts = monthlyHoldingCosts * holdingPeriod;
+      const totalHoldingCosts = monthlyHoldingCosts * totalHoldingPeriod;
 
       // Calculate financing costs
       let financingCosts = 0;
       if (financingType !== 'Cash') {
         const loanAmount = purchasePrice - downPayment;
         const monthlyPayment = this.calculateMonthlyPayment(loanAmount, interestRate, loanTerm);
-        financingCosts = monthlyPayment * holdingPeriod;
+        financingCosts = monthlyPayment * totalHoldingPeriod;
       }
 
       const finalNetProfit = netProfit - totalHoldingCosts - financingCosts;
@@ -222,7 +286,7 @@ class AnalysisController {
         financials: {
           purchasePrice: purchasePrice,
           repairCosts: repairCosts,
-          holdingPeriod: holdingPeriod,
+          holdingPeriod: totalHoldingPeriod,
           monthlyHoldingCosts: monthlyHoldingCosts,
           totalHoldingCosts: totalHoldingCosts,
           sellingCosts: sellingCosts,
@@ -236,6 +300,13 @@ class AnalysisController {
           netProfit: finalNetProfit,
           roi: finalROI
         },
+        liens,
+        foreclosure,
+        timeline: {
+          purchaseDate: liens.scenario === LienWaterfall.SCENARIOS.FORECLOSURE_SALE && foreclosure
+            ? foreclosure.expectedAuctionDate
+            : undefined
+        },
         status: 'Draft'
       };
 
@@ -251,7 +322,6 @@ class AnalysisController {
     try {
       const {
         propertyId,
-        monthlyRent,
         vacancyRate = 5,
         managementFee = 10,
         maintenanceReserve = 5,
@@ -270,6 +340,20 @@ class AnalysisController {
         return res.status(404).json({ success: false, message: 'Property not found' });
       }
 
+      // Without a rent from the user, the estimated market rent is used
+      let monthlyRent = req.body.monthlyRent;
+      let rentEstimate;
+      if (monthlyRent === undefined || monthlyRent === null || monthlyRent === '') {
+        rentEstimate = await rentEstimator.estimate(property);
+        if (!rentEstimate) {
+          return res.status(400).json({
+            success: false,
+            message: 'Monthly rent is required: no comparable rentals or Fair Market Rents cover this property'
+          });
+        }
+        monthlyRent = rentEstimate.rent;
+      }
+
       // Calculate rental metrics
       const annualRent = monthlyRent * 12;
       const vacancyLoss = annualRent * (vacancyRate / 100);
@@ -324,7 +408,8 @@ class AnalysisController {
           netOperatingIncome: netOperatingIncome,
           capRate: capRate,
           cashFlow: cashFlow,
-          grossRentMultiplier: grossRentMultiplier
+          grossRentMultiplier: grossRentMultiplier,
+          rentEstimate: rentEstimate
         },
         status: 'Draft'
       };
@@ -343,7 +428,8 @@ class AnalysisController {
         propertyId,
         assignmentFee = 10000,
         estimatedRepairCosts = 0,
-        estimatedAfterRepairValue = 0
+        estimatedAfterRepairValue = 0,
+        acquisition
       } = req.body;
 
       const property = await Property.findById(propertyId);
@@ -355,8 +441,15 @@ class AnalysisController {
       const afterRepairValue = estimatedAfterRepairValue || property.financials.afterRepairValue || currentValue;
       const repairCosts = estimatedRepairCosts || property.financials.repairCosts || 0;
 
-      // Calculate maximum allowable offer for end buyer
-      const endBuyerMaxOffer = afterRepairValue - repairCosts - 20000; // 20k profit buffer
+      const liens = getLienExposure(property, acquisition);
+      if (!liens) {
+        return res.status(400).json({ success: false, message: `No ${acquisition} scenario applies to this property` });
+      }
+
+      const foreclosure = getForeclosureTiming(property, liens.scenario);
+
+      // Calculate maximum allowable offer for end buyer, who also pays off surviving liens
+      const endBuyerMaxOffer = afterRepairValue - repairCosts - liens.survivingLienPayoff - 20000; // 20k profit buffer
       
       // Calculate wholesale metrics
       const maximumAllowableOffer = endBuyerMaxOffer - assignmentFee;
@@ -380,6 +473,8 @@ class AnalysisController {
           potentialProfit: potentialProfit,
           roi: roi
         },
+        liens,
+        foreclosure,
         status: 'Draft'
       };
 
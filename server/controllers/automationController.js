@@ -1,14 +1,73 @@
+const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const JobRun = require('../models/JobRun');
 const DataCollectionScheduler = require('../services/automation/dataCollectionScheduler');
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
+const ContactCompliance = require('../services/compliance/contactCompliance');
+const SequenceRunner = require('../services/sequences/sequenceRunner');
+const Sequence = require('../models/Sequence');
+const Workflow = require('../models/Workflow');
+const TargetArea = require('../models/TargetArea');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Error message for a workflow that can't be saved, or null
+const checkWorkflow = async (workflow) => {
+  const invalid = workflow.validateSync();
+  if (invalid) return Object.values(invalid.errors)[0].message;
+  if (workflow.triggers.length === 0 || workflow.actions.length === 0) return 'Workflow name, triggers, and actions are required';
+
+  for (const [index, action] of workflow.actions.entries()) {
+    if (action.type !== 'enroll_sequence') continue;
+    const sequenceId = action.config && action.config.sequenceId;
+    if (!isValidId(sequenceId) || !(await Sequence.exists({ _id: sequenceId, isActive: true }))) {
+      return `Action ${index + 1}: sequence not found`;
+    }
+  }
+  return null;
+};
+
+// Areas for a manual collection: target area ids or { county, state } objects.
+// Returns { areas, error }.
+const parseAreas = async (areas) => {
+  if (!Array.isArray(areas)) return { areas: [], error: 'areas must be a list of target area ids or { county, state } objects' };
+
+  const parsed = [];
+  for (const area of areas) {
+    if (typeof area === 'string') {
+      if (!isValidId(area) || !(await TargetArea.exists({ _id: area, isActive: true }))) {
+        return { areas: [], error: `Target area ${area} not found` };
+      }
+      parsed.push(area);
+    } else if (area && typeof area.county === 'string' && typeof area.state === 'string' && area.county.trim() && area.state.trim()) {
+      parsed.push({ county: area.county.trim(), state: area.state.trim() });
+    } else {
+      return { areas: [], error: 'Each area needs a county and state' };
+    }
+  }
+  return { areas: parsed, error: null };
+};
+
+// Jobs that scrape sources, as opposed to enrichment and scoring jobs
+const isCollectionJob = (job) =>
+  ['daily-foreclosure-scrape', 'manual-data-collection'].includes(job) || job.startsWith('area-');
 
 class AutomationController {
   constructor() {
     this.scheduler = new DataCollectionScheduler();
     this.emailTransporter = null;
     this.twilioClient = null;
+    this.compliance = new ContactCompliance();
+    this.sequences = new SequenceRunner({ compliance: this.compliance });
     this.initializeServices();
+
+    // Route handlers are passed to Express unbound
+    Object.getOwnPropertyNames(AutomationController.prototype)
+      .filter(name => name !== 'constructor')
+      .forEach(name => {
+        this[name] = this[name].bind(this);
+      });
   }
 
   async initializeServices() {
@@ -40,11 +99,17 @@ class AutomationController {
   // Get automation status and settings
   async getAutomationStatus(req, res) {
     try {
+      const lastRuns = await JobRun.getLastRuns();
+      const lastCollection = Object.values(lastRuns)
+        .filter(run => isCollectionJob(run._id))
+        .sort((a, b) => b.startedAt - a.startedAt)[0];
+
       const status = {
         dataCollection: {
           isRunning: this.scheduler.isRunning,
           jobs: this.scheduler.getJobStatus(),
-          lastRun: new Date().toISOString()
+          lastRun: lastCollection ? lastCollection.startedAt.toISOString() : null,
+          lastRuns
         },
         email: {
           enabled: !!this.emailTransporter,
@@ -66,8 +131,6 @@ class AutomationController {
   // Trigger manual data collection
   async triggerDataCollection(req, res) {
     try {
-      const { areas = [] } = req.body;
-
       if (this.scheduler.isRunning) {
         return res.status(400).json({ 
           success: false, 
@@ -75,8 +138,13 @@ class AutomationController {
         });
       }
 
+      const { areas, error } = await parseAreas(req.body.areas || []);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
       // Start data collection in background
-      this.scheduler.runManualDataCollection(areas)
+      this.scheduler.runManualDataCollection(areas, { triggeredBy: req.user._id })
         .then(result => {
           logger.info('Manual data collection completed:', result);
         })
@@ -107,6 +175,10 @@ class AutomationController {
         });
       }
 
+      if (await this.compliance.isEmailOptedOut(to)) {
+        return res.status(403).json({ success: false, message: 'Recipient has opted out of email' });
+      }
+
       const mailOptions = {
         from: process.env.SMTP_USER,
         to: to,
@@ -127,7 +199,7 @@ class AutomationController {
   // Send SMS notification
   async sendSMSNotification(req, res) {
     try {
-      const { to, message } = req.body;
+      const { to, message, leadId } = req.body;
 
       if (!this.twilioClient) {
         return res.status(400).json({ 
@@ -136,6 +208,26 @@ class AutomationController {
         });
       }
 
+      if (leadId && !isValidId(leadId)) {
+        return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+      }
+
+      const compliance = await this.compliance.guard({
+        channel: 'SMS',
+        phone: to,
+        lead: leadId,
+        message,
+        context: 'sms-notification',
+        userId: req.user._id
+      });
+      if (!compliance.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'SMS blocked by compliance check',
+          data: { violations: compliance.violations }
+        });
+      }
+
       await this.twilioClient.messages.create({
         body: message,
         from: process.env.TWILIO_PHONE_NUMBER,
@@ -143,7 +235,11 @@ class AutomationController {
       });
 
       logger.info(`SMS sent to ${to}`);
-      res.json({ success: true, message: 'SMS sent successfully' });
+      res.json({
+        success: true,
+        message: 'SMS sent successfully',
+        data: { compliance: { decision: compliance.decision, violations: compliance.violations } }
+      });
     } catch (error) {
       logger.error('Error sending SMS:', error);
       res.status(500).json({ success: false, message: 'Failed to send SMS' });
@@ -163,16 +259,21 @@ class AutomationController {
         });
       }
 
-      // Store workflow configuration (in production, this would be saved to database)
-      const workflow = {
-        id: Date.now().toString(),
+      const workflow = new Workflow({
         name,
         triggers,
         actions,
         isActive,
         createdBy: req.user._id,
-        createdAt: new Date()
-      };
+        updatedBy: req.user._id
+      });
+
+      const invalid = await checkWorkflow(workflow);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      await workflow.save();
 
       // Register workflow with scheduler
       this.registerWorkflow(workflow);
@@ -188,30 +289,9 @@ class AutomationController {
   // Get workflows
   async getWorkflows(req, res) {
     try {
-      // In production, this would fetch from database
-      const workflows = [
-        {
-          id: '1',
-          name: 'New Lead Notification',
-          triggers: [{ type: 'new_lead', conditions: { priority: 'High' } }],
-          actions: [
-            { type: 'email', config: { template: 'new_lead_alert' } },
-            { type: 'sms', config: { template: 'new_lead_sms' } }
-          ],
-          isActive: true,
-          createdAt: new Date()
-        },
-        {
-          id: '2',
-          name: 'Follow-up Reminder',
-          triggers: [{ type: 'scheduled', config: { interval: 'daily' } }],
-          actions: [
-            { type: 'email', config: { template: 'follow_up_reminder' } }
-          ],
-          isActive: true,
-          createdAt: new Date()
-        }
-      ];
+      const workflows = await Workflow.find({ isActive: true })
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
 
       res.json({ success: true, data: workflows });
     } catch (error) {
@@ -223,10 +303,19 @@ class AutomationController {
   // Execute workflow
   async executeWorkflow(req, res) {
     try {
-      const { workflowId, data } = req.body;
+      const { workflowId, data = {} } = req.body;
+
+      const { leadId, leadIds } = data;
+      if ((leadId && !isValidId(leadId)) || (leadIds && (!Array.isArray(leadIds) || !leadIds.every(isValidId)))) {
+        return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+      }
+
+      if (!isValidId(workflowId)) {
+        return res.status(400).json({ success: false, message: 'Invalid workflow ID' });
+      }
 
       // Find workflow
-      const workflow = this.getWorkflowById(workflowId);
+      const workflow = await Workflow.findOne({ _id: workflowId, isActive: true });
       if (!workflow) {
         return res.status(404).json({ 
           success: false, 
@@ -235,7 +324,7 @@ class AutomationController {
       }
 
       // Execute workflow actions
-      const results = await this.executeWorkflowActions(workflow.actions, data);
+      const results = await this.executeWorkflowActions(workflow.actions, data, { userId: req.user._id });
 
       logger.info(`Workflow ${workflowId} executed successfully`);
       res.json({ success: true, data: { results } });
@@ -255,14 +344,71 @@ class AutomationController {
       const days = timeRange === '7d' ? 7 : timeRange === '30d' ? 30 : timeRange === '90d' ? 90 : 365;
       const startDate = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
 
-      // In production, this would fetch from database
+      const runFilter = { startedAt: { $gte: startDate } };
+
+      const [runTotals, jobBreakdown, sourceBreakdown, lastRun] = await Promise.all([
+        JobRun.aggregate([
+          { $match: runFilter },
+          {
+            $group: {
+              _id: null,
+              totalRuns: { $sum: 1 },
+              successfulRuns: { $sum: { $cond: [{ $eq: ['$status', 'Success'] }, 1, 0] } },
+              partialRuns: { $sum: { $cond: [{ $eq: ['$status', 'Partial'] }, 1, 0] } },
+              failedRuns: { $sum: { $cond: [{ $eq: ['$status', 'Failed'] }, 1, 0] } },
+              averageDuration: { $avg: '$duration' }
+            }
+          }
+        ]),
+        JobRun.aggregate([
+          { $match: runFilter },
+          {
+            $group: {
+              _id: '$job',
+              runs: { $sum: 1 },
+              failedRuns: { $sum: { $cond: [{ $eq: ['$status', 'Failed'] }, 1, 0] } },
+              averageDuration: { $avg: '$duration' },
+              found: { $sum: '$totals.found' },
+              created: { $sum: '$totals.created' },
+              updated: { $sum: '$totals.updated' },
+              failed: { $sum: '$totals.failed' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]),
+        JobRun.aggregate([
+          { $match: runFilter },
+          { $unwind: '$areas' },
+          { $unwind: '$areas.sources' },
+          {
+            $group: {
+              _id: '$areas.sources.source',
+              name: { $first: '$areas.sources.name' },
+              runs: { $sum: 1 },
+              found: { $sum: '$areas.sources.found' },
+              created: { $sum: '$areas.sources.created' },
+              updated: { $sum: '$areas.sources.updated' },
+              failed: { $sum: '$areas.sources.failed' },
+              averageDuration: { $avg: '$areas.sources.duration' }
+            }
+          },
+          { $sort: { created: -1 } }
+        ]),
+        JobRun.findOne().sort({ startedAt: -1 }).select('job status startedAt')
+      ]);
+
+      const totals = runTotals[0] || {};
+
       const analytics = {
         dataCollection: {
-          totalRuns: 45,
-          successfulRuns: 42,
-          failedRuns: 3,
-          averageRunTime: '2.5 minutes',
-          lastRun: new Date().toISOString()
+          totalRuns: totals.totalRuns || 0,
+          successfulRuns: totals.successfulRuns || 0,
+          partialRuns: totals.partialRuns || 0,
+          failedRuns: totals.failedRuns || 0,
+          averageRunTime: totals.averageDuration ? `${(totals.averageDuration / 60000).toFixed(1)} minutes` : null,
+          lastRun: lastRun ? lastRun.startedAt.toISOString() : null,
+          jobBreakdown,
+          sourceBreakdown
         },
         notifications: {
           emailsSent: 156,
@@ -285,6 +431,59 @@ class AutomationController {
     }
   }
 
+  // Get job run history
+  async getRuns(req, res) {
+    try {
+      const { page = 1, limit = 20, job, status } = req.query;
+
+      const filter = {};
+      if (job) filter.job = job;
+      if (status) filter.status = status;
+
+      const runs = await JobRun.find(filter)
+        .select('-areas -errorLog')
+        .sort({ startedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await JobRun.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: runs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting job runs:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single job run with per-area and per-source counts
+  async getRun(req, res) {
+    try {
+      if (!isValidId(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid run ID' });
+      }
+
+      const run = await JobRun.findById(req.params.id)
+        .populate('triggeredBy', 'firstName lastName email');
+
+      if (!run) {
+        return res.status(404).json({ success: false, message: 'Run not found' });
+      }
+
+      res.json({ success: true, data: run });
+    } catch (error) {
+      logger.error('Error getting job run:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // Helper methods
   formatEmailBody(body, type) {
     const templates = {
@@ -323,34 +522,47 @@ class AutomationController {
     logger.info(`Workflow registered: ${workflow.name}`);
   }
 
-  getWorkflowById(workflowId) {
-    // In production, this would fetch from database
-    return {
-      id: workflowId,
-      name: 'Sample Workflow',
-      actions: []
-    };
-  }
-
-  async executeWorkflowActions(actions, data) {
+  // Run workflow actions for data ({ email, phone, message, leadId, leadIds }). Texts go
+  // through the compliance check first and are skipped when it blocks them.
+  // enroll_sequence actions enroll the leads in config.sequenceId.
+  async executeWorkflowActions(actions, data, options = {}) {
     const results = [];
     
     for (const action of actions) {
+      const config = action.config || {};
       try {
         switch (action.type) {
           case 'email':
             if (this.emailTransporter) {
+              if (await this.compliance.isEmailOptedOut(data.email)) {
+                results.push({ type: 'email', status: 'blocked', violations: [{ rule: 'Opted Out', message: 'Opted out of email' }] });
+                break;
+              }
+
               await this.emailTransporter.sendMail({
                 from: process.env.SMTP_USER,
                 to: data.email,
-                subject: action.config.subject || 'REAI Platform Notification',
-                html: this.formatEmailBody(data.message, action.config.template)
+                subject: config.subject || 'REAI Platform Notification',
+                html: this.formatEmailBody(data.message, config.template)
               });
               results.push({ type: 'email', status: 'success' });
             }
             break;
           case 'sms':
             if (this.twilioClient) {
+              const compliance = await this.compliance.guard({
+                channel: 'SMS',
+                phone: data.phone,
+                lead: data.leadId,
+                message: data.message,
+                context: 'workflow',
+                userId: options.userId
+              });
+              if (!compliance.allowed) {
+                results.push({ type: 'sms', status: 'blocked', violations: compliance.violations });
+                break;
+              }
+
               await this.twilioClient.messages.create({
                 body: data.message,
                 from: process.env.TWILIO_PHONE_NUMBER,
@@ -359,6 +571,20 @@ class AutomationController {
               results.push({ type: 'sms', status: 'success' });
             }
             break;
+          case 'enroll_sequence': {
+            const sequence = isValidId(config.sequenceId)
+              ? await Sequence.findOne({ _id: config.sequenceId, isActive: true })
+              : null;
+            if (!sequence) {
+              results.push({ type: 'enroll_sequence', status: 'failed', error: 'Sequence not found' });
+              break;
+            }
+
+            const leadIds = data.leadIds || (data.leadId ? [data.leadId] : []);
+            const enrollment = await this.sequences.enroll(sequence, leadIds, { source: 'Workflow', userId: options.userId });
+            results.push({ type: 'enroll_sequence', status: 'success', ...enrollment });
+            break;
+          }
           default:
             results.push({ type: action.type, status: 'skipped' });
         }
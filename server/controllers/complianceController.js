@@ -0,0 +1,241 @@
+const { Readable } = require('stream');
+const DoNotCallEntry = require('../models/DoNotCallEntry');
+const ContactConsent = require('../models/ContactConsent');
+const ComplianceLog = require('../models/ComplianceLog');
+const logger = require('../utils/logger');
+const { normalizePhone } = require('../utils/phoneNumber');
+const ContactCompliance = require('../services/compliance/contactCompliance');
+
+const compliance = new ContactCompliance();
+
+const CHANNELS = ['SMS', 'Call'];
+
+class ComplianceController {
+  // Get Do-Not-Call entries
+  async getDoNotCallEntries(req, res) {
+    try {
+      const { page = 1, limit = 50, phone, list, state } = req.query;
+
+      const filter = {};
+      if (phone) {
+        const normalized = normalizePhone(phone);
+        if (!normalized) {
+          return res.status(400).json({ success: false, message: `${phone} is not a valid US phone number` });
+        }
+        filter.phone = normalized;
+      }
+      if (list) filter.list = list;
+      if (state) filter.state = state.toUpperCase();
+
+      const entries = await DoNotCallEntry.find(filter)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await DoNotCallEntry.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting Do-Not-Call entries:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Add number to the internal Do-Not-Call list
+  async addDoNotCallEntry(req, res) {
+    try {
+      const { phone, reason } = req.body;
+
+      if (!normalizePhone(phone)) {
+        return res.status(400).json({ success: false, message: 'A valid US phone number is required' });
+      }
+
+      const entry = await compliance.addToDoNotCall(phone, {
+        reason,
+        source: 'Manual',
+        userId: req.user._id
+      });
+
+      logger.info(`Added ${entry.phone} to the internal Do-Not-Call list`);
+      res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+      logger.error('Error adding Do-Not-Call entry:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Remove Do-Not-Call entry
+  async deleteDoNotCallEntry(req, res) {
+    try {
+      const entry = await DoNotCallEntry.findByIdAndDelete(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({ success: false, message: 'Do-Not-Call entry not found' });
+      }
+
+      logger.info(`Removed ${entry.phone} from the ${entry.list} Do-Not-Call list by ${req.user._id}`);
+      res.json({ success: true, message: 'Do-Not-Call entry removed successfully' });
+    } catch (error) {
+      logger.error('Error removing Do-Not-Call entry:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Import a National or State registry file (one number per line). Large files
+  // are better loaded with npm run load:dnc.
+  async importRegistry(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'Registry file is required' });
+      }
+
+      const { list = 'National', state } = req.body;
+      if (!['National', 'State', 'Internal'].includes(list)) {
+        return res.status(400).json({ success: false, message: 'list must be National, State or Internal' });
+      }
+      if (list === 'State' && !/^[A-Za-z]{2}$/.test(state || '')) {
+        return res.status(400).json({ success: false, message: 'State registry files need a two-letter state' });
+      }
+
+      const report = await compliance.importRegistry(Readable.from([req.file.buffer]), {
+        list,
+        state,
+        replace: req.body.replace === true || req.body.replace === 'true',
+        source: req.file.originalname,
+        userId: req.user._id
+      });
+
+      res.json({ success: true, data: report });
+    } catch (error) {
+      logger.error('Error importing Do-Not-Call registry:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get consent, opt-outs and Do-Not-Call entries for a number
+  async getConsent(req, res) {
+    try {
+      const phone = normalizePhone(req.params.phone);
+      if (!phone) {
+        return res.status(400).json({ success: false, message: `${req.params.phone} is not a valid US phone number` });
+      }
+
+      const [consent, doNotCall] = await Promise.all([
+        ContactConsent.find({ phone }).populate('history.recordedBy', 'firstName lastName'),
+        DoNotCallEntry.find({ phone })
+      ]);
+
+      res.json({ success: true, data: { phone, consent, doNotCall } });
+    } catch (error) {
+      logger.error('Error getting contact consent:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Record consent or an opt-out for a number
+  async recordConsent(req, res) {
+    try {
+      const { phone, channel = 'SMS', status, method, evidence, leadId } = req.body;
+
+      if (!normalizePhone(phone)) {
+        return res.status(400).json({ success: false, message: 'A valid US phone number is required' });
+      }
+      if (!CHANNELS.includes(channel) || !['Granted', 'Revoked'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'channel must be SMS or Call, and status Granted or Revoked' });
+      }
+      if (status === 'Granted' && !evidence) {
+        return res.status(400).json({ success: false, message: 'Record where consent was given (evidence)' });
+      }
+
+      const consent = await compliance.recordConsent({
+        phone,
+        channel,
+        status,
+        method,
+        evidence,
+        lead: leadId,
+        userId: req.user._id
+      });
+
+      res.json({ success: true, data: consent });
+    } catch (error) {
+      logger.error('Error recording contact consent:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Check whether a number can be texted or called now, e.g. before dialing; the check is logged
+  async checkContact(req, res) {
+    try {
+      const { phone, channel = 'Call', leadId } = req.body;
+
+      if (!CHANNELS.includes(channel)) {
+        return res.status(400).json({ success: false, message: 'channel must be SMS or Call' });
+      }
+
+      const result = await compliance.guard({
+        channel,
+        phone,
+        lead: leadId,
+        context: 'manual-check',
+        userId: req.user._id
+      });
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error checking contact compliance:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get compliance audit trail
+  async getLogs(req, res) {
+    try {
+      const { page = 1, limit = 50, decision, channel, phone, leadId, startDate, endDate } = req.query;
+
+      const filter = {};
+      if (decision) filter.decision = decision;
+      if (channel) filter.channel = channel;
+      if (phone) filter.phone = normalizePhone(phone) || phone;
+      if (leadId) filter.lead = leadId;
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const logs = await ComplianceLog.find(filter)
+        .populate('lead', 'leadId contact.name')
+        .populate('user', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await ComplianceLog.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: logs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting compliance logs:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new ComplianceController();
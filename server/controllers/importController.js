@@ -0,0 +1,245 @@
+const ImportTemplate = require('../models/ImportTemplate');
+const PropertyImporter = require('../services/import/propertyImporter');
+const logger = require('../utils/logger');
+const { buildAccessFilter } = require('../utils/accessFilter');
+
+const importer = new PropertyImporter();
+
+// Multipart form fields arrive as strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Returns an error message for invalid template settings, or null
+const validateTemplateSettings = ({ mapping, source, defaults }) => {
+  if (mapping !== undefined) {
+    const mappingError = importer.validateMapping(mapping);
+    if (mappingError) return mappingError;
+  }
+
+  const defaultsError = importer.validateDefaults(defaults);
+  if (defaultsError) return defaultsError;
+
+  // Imported values must not take the precedence reserved for edits made in the app
+  if (source === 'Manual') return 'Imports cannot use the Manual source';
+
+  return null;
+};
+
+// Template from templateId, or an ad-hoc one from the request's mapping fields
+const resolveTemplate = async (req) => {
+  const { templateId } = req.body;
+
+  if (templateId) {
+    return ImportTemplate.findOne({ ...buildAccessFilter(req.user), _id: templateId });
+  }
+
+  const template = new ImportTemplate({
+    name: 'Ad hoc import',
+    mapping: parseJsonField(req.body.mapping),
+    defaults: parseJsonField(req.body.defaults) || {},
+    listType: req.body.listType || 'Other',
+    source: req.body.source || undefined,
+    createLeads: req.body.createLeads !== 'false'
+  });
+  return template;
+};
+
+class ImportController {
+  // Get fields that columns can be mapped to
+  async getFields(req, res) {
+    try {
+      res.json({ success: true, data: importer.getImportableFields() });
+    } catch (error) {
+      logger.error('Error getting import fields:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Read an uploaded file's columns and suggest a mapping
+  async inspectFile(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded' });
+      }
+
+      const { headers, rows } = await importer.parseFile(req.file);
+      if (rows.length > PropertyImporter.MAX_ROWS) {
+        return res.status(400).json({ success: false, message: `Files are limited to ${PropertyImporter.MAX_ROWS} rows` });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          fileName: req.file.originalname,
+          headers,
+          totalRows: rows.length,
+          sampleRows: rows.slice(0, 5),
+          suggestedMapping: importer.suggestMapping(headers)
+        }
+      });
+    } catch (error) {
+      logger.error('Error inspecting import file:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Validate and import a file. Runs as a dry run unless dryRun=false is sent.
+  async importFile(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded' });
+      }
+
+      const template = await resolveTemplate(req);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Import template not found' });
+      }
+
+      const { headers, rows } = await importer.parseFile(req.file);
+      if (rows.length > PropertyImporter.MAX_ROWS) {
+        return res.status(400).json({ success: false, message: `Files are limited to ${PropertyImporter.MAX_ROWS} rows` });
+      }
+
+      const validationError = importer.validateMapping(template.mapping, headers) ||
+        validateTemplateSettings(template);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const dryRun = req.body.dryRun !== 'false' && req.query.dryRun !== 'false';
+      const report = await importer.run(rows, template, { dryRun, userId: req.user._id });
+
+      if (!dryRun && !template.isNew) {
+        template.lastUsedAt = new Date();
+        template.useCount += 1;
+        await template.save();
+      }
+
+      if (!dryRun) {
+        logger.info(`Import of ${req.file.originalname} by ${req.user.email}: ${report.created} created, ${report.updated} updated, ${report.invalidRows} invalid`);
+      }
+
+      res.json({ success: true, data: { fileName: req.file.originalname, ...report } });
+    } catch (error) {
+      logger.error('Error importing file:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get mapping templates visible to the user
+  async getTemplates(req, res) {
+    try {
+      const filter = buildAccessFilter(req.user);
+      if (req.query.listType) filter.listType = req.query.listType;
+
+      const templates = await ImportTemplate.find(filter)
+        .populate('owner', 'firstName lastName email')
+        .sort({ name: 1 });
+
+      res.json({ success: true, data: templates });
+    } catch (error) {
+      logger.error('Error getting import templates:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single mapping template
+  async getTemplate(req, res) {
+    try {
+      const template = await ImportTemplate.findOne({ ...buildAccessFilter(req.user), _id: req.params.id })
+        .populate('owner', 'firstName lastName email');
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Import template not found' });
+      }
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error getting import template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create mapping template
+  async createTemplate(req, res) {
+    try {
+      if (!req.body.name) {
+        return res.status(400).json({ success: false, message: 'Template name is required' });
+      }
+
+      const validationError = validateTemplateSettings({ mapping: req.body.mapping || [], source: req.body.source, defaults: req.body.defaults });
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const template = await ImportTemplate.create({
+        ...req.body,
+        owner: req.user._id,
+        team: req.user.team?.teamId,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      logger.info(`Import template created: ${template.name}`);
+      res.status(201).json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error creating import template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update mapping template
+  async updateTemplate(req, res) {
+    try {
+      const validationError = validateTemplateSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const { owner, team, useCount, lastUsedAt, ...updates } = req.body;
+
+      const template = await ImportTemplate.findOneAndUpdate(
+        { ...buildAccessFilter(req.user), _id: req.params.id },
+        { ...updates, updatedBy: req.user._id },
+        { new: true, runValidators: true }
+      );
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Import template not found' });
+      }
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error updating import template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete mapping template (soft delete)
+  async deleteTemplate(req, res) {
+    try {
+      const template = await ImportTemplate.findOneAndUpdate(
+        { ...buildAccessFilter(req.user), _id: req.params.id },
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Import template not found' });
+      }
+
+      res.json({ success: true, message: 'Import template deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting import template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new ImportController();
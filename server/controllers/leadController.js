@@ -1,7 +1,60 @@
+const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { isExportFormat, selectColumns, describeColumns, streamExport } = require('../utils/exporter');
+const SkipTracer = require('../services/skipTrace/skipTracer');
+const SequenceRunner = require('../services/sequences/sequenceRunner');
+
+const skipTracer = new SkipTracer();
+const sequenceRunner = new SequenceRunner();
+
+// Most leads skip traced in one request
+const MAX_SKIP_TRACE_BATCH = 500;
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+// Columns available to lead exports; extra columns only with fields=
+const EXPORT_COLUMNS = [
+  { key: 'leadId', header: 'Lead ID', value: lead => lead.leadId },
+  { key: 'contactName', header: 'Contact Name', value: lead => lead.contact.name },
+  { key: 'phone', header: 'Phone', value: lead => lead.contact.phone },
+  { key: 'email', header: 'Email', value: lead => lead.contact.email },
+  {
+    key: 'phoneType',
+    header: 'Phone Type',
+    value: lead => (lead.skipTrace?.phones || []).find(phone => phone.number === lead.contact.phone)?.type,
+    extra: true
+  },
+  { key: 'skipTraceStatus', header: 'Skip Trace', value: lead => lead.skipTrace?.status, extra: true },
+  { key: 'preferredContact', header: 'Preferred Contact', value: lead => lead.contact.preferredContact, extra: true },
+  {
+    key: 'propertyAddress',
+    header: 'Property Address',
+    value: lead => (lead.property ? `${lead.property.address.street}, ${lead.property.address.city}` : '')
+  },
+  { key: 'propertyState', header: 'Property State', value: lead => lead.property?.address.state, extra: true },
+  { key: 'propertyZipCode', header: 'Property Zip Code', value: lead => lead.property?.address.zipCode, extra: true },
+  { key: 'auctionDate', header: 'Auction Date', value: lead => lead.property?.foreclosureDetails?.auctionDate, extra: true },
+  { key: 'source', header: 'Source', value: lead => lead.source },
+  { key: 'status', header: 'Status', value: lead => lead.status },
+  { key: 'priority', header: 'Priority', value: lead => lead.priority },
+  { key: 'score', header: 'Score', value: lead => lead.score.total },
+  {
+    key: 'scoringProfile',
+    header: 'Scoring Profile',
+    value: lead => (lead.score.profileKey ? `${lead.score.profileKey} v${lead.score.profileVersion}` : undefined),
+    extra: true
+  },
+  { key: 'motivation', header: 'Motivation', value: lead => lead.details?.motivation, extra: true },
+  { key: 'timeline', header: 'Timeline', value: lead => lead.details?.timeline, extra: true },
+  { key: 'askingPrice', header: 'Asking Price', value: lead => lead.details?.askingPrice, extra: true },
+  { key: 'nextActionDate', header: 'Next Action Date', value: lead => lead.followUp?.nextActionDate, extra: true },
+  { key: 'tags', header: 'Tags', value: lead => (lead.tags || []).join('; '), extra: true },
+  { key: 'assignedTo', header: 'Assigned To', value: lead => fullName(lead.assignedTo) },
+  { key: 'createdDate', header: 'Created Date', value: lead => lead.createdAt?.toISOString().split('T')[0] }
+];
 
 class LeadController {
   // Get all leads with filtering and pagination
@@ -192,6 +245,8 @@ class LeadController {
       }
 
       await lead.updateStatus(status, req.user._id);
+      // Other status changes are caught before the lead's next sequence step runs
+      await sequenceRunner.stopForLead(lead._id, { status });
 
       res.json({ success: true, data: lead });
     } catch (error) {
@@ -326,6 +381,87 @@ class LeadController {
     }
   }
 
+  // Skip trace a lead to find the owner's phones, emails, relatives and mailing addresses
+  async skipTraceLead(req, res) {
+    try {
+      if (!skipTracer.isConfigured()) {
+        return res.status(400).json({ success: false, message: 'Skip tracing not configured' });
+      }
+
+      const lead = await Lead.findById(req.params.id).populate('property');
+      if (!lead) {
+        return res.status(404).json({ success: false, message: 'Lead not found' });
+      }
+      if (!lead.property || !lead.property.address) {
+        return res.status(400).json({ success: false, message: 'Lead has no property address to trace' });
+      }
+
+      const force = req.body.force === true || req.body.force === 'true';
+      if (!skipTracer.needsTrace(lead, { force })) {
+        return res.status(409).json({
+          success: false,
+          message: `Lead was skip traced within ${SkipTracer.RETRACE_DAYS} days; pass force to look it up again`
+        });
+      }
+
+      const summary = await skipTracer.traceLeads([lead], { force, userId: req.user._id });
+      if (summary.failed > 0) {
+        return res.status(502).json({ success: false, message: 'Skip trace lookup failed' });
+      }
+
+      res.json({ success: true, data: lead, summary });
+    } catch (error) {
+      logger.error('Error skip tracing lead:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Skip trace a batch of leads: the given leadIds, or else active leads with no
+  // phone that haven't been traced
+  async skipTraceLeads(req, res) {
+    try {
+      if (!skipTracer.isConfigured()) {
+        return res.status(400).json({ success: false, message: 'Skip tracing not configured' });
+      }
+
+      const { leadIds } = req.body;
+      const force = req.body.force === true || req.body.force === 'true';
+      const limit = Math.min(parseInt(req.body.limit) || 100, MAX_SKIP_TRACE_BATCH);
+
+      if (leadIds && (!Array.isArray(leadIds) || leadIds.length > MAX_SKIP_TRACE_BATCH)) {
+        return res.status(400).json({
+          success: false,
+          message: `leadIds must be a list of at most ${MAX_SKIP_TRACE_BATCH} lead IDs`
+        });
+      }
+      if (leadIds && leadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+      }
+
+      const filter = leadIds
+        ? { _id: { $in: leadIds }, isActive: true }
+        : {
+          isActive: true,
+          status: { $nin: ['Closed', 'Lost'] },
+          'skipTrace.tracedAt': { $exists: false },
+          $or: [{ 'contact.phone': { $exists: false } }, { 'contact.phone': null }, { 'contact.phone': '' }]
+        };
+
+      const leads = await Lead.find(filter)
+        .populate('property')
+        .sort({ 'score.total': -1 })
+        .limit(leadIds ? MAX_SKIP_TRACE_BATCH : limit);
+
+      const summary = await skipTracer.traceLeads(leads, { force, userId: req.user._id });
+      logger.info(`Skip trace batch by ${req.user._id}: ${summary.traced} traced, $${summary.cost} charged`);
+
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      logger.error('Error skip tracing leads:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // Get follow-up tasks
   async getFollowUpTasks(req, res) {
     try {
@@ -351,10 +487,10 @@ class LeadController {
     }
   }
 
-  // Export leads
+  // Export leads as CSV, XLSX or NDJSON (streamed), or JSON
   async exportLeads(req, res) {
     try {
-      const { format = 'csv', ...filters } = req.query;
+      const { format = 'csv', fields, ...filters } = req.query;
 
       // Build filter object
       const filter = { isActive: true };
@@ -366,57 +502,28 @@ class LeadController {
         }
       });
 
-      const leads = await Lead.find(filter)
+      const query = Lead.find(filter)
         .populate('property', 'address foreclosureDetails')
         .populate('assignedTo', 'firstName lastName email')
-        .select('-__v -createdAt -updatedAt');
-
-      if (format === 'csv') {
-        const csv = this.convertToCSV(leads);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=leads.csv');
-        res.send(csv);
-      } else {
-        res.json({ success: true, data: leads });
+        .select('-__v -updatedAt -communications');
+
+      if (isExportFormat(format)) {
+        const { columns, error } = selectColumns(EXPORT_COLUMNS, fields);
+        if (error) {
+          return res.status(400).json({ success: false, message: error, data: { fields: describeColumns(EXPORT_COLUMNS) } });
+        }
+
+        await streamExport(res, { source: query.cursor(), columns, format, filename: 'leads', sheetName: 'Leads' });
+        return;
       }
+
+      const leads = await query;
+      res.json({ success: true, data: leads });
     } catch (error) {
       logger.error('Error exporting leads:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
-
-  // Convert leads to CSV
-  convertToCSV(leads) {
-    const headers = [
-      'Lead ID',
-      'Contact Name',
-      'Phone',
-      'Email',
-      'Property Address',
-      'Source',
-      'Status',
-      'Priority',
-      'Score',
-      'Assigned To',
-      'Created Date'
-    ];
-
-    const rows = leads.map(lead => [
-      lead.leadId,
-      lead.contact.name,
-      lead.contact.phone || '',
-      lead.contact.email || '',
-      lead.property ? `${lead.property.address.street}, ${lead.property.address.city}` : '',
-      lead.source,
-      lead.status,
-      lead.priority,
-      lead.score.total,
-      lead.assignedTo ? `${lead.assignedTo.firstName} ${lead.assignedTo.lastName}` : '',
-      lead.createdAt.toISOString().split('T')[0]
-    ]);
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
 }
 
 module.exports = new LeadController();
@@ -0,0 +1,582 @@
+const MailTemplate = require('../models/MailTemplate');
+const MailCampaign = require('../models/MailCampaign');
+const MailPiece = require('../models/MailPiece');
+const SavedSearch = require('../models/SavedSearch');
+const logger = require('../utils/logger');
+const { buildAccessFilter } = require('../utils/accessFilter');
+const { isExportFormat, streamExport } = require('../utils/exporter');
+const LetterRenderer = require('../services/mail/letterRenderer');
+const MailCampaignService = require('../services/mail/mailCampaignService');
+
+const renderer = new LetterRenderer();
+const mailService = new MailCampaignService();
+
+// Fields accepted when creating or editing
+const TEMPLATE_FIELDS = ['name', 'description', 'format', 'size', 'html', 'backHtml'];
+const CAMPAIGN_FIELDS = ['name', 'template', 'savedSearch', 'delivery', 'returnAddress'];
+
+// Pieces in a proof, and in one page of a print-ready PDF
+const PROOF_PIECES = 5;
+const MAX_PDF_PIECES = 500;
+
+// Sample recipient for template previews
+const SAMPLE_PIECE = {
+  pieceId: 'M-SAMPLE0000',
+  recipient: { name: 'Jane Homeowner', street: '123 Main St', city: 'Springfield', state: 'IL', zipCode: '62701' }
+};
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+const mergeValue = (field) => (piece) => field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), piece.mergeData);
+
+// Print-vendor mailing list: one row per piece with the address split the way mail
+// houses import it, plus the merge values for variable-data printing
+const PRINT_VENDOR_COLUMNS = [
+  { key: 'pieceId', header: 'Piece ID', value: piece => piece.pieceId },
+  { key: 'fullName', header: 'Full Name', value: piece => piece.recipient.name },
+  { key: 'firstName', header: 'First Name', value: mergeValue('recipient.firstName') },
+  { key: 'lastName', header: 'Last Name', value: mergeValue('recipient.lastName') },
+  { key: 'address1', header: 'Address 1', value: piece => piece.recipient.street },
+  { key: 'address2', header: 'Address 2', value: piece => piece.recipient.unit },
+  { key: 'city', header: 'City', value: piece => piece.recipient.city },
+  { key: 'state', header: 'State', value: piece => piece.recipient.state },
+  { key: 'zipCode', header: 'Zip', value: piece => piece.recipient.zipCode },
+  { key: 'propertyAddress', header: 'Property Address', value: mergeValue('property.street') },
+  { key: 'propertyCity', header: 'Property City', value: mergeValue('property.city') },
+  { key: 'propertyState', header: 'Property State', value: mergeValue('property.state') },
+  { key: 'propertyZip', header: 'Property Zip', value: mergeValue('property.zipCode') },
+  { key: 'auctionDate', header: 'Auction Date', value: mergeValue('property.auctionDate') },
+  { key: 'openingBid', header: 'Opening Bid', value: mergeValue('property.openingBid') },
+  { key: 'estimatedValue', header: 'Estimated Value', value: mergeValue('property.estimatedValue') },
+  { key: 'leadId', header: 'Lead ID', value: mergeValue('lead.leadId') }
+];
+
+const sendPdf = (res, pdf, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=${filename}.pdf`);
+  res.send(pdf);
+};
+
+// Error message for a campaign that can't be saved, or null. The saved search must be
+// one of the campaign creator's, whoever is editing the campaign.
+const checkCampaign = async (campaign) => {
+  if (!campaign.name) return 'Campaign name is required';
+
+  const template = campaign.template && await MailTemplate.findOne({ _id: campaign.template, isActive: true });
+  if (!template) return 'Mail template not found';
+
+  const search = campaign.savedSearch && await SavedSearch.findOne({ _id: campaign.savedSearch, user: campaign.createdBy, isActive: true });
+  if (!search) return 'Saved search not found';
+
+  if (campaign.delivery.method === 'Provider' && !campaign.returnAddress.street) {
+    return 'A return address is required to mail through a provider';
+  }
+  return null;
+};
+
+// Campaigns the user can see. Campaigns saved before they had an owner stay visible
+// to whoever created them.
+const campaignFilter = (user) => {
+  const filter = buildAccessFilter(user);
+  if (filter.$or) filter.$or.push({ owner: { $exists: false }, createdBy: user._id });
+  return filter;
+};
+
+const findCampaign = (id, user) => MailCampaign.findOne({ ...campaignFilter(user), _id: id }).populate('template');
+
+class MailController {
+  // Get merge fields templates can use
+  async getMergeFields(req, res) {
+    try {
+      const fields = Object.entries(LetterRenderer.MERGE_FIELDS).map(([field, description]) => ({ field, description }));
+      res.json({ success: true, data: { fields, sizes: Object.keys(LetterRenderer.PAGE_SIZES) } });
+    } catch (error) {
+      logger.error('Error getting merge fields:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get mail templates
+  async getTemplates(req, res) {
+    try {
+      const filter = { isActive: true };
+      if (req.query.format) filter.format = req.query.format;
+
+      const templates = await MailTemplate.find(filter)
+        .select('-html -backHtml')
+        .populate('updatedBy', 'firstName lastName')
+        .sort({ name: 1 });
+
+      res.json({ success: true, data: templates });
+    } catch (error) {
+      logger.error('Error getting mail templates:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single mail template
+  async getTemplate(req, res) {
+    try {
+      const template = await MailTemplate.findOne({ _id: req.params.id, isActive: true });
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mail template not found' });
+      }
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error getting mail template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create mail template
+  async createTemplate(req, res) {
+    try {
+      const template = new MailTemplate({
+        ...pick(req.body, TEMPLATE_FIELDS),
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+      if (template.format === 'Postcard' && !req.body.size) template.size = '4x6';
+
+      const invalid = renderer.validateTemplate(template);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+      template.mergeFields = renderer.findFields(template.html, template.backHtml);
+
+      await template.save();
+
+      res.status(201).json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error creating mail template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update mail template
+  async updateTemplate(req, res) {
+    try {
+      const template = await MailTemplate.findOne({ _id: req.params.id, isActive: true });
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mail template not found' });
+      }
+
+      template.set(pick(req.body, TEMPLATE_FIELDS));
+      const invalid = renderer.validateTemplate(template);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+      template.mergeFields = renderer.findFields(template.html, template.backHtml);
+      template.updatedBy = req.user._id;
+
+      await template.save();
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      logger.error('Error updating mail template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete mail template (soft delete)
+  async deleteTemplate(req, res) {
+    try {
+      const template = await MailTemplate.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mail template not found' });
+      }
+
+      res.json({ success: true, message: 'Mail template deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting mail template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Preview a template as PDF, merged with a sample recipient
+  async previewTemplate(req, res) {
+    try {
+      const template = await MailTemplate.findOne({ _id: req.params.id, isActive: true });
+
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mail template not found' });
+      }
+
+      const piece = {
+        ...SAMPLE_PIECE,
+        mergeData: renderer.buildMergeData({
+          lead: { leadId: 'LEAD-SAMPLE' },
+          property: {
+            address: { street: '456 Oak Ave', city: 'Springfield', state: 'IL', zipCode: '62704', county: 'Sangamon' },
+            foreclosureDetails: { auctionDate: new Date(), openingBid: 125000, estimatedValue: 210000 }
+          },
+          recipient: SAMPLE_PIECE.recipient,
+          pieceId: SAMPLE_PIECE.pieceId,
+          sender: req.user,
+          campaign: { name: 'Sample Campaign' }
+        })
+      };
+
+      const html = renderer.renderDocument(template, [piece], req.body.returnAddress);
+      sendPdf(res, await renderer.renderPdf(html, template), 'preview');
+    } catch (error) {
+      logger.error('Error previewing mail template:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get mail campaigns
+  async getCampaigns(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const filter = campaignFilter(req.user);
+      if (status) filter.status = status;
+
+      const campaigns = await MailCampaign.find(filter)
+        .populate('template', 'name format size')
+        .populate('savedSearch', 'name')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await MailCampaign.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: campaigns,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting mail campaigns:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single mail campaign
+  async getCampaign(req, res) {
+    try {
+      const campaign = await MailCampaign.findOne({ ...campaignFilter(req.user), _id: req.params.id })
+        .populate('template', 'name format size')
+        .populate('savedSearch', 'name criteria')
+        .populate('createdBy', 'firstName lastName');
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+
+      res.json({ success: true, data: campaign });
+    } catch (error) {
+      logger.error('Error getting mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create mail campaign
+  async createCampaign(req, res) {
+    try {
+      const campaign = new MailCampaign({
+        ...pick(req.body, CAMPAIGN_FIELDS),
+        owner: req.user._id,
+        team: req.user.team?.teamId,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      const invalid = await checkCampaign(campaign);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      await campaign.save();
+
+      res.status(201).json({ success: true, data: campaign });
+    } catch (error) {
+      logger.error('Error creating mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update mail campaign that hasn't been mailed
+  async updateCampaign(req, res) {
+    try {
+      const campaign = await MailCampaign.findOne({ ...campaignFilter(req.user), _id: req.params.id });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+      if (!['Draft', 'Ready'].includes(campaign.status)) {
+        return res.status(400).json({ success: false, message: `A ${campaign.status} campaign can't be edited` });
+      }
+
+      const updates = pick(req.body, CAMPAIGN_FIELDS);
+      campaign.set(updates);
+      const invalid = await checkCampaign(campaign);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      // A different audience or template means the built pieces are stale
+      if (updates.savedSearch || updates.template || updates.name) campaign.status = 'Draft';
+      campaign.updatedBy = req.user._id;
+      await campaign.save();
+
+      res.json({ success: true, data: campaign });
+    } catch (error) {
+      logger.error('Error updating mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Cancel and delete mail campaign (soft delete)
+  async deleteCampaign(req, res) {
+    try {
+      const campaign = await MailCampaign.findOne({ ...campaignFilter(req.user), _id: req.params.id });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+      if (campaign.status === 'Sending') {
+        return res.status(400).json({ success: false, message: 'A campaign can\'t be deleted while it is being mailed' });
+      }
+
+      if (campaign.status !== 'Sent') campaign.status = 'Cancelled';
+      campaign.isActive = false;
+      campaign.updatedBy = req.user._id;
+      await campaign.save();
+
+      res.json({ success: true, message: 'Mail campaign deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Build a campaign's pieces from its saved search
+  async buildCampaign(req, res) {
+    try {
+      const campaign = await findCampaign(req.params.id, req.user);
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+      if (!['Draft', 'Ready'].includes(campaign.status)) {
+        return res.status(400).json({ success: false, message: `A ${campaign.status} campaign can't be rebuilt` });
+      }
+
+      const result = await mailService.buildPieces(campaign, { userId: req.user._id, sender: req.user });
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, data: { campaign, ...result } });
+    } catch (error) {
+      logger.error('Error building mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get a campaign's pieces
+  async getPieces(req, res) {
+    try {
+      const { page = 1, limit = 50, status } = req.query;
+
+      const campaign = await MailCampaign.exists({ ...campaignFilter(req.user), _id: req.params.id });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+
+      const filter = { campaign: campaign._id };
+      if (status) filter.status = status;
+
+      const pieces = await MailPiece.find(filter)
+        .select('-mergeData')
+        .populate('lead', 'leadId status contact.name')
+        .sort({ createdAt: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await MailPiece.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: pieces,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting mail pieces:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get a proof PDF of the first few pieces
+  async getProof(req, res) {
+    try {
+      const campaign = await findCampaign(req.params.id, req.user);
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+
+      const pieces = await MailPiece.find({ campaign: campaign._id }).sort({ createdAt: 1 }).limit(PROOF_PIECES);
+      if (pieces.length === 0) {
+        return res.status(400).json({ success: false, message: 'Build the campaign before requesting a proof' });
+      }
+
+      const html = renderer.renderDocument(campaign.template, pieces, campaign.returnAddress);
+      sendPdf(res, await renderer.renderPdf(html, campaign.template), 'proof');
+    } catch (error) {
+      logger.error('Error getting mail campaign proof:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get a print-ready PDF of a campaign's pieces, in pages of up to MAX_PDF_PIECES
+  async getCampaignPdf(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || MAX_PDF_PIECES, MAX_PDF_PIECES);
+
+      const campaign = await findCampaign(req.params.id, req.user);
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+
+      const pieces = await MailPiece.find({ campaign: campaign._id, status: { $ne: 'Failed' } })
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit);
+      if (pieces.length === 0) {
+        return res.status(400).json({ success: false, message: 'No pieces to print' });
+      }
+
+      const html = renderer.renderDocument(campaign.template, pieces, campaign.returnAddress);
+      sendPdf(res, await renderer.renderPdf(html, campaign.template), `mail-campaign-${page}`);
+    } catch (error) {
+      logger.error('Error getting mail campaign PDF:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Export a campaign's mailing list for a print vendor
+  async exportCampaign(req, res) {
+    try {
+      const format = req.query.format || 'csv';
+
+      if (!isExportFormat(format)) {
+        return res.status(400).json({ success: false, message: `Unsupported export format: ${format}` });
+      }
+
+      const campaign = await MailCampaign.findOne({ ...campaignFilter(req.user), _id: req.params.id });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+
+      const source = MailPiece.find({ campaign: campaign._id, status: { $ne: 'Failed' } }).sort({ createdAt: 1 }).cursor();
+      await streamExport(res, { source, columns: PRINT_VENDOR_COLUMNS, format, filename: 'mailing-list', sheetName: 'Mailing List' });
+    } catch (error) {
+      logger.error('Error exporting mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Mail a built campaign, through the mail provider or by marking exported pieces mailed
+  async mailCampaign(req, res) {
+    try {
+      const campaign = await findCampaign(req.params.id, req.user);
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+      if (campaign.status !== 'Ready') {
+        return res.status(400).json({ success: false, message: 'Only a built (Ready) campaign can be mailed' });
+      }
+      if (campaign.delivery.method === 'Provider' && !mailService.isConfigured()) {
+        return res.status(503).json({ success: false, message: 'Mail provider is not configured' });
+      }
+
+      const summary = await mailService.mailCampaign(campaign, { userId: req.user._id, mailedAt: req.body.mailedAt });
+
+      res.json({ success: true, data: { campaign, ...summary } });
+    } catch (error) {
+      logger.error('Error mailing mail campaign:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Pull delivery tracking from the mail provider
+  async refreshTracking(req, res) {
+    try {
+      const campaign = await MailCampaign.findOne({ ...campaignFilter(req.user), _id: req.params.id });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail campaign not found' });
+      }
+      if (!mailService.isConfigured()) {
+        return res.status(503).json({ success: false, message: 'Mail provider is not configured' });
+      }
+
+      const summary = await mailService.refreshTracking(campaign);
+
+      res.json({ success: true, data: { totals: campaign.totals, ...summary } });
+    } catch (error) {
+      logger.error('Error refreshing mail tracking:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update a piece's status by hand, e.g. a returned piece from an exported mailing
+  async updatePiece(req, res) {
+    try {
+      const { status, description } = req.body;
+
+      if (!['Delivered', 'Returned'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'Status must be Delivered or Returned' });
+      }
+
+      const piece = await MailPiece.findById(req.params.id);
+      const campaign = piece && await MailCampaign.findOne({ ...campaignFilter(req.user), _id: piece.campaign });
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Mail piece not found' });
+      }
+      if (!piece.mailedAt) {
+        return res.status(400).json({ success: false, message: 'Only mailed pieces can be updated' });
+      }
+
+      await mailService.applyTracking(piece, [{ status, description: description || `Marked ${status} by ${req.user.firstName} ${req.user.lastName}`, date: new Date() }]);
+
+      await mailService.updateTotals(campaign);
+
+      res.json({ success: true, data: piece });
+    } catch (error) {
+      logger.error('Error updating mail piece:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new MailController();
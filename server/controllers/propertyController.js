@@ -1,8 +1,75 @@
 const Property = require('../models/Property');
 const Lead = require('../models/Lead');
 const Analysis = require('../models/Analysis');
+const User = require('../models/User');
 const logger = require('../utils/logger');
 const DataProcessor = require('../services/dataCollection/dataProcessor');
+const PropertyMerger = require('../services/dataCollection/propertyMerger');
+const ForeclosureTimeline = require('../services/dataCollection/foreclosureTimeline');
+const ForeclosureRules = require('../services/dataCollection/foreclosureRules');
+const AuctionCalendar = require('../services/auctions/auctionCalendar');
+const RentEstimator = require('../services/valuation/rentEstimator');
+const LienWaterfall = require('../services/valuation/lienWaterfall');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+const { buildPropertyFilter, validateGeoCriteria } = require('../utils/propertyFilter');
+const { FEATURE_FIELDS, toFeature, toFeatureCollection, buildClusterPipeline, toClusterFeature } = require('../utils/geoJson');
+const { isExportFormat, selectColumns, describeColumns, streamExport } = require('../utils/exporter');
+
+const propertyMerger = new PropertyMerger();
+const foreclosureTimeline = new ForeclosureTimeline();
+const foreclosureRules = new ForeclosureRules();
+const auctionCalendar = new AuctionCalendar();
+const rentEstimator = new RentEstimator();
+const lienWaterfall = new LienWaterfall();
+
+// Days ahead covered by the iCalendar feed
+const FEED_RANGE_DAYS = 90;
+
+// Markers or clusters returned for one map view
+const MAP_FEATURE_LIMIT = 1000;
+
+// Map zoom level from which individual properties are shown instead of clusters
+const CLUSTER_MAX_ZOOM = 15;
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+// Columns available to property exports; extra columns only with fields=
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: p => p._id.toString(), extra: true },
+  { key: 'address', header: 'Address', value: p => p.address.street },
+  { key: 'unit', header: 'Unit', value: p => p.address.unit, extra: true },
+  { key: 'city', header: 'City', value: p => p.address.city },
+  { key: 'state', header: 'State', value: p => p.address.state },
+  { key: 'zipCode', header: 'Zip Code', value: p => p.address.zipCode },
+  { key: 'county', header: 'County', value: p => p.address.county, extra: true },
+  { key: 'latitude', header: 'Latitude', value: p => p.address.coordinates?.lat, extra: true },
+  { key: 'longitude', header: 'Longitude', value: p => p.address.coordinates?.lng, extra: true },
+  { key: 'propertyType', header: 'Property Type', value: p => p.propertyType },
+  { key: 'bedrooms', header: 'Bedrooms', value: p => p.bedrooms, extra: true },
+  { key: 'bathrooms', header: 'Bathrooms', value: p => p.bathrooms, extra: true },
+  { key: 'squareFeet', header: 'Square Feet', value: p => p.squareFeet, extra: true },
+  { key: 'yearBuilt', header: 'Year Built', value: p => p.yearBuilt, extra: true },
+  { key: 'foreclosureStatus', header: 'Foreclosure Status', value: p => p.foreclosureStatus },
+  { key: 'openingBid', header: 'Opening Bid', value: p => p.foreclosureDetails?.openingBid },
+  { key: 'auctionDate', header: 'Auction Date', value: p => p.foreclosureDetails?.auctionDate },
+  { key: 'auctionLocation', header: 'Auction Location', value: p => p.foreclosureDetails?.auctionLocation, extra: true },
+  { key: 'caseNumber', header: 'Case Number', value: p => p.foreclosureDetails?.caseNumber, extra: true },
+  { key: 'lender', header: 'Lender', value: p => p.foreclosureDetails?.lender, extra: true },
+  { key: 'loanAmount', header: 'Loan Amount', value: p => p.foreclosureDetails?.loanAmount, extra: true },
+  { key: 'estimatedValue', header: 'Estimated Value', value: p => p.foreclosureDetails?.estimatedValue, extra: true },
+  { key: 'estimatedEquity', header: 'Estimated Equity', value: p => p.foreclosureDetails?.estimatedEquity, extra: true },
+  { key: 'titleRisk', header: 'Title Risk', value: p => p.titleRisk?.level, extra: true },
+  { key: 'titleFlags', header: 'Title Flags', value: p => (p.titleRisk?.flags || []).map(flag => flag.type).join('; '), extra: true },
+  { key: 'ownerName', header: 'Owner Name', value: p => p.owner?.name },
+  { key: 'ownerMailingAddress', header: 'Owner Mailing Address', value: p => p.owner?.mailingAddress, extra: true },
+  { key: 'absenteeOwner', header: 'Absentee Owner', value: p => (p.owner?.isAbsenteeOwner ? 'Yes' : 'No'), extra: true },
+  { key: 'taxDelinquent', header: 'Tax Delinquent', value: p => (p.taxInfo?.taxDelinquent ? 'Yes' : 'No'), extra: true },
+  { key: 'leadStatus', header: 'Lead Status', value: p => p.leadInfo.status },
+  { key: 'priority', header: 'Priority', value: p => p.leadInfo.priority },
+  { key: 'assignedTo', header: 'Assigned To', value: p => fullName(p.leadInfo.assignedTo) },
+  { key: 'source', header: 'Source', value: p => p.leadInfo.source, extra: true },
+  { key: 'dataQuality', header: 'Data Quality', value: p => p.dataQuality?.completeness }
+];
 
 class PropertyController {
   // Get all properties with filtering and pagination
@@ -11,40 +78,22 @@ class PropertyController {
       const {
         page = 1,
         limit = 20,
-        status,
-        priority,
-        assignedTo,
-        county,
-        state,
-        minPrice,
-        maxPrice,
         sortBy = 'createdAt',
         sortOrder = 'desc',
-        search
+        format
       } = req.query;
 
-      // Build filter object
-      const filter = { isActive: true };
-      
-      if (status) filter['leadInfo.status'] = status;
-      if (priority) filter['leadInfo.priority'] = priority;
-      if (assignedTo) filter['leadInfo.assignedTo'] = assignedTo;
-      if (county) filter['address.county'] = new RegExp(county, 'i');
-      if (state) filter['address.state'] = new RegExp(state, 'i');
-      if (minPrice || maxPrice) {
-        filter['foreclosureDetails.openingBid'] = {};
-        if (minPrice) filter['foreclosureDetails.openingBid'].$gte = parseInt(minPrice);
-        if (maxPrice) filter['foreclosureDetails.openingBid'].$lte = parseInt(maxPrice);
-      }
-      
-      if (search) {
-        filter.$or = [
-          { 'address.street': new RegExp(search, 'i') },
-          { 'address.city': new RegExp(search, 'i') },
-          { 'owner.name': new RegExp(search, 'i') }
-        ];
+      const geoError = validateGeoCriteria(req.query);
+      if (geoError) {
+        return res.status(400).json({ success: false, message: geoError });
       }
 
+      // Build filter object (shared with saved searches): status, priority, assignedTo,
+      // county, state, foreclosureStatus, propertyType, minPrice/maxPrice, minEquity/maxEquity,
+      // near=lat,lng with miles, polygon, shape, bounds, search
+      const filter = buildPropertyFilter(req.query);
+      if (format === 'geojson') filter['location.type'] = 'Point';
+
       // Build sort object
       const sort = {};
       sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -61,7 +110,7 @@ class PropertyController {
 
       res.json({
         success: true,
-        data: properties,
+        data: format === 'geojson' ? toFeatureCollection(properties.map(toFeature)) : properties,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -81,7 +130,8 @@ class PropertyController {
         .populate('leadInfo.assignedTo', 'firstName lastName email phone')
         .populate('leadInfo.notes.author', 'firstName lastName')
         .populate('createdBy', 'firstName lastName')
-        .populate('updatedBy', 'firstName lastName');
+        .populate('updatedBy', 'firstName lastName')
+        .populate('provenance.updatedBy', 'firstName lastName');
 
       if (!property) {
         return res.status(404).json({ success: false, message: 'Property not found' });
@@ -99,10 +149,21 @@ class PropertyController {
     try {
       const propertyData = {
         ...req.body,
+        provenance: propertyMerger.describe(req.body, { source: 'Manual', isManual: true, userId: req.user._id }),
         createdBy: req.user._id,
         updatedBy: req.user._id
       };
 
+      // Resolve to the existing record when the address is already known
+      const existingProperty = await Property.findByAddress(propertyData.address);
+      if (existingProperty) {
+        return res.status(409).json({
+          success: false,
+          message: 'A property with this address already exists',
+          data: { id: existingProperty._id }
+        });
+      }
+
       const property = await Property.create(propertyData);
       
       // Generate lead for the property
@@ -119,16 +180,44 @@ class PropertyController {
   // Update property
   async updateProperty(req, res) {
     try {
-      const property = await Property.findByIdAndUpdate(
-        req.params.id,
-        { ...req.body, updatedBy: req.user._id },
-        { new: true, runValidators: true }
-      );
+      const property = await Property.findById(req.params.id);
 
       if (!property) {
         return res.status(404).json({ success: false, message: 'Property not found' });
       }
 
+      // Manual edits are recorded with provenance so later scrapes don't overwrite them
+      const previous = foreclosureTimeline.snapshot(property);
+      propertyMerger.merge(property, req.body, { source: 'Manual', isManual: true, userId: req.user._id });
+      property.updatedBy = req.user._id;
+
+      foreclosureTimeline.applyEvents(property, foreclosureTimeline.detectEvents(previous, property, {
+        status: req.body.foreclosureStatus,
+        source: 'Manual',
+        userId: req.user._id
+      }));
+
+      if (property.isModified('address')) {
+        const { key } = normalizeAddress(property.address.toObject());
+        const duplicate = key && await Property.findOne({ addressKey: key, _id: { $ne: property._id } });
+        if (duplicate) {
+          return res.status(409).json({
+            success: false,
+            message: 'A property with this address already exists',
+            data: { id: duplicate._id }
+          });
+        }
+      }
+
+      // Edited liens, taxes, values or case events change the timeline, equity picture and title risks
+      if (['liens', 'taxInfo', 'foreclosureDetails', 'foreclosureEvents', 'financials', 'address'].some(path => property.isModified(path))) {
+        const dataProcessor = new DataProcessor();
+        dataProcessor.applyForeclosureProjection(property);
+        dataProcessor.applyTitleRisk(property, dataProcessor.applyEquityAnalysis(property));
+      }
+
+      await property.save();
+
       res.json({ success: true, data: property });
     } catch (error) {
       logger.error('Error updating property:', error);
@@ -136,6 +225,182 @@ class PropertyController {
     }
   }
 
+  // Get foreclosure event timeline
+  async getPropertyTimeline(req, res) {
+    try {
+      const property = await Property.findById(req.params.id)
+        .select('address foreclosureStatus foreclosureDetails foreclosureEvents')
+        .populate('foreclosureEvents.recordedBy', 'firstName lastName');
+
+      if (!property) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+
+      // Events so far, plus what the state's rules say comes next
+      res.json({
+        success: true,
+        data: { ...foreclosureTimeline.buildTimeline(property), projection: foreclosureRules.assess(property) }
+      });
+    } catch (error) {
+      logger.error('Error getting property timeline:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get the automated valuation and the factors behind it. The stored valuation is
+  // returned unless there is none yet or refresh=true asks for a new one.
+  async getPropertyValuation(req, res) {
+    try {
+      const property = await Property.findById(req.params.id);
+
+      if (!property) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+
+      const stored = property.valuation && property.valuation.valuedAt;
+      if (stored && req.query.refresh !== 'true') {
+        return res.json({ success: true, data: property.valuation });
+      }
+
+      const dataProcessor = new DataProcessor();
+      const valuation = await dataProcessor.getValuation(property);
+      if (!valuation) {
+        return res.status(500).json({ success: false, message: 'Valuation failed' });
+      }
+
+      dataProcessor.applyValuation(property, valuation);
+      dataProcessor.calculateFinancialMetrics(property);
+      await property.save();
+
+      res.json({ success: true, data: property.valuation });
+    } catch (error) {
+      logger.error('Error getting property valuation:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get the estimated monthly rent with its range and comparable rentals
+  async getPropertyRentEstimate(req, res) {
+    try {
+      const property = await Property.findById(req.params.id);
+
+      if (!property) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+
+      const estimate = await rentEstimator.estimate(property);
+      if (!estimate) {
+        return res.status(404).json({ success: false, message: 'No comparable rentals or Fair Market Rents cover this property' });
+      }
+
+      res.json({ success: true, data: estimate });
+    } catch (error) {
+      logger.error('Error getting rent estimate:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get lien positions, payoffs and net equity by sale scenario, optionally as of a date
+  async getPropertyEquity(req, res) {
+    try {
+      const property = await Property.findById(req.params.id);
+
+      if (!property) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+      if (Number.isNaN(asOf.getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+      }
+
+      res.json({ success: true, data: lienWaterfall.analyze(property, { asOf }) });
+    } catch (error) {
+      logger.error('Error getting property equity:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get upcoming auctions grouped by day and county
+  async getAuctionCalendar(req, res) {
+    try {
+      const { filter, range, error } = auctionCalendar.buildFilter(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const properties = await Property.find(filter)
+        .select(auctionCalendar.fields)
+        .sort({ 'foreclosureDetails.auctionDate': 1 });
+
+      const entries = properties.map(property => auctionCalendar.toEntry(property));
+
+      res.json({
+        success: true,
+        data: {
+          range,
+          total: entries.length,
+          days: auctionCalendar.groupByDay(entries)
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting auction calendar:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create or rotate the current user's iCalendar feed URL
+  async createAuctionFeed(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+      const token = user.generateCalendarToken();
+      await user.save();
+
+      res.json({
+        success: true,
+        data: {
+          url: `${req.protocol}://${req.get('host')}/api/properties/auctions/calendar.ics?token=${token}`,
+          createdAt: user.calendarFeed.createdAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating auction feed:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // iCalendar feed of upcoming auctions matching the user's saved search filters
+  async getAuctionFeed(req, res) {
+    try {
+      // The query parser turns token[$ne]=x into an object, which would match any user
+      const { token } = req.query;
+      const user = typeof token === 'string' && token ? await User.findOne({ 'calendarFeed.token': token, isActive: true }) : null;
+
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'Invalid calendar feed token' });
+      }
+
+      const from = new Date(new Date().setUTCHours(0, 0, 0, 0));
+      const to = new Date(from.getTime() + FEED_RANGE_DAYS * 24 * 60 * 60 * 1000);
+      const { filter } = auctionCalendar.buildFilter({ from, to });
+      auctionCalendar.applySearchFilters(filter, user.preferences && user.preferences.searchFilters);
+
+      const properties = await Property.find(filter)
+        .select(auctionCalendar.fields)
+        .sort({ 'foreclosureDetails.auctionDate': 1 });
+
+      user.calendarFeed.lastAccessed = new Date();
+      await user.save();
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename=auctions.ics');
+      res.send(auctionCalendar.toICS(properties.map(property => auctionCalendar.toEntry(property))));
+    } catch (error) {
+      logger.error('Error getting auction feed:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // Delete property (soft delete)
   async deleteProperty(req, res) {
     try {
@@ -259,16 +524,34 @@ class PropertyController {
       if (!propertyIds || !Array.isArray(propertyIds) || propertyIds.length === 0) {
         return res.status(400).json({ success: false, message: 'Property IDs are required' });
       }
+      if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return res.status(400).json({ success: false, message: 'Updates are required' });
+      }
 
-      const result = await Property.updateMany(
-        { _id: { $in: propertyIds } },
-        { ...updates, updatedBy: req.user._id }
-      );
+      // Saved one by one so the validate hooks keep addressKey and location in step
+      const properties = await Property.find({ _id: { $in: propertyIds } });
+      let modifiedCount = 0;
+
+      for (const property of properties) {
+        const previous = foreclosureTimeline.snapshot(property);
+        const changed = propertyMerger.merge(property, updates, { source: 'Manual', isManual: true, userId: req.user._id });
+        if (changed.length === 0) continue;
+
+        property.updatedBy = req.user._id;
+        foreclosureTimeline.applyEvents(property, foreclosureTimeline.detectEvents(previous, property, {
+          status: updates.foreclosureStatus,
+          source: 'Manual',
+          userId: req.user._id
+        }));
+
+        await property.save();
+        modifiedCount += 1;
+      }
 
       res.json({
         success: true,
-        message: `Updated ${result.modifiedCount} properties`,
-        data: { modifiedCount: result.modifiedCount }
+        message: `Updated ${modifiedCount} properties`,
+        data: { modifiedCount }
       });
     } catch (error) {
       logger.error('Error bulk updating properties:', error);
@@ -276,38 +559,54 @@ class PropertyController {
     }
   }
 
-  // Get property map data
+  // Get property map data as a GeoJSON FeatureCollection. Takes the getProperties
+  // filters; with a zoom level below CLUSTER_MAX_ZOOM properties are grouped into clusters.
   async getPropertyMapData(req, res) {
     try {
-      const { bounds, status, priority } = req.query;
+      const geoError = validateGeoCriteria(req.query);
+      if (geoError) {
+        return res.status(400).json({ success: false, message: geoError });
+      }
 
-      const filter = { isActive: true };
-      
-      if (status) filter['leadInfo.status'] = status;
-      if (priority) filter['leadInfo.priority'] = priority;
+      const filter = buildPropertyFilter(req.query);
+      const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom) : null;
+      if (zoom !== null && (Number.isNaN(zoom) || zoom < 0 || zoom > 22)) {
+        return res.status(400).json({ success: false, message: 'zoom must be between 0 and 22' });
+      }
+
+      const clustered = zoom !== null && zoom < CLUSTER_MAX_ZOOM && req.query.cluster !== 'false';
+
+      if (clustered) {
+        // Aggregation doesn't cast query values, so cast the filter the way find() would
+        const match = Property.find().cast(Property, filter);
+        const clusters = await Property.aggregate(buildClusterPipeline(match, zoom, MAP_FEATURE_LIMIT));
 
-      // If bounds are provided, filter by coordinates
-      if (bounds) {
-        const { north, south, east, west } = JSON.parse(bounds);
-        filter['address.coordinates.lat'] = { $gte: south, $lte: north };
-        filter['address.coordinates.lng'] = { $gte: west, $lte: east };
+        return res.json({
+          success: true,
+          data: toFeatureCollection(clusters.map(toClusterFeature)),
+          meta: { clustered, zoom, truncated: clusters.length === MAP_FEATURE_LIMIT }
+        });
       }
 
-      const properties = await Property.find(filter)
-        .select('address foreclosureDetails leadInfo dataQuality')
-        .limit(1000); // Limit for performance
+      const properties = await Property.find({ ...filter, 'location.type': 'Point' })
+        .select(FEATURE_FIELDS)
+        .limit(MAP_FEATURE_LIMIT);
 
-      res.json({ success: true, data: properties });
+      res.json({
+        success: true,
+        data: toFeatureCollection(properties.map(toFeature)),
+        meta: { clustered, zoom, truncated: properties.length === MAP_FEATURE_LIMIT }
+      });
     } catch (error) {
       logger.error('Error getting property map data:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 
-  // Export properties
+  // Export properties as CSV, XLSX or NDJSON (streamed), or JSON
   async exportProperties(req, res) {
     try {
-      const { format = 'csv', ...filters } = req.query;
+      const { format = 'csv', fields, ...filters } = req.query;
 
       // Build filter object (similar to getProperties)
       const filter = { isActive: true };
@@ -320,60 +619,27 @@ class PropertyController {
         }
       });
 
-      const properties = await Property.find(filter)
+      const query = Property.find(filter)
         .populate('leadInfo.assignedTo', 'firstName lastName email')
-        .select('-__v -createdAt -updatedAt');
-
-      if (format === 'csv') {
-        const csv = this.convertToCSV(properties);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=properties.csv');
-        res.send(csv);
-      } else {
-        res.json({ success: true, data: properties });
+        .select('-__v -createdAt -updatedAt -provenance -foreclosureEvents');
+
+      if (isExportFormat(format)) {
+        const { columns, error } = selectColumns(EXPORT_COLUMNS, fields);
+        if (error) {
+          return res.status(400).json({ success: false, message: error, data: { fields: describeColumns(EXPORT_COLUMNS) } });
+        }
+
+        await streamExport(res, { source: query.cursor(), columns, format, filename: 'properties', sheetName: 'Properties' });
+        return;
       }
+
+      const properties = await query;
+      res.json({ success: true, data: properties });
     } catch (error) {
       logger.error('Error exporting properties:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
-
-  // Convert properties to CSV
-  convertToCSV(properties) {
-    const headers = [
-      'Address',
-      'City',
-      'State',
-      'Zip Code',
-      'Property Type',
-      'Foreclosure Status',
-      'Opening Bid',
-      'Auction Date',
-      'Owner Name',
-      'Lead Status',
-      'Priority',
-      'Assigned To',
-      'Data Quality'
-    ];
-
-    const rows = properties.map(property => [
-      property.address.street,
-      property.address.city,
-      property.address.state,
-      property.address.zipCode,
-      property.propertyType,
-      property.foreclosureStatus,
-      property.foreclosureDetails.openingBid,
-      property.foreclosureDetails.auctionDate,
-      property.owner.name,
-      property.leadInfo.status,
-      property.leadInfo.priority,
-      property.leadInfo.assignedTo ? `${property.leadInfo.assignedTo.firstName} ${property.leadInfo.assignedTo.lastName}` : '',
-      property.dataQuality.completeness
-    ]);
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
 }
 
 module.exports = new PropertyController();
@@ -3,6 +3,68 @@ const Lead = require('../models/Lead');
 const Analysis = require('../models/Analysis');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const ScoreBacktester = require('../services/scoring/scoreBacktester');
+const { isExportFormat, selectColumns, describeColumns, streamExport } = require('../utils/exporter');
+
+// Export columns for each report; rows are the report's summary or detail lists
+const PLATFORM_REPORT_COLUMNS = [
+  { key: 'metric', header: 'Metric', value: row => row.metric },
+  { key: 'value', header: 'Value', value: row => row.value }
+];
+
+const PROPERTY_REPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: prop => prop.id.toString(), extra: true },
+  { key: 'address', header: 'Address', value: prop => prop.address },
+  { key: 'status', header: 'Status', value: prop => prop.status },
+  { key: 'priority', header: 'Priority', value: prop => prop.priority },
+  { key: 'openingBid', header: 'Opening Bid', value: prop => prop.openingBid },
+  { key: 'currentValue', header: 'Current Value', value: prop => prop.currentValue },
+  { key: 'titleRisk', header: 'Title Risk', value: prop => prop.titleRisk },
+  { key: 'titleFlags', header: 'Title Flags', value: prop => prop.titleFlags.map(flag => flag.type).join('; ') },
+  { key: 'assignedTo', header: 'Assigned To', value: prop => prop.assignedTo },
+  { key: 'dataQuality', header: 'Data Quality', value: prop => prop.dataQuality }
+];
+
+const LEAD_REPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: lead => lead.id.toString(), extra: true },
+  { key: 'leadId', header: 'Lead ID', value: lead => lead.leadId },
+  { key: 'contactName', header: 'Contact Name', value: lead => lead.contactName },
+  { key: 'propertyAddress', header: 'Property Address', value: lead => lead.propertyAddress },
+  { key: 'source', header: 'Source', value: lead => lead.source },
+  { key: 'status', header: 'Status', value: lead => lead.status },
+  { key: 'priority', header: 'Priority', value: lead => lead.priority },
+  { key: 'score', header: 'Score', value: lead => lead.score },
+  { key: 'scoringProfile', header: 'Scoring Profile', value: lead => lead.scoringProfile, extra: true },
+  { key: 'assignedTo', header: 'Assigned To', value: lead => lead.assignedTo },
+  { key: 'createdAt', header: 'Created Date', value: lead => lead.createdAt, extra: true }
+];
+
+// One row per profile and score decile
+const SCORE_BACKTEST_REPORT_COLUMNS = [
+  { key: 'profile', header: 'Profile', value: row => row.profile },
+  { key: 'decile', header: 'Decile', value: row => row.decile },
+  { key: 'leads', header: 'Leads', value: row => row.leads },
+  { key: 'minScore', header: 'Min Score', value: row => row.minScore },
+  { key: 'maxScore', header: 'Max Score', value: row => row.maxScore },
+  { key: 'converted', header: 'Converted', value: row => row.converted },
+  { key: 'conversionRate', header: 'Conversion Rate (%)', value: row => row.conversionRate },
+  { key: 'lift', header: 'Lift', value: row => row.lift },
+  { key: 'cumulativeCapture', header: 'Cumulative Capture (%)', value: row => row.cumulativeCapture },
+  { key: 'dealValue', header: 'Deal Value', value: row => row.dealValue, extra: true },
+  { key: 'auc', header: 'Profile AUC', value: row => row.auc, extra: true }
+];
+
+const backtester = new ScoreBacktester();
+
+// Stream report rows in the requested format, or respond 400 for unknown fields
+const exportReport = async (res, rows, definitions, options) => {
+  const { columns, error } = selectColumns(definitions, options.fields);
+  if (error) {
+    return res.status(400).json({ success: false, message: error, data: { fields: describeColumns(definitions) } });
+  }
+
+  await streamExport(res, { source: rows, columns, format: options.format, filename: options.filename });
+};
 
 class ReportController {
   // Generate comprehensive platform report
@@ -12,7 +74,8 @@ class ReportController {
         startDate, 
         endDate, 
         includeCharts = true,
-        format = 'json'
+        format = 'json',
+        fields
       } = req.query;
 
       // Set date range
@@ -73,11 +136,15 @@ class ReportController {
         charts: includeCharts ? await this.generateChartData(dateFilter) : null
       };
 
-      if (format === 'csv') {
-        const csv = this.convertReportToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=platform-report.csv');
-        res.send(csv);
+      if (isExportFormat(format)) {
+        const rows = [
+          { metric: 'Total Properties', value: report.summary.totalProperties },
+          { metric: 'Total Leads', value: report.summary.totalLeads },
+          { metric: 'Total Users', value: report.summary.totalUsers },
+          { metric: 'Conversion Rate', value: report.summary.conversionRate },
+          { metric: 'Average Deal Size', value: report.summary.averageDealSize }
+        ];
+        await exportReport(res, rows, PLATFORM_REPORT_COLUMNS, { format, fields, filename: 'platform-report' });
       } else {
         res.json({ success: true, data: report });
       }
@@ -96,7 +163,9 @@ class ReportController {
         county,
         state,
         status,
-        format = 'json'
+        titleRisk,
+        format = 'json',
+        fields
       } = req.query;
 
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -110,12 +179,14 @@ class ReportController {
       if (county) filter['address.county'] = new RegExp(county, 'i');
       if (state) filter['address.state'] = new RegExp(state, 'i');
       if (status) filter['leadInfo.status'] = status;
+      if (titleRisk) filter['titleRisk.level'] = { $in: titleRisk.split(',') };
 
       const [
         properties,
         statusBreakdown,
         countyBreakdown,
         priorityBreakdown,
+        titleRiskBreakdown,
         averageValues,
         dataQualityMetrics
       ] = await Promise.all([
@@ -134,6 +205,10 @@ class ReportController {
           { $match: filter },
           { $group: { _id: '$leadInfo.priority', count: { $sum: 1 } } }
         ]),
+        Property.aggregate([
+          { $match: filter },
+          { $group: { _id: { $ifNull: ['$titleRisk.level', 'Not Evaluated'] }, count: { $sum: 1 } } }
+        ]),
         Property.aggregate([
           { $match: filter },
           {
@@ -162,7 +237,7 @@ class ReportController {
           generatedAt: new Date().toISOString(),
           generatedBy: req.user._id,
           dateRange: { start, end },
-          filters: { county, state, status }
+          filters: { county, state, status, titleRisk }
         },
         summary: {
           totalProperties: properties.length,
@@ -174,7 +249,8 @@ class ReportController {
         breakdowns: {
           status: statusBreakdown,
           county: countyBreakdown,
-          priority: priorityBreakdown
+          priority: priorityBreakdown,
+          titleRisk: titleRiskBreakdown
         },
         properties: properties.map(prop => ({
           id: prop._id,
@@ -183,6 +259,12 @@ class ReportController {
           priority: prop.leadInfo.priority,
           openingBid: prop.foreclosureDetails.openingBid,
           currentValue: prop.financials.currentValue,
+          titleRisk: prop.titleRisk?.level || 'Not Evaluated',
+          titleFlags: (prop.titleRisk?.flags || []).map(flag => ({
+            type: flag.type,
+            severity: flag.severity,
+            explanation: flag.explanation
+          })),
           assignedTo: prop.leadInfo.assignedTo ? 
             `${prop.leadInfo.assignedTo.firstName} ${prop.leadInfo.assignedTo.lastName}` : 
             'Unassigned',
@@ -190,11 +272,8 @@ class ReportController {
         }))
       };
 
-      if (format === 'csv') {
-        const csv = this.convertPropertyReportToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=property-report.csv');
-        res.send(csv);
+      if (isExportFormat(format)) {
+        await exportReport(res, report.properties, PROPERTY_REPORT_COLUMNS, { format, fields, filename: 'property-report' });
       } else {
         res.json({ success: true, data: report });
       }
@@ -213,7 +292,8 @@ class ReportController {
         source,
         status,
         assignedTo,
-        format = 'json'
+        format = 'json',
+        fields
       } = req.query;
 
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -234,7 +314,9 @@ class ReportController {
         statusBreakdown,
         priorityBreakdown,
         conversionMetrics,
-        averageScores
+        averageScores,
+        factorAverages,
+        profileBreakdown
       ] = await Promise.all([
         Lead.find(filter)
           .populate('property', 'address foreclosureDetails')
@@ -260,13 +342,29 @@ class ReportController {
           {
             $group: {
               _id: null,
-              avgScore: { $avg: '$score.total' },
-              avgMotivation: { $avg: '$score.factors.motivation' },
-              avgTimeline: { $avg: '$score.factors.timeline' },
-              avgEquity: { $avg: '$score.factors.equity' },
-              avgCondition: { $avg: '$score.factors.condition' }
+              avgScore: { $avg: '$score.total' }
             }
           }
+        ]),
+        // Factors differ between scoring profiles, so each is averaged over the leads that have it
+        Lead.aggregate([
+          { $match: filter },
+          { $project: { factors: { $objectToArray: { $ifNull: ['$score.factors', {}] } } } },
+          { $unwind: '$factors' },
+          { $group: { _id: '$factors.k', average: { $avg: '$factors.v' } } },
+          { $sort: { _id: 1 } }
+        ]),
+        Lead.aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: { profileKey: '$score.profileKey', profileVersion: '$score.profileVersion' },
+              count: { $sum: 1 },
+              avgScore: { $avg: '$score.total' },
+              converted: { $sum: { $cond: ['$conversion.isConverted', 1, 0] } }
+            }
+          },
+          { $sort: { '_id.profileKey': 1, '_id.profileVersion': -1 } }
         ])
       ]);
 
@@ -290,14 +388,12 @@ class ReportController {
         breakdowns: {
           source: sourceBreakdown,
           status: statusBreakdown,
-          priority: priorityBreakdown
+          priority: priorityBreakdown,
+          scoringProfile: profileBreakdown
         },
         scoreMetrics: {
           average: averageScores[0]?.avgScore || 0,
-          motivation: averageScores[0]?.avgMotivation || 0,
-          timeline: averageScores[0]?.avgTimeline || 0,
-          equity: averageScores[0]?.avgEquity || 0,
-          condition: averageScores[0]?.avgCondition || 0
+          ...Object.fromEntries(factorAverages.map(factor => [factor._id, factor.average]))
         },
         leads: leads.map(lead => ({
           id: lead._id,
@@ -310,6 +406,7 @@ class ReportController {
           status: lead.status,
           priority: lead.priority,
           score: lead.score.total,
+          scoringProfile: lead.score.profileKey ? `${lead.score.profileKey} v${lead.score.profileVersion}` : null,
           assignedTo: lead.assignedTo ? 
             `${lead.assignedTo.firstName} ${lead.assignedTo.lastName}` : 
             'Unassigned',
@@ -317,11 +414,8 @@ class ReportController {
         }))
       };
 
-      if (format === 'csv') {
-        const csv = this.convertLeadReportToCSV(report);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=lead-report.csv');
-        res.send(csv);
+      if (isExportFormat(format)) {
+        await exportReport(res, report.leads, LEAD_REPORT_COLUMNS, { format, fields, filename: 'lead-report' });
       } else {
         res.json({ success: true, data: report });
       }
@@ -331,6 +425,45 @@ class ReportController {
     }
   }
 
+  // Generate lead score backtest report: resolved leads replayed through one or two
+  // scoring profiles (profiles=key,key@version or ids; the default profile when omitted)
+  async generateScoreBacktestReport(req, res) {
+    try {
+      const { startDate, endDate, profiles, snapshotOnly, format = 'json', fields } = req.query;
+
+      const references = profiles ? profiles.split(',').map(reference => reference.trim()).filter(Boolean) : [];
+      const resolved = await backtester.resolveProfiles(references);
+      if (resolved.error) {
+        return res.status(400).json({ success: false, message: resolved.error });
+      }
+
+      const backtest = await backtester.run(resolved.profiles, { startDate, endDate, snapshotOnly: snapshotOnly === 'true' });
+
+      const report = {
+        reportInfo: {
+          generatedAt: new Date().toISOString(),
+          generatedBy: req.user._id,
+          dateRange: { start: startDate || null, end: endDate || null }
+        },
+        ...backtest
+      };
+
+      if (isExportFormat(format)) {
+        const rows = backtest.profiles.flatMap(profile => profile.deciles.map(decile => ({
+          profile: `${profile.profileKey} v${profile.profileVersion}`,
+          auc: profile.auc,
+          ...decile
+        })));
+        await exportReport(res, rows, SCORE_BACKTEST_REPORT_COLUMNS, { format, fields, filename: 'score-backtest-report' });
+      } else {
+        res.json({ success: true, data: report });
+      }
+    } catch (error) {
+      logger.error('Error generating score backtest report:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // Get dashboard analytics
   async getDashboardAnalytics(req, res) {
     try {
@@ -608,51 +741,6 @@ class ReportController {
       // Add more chart data as needed
     };
   }
-
-  convertReportToCSV(report) {
-    // Convert report to CSV format
-    const headers = ['Metric', 'Value'];
-    const rows = [
-      ['Total Properties', report.summary.totalProperties],
-      ['Total Leads', report.summary.totalLeads],
-      ['Total Users', report.summary.totalUsers],
-      ['Conversion Rate', report.summary.conversionRate],
-      ['Average Deal Size', report.summary.averageDealSize]
-    ];
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
-
-  convertPropertyReportToCSV(report) {
-    const headers = ['Address', 'Status', 'Priority', 'Opening Bid', 'Current Value', 'Assigned To', 'Data Quality'];
-    const rows = report.properties.map(prop => [
-      prop.address,
-      prop.status,
-      prop.priority,
-      prop.openingBid,
-      prop.currentValue,
-      prop.assignedTo,
-      prop.dataQuality
-    ]);
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
-
-  convertLeadReportToCSV(report) {
-    const headers = ['Lead ID', 'Contact Name', 'Property Address', 'Source', 'Status', 'Priority', 'Score', 'Assigned To'];
-    const rows = report.leads.map(lead => [
-      lead.leadId,
-      lead.contactName,
-      lead.propertyAddress,
-      lead.source,
-      lead.status,
-      lead.priority,
-      lead.score,
-      lead.assignedTo
-    ]);
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
 }
 
 module.exports = new ReportController();
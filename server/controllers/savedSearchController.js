@@ -0,0 +1,200 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const logger = require('../utils/logger');
+const { buildPropertyFilter, validateGeoCriteria, parseNear } = require('../utils/propertyFilter');
+
+const titleFlagTypes = Property.schema.path('titleRisk.flags').schema.path('type').enumValues;
+
+// Criteria that are lists of Property enum values
+const LIST_CRITERIA = {
+  foreclosureStatus: Property.schema.path('foreclosureStatus').enumValues,
+  propertyType: Property.schema.path('propertyType').enumValues,
+  titleRisk: Property.schema.path('titleRisk.level').enumValues,
+  titleFlag: titleFlagTypes,
+  excludeTitleFlag: titleFlagTypes
+};
+
+// Criteria arrive from the search form like getProperties query params; near may
+// be "lat,lng", shape a GeoJSON string and lists comma separated. Returns { criteria, error }.
+const normalizeCriteria = (input = {}) => {
+  const criteria = { ...input };
+
+  for (const [field, allowed] of Object.entries(LIST_CRITERIA)) {
+    if (typeof criteria[field] === 'string') {
+      criteria[field] = criteria[field].split(',').map(value => value.trim()).filter(Boolean);
+    }
+    const invalid = (criteria[field] || []).filter(value => !allowed.includes(value));
+    if (invalid.length > 0) return { criteria: null, error: `Invalid ${field}: ${invalid.join(', ')}` };
+  }
+
+  // Viewport bounds belong to a map view, not a saved search
+  delete criteria.bounds;
+
+  const geoError = validateGeoCriteria(criteria);
+  if (geoError) return { criteria: null, error: geoError };
+  if (criteria.near) criteria.near = parseNear(criteria.near);
+  if (typeof criteria.shape === 'string') criteria.shape = JSON.parse(criteria.shape);
+
+  return { criteria, error: null };
+};
+
+class SavedSearchController {
+  // Get the user's saved searches
+  async getSearches(req, res) {
+    try {
+      const searches = await SavedSearch.find({ user: req.user._id, isActive: true })
+        .sort({ name: 1 });
+
+      res.json({ success: true, data: searches });
+    } catch (error) {
+      logger.error('Error getting saved searches:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single saved search
+  async getSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id, isActive: true });
+
+      if (!search) {
+        return res.status(404).json({ success: false, message: 'Saved search not found' });
+      }
+
+      res.json({ success: true, data: search });
+    } catch (error) {
+      logger.error('Error getting saved search:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create saved search
+  async createSearch(req, res) {
+    try {
+      const { name, alerts } = req.body;
+
+      if (!name) {
+        return res.status(400).json({ success: false, message: 'Search name is required' });
+      }
+
+      const { criteria, error } = normalizeCriteria(req.body.criteria);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      // Alerts only cover properties that change after the search is saved
+      const search = await SavedSearch.create({
+        name,
+        criteria,
+        alerts,
+        user: req.user._id,
+        lastCheckedAt: new Date(),
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      logger.info(`Saved search created: ${search.name} by ${req.user.email}`);
+      res.status(201).json({ success: true, data: search });
+    } catch (error) {
+      logger.error('Error creating saved search:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update saved search
+  async updateSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id, isActive: true });
+
+      if (!search) {
+        return res.status(404).json({ success: false, message: 'Saved search not found' });
+      }
+
+      if (req.body.name !== undefined) search.name = req.body.name;
+
+      if (req.body.criteria !== undefined) {
+        const { criteria, error } = normalizeCriteria(req.body.criteria);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        search.criteria = criteria;
+      }
+
+      if (req.body.alerts !== undefined) {
+        search.alerts = { ...search.alerts.toObject(), ...req.body.alerts };
+      }
+
+      search.updatedBy = req.user._id;
+      await search.save();
+
+      res.json({ success: true, data: search });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      logger.error('Error updating saved search:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete saved search (soft delete)
+  async deleteSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, isActive: true },
+        { isActive: false, 'alerts.isEnabled': false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!search) {
+        return res.status(404).json({ success: false, message: 'Saved search not found' });
+      }
+
+      res.json({ success: true, message: 'Saved search deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting saved search:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Run a saved search now and return the matching properties
+  async getSearchResults(req, res) {
+    try {
+      const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+      const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id, isActive: true });
+
+      if (!search) {
+        return res.status(404).json({ success: false, message: 'Saved search not found' });
+      }
+
+      const filter = buildPropertyFilter(search.criteria ? search.criteria.toObject() : {});
+
+      const sort = {};
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      const properties = await Property.find(filter)
+        .populate('leadInfo.assignedTo', 'firstName lastName email')
+        .sort(sort)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Property.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: properties,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting saved search results:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new SavedSearchController();
@@ -0,0 +1,302 @@
+const ScoringProfile = require('../models/ScoringProfile');
+const Property = require('../models/Property');
+const Lead = require('../models/Lead');
+const logger = require('../utils/logger');
+const LeadScorer = require('../services/scoring/leadScorer');
+const ScoreBacktester = require('../services/scoring/scoreBacktester');
+
+const scorer = new LeadScorer();
+const backtester = new ScoreBacktester({ scorer });
+
+// Fields copied from the current version when a profile is edited
+const PROFILE_FIELDS = ['name', 'description', 'factors', 'isDefault', 'allocation'];
+
+const toKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Returns an error message when test allocations would cover more than every lead
+const checkAllocation = async (key, profile) => {
+  if (profile.isDefault || !profile.allocation) return null;
+
+  const others = await ScoringProfile.find({ isCurrent: true, isActive: true, isDefault: false, key: { $ne: key } })
+    .select('allocation');
+  const allocated = others.reduce((total, other) => total + (other.allocation || 0), profile.allocation);
+  return allocated > 100 ? `Profiles would be allocated ${allocated}% of leads; the total can't exceed 100%` : null;
+};
+
+// Only one current profile can be the default
+const clearDefault = (key) => ScoringProfile.updateMany(
+  { isCurrent: true, isDefault: true, key: { $ne: key } },
+  { isDefault: false }
+);
+
+class ScoringProfileController {
+  // Get signals and operators rules can use, and the built-in profile as a starting point
+  async getSignals(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          signals: scorer.describeSignals(),
+          operators: Object.keys(LeadScorer.OPERATORS),
+          builtInProfile: LeadScorer.BUILT_IN_PROFILE
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting scoring signals:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get current profile versions
+  async getProfiles(req, res) {
+    try {
+      const profiles = await ScoringProfile.find({ isCurrent: true, isActive: true })
+        .populate('updatedBy', 'firstName lastName')
+        .sort({ isDefault: -1, name: 1 });
+
+      res.json({ success: true, data: profiles });
+    } catch (error) {
+      logger.error('Error getting scoring profiles:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single profile version
+  async getProfile(req, res) {
+    try {
+      const profile = await ScoringProfile.findById(req.params.id)
+        .populate('createdBy', 'firstName lastName');
+
+      if (!profile) {
+        return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+      }
+
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      logger.error('Error getting scoring profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get every version of a profile, newest first
+  async getProfileVersions(req, res) {
+    try {
+      const versions = await ScoringProfile.find({ key: req.params.key })
+        .populate('createdBy', 'firstName lastName')
+        .sort({ version: -1 });
+
+      if (versions.length === 0) {
+        return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+      }
+
+      res.json({ success: true, data: versions });
+    } catch (error) {
+      logger.error('Error getting scoring profile versions:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create scoring profile (version 1)
+  async createProfile(req, res) {
+    try {
+      if (!req.body.name) {
+        return res.status(400).json({ success: false, message: 'Profile name is required' });
+      }
+
+      const key = toKey(req.body.key || req.body.name);
+      if (!key || key === LeadScorer.BUILT_IN_PROFILE.key) {
+        return res.status(400).json({ success: false, message: 'Choose another profile key' });
+      }
+      if (await ScoringProfile.exists({ key })) {
+        return res.status(409).json({ success: false, message: `A scoring profile with key ${key} already exists` });
+      }
+
+      const fields = Object.fromEntries(PROFILE_FIELDS.map(field => [field, req.body[field]]));
+      const validationError = scorer.validateProfile(fields) || await checkAllocation(key, fields);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      if (fields.isDefault) await clearDefault(key);
+
+      const profile = await ScoringProfile.create({
+        ...fields,
+        key,
+        version: 1,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      logger.info(`Scoring profile created: ${profile.key} v${profile.version}`);
+      res.status(201).json({ success: true, data: profile });
+    } catch (error) {
+      logger.error('Error creating scoring profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update scoring profile. Saves a new version and retires the current one, so
+  // scores already recorded still point at the version that produced them.
+  async updateProfile(req, res) {
+    try {
+      const current = await ScoringProfile.findById(req.params.id);
+
+      if (!current || !current.isActive) {
+        return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+      }
+      if (!current.isCurrent) {
+        return res.status(400).json({ success: false, message: `Version ${current.version} has been replaced; edit the current version` });
+      }
+
+      const fields = Object.fromEntries(PROFILE_FIELDS.map(field => [
+        field,
+        req.body[field] !== undefined ? req.body[field] : current.toObject()[field]
+      ]));
+      const validationError = scorer.validateProfile(fields) || await checkAllocation(current.key, fields);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      if (fields.isDefault) await clearDefault(current.key);
+
+      current.isCurrent = false;
+      current.updatedBy = req.user._id;
+      await current.save();
+
+      const profile = await ScoringProfile.create({
+        ...fields,
+        key: current.key,
+        version: current.version + 1,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      logger.info(`Scoring profile updated: ${profile.key} v${profile.version}`);
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      logger.error('Error updating scoring profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete scoring profile (soft delete of the current version)
+  async deleteProfile(req, res) {
+    try {
+      const profile = await ScoringProfile.findOne({ _id: req.params.id, isCurrent: true, isActive: true });
+
+      if (!profile) {
+        return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+      }
+      if (profile.isDefault) {
+        return res.status(400).json({ success: false, message: 'Make another profile the default before deleting this one' });
+      }
+
+      profile.isActive = false;
+      profile.updatedBy = req.user._id;
+      await profile.save();
+
+      res.json({ success: true, message: 'Scoring profile deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting scoring profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Score a property with a saved profile version (profileId) or an unsaved
+  // definition (profile), showing the signals and rules behind each factor
+  async previewScore(req, res) {
+    try {
+      const { propertyId, profileId } = req.body;
+
+      const property = await Property.findById(propertyId);
+      if (!property) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+
+      let profile = req.body.profile;
+      if (profileId) {
+        profile = await ScoringProfile.findById(profileId).lean();
+        if (!profile) {
+          return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+        }
+      } else if (profile) {
+        const validationError = scorer.validateProfile(profile);
+        if (validationError) {
+          return res.status(400).json({ success: false, message: validationError });
+        }
+      } else {
+        profile = (await scorer.loadProfiles()).defaultProfile;
+      }
+
+      const lead = await Lead.findOne({ property: property._id });
+      res.json({ success: true, data: scorer.score(property, profile, { lead }) });
+    } catch (error) {
+      logger.error('Error previewing lead score:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Replay resolved leads through one or two profiles (saved references or unsaved
+  // definitions) and compare how well their scores predict conversion
+  async backtestProfiles(req, res) {
+    try {
+      const { profiles: references = [], startDate, endDate, snapshotOnly } = req.body;
+
+      const { profiles, error } = await backtester.resolveProfiles(references);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const backtest = await backtester.run(profiles, { startDate, endDate, snapshotOnly: snapshotOnly === true || snapshotOnly === 'true' });
+      res.json({ success: true, data: backtest });
+    } catch (error) {
+      logger.error('Error backtesting scoring profiles:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Leads, average score and conversions per profile version, for A/B comparison
+  async getProfileResults(req, res) {
+    try {
+      const { startDate, endDate } = req.query;
+      const filter = { isActive: true, 'score.profileKey': { $exists: true } };
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const results = await Lead.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: { profileKey: '$score.profileKey', profileVersion: '$score.profileVersion' },
+            leads: { $sum: 1 },
+            averageScore: { $avg: '$score.total' },
+            converted: { $sum: { $cond: ['$conversion.isConverted', 1, 0] } },
+            dealValue: { $sum: { $ifNull: ['$conversion.dealValue', 0] } }
+          }
+        },
+        { $sort: { '_id.profileKey': 1, '_id.profileVersion': -1 } }
+      ]);
+
+      res.json({
+        success: true,
+        data: results.map(result => ({
+          profileKey: result._id.profileKey,
+          profileVersion: result._id.profileVersion,
+          leads: result.leads,
+          averageScore: Math.round(result.averageScore * 10) / 10,
+          converted: result.converted,
+          conversionRate: Math.round((result.converted / result.leads) * 1000) / 10,
+          dealValue: result.dealValue
+        }))
+      });
+    } catch (error) {
+      logger.error('Error getting scoring profile results:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new ScoringProfileController();
@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const Sequence = require('../models/Sequence');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
+const MailTemplate = require('../models/MailTemplate');
+const SavedSearch = require('../models/SavedSearch');
+const logger = require('../utils/logger');
+const SequenceRunner = require('../services/sequences/sequenceRunner');
+
+const runner = new SequenceRunner();
+
+// Fields accepted when creating or editing
+const SEQUENCE_FIELDS = ['name', 'description', 'steps', 'stopOn', 'savedSearch', 'autoEnroll', 'returnAddress', 'mailClass'];
+
+// Most leads enrolled by id in one request
+const MAX_ENROLL_BATCH = 1000;
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Enrollment counts by status for each sequence id
+const countEnrollments = async (sequenceIds) => {
+  const counts = await SequenceEnrollment.aggregate([
+    { $match: { sequence: { $in: sequenceIds } } },
+    { $group: { _id: { sequence: '$sequence', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((bySequence, { _id, count }) => {
+    const key = _id.sequence.toString();
+    bySequence[key] = bySequence[key] || { Active: 0, Paused: 0, Completed: 0, Stopped: 0 };
+    bySequence[key][_id.status] = count;
+    return bySequence;
+  }, {});
+};
+
+// Error message for a sequence that can't be saved, or null
+const checkSequence = async (sequence, user) => {
+  if (!sequence.name) return 'Sequence name is required';
+
+  const invalid = runner.validateSteps(sequence.steps);
+  if (invalid) return invalid;
+
+  const mailSteps = sequence.steps.filter(step => step.type === 'Mail');
+  if (mailSteps.length > 0) {
+    const templates = await MailTemplate.countDocuments({ _id: { $in: mailSteps.map(step => step.mailTemplate) }, isActive: true });
+    if (templates < new Set(mailSteps.map(step => String(step.mailTemplate))).size) return 'Mail template not found';
+    if (!sequence.returnAddress || !sequence.returnAddress.street) return 'A return address is required for mail steps';
+  }
+
+  if (sequence.savedSearch) {
+    const search = await SavedSearch.exists({ _id: sequence.savedSearch, user: user._id, isActive: true });
+    if (!search) return 'Saved search not found';
+  }
+  if (sequence.autoEnroll && !sequence.savedSearch) return 'Auto-enroll needs a saved search';
+
+  return null;
+};
+
+const findEnrollment = (id) => SequenceEnrollment.findById(id).populate('sequence', 'name steps');
+
+class SequenceController {
+  // Get drip sequences with enrollment counts
+  async getSequences(req, res) {
+    try {
+      const filter = { isActive: true };
+      if (req.query.status) filter.status = req.query.status;
+
+      const sequences = await Sequence.find(filter)
+        .populate('savedSearch', 'name')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      const counts = await countEnrollments(sequences.map(sequence => sequence._id));
+
+      res.json({
+        success: true,
+        data: sequences.map(sequence => ({ ...sequence.toObject(), enrollments: counts[sequence._id.toString()] || {} }))
+      });
+    } catch (error) {
+      logger.error('Error getting sequences:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single sequence
+  async getSequence(req, res) {
+    try {
+      const sequence = await Sequence.findOne({ _id: req.params.id, isActive: true })
+        .populate('savedSearch', 'name')
+        .populate('steps.mailTemplate', 'name format size')
+        .populate('createdBy', 'firstName lastName');
+
+      if (!sequence) {
+        return res.status(404).json({ success: false, message: 'Sequence not found' });
+      }
+
+      const counts = await countEnrollments([sequence._id]);
+
+      res.json({ success: true, data: { ...sequence.toObject(), enrollments: counts[sequence._id.toString()] || {} } });
+    } catch (error) {
+      logger.error('Error getting sequence:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create sequence
+  async createSequence(req, res) {
+    try {
+      const sequence = new Sequence({
+        ...pick(req.body, SEQUENCE_FIELDS),
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      const invalid = await checkSequence(sequence, req.user);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      await sequence.save();
+
+      logger.info(`Sequence created: ${sequence.name}`);
+      res.status(201).json({ success: true, data: sequence });
+    } catch (error) {
+      logger.error('Error creating sequence:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update sequence. Enrolled leads continue from the same step number.
+  async updateSequence(req, res) {
+    try {
+      const sequence = await Sequence.findOne({ _id: req.params.id, isActive: true });
+
+      if (!sequence) {
+        return res.status(404).json({ success: false, message: 'Sequence not found' });
+      }
+
+      sequence.set(pick(req.body, SEQUENCE_FIELDS));
+      const invalid = await checkSequence(sequence, req.user);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+      sequence.updatedBy = req.user._id;
+
+      await sequence.save();
+
+      res.json({ success: true, data: sequence });
+    } catch (error) {
+      logger.error('Error updating sequence:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete sequence (soft delete) and stop its enrollments
+  async deleteSequence(req, res) {
+    try {
+      const sequence = await Sequence.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!sequence) {
+        return res.status(404).json({ success: false, message: 'Sequence not found' });
+      }
+
+      await SequenceEnrollment.updateMany(
+        { sequence: sequence._id, status: { $in: ['Active', 'Paused'] } },
+        { $set: { status: 'Stopped', stopReason: 'Sequence deleted', stoppedAt: new Date() }, $unset: { nextStepAt: 1 } }
+      );
+
+      res.json({ success: true, message: 'Sequence deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting sequence:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Pause or resume a whole sequence
+  async setSequenceStatus(req, res) {
+    try {
+      const { status } = req.body;
+
+      if (!['Active', 'Paused'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'Status must be Active or Paused' });
+      }
+
+      const sequence = await Sequence.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { status, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!sequence) {
+        return res.status(404).json({ success: false, message: 'Sequence not found' });
+      }
+
+      res.json({ success: true, data: sequence });
+    } catch (error) {
+      logger.error('Error updating sequence status:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Enroll leads by id or from a saved search
+  async enrollLeads(req, res) {
+    try {
+      const { leadIds, savedSearch } = req.body;
+
+      if (!savedSearch && (!Array.isArray(leadIds) || leadIds.length === 0)) {
+        return res.status(400).json({ success: false, message: 'Lead IDs or a saved search are required' });
+      }
+      if (leadIds && leadIds.length > MAX_ENROLL_BATCH) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_ENROLL_BATCH} leads can be enrolled at once` });
+      }
+      if (leadIds && leadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+      }
+
+      const sequence = await Sequence.findOne({ _id: req.params.id, isActive: true });
+
+      if (!sequence) {
+        return res.status(404).json({ success: false, message: 'Sequence not found' });
+      }
+
+      let result;
+      if (savedSearch) {
+        const search = await SavedSearch.exists({ _id: savedSearch, user: req.user._id, isActive: true });
+        if (!search) {
+          return res.status(404).json({ success: false, message: 'Saved search not found' });
+        }
+        result = await runner.enrollSavedSearch(sequence, savedSearch, { userId: req.user._id });
+      } else {
+        result = await runner.enroll(sequence, leadIds, { source: 'Manual', userId: req.user._id });
+      }
+
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error enrolling leads in sequence:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get enrollments in a sequence, or of one lead with ?lead=
+  async getEnrollments(req, res) {
+    try {
+      const { page = 1, limit = 50, status, lead } = req.query;
+
+      const filter = {};
+      if (req.params.id) filter.sequence = req.params.id;
+      if (lead) filter.lead = lead;
+      if (status) filter.status = status;
+
+      if (!filter.sequence && !filter.lead) {
+        return res.status(400).json({ success: false, message: 'A sequence or lead is required' });
+      }
+
+      const enrollments = await SequenceEnrollment.find(filter)
+        .populate('sequence', 'name status')
+        .populate('lead', 'leadId status contact.name contact.phone contact.email')
+        .populate('enrolledBy', 'firstName lastName')
+        .sort({ enrolledAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await SequenceEnrollment.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: enrollments,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting sequence enrollments:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Pause a lead's enrollment
+  async pauseEnrollment(req, res) {
+    try {
+      const enrollment = await findEnrollment(req.params.id);
+
+      if (!enrollment) {
+        return res.status(404).json({ success: false, message: 'Enrollment not found' });
+      }
+      if (!runner.pause(enrollment)) {
+        return res.status(400).json({ success: false, message: `A ${enrollment.status} enrollment can't be paused` });
+      }
+
+      await enrollment.save();
+
+      res.json({ success: true, data: enrollment });
+    } catch (error) {
+      logger.error('Error pausing sequence enrollment:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Resume a lead's paused enrollment
+  async resumeEnrollment(req, res) {
+    try {
+      const enrollment = await findEnrollment(req.params.id);
+
+      if (!enrollment) {
+        return res.status(404).json({ success: false, message: 'Enrollment not found' });
+      }
+      if (!runner.resume(enrollment)) {
+        return res.status(400).json({ success: false, message: `A ${enrollment.status} enrollment can't be resumed` });
+      }
+
+      await enrollment.save();
+
+      res.json({ success: true, data: enrollment });
+    } catch (error) {
+      logger.error('Error resuming sequence enrollment:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Take a lead out of a sequence
+  async stopEnrollment(req, res) {
+    try {
+      const enrollment = await findEnrollment(req.params.id);
+
+      if (!enrollment) {
+        return res.status(404).json({ success: false, message: 'Enrollment not found' });
+      }
+      if (!['Active', 'Paused'].includes(enrollment.status)) {
+        return res.status(400).json({ success: false, message: `A ${enrollment.status} enrollment can't be stopped` });
+      }
+
+      runner.markStopped(enrollment, req.body.reason || `Stopped by ${req.user.firstName} ${req.user.lastName}`);
+      await enrollment.save();
+
+      res.json({ success: true, data: enrollment });
+    } catch (error) {
+      logger.error('Error stopping sequence enrollment:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new SequenceController();
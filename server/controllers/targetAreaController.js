@@ -0,0 +1,188 @@
+const cron = require('node-cron');
+const TargetArea = require('../models/TargetArea');
+const sourceRegistry = require('../services/dataCollection/sources');
+const logger = require('../utils/logger');
+const { buildAccessFilter } = require('../utils/accessFilter');
+
+// node-cron throws on zones the runtime doesn't know, so check them the same way
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns an error message for invalid area settings, or null
+const validateAreaSettings = ({ sources, schedule, timezone }) => {
+  if (sources !== undefined) {
+    if (!Array.isArray(sources)) return 'Sources must be an array of source ids';
+
+    const unknown = sources.filter(id => !sourceRegistry.get(id));
+    if (unknown.length > 0) return `Unknown sources: ${unknown.join(', ')}`;
+  }
+
+  if (schedule && !cron.validate(schedule)) {
+    return `Invalid cron schedule: ${schedule}`;
+  }
+
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    return `Invalid timezone: ${timezone}`;
+  }
+
+  return null;
+};
+
+class TargetAreaController {
+  // Get target areas visible to the user
+  async getAreas(req, res) {
+    try {
+      const { state, isEnabled } = req.query;
+
+      const filter = buildAccessFilter(req.user);
+      if (state) filter.state = state.toUpperCase();
+      if (isEnabled !== undefined) filter.isEnabled = isEnabled === 'true';
+
+      const areas = await TargetArea.find(filter)
+        .populate('owner', 'firstName lastName email')
+        .sort({ state: 1, county: 1 });
+
+      res.json({ success: true, data: areas });
+    } catch (error) {
+      logger.error('Error getting target areas:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get available source adapters
+  async getSources(req, res) {
+    try {
+      const sources = sourceRegistry.getAll().map(adapter => ({
+        id: adapter.id,
+        name: adapter.name,
+        sourceLabel: adapter.sourceLabel,
+        national: adapter.national,
+        areas: adapter.areas
+      }));
+
+      res.json({ success: true, data: sources });
+    } catch (error) {
+      logger.error('Error getting data sources:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Get single target area
+  async getArea(req, res) {
+    try {
+      const area = await TargetArea.findOne({ ...buildAccessFilter(req.user), _id: req.params.id })
+        .populate('owner', 'firstName lastName email');
+
+      if (!area) {
+        return res.status(404).json({ success: false, message: 'Target area not found' });
+      }
+
+      res.json({ success: true, data: area });
+    } catch (error) {
+      logger.error('Error getting target area:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Create target area
+  async createArea(req, res) {
+    try {
+      const { county, state } = req.body;
+
+      if (!county || !state) {
+        return res.status(400).json({ success: false, message: 'County and state are required' });
+      }
+
+      const validationError = validateAreaSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const areaData = {
+        ...req.body,
+        owner: req.user._id,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      };
+
+      // Only admins can assign an area to another team
+      if (req.user.role !== 'Admin' || !areaData.team) {
+        areaData.team = req.user.team?.teamId;
+      }
+
+      const area = await TargetArea.create(areaData);
+
+      logger.info(`Target area created: ${area.county}, ${area.state}`);
+      res.status(201).json({ success: true, data: area });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'Target area already exists' });
+      }
+      logger.error('Error creating target area:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Update target area
+  async updateArea(req, res) {
+    try {
+      const validationError = validateAreaSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const updates = { ...req.body, updatedBy: req.user._id };
+      delete updates.owner;
+      delete updates.createdBy;
+      delete updates.lastRunAt;
+      delete updates.lastRunStatus;
+      if (req.user.role !== 'Admin') delete updates.team;
+
+      const area = await TargetArea.findOneAndUpdate(
+        { ...buildAccessFilter(req.user), _id: req.params.id },
+        updates,
+        { new: true, runValidators: true }
+      );
+
+      if (!area) {
+        return res.status(404).json({ success: false, message: 'Target area not found' });
+      }
+
+      res.json({ success: true, data: area });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'Target area already exists' });
+      }
+      logger.error('Error updating target area:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Delete target area (soft delete)
+  async deleteArea(req, res) {
+    try {
+      const area = await TargetArea.findOneAndUpdate(
+        { ...buildAccessFilter(req.user), _id: req.params.id },
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!area) {
+        return res.status(404).json({ success: false, message: 'Target area not found' });
+      }
+
+      res.json({ success: true, message: 'Target area deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting target area:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new TargetAreaController();
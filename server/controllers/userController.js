@@ -1,5 +1,27 @@
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { isExportFormat, selectColumns, describeColumns, streamExport } = require('../utils/exporter');
+
+const formatDate = (date) => (date ? date.toISOString().split('T')[0] : '');
+
+// Columns available to user exports; extra columns only with fields=
+const EXPORT_COLUMNS = [
+  { key: 'firstName', header: 'First Name', value: user => user.firstName },
+  { key: 'lastName', header: 'Last Name', value: user => user.lastName },
+  { key: 'email', header: 'Email', value: user => user.email },
+  { key: 'phone', header: 'Phone', value: user => user.phone },
+  { key: 'company', header: 'Company', value: user => user.profile?.company },
+  { key: 'title', header: 'Title', value: user => user.profile?.title, extra: true },
+  { key: 'role', header: 'Role', value: user => user.role },
+  { key: 'subscriptionPlan', header: 'Subscription Plan', value: user => user.subscription.plan },
+  { key: 'subscriptionStatus', header: 'Subscription Status', value: user => (user.subscription.isActive ? 'Active' : 'Inactive') },
+  { key: 'subscriptionEndDate', header: 'Subscription End Date', value: user => formatDate(user.subscription.endDate), extra: true },
+  { key: 'isActive', header: 'Is Active', value: user => (user.isActive ? 'Yes' : 'No') },
+  { key: 'isVerified', header: 'Is Verified', value: user => (user.isVerified ? 'Yes' : 'No'), extra: true },
+  { key: 'createdDate', header: 'Created Date', value: user => formatDate(user.createdAt) },
+  { key: 'lastLogin', header: 'Last Login', value: user => (user.activity?.lastLogin ? formatDate(user.activity.lastLogin) : 'Never') },
+  { key: 'loginCount', header: 'Login Count', value: user => user.activity?.loginCount, extra: true }
+];
 
 class UserController {
   // Get all users (Admin only)
@@ -312,10 +334,10 @@ class UserController {
     }
   }
 
-  // Export users
+  // Export users as CSV, XLSX or NDJSON (streamed), or JSON
   async exportUsers(req, res) {
     try {
-      const { format = 'csv', ...filters } = req.query;
+      const { format = 'csv', fields, ...filters } = req.query;
 
       // Only admins can export users
       if (req.user.role !== 'Admin') {
@@ -332,56 +354,27 @@ class UserController {
         }
       });
 
-      const users = await User.find(filter)
-        .select('-password -verificationToken -passwordResetToken -apiAccess.apiKey')
+      const query = User.find(filter)
+        .select('-password -verificationToken -passwordResetToken -apiAccess.apiKey -calendarFeed')
         .sort({ createdAt: -1 });
 
-      if (format === 'csv') {
-        const csv = this.convertToCSV(users);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=users.csv');
-        res.send(csv);
-      } else {
-        res.json({ success: true, data: users });
+      if (isExportFormat(format)) {
+        const { columns, error } = selectColumns(EXPORT_COLUMNS, fields);
+        if (error) {
+          return res.status(400).json({ success: false, message: error, data: { fields: describeColumns(EXPORT_COLUMNS) } });
+        }
+
+        await streamExport(res, { source: query.cursor(), columns, format, filename: 'users', sheetName: 'Users' });
+        return;
       }
+
+      const users = await query;
+      res.json({ success: true, data: users });
     } catch (error) {
       logger.error('Error exporting users:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
-
-  // Convert users to CSV
-  convertToCSV(users) {
-    const headers = [
-      'First Name',
-      'Last Name',
-      'Email',
-      'Phone',
-      'Company',
-      'Role',
-      'Subscription Plan',
-      'Subscription Status',
-      'Is Active',
-      'Created Date',
-      'Last Login'
-    ];
-
-    const rows = users.map(user => [
-      user.firstName,
-      user.lastName,
-      user.email,
-      user.phone || '',
-      user.profile?.company || '',
-      user.role,
-      user.subscription.plan,
-      user.subscription.isActive ? 'Active' : 'Inactive',
-      user.isActive ? 'Yes' : 'No',
-      user.createdAt.toISOString().split('T')[0],
-      user.activity?.lastLogin ? user.activity.lastLogin.toISOString().split('T')[0] : 'Never'
-    ]);
-
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
 }
 
 module.exports = new UserController();
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+const InboundMessageHandler = require('../services/inbound/inboundMessageHandler');
+
+const inbound = new InboundMessageHandler();
+
+// Twilio signs the full public URL, which differs from req's behind a proxy
+const publicUrl = (req) => `${process.env.WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Empty TwiML: replies are handled by users, and Twilio answers STOP itself
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+class WebhookController {
+  // Receive an inbound text from Twilio
+  async receiveSms(req, res) {
+    try {
+      if (!process.env.TWILIO_AUTH_TOKEN) {
+        return res.status(400).json({ success: false, message: 'SMS service not configured' });
+      }
+
+      const signature = req.get('X-Twilio-Signature');
+      if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, publicUrl(req), req.body)) {
+        logger.warn(`Rejected inbound SMS webhook with invalid signature from ${req.ip}`);
+        return res.status(403).json({ success: false, message: 'Invalid signature' });
+      }
+
+      await inbound.handleSms(req.body);
+      res.type('text/xml').send(EMPTY_TWIML);
+    } catch (error) {
+      logger.error('Error handling inbound SMS:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Receive an inbound email from a parse service (SendGrid Inbound Parse, Mailgun routes)
+  async receiveEmail(req, res) {
+    try {
+      if (!process.env.INBOUND_EMAIL_TOKEN) {
+        return res.status(400).json({ success: false, message: 'Inbound email not configured' });
+      }
+      if (!tokensMatch(req.query.token, process.env.INBOUND_EMAIL_TOKEN)) {
+        logger.warn(`Rejected inbound email webhook with invalid token from ${req.ip}`);
+        return res.status(403).json({ success: false, message: 'Invalid token' });
+      }
+
+      const result = await inbound.handleEmail({
+        ...req.body,
+        attachmentNames: (req.files || []).map(file => file.originalname)
+      });
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error handling inbound email:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,28 @@
+const path = require('path');
+const multer = require('multer');
+
+const IMPORT_EXTENSIONS = ['.csv', '.txt', '.xlsx'];
+
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+
+    const error = new Error('Only CSV and Excel (.xlsx) files can be imported');
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+// Inbound email webhooks post the parsed message as multipart form data; attachments
+// are kept in memory only long enough to list their names
+const inboundEmailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 20 }
+});
+
+module.exports = { importUpload, inboundEmailUpload };
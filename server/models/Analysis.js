@@ -61,6 +61,33 @@ const analysisSchema = new mongoose.Schema({
     irr: { type: Number }
   },
 
+  // Liens the buyer takes the property subject to
+  liens: {
+    scenario: { type: String, enum: ['Owner Sale', 'Foreclosure Sale', 'Tax Sale', 'HOA Foreclosure'] },
+    survivingLienPayoff: { type: Number },
+    survivingLiens: [{
+      _id: false,
+      lienholder: { type: String },
+      category: { type: String },
+      payoff: { type: Number },
+      reason: { type: String }
+    }],
+    netEquity: { type: Number },
+    totalLienPayoff: { type: Number },
+    notes: [{ type: String }]
+  },
+
+  // State foreclosure rules for the purchase (see services/dataCollection/foreclosureRules)
+  foreclosure: {
+    state: { type: String },
+    process: { type: String, enum: ['Judicial', 'Non-Judicial'] },
+    expectedAuctionDate: { type: Date },
+    auctionDateProjected: { type: Boolean },
+    redemptionDays: { type: Number },
+    redemptionMonths: { type: Number },
+    redemptionNote: { type: String }
+  },
+
   // Rental Analysis (if applicable)
   rental: {
     monthlyRent: { type: Number },
@@ -75,7 +102,16 @@ const analysisSchema = new mongoose.Schema({
     netOperatingIncome: { type: Number },
     capRate: { type: Number },
     cashFlow: { type: Number },
-    grossRentMultiplier: { type: Number }
+    grossRentMultiplier: { type: Number },
+    // Set when the monthly rent came from the rent estimator rather than the user
+    rentEstimate: {
+      rent: { type: Number },
+      low: { type: Number },
+      high: { type: Number },
+      confidence: { type: Number },
+      method: { type: String },
+      compCount: { type: Number }
+    }
   },
 
   // Market Analysis
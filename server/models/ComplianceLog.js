@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Audit trail of compliance checks on outbound texts and calls: what was checked,
+// the rules it broke and whether the send went ahead.
+const complianceLogSchema = new mongoose.Schema({
+  // What was checked
+  channel: {
+    type: String,
+    enum: ['SMS', 'Call'],
+    required: true
+  },
+  phone: { type: String, required: true },
+  // Number as it was given, when it couldn't be normalized
+  rawPhone: { type: String },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+  purpose: {
+    type: String,
+    enum: ['Marketing', 'Transactional'],
+    default: 'Marketing'
+  },
+  // What asked for the send, e.g. 'sms-notification' or 'workflow'
+  context: { type: String },
+  messagePreview: { type: String },
+
+  // Outcome
+  decision: {
+    type: String,
+    enum: ['Allowed', 'Blocked', 'Flagged'],
+    required: true
+  },
+  // Mode in force: enforce blocks violations, log flags them and lets the send go
+  mode: { type: String, enum: ['enforce', 'log'] },
+  violations: [{
+    _id: false,
+    rule: { type: String, required: true },
+    message: { type: String }
+  }],
+  timeZone: { type: String },
+  localTime: { type: String },
+
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+complianceLogSchema.index({ createdAt: -1 });
+complianceLogSchema.index({ phone: 1, createdAt: -1 });
+complianceLogSchema.index({ decision: 1, createdAt: -1 });
+complianceLogSchema.index({ lead: 1 });
+
+module.exports = mongoose.model('ComplianceLog', complianceLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const CONSENT_METHODS = ['Written', 'Web Form', 'Verbal', 'Inbound Text', 'STOP Reply', 'START Reply', 'Manual'];
+
+// Whether a number has agreed to be texted or called, with every change kept so the
+// consent (or opt-out) in force at any send can be shown later.
+const contactConsentSchema = new mongoose.Schema({
+  // Number in E.164 form (utils/phoneNumber)
+  phone: { type: String, required: true },
+  channel: {
+    type: String,
+    enum: ['SMS', 'Call'],
+    required: true
+  },
+
+  // Current Consent
+  status: {
+    type: String,
+    enum: ['Granted', 'Revoked'],
+    required: true
+  },
+  method: { type: String, enum: CONSENT_METHODS },
+  // Where the consent or opt-out came from, e.g. the form URL or the text received
+  evidence: { type: String },
+  recordedAt: { type: Date, default: Date.now },
+
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+
+  history: [{
+    _id: false,
+    status: { type: String, enum: ['Granted', 'Revoked'] },
+    method: { type: String, enum: CONSENT_METHODS },
+    evidence: { type: String },
+    recordedAt: { type: Date },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+
+  // System Fields
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+contactConsentSchema.index({ phone: 1, channel: 1 }, { unique: true });
+contactConsentSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ContactConsent', contactConsentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A number that must not be called or texted for marketing. Internal entries are
+// added by users or opt-outs; National and State entries come from registry files.
+const doNotCallEntrySchema = new mongoose.Schema({
+  // Number in E.164 form (utils/phoneNumber)
+  phone: { type: String, required: true },
+  list: {
+    type: String,
+    enum: ['Internal', 'National', 'State'],
+    required: true
+  },
+  // Two-letter code for state registry entries
+  state: { type: String, uppercase: true, default: null },
+
+  // Entry Details
+  reason: { type: String },
+  // Registry file name, or what added an internal entry
+  source: { type: String },
+  importedAt: { type: Date },
+
+  // System Fields
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+doNotCallEntrySchema.index({ phone: 1, list: 1, state: 1 }, { unique: true });
+doNotCallEntrySchema.index({ list: 1, state: 1, importedAt: 1 });
+
+module.exports = mongoose.model('DoNotCallEntry', doNotCallEntrySchema);
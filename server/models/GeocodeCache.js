@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const geocodeCacheSchema = new mongoose.Schema({
+  // Lookup Key - canonical address key from utils/addressNormalizer
+  addressKey: { type: String, required: true },
+  query: { type: String },
+
+  // Result - misses are cached too (found: false) so unknown addresses aren't looked up every run
+  found: { type: Boolean, default: true },
+  lat: { type: Number },
+  lng: { type: Number },
+  precision: {
+    type: String,
+    enum: ['Rooftop', 'Interpolated', 'Approximate', 'ZIP Centroid']
+  },
+  confidence: { type: Number, min: 0, max: 100 },
+  provider: { type: String },
+  matchedAddress: { type: String },
+
+  // Cache Lifetime - misses and low-precision results are removed at expiresAt and looked up again
+  expiresAt: { type: Date },
+  hits: { type: Number, default: 0 },
+  lastUsedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+geocodeCacheSchema.index({ addressKey: 1 }, { unique: true });
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const importTemplateSchema = new mongoose.Schema({
+  // Template Identification
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  listType: {
+    type: String,
+    enum: ['Tax Delinquent', 'Probate', 'NOD', 'Lis Pendens', 'Auction', 'Code Violation', 'Other'],
+    default: 'Other'
+  },
+
+  // Column Mapping
+  // field is a Property path (e.g. 'owner.name') or a Lead path prefixed with 'lead.' (e.g. 'lead.contact.phone').
+  // 'address.full' parses a single-column address into street, city, state and ZIP.
+  mapping: [{
+    column: { type: String, required: true },
+    field: { type: String, required: true }
+  }],
+  // Values applied to every row when the file leaves them blank, keyed by field path
+  defaults: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Import Settings
+  // Provenance source label for imported values (see propertyMerger SOURCE_CONFIDENCE)
+  source: { type: String, default: 'Manual Collection' },
+  createLeads: { type: Boolean, default: true },
+
+  // Ownership
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+
+  // Usage Tracking
+  lastUsedAt: { type: Date },
+  useCount: { type: Number, default: 0 },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+importTemplateSchema.index({ owner: 1, isActive: 1 });
+importTemplateSchema.index({ team: 1, isActive: 1 });
+
+module.exports = mongoose.model('ImportTemplate', importTemplateSchema);
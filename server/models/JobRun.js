@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const countsSchema = {
+  found: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }
+};
+
+const jobRunSchema = new mongoose.Schema({
+  // Job Identification
+  job: { type: String, required: true },
+  trigger: {
+    type: String,
+    enum: ['Scheduled', 'Manual'],
+    default: 'Scheduled'
+  },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Run Status
+  status: {
+    type: String,
+    enum: ['Running', 'Success', 'Partial', 'Failed'],
+    default: 'Running'
+  },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  duration: { type: Number }, // milliseconds
+
+  // Per-area, per-source collection counts
+  areas: [{
+    targetArea: { type: mongoose.Schema.Types.ObjectId, ref: 'TargetArea' },
+    county: { type: String },
+    state: { type: String },
+    sources: [{
+      source: { type: String, required: true },
+      name: { type: String },
+      ...countsSchema,
+      duration: { type: Number }
+    }]
+  }],
+
+  // Run totals (processed is used by jobs that update existing records)
+  totals: {
+    ...countsSchema,
+    processed: { type: Number, default: 0 }
+  },
+
+  // Job-specific results, e.g. enrichment or lead scoring counts
+  details: { type: mongoose.Schema.Types.Mixed },
+
+  errorLog: [{
+    message: { type: String, required: true },
+    source: { type: String },
+    county: { type: String },
+    state: { type: String },
+    date: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+jobRunSchema.index({ startedAt: -1 });
+
+// Method to record counts for one source in one area (area is null for national sources)
+jobRunSchema.methods.recordSource = function(area, adapter, counts, duration) {
+  const county = area ? area.county : null;
+  const state = area ? area.state : null;
+
+  let areaEntry = this.areas.find(entry => entry.county === county && entry.state === state);
+  if (!areaEntry) {
+    this.areas.push({ targetArea: area ? area._id : undefined, county, state, sources: [] });
+    areaEntry = this.areas[this.areas.length - 1];
+  }
+
+  areaEntry.sources.push({
+    source: adapter.id,
+    name: adapter.name,
+    found: counts.found || 0,
+    created: counts.created || 0,
+    updated: counts.updated || 0,
+    failed: counts.failed || 0,
+    duration
+  });
+
+  this.totals.found += counts.found || 0;
+  this.totals.created += counts.created || 0;
+  this.totals.updated += counts.updated || 0;
+  this.totals.failed += counts.failed || 0;
+};
+
+// Method to record an error
+jobRunSchema.methods.addError = function(message, context = {}) {
+  this.errorLog.push({ message, ...context });
+  this.totals.failed += 1;
+};
+
+// Method to close the run
+jobRunSchema.methods.finish = function(status) {
+  this.completedAt = new Date();
+  this.duration = this.completedAt - this.startedAt;
+  this.status = status || (this.totals.failed > 0 ? 'Partial' : 'Success');
+  return this.save();
+};
+
+// Latest run for each job
+jobRunSchema.statics.getLastRuns = async function() {
+  const lastRuns = await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: '$job',
+        runId: { $first: '$_id' },
+        status: { $first: '$status' },
+        startedAt: { $first: '$startedAt' },
+        completedAt: { $first: '$completedAt' },
+        duration: { $first: '$duration' },
+        totals: { $first: '$totals' }
+      }
+    }
+  ]);
+
+  return lastRuns.reduce((result, run) => {
+    result[run._id] = run;
+    return result;
+  }, {});
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -19,7 +19,43 @@ const leadSchema = new mongoose.Schema({
     email: { type: String },
     preferredContact: { type: String, enum: ['Phone', 'Email', 'Text', 'Mail'], default: 'Phone' },
     bestTimeToCall: { type: String },
-    timeZone: { type: String, default: 'America/New_York' }
+    timeZone: { type: String, default: 'America/New_York' },
+    // Set when the owner replies asking not to be emailed
+    doNotEmail: { type: Boolean, default: false },
+    emailOptedOutAt: { type: Date }
+  },
+
+  // Skip Tracing (owner contact details appended by services/skipTrace)
+  skipTrace: {
+    status: { type: String, enum: ['Found', 'Not Found'] },
+    provider: { type: String },
+    tracedAt: { type: Date },
+    lookups: { type: Number, default: 0 },
+    // Total spent on lookups for this lead; each lookup is also a campaign touchpoint
+    cost: { type: Number, default: 0 },
+    ownerName: { type: String },
+    phones: [{
+      _id: false,
+      number: { type: String, required: true },
+      type: { type: String, enum: ['Mobile', 'Landline', 'VoIP', 'Unknown'], default: 'Unknown' },
+      confidence: { type: Number, min: 0, max: 100 }
+    }],
+    emails: [{
+      _id: false,
+      address: { type: String, required: true },
+      confidence: { type: Number, min: 0, max: 100 }
+    }],
+    relatives: [{
+      _id: false,
+      name: { type: String },
+      relationship: { type: String },
+      phone: { type: String }
+    }],
+    mailingAddresses: [{
+      _id: false,
+      address: { type: String, required: true },
+      confidence: { type: Number, min: 0, max: 100 }
+    }]
   },
 
   // Lead Status and Priority
@@ -42,12 +78,19 @@ const leadSchema = new mongoose.Schema({
   // Lead Scoring
   score: {
     total: { type: Number, min: 0, max: 100, default: 0 },
-    factors: {
-      motivation: { type: Number, min: 0, max: 25, default: 0 },
-      timeline: { type: Number, min: 0, max: 25, default: 0 },
-      equity: { type: Number, min: 0, max: 25, default: 0 },
-      condition: { type: Number, min: 0, max: 25, default: 0 }
-    }
+    // Weighted points per factor of the scoring profile, e.g. { motivation: 15, timeline: 20 }
+    factors: { type: Map, of: Number, default: {} },
+    // Scoring profile version that produced the score (see services/scoring/leadScorer)
+    profile: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringProfile' },
+    profileKey: { type: String },
+    profileVersion: { type: Number },
+    scoredAt: { type: Date }
+  },
+  // Signal values from the lead's first scoring, kept as they were so backtests
+  // don't score with property data recorded after the lead came in
+  scoreSnapshot: {
+    signals: { type: mongoose.Schema.Types.Mixed },
+    takenAt: { type: Date }
   },
 
   // Communication History
@@ -68,7 +111,14 @@ const leadSchema = new mongoose.Schema({
     content: { type: String, required: true },
     outcome: { type: String },
     nextAction: { type: String },
-    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+    // Replies received through the inbound webhooks have no author
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: function() { return this.direction === 'Outbound'; }
+    },
+    // Provider message id (Twilio MessageSid, email Message-ID), so redelivered webhooks aren't added twice
+    externalId: { type: String }
   }],
 
   // Lead Details
@@ -166,10 +216,13 @@ leadSchema.index({ leadId: 1 });
 leadSchema.index({ property: 1 });
 leadSchema.index({ 'contact.phone': 1 });
 leadSchema.index({ 'contact.email': 1 });
+leadSchema.index({ 'skipTrace.tracedAt': 1 });
+leadSchema.index({ 'communications.externalId': 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ priority: 1 });
 leadSchema.index({ assignedTo: 1 });
 leadSchema.index({ 'score.total': -1 });
+leadSchema.index({ 'score.profileKey': 1, 'score.profileVersion': 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ 'followUp.nextActionDate': 1 });
 
@@ -190,20 +243,20 @@ leadSchema.virtual('communicationCount').get(function() {
   return this.communications.length;
 });
 
-// Pre-save middleware
-leadSchema.pre('save', function(next) {
-  // Generate lead ID if not present
+// Generate lead ID before validation, since leadId is required
+leadSchema.pre('validate', function(next) {
   if (!this.leadId) {
     const crypto = require('crypto');
     this.leadId = 'LEAD-' + crypto.randomBytes(4).toString('hex').toUpperCase();
   }
-  
+  next();
+});
+
+// Pre-save middleware
+leadSchema.pre('save', function(next) {
   // Calculate lead score
-  this.score.total = 
-    this.score.factors.motivation +
-    this.score.factors.timeline +
-    this.score.factors.equity +
-    this.score.factors.condition;
+  const factorScores = Array.from(this.score.factors.values());
+  this.score.total = Math.round(factorScores.reduce((total, score) => total + score, 0) * 10) / 10;
   
   // Calculate data quality
   let completeness = 0;
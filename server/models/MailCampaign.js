@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const addressSchema = {
+  name: { type: String },
+  company: { type: String },
+  street: { type: String },
+  unit: { type: String },
+  city: { type: String },
+  state: { type: String },
+  zipCode: { type: String }
+};
+
+// A direct-mail drop: one template sent to the leads on a saved search's properties
+const mailCampaignSchema = new mongoose.Schema({
+  // Campaign Identification
+  name: { type: String, required: true, trim: true },
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'MailTemplate', required: true },
+  savedSearch: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+  // Set when the campaign records a drip sequence mail step's pieces
+  sequence: { type: mongoose.Schema.Types.ObjectId, ref: 'Sequence' },
+
+  status: {
+    type: String,
+    enum: ['Draft', 'Ready', 'Sending', 'Sent', 'Cancelled'],
+    default: 'Draft'
+  },
+
+  // Delivery - Export: pieces are exported for a print vendor and marked mailed once
+  // dropped; Provider: each piece is sent through the mail API in MAIL_PROVIDER
+  delivery: {
+    method: { type: String, enum: ['Export', 'Provider'], default: 'Export' },
+    provider: { type: String },
+    // Printing and postage per piece, charged to each lead's campaign costs
+    costPerPiece: { type: Number, min: 0, default: 0 },
+    mailClass: { type: String, enum: ['First Class', 'Standard'], default: 'First Class' }
+  },
+  returnAddress: addressSchema,
+
+  // Piece counts, kept current as pieces are built, mailed and tracked
+  totals: {
+    pieces: { type: Number, default: 0 },
+    mailed: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    returned: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 }
+  },
+  // Properties on the saved search left out of the campaign, by reason
+  skipped: { type: mongoose.Schema.Types.Mixed },
+  builtAt: { type: Date },
+  mailedAt: { type: Date },
+
+  // Ownership
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+mailCampaignSchema.index({ createdBy: 1, createdAt: -1 });
+mailCampaignSchema.index({ status: 1 });
+mailCampaignSchema.index({ owner: 1, isActive: 1 });
+mailCampaignSchema.index({ team: 1, isActive: 1 });
+
+module.exports = mongoose.model('MailCampaign', mailCampaignSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const PIECE_STATUSES = ['Pending', 'Mailed', 'In Transit', 'Delivered', 'Returned', 'Failed'];
+
+// One letter or postcard in a mail campaign, addressed to a lead's owner
+const mailPieceSchema = new mongoose.Schema({
+  // References
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'MailCampaign', required: true },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+  property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+  // Short id printed on the piece, so responses can be traced back to it
+  pieceId: { type: String, required: true },
+
+  // Recipient mailing address
+  recipient: {
+    name: { type: String, required: true },
+    street: { type: String, required: true },
+    unit: { type: String },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zipCode: { type: String, required: true },
+    // Where the address came from: Skip Trace, Owner Mailing Address or Property
+    source: { type: String }
+  },
+
+  // Merge field values captured when the campaign was built, so proofs, exports and
+  // mailed pieces all read the same
+  mergeData: { type: mongoose.Schema.Types.Mixed },
+
+  // Delivery Tracking
+  status: { type: String, enum: PIECE_STATUSES, default: 'Pending' },
+  providerId: { type: String },
+  expectedDeliveryDate: { type: Date },
+  mailedAt: { type: Date },
+  cost: { type: Number, default: 0 },
+  trackingEvents: [{
+    _id: false,
+    status: { type: String },
+    description: { type: String },
+    date: { type: Date }
+  }],
+  error: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+mailPieceSchema.index({ campaign: 1, lead: 1 }, { unique: true });
+mailPieceSchema.index({ campaign: 1, status: 1 });
+mailPieceSchema.index({ pieceId: 1 }, { unique: true });
+mailPieceSchema.index({ providerId: 1 });
+
+module.exports = mongoose.model('MailPiece', mailPieceSchema);
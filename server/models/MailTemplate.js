@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A letter or postcard design. Content is HTML with merge fields such as
+// {{recipient.firstName|Homeowner}} (see services/mail/letterRenderer for the list).
+const mailTemplateSchema = new mongoose.Schema({
+  // Template Identification
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  format: {
+    type: String,
+    enum: ['Letter', 'Postcard'],
+    required: true
+  },
+  // Trim size in inches: 8.5x11 for letters; 4x6, 6x9 or 6x11 (height x width) for postcards
+  size: { type: String, enum: ['8.5x11', '4x6', '6x9', '6x11'], default: '8.5x11' },
+
+  // Content - letter body, or the postcard front. The postcard back holds the message;
+  // the address block is added to the back (or the letter's envelope window) on render.
+  html: { type: String, required: true },
+  backHtml: { type: String },
+  // Merge fields the content uses, filled in on save
+  mergeFields: [{ type: String }],
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+mailTemplateSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('MailTemplate', mailTemplateSchema);
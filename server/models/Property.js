@@ -1,19 +1,39 @@
 const mongoose = require('mongoose');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+const logger = require('../utils/logger');
 
 const propertySchema = new mongoose.Schema({
   // Basic Property Information
   address: {
     street: { type: String, required: true },
+    unit: { type: String },
     city: { type: String, required: true },
     state: { type: String, required: true },
     zipCode: { type: String, required: true },
+    zipPlus4: { type: String },
     county: { type: String, required: true },
     coordinates: {
       lat: { type: Number },
       lng: { type: Number }
+    },
+    // How the coordinates were found (see services/geocoding)
+    geocode: {
+      provider: { type: String },
+      precision: { type: String, enum: ['Rooftop', 'Interpolated', 'Approximate', 'ZIP Centroid'] },
+      confidence: { type: Number, min: 0, max: 100 },
+      geocodedAt: { type: Date }
     }
   },
 
+  // GeoJSON point ([lng, lat]) for geospatial queries, kept in sync with address.coordinates
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+
+  // Canonical address identity (normalized street|unit|city|state) used for dedupe
+  addressKey: { type: String },
+
   // Property Details
   propertyType: {
     type: String,
@@ -47,6 +67,47 @@ const propertySchema = new mongoose.Schema({
     estimatedEquity: { type: Number }
   },
 
+  // Foreclosure Event History - appended as the case progresses
+  foreclosureEvents: [{
+    type: {
+      type: String,
+      enum: [
+        'NOD Recorded',
+        'Lis Pendens',
+        'Sale Scheduled',
+        'Sale Postponed',
+        'Sale Cancelled',
+        'Sold to Third Party',
+        'Reverted to Lender'
+      ],
+      required: true
+    },
+    date: { type: Date, required: true },
+    auctionDate: { type: Date },
+    previousAuctionDate: { type: Date },
+    openingBid: { type: Number },
+    caseNumber: { type: String },
+    source: { type: String },
+    notes: { type: String },
+    recordedAt: { type: Date, default: Date.now },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+
+  // State foreclosure rules applied to this case (see services/dataCollection/foreclosureRules)
+  foreclosureProjection: {
+    state: { type: String },
+    process: { type: String, enum: ['Judicial', 'Non-Judicial'] },
+    typicalDays: { type: Number }, // notice of default or complaint to sale
+    expectedAuctionDate: { type: Date },
+    auctionDateProjected: { type: Boolean, default: false },
+    redemptionDays: { type: Number },
+    redemptionEndsAt: { type: Date },
+    inRedemption: { type: Boolean, default: false },
+    redemptionNote: { type: String },
+    notices: [{ type: String }],
+    projectedAt: { type: Date }
+  },
+
   // Financial Information
   financials: {
     currentValue: { type: Number },
@@ -65,6 +126,12 @@ const propertySchema = new mongoose.Schema({
     enum: ['Excellent', 'Good', 'Fair', 'Poor', 'Unknown'],
     default: 'Unknown'
   },
+
+  occupancy: {
+    type: String,
+    enum: ['Owner Occupied', 'Tenant Occupied', 'Vacant', 'Unknown'],
+    default: 'Unknown'
+  },
   
   repairs: [{
     category: { type: String, required: true },
@@ -100,9 +167,71 @@ const propertySchema = new mongoose.Schema({
     amount: { type: Number, required: true },
     lienholder: { type: String, required: true },
     dateRecorded: { type: Date },
-    priority: { type: Number }
+    priority: { type: Number },
+    // Date the amount was stated (e.g. a payoff letter); interest accrues from here
+    amountAsOf: { type: Date },
+    interestRate: { type: Number }, // annual percentage
+    monthlyAssessment: { type: Number }, // HOA liens, for the super-priority portion
+    isForeclosing: { type: Boolean }
   }],
 
+  // Lien waterfall: payoffs and net equity for each way the property can be sold
+  equityAnalysis: {
+    value: { type: Number },
+    valueSource: { type: String },
+    totalLienPayoff: { type: Number },
+    liens: [{
+      _id: false,
+      position: { type: Number },
+      type: { type: String },
+      category: { type: String },
+      lienholder: { type: String },
+      payoff: { type: Number },
+      accruedInterest: { type: Number },
+      isForeclosing: { type: Boolean }
+    }],
+    scenarios: [{
+      _id: false,
+      scenario: { type: String, enum: ['Owner Sale', 'Foreclosure Sale', 'Tax Sale', 'HOA Foreclosure'] },
+      price: { type: Number },
+      sellingCosts: { type: Number },
+      survivingLienPayoff: { type: Number },
+      // Positions of the liens a buyer takes the property subject to
+      survivingLiens: [{ type: Number }],
+      netEquity: { type: Number },
+      notes: [{ type: String }]
+    }],
+    analyzedAt: { type: Date }
+  },
+
+  // Title and lien risks to check before bidding; level is the worst flag's severity
+  titleRisk: {
+    level: { type: String, enum: ['None', 'Low', 'Medium', 'High'] },
+    flags: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: [
+          'Bankruptcy Stay',
+          'IRS Redemption Right',
+          'Surviving Senior Lien',
+          'Municipal Lien',
+          'HOA Super-Priority Lien',
+          'Delinquent Taxes',
+          'State Tax Lien',
+          'Mechanics Lien',
+          'Unknown Lien Priority',
+          'Redemption Period'
+        ]
+      },
+      severity: { type: String, enum: ['Low', 'Medium', 'High'] },
+      explanation: { type: String },
+      lienholder: { type: String },
+      amount: { type: Number }
+    }],
+    evaluatedAt: { type: Date }
+  },
+
   // Market Data
   marketData: {
     daysOnMarket: { type: Number },
@@ -112,18 +241,101 @@ const propertySchema = new mongoose.Schema({
       event: { type: String }
     }],
     comparableSales: [{
+      sale: { type: mongoose.Schema.Types.ObjectId, ref: 'RecordedSale' },
       address: { type: String },
       salePrice: { type: Number },
       saleDate: { type: Date },
       squareFeet: { type: Number },
-      distance: { type: Number }
+      bedrooms: { type: Number },
+      bathrooms: { type: Number },
+      yearBuilt: { type: Number },
+      pricePerSqFt: { type: Number },
+      distance: { type: Number },
+      adjustments: {
+        time: { type: Number },
+        size: { type: Number },
+        bedrooms: { type: Number },
+        bathrooms: { type: Number },
+        age: { type: Number }
+      },
+      adjustedPrice: { type: Number },
+      grossAdjustment: { type: Number },
+      similarity: { type: Number },
+      weight: { type: Number }
+    }],
+    // Value reconciled from the adjusted comparable sales
+    compsValue: {
+      value: { type: Number },
+      low: { type: Number },
+      high: { type: Number },
+      confidence: { type: Number, min: 0, max: 100 },
+      compCount: { type: Number },
+      estimatedAt: { type: Date }
+    },
+    comparableRentals: [{
+      rental: { type: mongoose.Schema.Types.ObjectId, ref: 'RentalComp' },
+      address: { type: String },
+      monthlyRent: { type: Number },
+      leaseDate: { type: Date },
+      bedrooms: { type: Number },
+      bathrooms: { type: Number },
+      squareFeet: { type: Number },
+      distance: { type: Number },
+      adjustments: {
+        time: { type: Number },
+        size: { type: Number },
+        bedrooms: { type: Number },
+        bathrooms: { type: Number }
+      },
+      adjustedRent: { type: Number },
+      similarity: { type: Number },
+      weight: { type: Number }
     }],
+    // Monthly rent estimated from comparable rentals and HUD Fair Market Rents
+    rentEstimate: {
+      rent: { type: Number },
+      low: { type: Number },
+      high: { type: Number },
+      confidence: { type: Number, min: 0, max: 100 },
+      method: { type: String, enum: ['Rent Comps', 'Rent Comps + Fair Market Rent', 'Fair Market Rent'] },
+      compCount: { type: Number },
+      fairMarketRent: {
+        rent: { type: Number },
+        bedrooms: { type: Number },
+        area: { type: String },
+        source: { type: String }
+      },
+      estimatedAt: { type: Date }
+    },
     neighborhoodStats: {
       medianPrice: { type: Number },
       averageDaysOnMarket: { type: Number },
       pricePerSqFt: { type: Number },
-      inventory: { type: Number }
-    }
+      inventory: { type: Number },
+      salesCount: { type: Number }
+    },
+    lastUpdated: { type: Date }
+  },
+
+  // Automated Valuation
+  valuation: {
+    value: { type: Number },
+    low: { type: Number },
+    high: { type: Number },
+    confidence: { type: Number, min: 0, max: 100 },
+    approaches: [{
+      _id: false,
+      approach: { type: String, enum: ['Comparable Sales', 'Price per Sq Ft', 'Assessed Value'] },
+      value: { type: Number },
+      low: { type: Number },
+      high: { type: Number },
+      confidence: { type: Number },
+      weight: { type: Number },
+      explanation: { type: String }
+    }],
+    factors: [{ type: String }],
+    valuedAt: { type: Date },
+    modelVersion: { type: String }
   },
 
   // Lead Information
@@ -156,6 +368,16 @@ const propertySchema = new mongoose.Schema({
     verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
   },
 
+  // Field Provenance - where the current value of each field came from
+  provenance: [{
+    field: { type: String, required: true },
+    source: { type: String },
+    observedAt: { type: Date },
+    confidence: { type: Number, min: 0, max: 100 },
+    isManual: { type: Boolean, default: false },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+
   // System Fields
   isActive: { type: Boolean, default: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -168,16 +390,24 @@ const propertySchema = new mongoose.Schema({
 
 // Indexes for better performance
 propertySchema.index({ 'address.street': 1, 'address.city': 1, 'address.state': 1 });
+propertySchema.index({ addressKey: 1 }, { unique: true, sparse: true });
 propertySchema.index({ foreclosureStatus: 1 });
 propertySchema.index({ 'foreclosureDetails.auctionDate': 1 });
+propertySchema.index({ 'foreclosureEvents.type': 1, 'foreclosureEvents.date': -1 });
+propertySchema.index({ 'foreclosureProjection.expectedAuctionDate': 1 });
 propertySchema.index({ 'leadInfo.assignedTo': 1 });
 propertySchema.index({ 'leadInfo.status': 1 });
 propertySchema.index({ 'leadInfo.priority': 1 });
 propertySchema.index({ createdAt: -1 });
+propertySchema.index({ location: '2dsphere' });
+propertySchema.index({ 'titleRisk.level': 1 });
+propertySchema.index({ 'titleRisk.flags.type': 1 });
 
 // Virtual for full address
 propertySchema.virtual('fullAddress').get(function() {
-  return `${this.address.street}, ${this.address.city}, ${this.address.state} ${this.address.zipCode}`;
+  const street = this.address.unit ? `${this.address.street} ${this.address.unit}` : this.address.street;
+  const zip = this.address.zipPlus4 ? `${this.address.zipCode}-${this.address.zipPlus4}` : this.address.zipCode;
+  return `${street}, ${this.address.city}, ${this.address.state} ${zip}`;
 });
 
 // Virtual for estimated profit
@@ -188,6 +418,58 @@ propertySchema.virtual('estimatedProfit').get(function() {
   return null;
 });
 
+// Normalize the address and keep the canonical key in sync
+propertySchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const normalized = normalizeAddress({
+      street: this.address.street,
+      unit: this.address.unit,
+      city: this.address.city,
+      state: this.address.state,
+      zipCode: this.address.zipCode
+    });
+
+    if (normalized && normalized.key) {
+      this.address.street = normalized.street;
+      this.address.unit = normalized.unit;
+      this.address.city = normalized.city;
+      this.address.state = normalized.state;
+      this.address.zipCode = normalized.zipCode;
+      if (normalized.zipPlus4) this.address.zipPlus4 = normalized.zipPlus4;
+      this.addressKey = normalized.key;
+    }
+  }
+  next();
+});
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Keep the GeoJSON point in sync with the lat/lng coordinates. The 2dsphere index
+// rejects out-of-range points, which would fail the whole save, so a swapped or
+// bad pair leaves the property without a location instead.
+propertySchema.pre('validate', function(next) {
+  const { lat, lng } = this.address.coordinates || {};
+  const current = this.location && this.location.coordinates;
+  const hasPair = typeof lat === 'number' && typeof lng === 'number';
+
+  if (hasPair && isCoordinate(lat, 90) && isCoordinate(lng, 180)) {
+    if (!current || current[0] !== lng || current[1] !== lat) {
+      this.location = { type: 'Point', coordinates: [lng, lat] };
+    }
+  } else {
+    if (hasPair) logger.warn(`Property ${this._id} has out-of-range coordinates (${lat}, ${lng}); location not set`);
+    if (current) this.location = undefined;
+  }
+  next();
+});
+
+// Find the property for an address regardless of formatting
+propertySchema.statics.findByAddress = function(address) {
+  const normalized = normalizeAddress(address);
+  if (!normalized || !normalized.key) return Promise.resolve(null);
+  return this.findOne({ addressKey: normalized.key });
+};
+
 // Pre-save middleware
 propertySchema.pre('save', function(next) {
   // Calculate data quality score
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+
+const recordedSaleSchema = new mongoose.Schema({
+  // Property Address
+  address: {
+    street: { type: String, required: true },
+    unit: { type: String },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zipCode: { type: String },
+    county: { type: String },
+    coordinates: {
+      lat: { type: Number },
+      lng: { type: Number }
+    }
+  },
+  addressKey: { type: String },
+  parcelNumber: { type: String },
+
+  // GeoJSON point ([lng, lat]) kept in sync with address.coordinates
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+
+  // Property Characteristics at Sale
+  propertyType: {
+    type: String,
+    enum: ['Single Family', 'Condo', 'Townhouse', 'Multi-Family', 'Commercial', 'Land']
+  },
+  bedrooms: { type: Number, min: 0 },
+  bathrooms: { type: Number, min: 0 },
+  squareFeet: { type: Number, min: 0 },
+  lotSize: { type: Number, min: 0 },
+  yearBuilt: { type: Number },
+  // Tax assessed value at the time of the file, used for county sales-to-assessment ratios
+  assessedValue: { type: Number, min: 0 },
+
+  // Sale Details
+  salePrice: { type: Number, required: true, min: 0 },
+  saleDate: { type: Date, required: true },
+  documentType: { type: String },
+  documentNumber: { type: String },
+  // Foreclosure, quitclaim, related-party and nominal sales don't reflect market value
+  armsLength: { type: Boolean, default: true },
+
+  // Source
+  source: { type: String, default: 'County Records' },
+  sourceFile: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+recordedSaleSchema.index({ location: '2dsphere' });
+recordedSaleSchema.index({ addressKey: 1, saleDate: 1, salePrice: 1 }, { unique: true });
+recordedSaleSchema.index({ 'address.zipCode': 1, saleDate: -1 });
+recordedSaleSchema.index({ saleDate: -1 });
+recordedSaleSchema.index({ 'address.county': 1, 'address.state': 1, saleDate: -1 });
+
+// Normalize the address and keep the canonical key and GeoJSON point in sync
+recordedSaleSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const normalized = normalizeAddress(this.address.toObject ? this.address.toObject() : this.address);
+    if (normalized && normalized.key) {
+      this.address.street = normalized.street;
+      this.address.unit = normalized.unit;
+      this.address.city = normalized.city;
+      this.address.state = normalized.state;
+      if (normalized.zipCode) this.address.zipCode = normalized.zipCode;
+      this.addressKey = normalized.key;
+    }
+  }
+
+  const { lat, lng } = this.address.coordinates || {};
+  this.location = typeof lat === 'number' && typeof lng === 'number'
+    ? { type: 'Point', coordinates: [lng, lat] }
+    : undefined;
+  next();
+});
+
+// Price per square foot of living area
+recordedSaleSchema.virtual('pricePerSqFt').get(function() {
+  return this.squareFeet ? Math.round(this.salePrice / this.squareFeet) : null;
+});
+
+module.exports = mongoose.model('RecordedSale', recordedSaleSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+
+const rentalCompSchema = new mongoose.Schema({
+  // Rental Address
+  address: {
+    street: { type: String, required: true },
+    unit: { type: String },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zipCode: { type: String },
+    county: { type: String },
+    coordinates: {
+      lat: { type: Number },
+      lng: { type: Number }
+    }
+  },
+  addressKey: { type: String },
+
+  // GeoJSON point ([lng, lat]) kept in sync with address.coordinates
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+
+  // Unit Characteristics
+  propertyType: {
+    type: String,
+    enum: ['Single Family', 'Condo', 'Townhouse', 'Multi-Family', 'Commercial', 'Land']
+  },
+  bedrooms: { type: Number, min: 0 },
+  bathrooms: { type: Number, min: 0 },
+  squareFeet: { type: Number, min: 0 },
+
+  // Lease Details
+  monthlyRent: { type: Number, required: true, min: 0 },
+  // Lease start, or the listing date for asking rents
+  leaseDate: { type: Date, required: true },
+
+  // Source
+  source: { type: String, default: 'Rent Comps' },
+  sourceFile: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rentalCompSchema.index({ location: '2dsphere' });
+rentalCompSchema.index({ addressKey: 1, leaseDate: 1, monthlyRent: 1 }, { unique: true });
+rentalCompSchema.index({ 'address.zipCode': 1, leaseDate: -1 });
+
+// Normalize the address and keep the canonical key and GeoJSON point in sync
+rentalCompSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const normalized = normalizeAddress(this.address.toObject ? this.address.toObject() : this.address);
+    if (normalized && normalized.key) {
+      this.address.street = normalized.street;
+      this.address.unit = normalized.unit;
+      this.address.city = normalized.city;
+      this.address.state = normalized.state;
+      if (normalized.zipCode) this.address.zipCode = normalized.zipCode;
+      this.addressKey = normalized.key;
+    }
+  }
+
+  const { lat, lng } = this.address.coordinates || {};
+  this.location = typeof lat === 'number' && typeof lng === 'number'
+    ? { type: 'Point', coordinates: [lng, lat] }
+    : undefined;
+  next();
+});
+
+// Rent per square foot of living area
+rentalCompSchema.virtual('rentPerSqFt').get(function() {
+  return this.squareFeet ? Math.round((this.monthlyRent / this.squareFeet) * 100) / 100 : null;
+});
+
+module.exports = mongoose.model('RentalComp', rentalCompSchema);
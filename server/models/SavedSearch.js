@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  // Search Identification
+  name: { type: String, required: true, trim: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Search Criteria - same vocabulary as the getProperties query (see utils/propertyFilter)
+  criteria: {
+    county: { type: String, trim: true },
+    state: { type: String, trim: true },
+    status: { type: String },
+    priority: { type: String },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    foreclosureStatus: [String],
+    propertyType: [String],
+    minPrice: { type: Number },
+    maxPrice: { type: Number },
+    minEquity: { type: Number },
+    maxEquity: { type: Number },
+    titleRisk: [String],
+    titleFlag: [String],
+    excludeTitleFlag: [String],
+    search: { type: String, trim: true },
+    near: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 }
+    },
+    miles: { type: Number, min: 0 },
+    polygon: { type: String },
+    shape: { type: mongoose.Schema.Types.Mixed }
+  },
+
+  // Alert Settings - channels are also gated by the user's notification preferences
+  alerts: {
+    isEnabled: { type: Boolean, default: true },
+    newMatches: { type: Boolean, default: true },
+    priceDrops: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: false },
+    socket: { type: Boolean, default: true }
+  },
+
+  // Match Tracking
+  lastCheckedAt: { type: Date, default: Date.now },
+  lastMatchedAt: { type: Date },
+  totalMatches: { type: Number, default: 0 },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, isActive: 1 });
+savedSearchSchema.index({ isActive: 1, 'alerts.isEnabled': 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
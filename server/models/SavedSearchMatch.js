@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A property a saved search has already alerted on, with the bid it was seen at
+const savedSearchMatchSchema = new mongoose.Schema({
+  search: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', required: true },
+  property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  openingBid: { type: Number },
+  matchedAt: { type: Date, default: Date.now },
+  lastNotifiedAt: { type: Date },
+  lastReason: { type: String, enum: ['New Match', 'Price Drop'], default: 'New Match' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+savedSearchMatchSchema.index({ search: 1, property: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearchMatch', savedSearchMatchSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A version of a lead-scoring profile. Versions are never edited in place: saving
+// changes to a profile adds a new version under the same key, so every lead score
+// can be traced back to the exact factors and weights that produced it.
+const scoringProfileSchema = new mongoose.Schema({
+  // Profile Identification
+  key: { type: String, required: true, trim: true, lowercase: true },
+  version: { type: Number, required: true, default: 1 },
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  // Only the latest version of a profile is current
+  isCurrent: { type: Boolean, default: true },
+
+  // Factors add up to the lead score. Each factor's rules award 0-100 points, scaled
+  // by its weight; weights add up to 100 so scores stay on a 0-100 scale.
+  factors: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String },
+    weight: { type: Number, required: true, min: 0, max: 100 },
+    // sum: add the points of every matching rule; max: the best match; first: the first match
+    combine: { type: String, enum: ['sum', 'max', 'first'], default: 'sum' },
+    // Points when no rule matches
+    defaultPoints: { type: Number, default: 0 },
+    rules: [{
+      _id: false,
+      label: { type: String },
+      // Signal conditions, all of which must hold, e.g. { daysToDeadline: { lt: 30 }, vacant: true }
+      when: { type: mongoose.Schema.Types.Mixed, required: true },
+      points: { type: Number, required: true }
+    }]
+  }],
+
+  // Scoring Assignment
+  // The default profile scores every lead not allocated to another profile
+  isDefault: { type: Boolean, default: false },
+  // Share of leads (%) scored with this profile for A/B comparison against the default
+  allocation: { type: Number, min: 0, max: 100, default: 0 },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+scoringProfileSchema.index({ key: 1, version: -1 }, { unique: true });
+scoringProfileSchema.index({ isCurrent: 1, isActive: 1 });
+
+// Virtual for total weight, which must be 100
+scoringProfileSchema.virtual('totalWeight').get(function() {
+  return this.factors.reduce((total, factor) => total + factor.weight, 0);
+});
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
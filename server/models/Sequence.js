@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const STEP_TYPES = ['Email', 'SMS', 'Task', 'Mail'];
+
+// One step of a drip sequence, run its delay after the previous step (or enrollment)
+const stepSchema = new mongoose.Schema({
+  type: { type: String, enum: STEP_TYPES, required: true },
+  delay: {
+    amount: { type: Number, min: 0, default: 0 },
+    unit: { type: String, enum: ['Hours', 'Days'], default: 'Days' }
+  },
+
+  // Email subject and body, or SMS body; both take the mail template merge fields
+  subject: { type: String },
+  body: { type: String },
+
+  // Task - becomes the lead's next follow-up action
+  task: {
+    action: { type: String },
+    dueInDays: { type: Number, min: 0, default: 0 }
+  },
+
+  // Mail - sent through the mail provider and charged to the lead at costPerPiece
+  mailTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'MailTemplate' },
+  costPerPiece: { type: Number, min: 0, default: 0 },
+  // Campaign the step's pieces are recorded in, created the first time it mails
+  mailCampaign: { type: mongoose.Schema.Types.ObjectId, ref: 'MailCampaign' }
+});
+
+// A drip sequence: email, SMS, task and mail steps run per lead on a delay until the
+// lead finishes the steps or a stop condition is met
+const sequenceSchema = new mongoose.Schema({
+  // Sequence Identification
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  // Paused sequences hold every enrollment where it is
+  status: { type: String, enum: ['Active', 'Paused'], default: 'Active' },
+
+  steps: [stepSchema],
+
+  // Stop Conditions
+  stopOn: {
+    // Lead statuses that end the sequence for a lead
+    statuses: {
+      type: [{ type: String, enum: ['New', 'Contacted', 'Interested', 'Not Interested', 'Under Contract', 'Closed', 'Lost'] }],
+      default: ['Interested', 'Not Interested', 'Under Contract', 'Closed', 'Lost']
+    },
+    // An inbound text or email from the owner ends the sequence
+    reply: { type: Boolean, default: true }
+  },
+
+  // Enrollment - with autoEnroll, new leads on the saved search are enrolled as it matches them
+  savedSearch: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+  autoEnroll: { type: Boolean, default: false },
+
+  // Mail Settings
+  returnAddress: {
+    name: { type: String },
+    company: { type: String },
+    street: { type: String },
+    unit: { type: String },
+    city: { type: String },
+    state: { type: String },
+    zipCode: { type: String }
+  },
+  mailClass: { type: String, enum: ['First Class', 'Standard'], default: 'First Class' },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sequenceSchema.index({ isActive: 1, status: 1 });
+sequenceSchema.index({ autoEnroll: 1, savedSearch: 1 });
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
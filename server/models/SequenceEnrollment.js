@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A lead's place in a drip sequence
+const sequenceEnrollmentSchema = new mongoose.Schema({
+  // References
+  sequence: { type: mongoose.Schema.Types.ObjectId, ref: 'Sequence', required: true },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+
+  status: {
+    type: String,
+    enum: ['Active', 'Paused', 'Completed', 'Stopped'],
+    default: 'Active'
+  },
+  // Index of the next step to run, and when it is due
+  currentStep: { type: Number, default: 0 },
+  nextStepAt: { type: Date },
+
+  // Enrollment
+  source: { type: String, enum: ['Manual', 'Saved Search', 'Workflow'], default: 'Manual' },
+  enrolledAt: { type: Date, default: Date.now },
+  enrolledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // State Changes
+  pausedAt: { type: Date },
+  completedAt: { type: Date },
+  stoppedAt: { type: Date },
+  // Why the sequence ended early, e.g. 'Status: Interested', 'Replied' or 'Stopped manually'
+  stopReason: { type: String },
+
+  // Steps run so far
+  history: [{
+    _id: false,
+    step: { type: Number },
+    type: { type: String },
+    status: { type: String, enum: ['Sent', 'Created', 'Skipped', 'Blocked', 'Failed'] },
+    detail: { type: String },
+    date: { type: Date }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+sequenceEnrollmentSchema.index({ sequence: 1, lead: 1 }, { unique: true });
+sequenceEnrollmentSchema.index({ status: 1, nextStepAt: 1 });
+sequenceEnrollmentSchema.index({ lead: 1, status: 1 });
+
+module.exports = mongoose.model('SequenceEnrollment', sequenceEnrollmentSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const targetAreaSchema = new mongoose.Schema({
+  // Market Identification
+  name: { type: String, trim: true },
+  county: { type: String, required: true, trim: true },
+  state: { type: String, required: true, uppercase: true, trim: true, minlength: 2, maxlength: 2 },
+
+  // Data Collection Settings
+  // Source adapter ids to run for this area; empty runs every adapter that covers it
+  sources: [{ type: String }],
+  // Cron expression for a dedicated collection job; empty uses the daily collection run
+  schedule: { type: String, trim: true },
+  timezone: { type: String, default: 'America/New_York' },
+  isEnabled: { type: Boolean, default: true },
+
+  // Ownership
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+
+  // Run Tracking
+  lastRunAt: { type: Date },
+  lastRunStatus: { type: String, enum: ['Success', 'Failed'] },
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+targetAreaSchema.index(
+  { county: 1, state: 1, team: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+targetAreaSchema.index({ isActive: 1, isEnabled: 1 });
+targetAreaSchema.index({ owner: 1 });
+targetAreaSchema.index({ team: 1 });
+
+// Virtual for display label
+targetAreaSchema.virtual('label').get(function() {
+  return this.name || `${this.county}, ${this.state}`;
+});
+
+module.exports = mongoose.model('TargetArea', targetAreaSchema);
@@ -106,6 +106,13 @@ const userSchema = new mongoose.Schema({
     lastUsed: { type: Date }
   },
 
+  // Auction calendar feed - calendar apps can't send a JWT, so the feed URL carries a token
+  calendarFeed: {
+    token: { type: String },
+    createdAt: { type: Date },
+    lastAccessed: { type: Date }
+  },
+
   // Account Status
   isActive: { type: Boolean, default: true },
   isVerified: { type: Boolean, default: false },
@@ -137,6 +144,7 @@ userSchema.index({ 'subscription.plan': 1 });
 userSchema.index({ 'subscription.isActive': 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'calendarFeed.token': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -176,6 +184,16 @@ userSchema.methods.generateApiKey = function() {
   return this.apiAccess.apiKey;
 };
 
+// Method to generate auction calendar feed token
+userSchema.methods.generateCalendarToken = function() {
+  const crypto = require('crypto');
+  this.calendarFeed = {
+    token: crypto.randomBytes(24).toString('hex'),
+    createdAt: new Date()
+  };
+  return this.calendarFeed.token;
+};
+
 // Method to check if user has permission
 userSchema.methods.hasPermission = function(permission) {
   if (this.role === 'Admin') return true;
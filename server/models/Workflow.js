@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const ACTION_TYPES = ['email', 'sms', 'enroll_sequence'];
+
+// An automated workflow: actions run, in order, for the lead or contact data a trigger passes in
+const workflowSchema = new mongoose.Schema({
+  // Workflow Identification
+  name: { type: String, required: true, trim: true },
+
+  // Triggers - e.g. { type: 'new_lead', conditions: { priority: 'High' } }
+  triggers: [{
+    type: { type: String, required: true },
+    conditions: { type: mongoose.Schema.Types.Mixed },
+    config: { type: mongoose.Schema.Types.Mixed }
+  }],
+
+  // Actions - email and sms take { subject, template }; enroll_sequence takes { sequenceId }
+  actions: [{
+    type: { type: String, enum: ACTION_TYPES, required: true },
+    config: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }],
+
+  // System Fields
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+workflowSchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -0,0 +1,38 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const propertyRoutes = require('../properties');
+
+const app = express();
+app.use('/api/properties', propertyRoutes);
+
+describe('GET /api/properties/auctions/calendar.ics', () => {
+  let findOne;
+
+  beforeEach(() => {
+    findOne = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => findOne.mockRestore());
+
+  it('rejects a token sent as a query operator', async () => {
+    const response = await request(app).get('/api/properties/auctions/calendar.ics?token[$ne]=x');
+
+    expect(response.status).toBe(401);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a missing token', async () => {
+    const response = await request(app).get('/api/properties/auctions/calendar.ics');
+
+    expect(response.status).toBe(401);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('looks up a string token', async () => {
+    const response = await request(app).get('/api/properties/auctions/calendar.ics?token=abc123');
+
+    expect(response.status).toBe(401);
+    expect(findOne).toHaveBeenCalledWith({ 'calendarFeed.token': 'abc123', isActive: true });
+  });
+});
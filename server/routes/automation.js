@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const automationController = require('../controllers/automationController');
+const targetAreaController = require('../controllers/targetAreaController');
 const { protect, authorize, checkSubscription } = require('../middleware/auth');
 
 // All routes are protected
@@ -12,6 +13,12 @@ router.get('/status', automationController.getAutomationStatus);
 // Get automation analytics
 router.get('/analytics', automationController.getAutomationAnalytics);
 
+// Get job run history
+router.get('/runs', automationController.getRuns);
+
+// Get single job run
+router.get('/runs/:id', automationController.getRun);
+
 // Get workflows
 router.get('/workflows', automationController.getWorkflows);
 
@@ -24,6 +31,24 @@ router.post('/workflows/execute', checkSubscription('Professional'), automationC
 // Trigger data collection (Admin only)
 router.post('/data-collection', authorize('Admin'), automationController.triggerDataCollection);
 
+// Get available data sources
+router.get('/sources', targetAreaController.getSources);
+
+// Get target areas
+router.get('/areas', targetAreaController.getAreas);
+
+// Get single target area
+router.get('/areas/:id', targetAreaController.getArea);
+
+// Create target area (Admin or Manager)
+router.post('/areas', authorize('Admin', 'Manager'), targetAreaController.createArea);
+
+// Update target area (Admin or Manager)
+router.put('/areas/:id', authorize('Admin', 'Manager'), targetAreaController.updateArea);
+
+// Delete target area (Admin or Manager)
+router.delete('/areas/:id', authorize('Admin', 'Manager'), targetAreaController.deleteArea);
+
 // Send email notification
 router.post('/notifications/email', checkSubscription('Basic'), automationController.sendEmailNotification);
 
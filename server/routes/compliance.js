@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const complianceController = require('../controllers/complianceController');
+const { protect, authorize } = require('../middleware/auth');
+const { importUpload } = require('../middleware/upload');
+
+// All routes are protected
+router.use(protect);
+
+// Get Do-Not-Call entries
+router.get('/dnc', complianceController.getDoNotCallEntries);
+
+// Add number to the internal Do-Not-Call list
+router.post('/dnc', complianceController.addDoNotCallEntry);
+
+// Import National or State Do-Not-Call registry file
+router.post('/dnc/import', authorize('Admin'), importUpload.single('file'), complianceController.importRegistry);
+
+// Remove Do-Not-Call entry
+router.delete('/dnc/:id', authorize('Admin'), complianceController.deleteDoNotCallEntry);
+
+// Record consent or opt-out
+router.post('/consent', complianceController.recordConsent);
+
+// Get consent and Do-Not-Call status for a number
+router.get('/consent/:phone', complianceController.getConsent);
+
+// Check a number before texting or calling
+router.post('/check', complianceController.checkContact);
+
+// Get compliance audit trail
+router.get('/logs', authorize('Admin', 'Manager'), complianceController.getLogs);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { protect, checkSubscription } = require('../middleware/auth');
+const { importUpload } = require('../middleware/upload');
+
+// All routes are protected
+router.use(protect);
+
+// Get fields columns can be mapped to
+router.get('/fields', importController.getFields);
+
+// Get mapping templates
+router.get('/templates', importController.getTemplates);
+
+// Get single mapping template
+router.get('/templates/:id', importController.getTemplate);
+
+// Create mapping template
+router.post('/templates', importController.createTemplate);
+
+// Update mapping template
+router.put('/templates/:id', importController.updateTemplate);
+
+// Delete mapping template (soft delete)
+router.delete('/templates/:id', importController.deleteTemplate);
+
+// Inspect file columns and suggest a mapping
+router.post('/inspect', checkSubscription('Professional'), importUpload.single('file'), importController.inspectFile);
+
+// Import file (dry run unless dryRun=false; requires Professional plan or higher)
+router.post('/', checkSubscription('Professional'), importUpload.single('file'), importController.importFile);
+
+module.exports = router;
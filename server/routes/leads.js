@@ -18,6 +18,9 @@ router.get('/follow-up', leadController.getFollowUpTasks);
 // Export leads
 router.get('/export', leadController.exportLeads);
 
+// Skip trace a batch of leads
+router.post('/skip-trace', authorize('Admin', 'Manager'), checkSubscription('Basic'), leadController.skipTraceLeads);
+
 // Get single lead
 router.get('/:id', leadController.getLead);
 
@@ -33,6 +36,9 @@ router.delete('/:id', authorize('Admin', 'Manager'), leadController.deleteLead);
 // Add communication to lead
 router.post('/:id/communication', leadController.addCommunication);
 
+// Skip trace lead
+router.post('/:id/skip-trace', checkSubscription('Basic'), leadController.skipTraceLead);
+
 // Update lead status
 router.patch('/:id/status', leadController.updateStatus);
 
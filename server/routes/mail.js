@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const mailController = require('../controllers/mailController');
+const { protect, authorize, checkSubscription } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// Get merge fields templates can use
+router.get('/merge-fields', mailController.getMergeFields);
+
+// Mail templates
+router.get('/templates', mailController.getTemplates);
+router.post('/templates', authorize('Admin', 'Manager'), mailController.createTemplate);
+router.get('/templates/:id', mailController.getTemplate);
+router.put('/templates/:id', authorize('Admin', 'Manager'), mailController.updateTemplate);
+router.delete('/templates/:id', authorize('Admin', 'Manager'), mailController.deleteTemplate);
+
+// Preview template as PDF with a sample recipient
+router.post('/templates/:id/preview', mailController.previewTemplate);
+
+// Mail campaigns
+router.get('/campaigns', mailController.getCampaigns);
+router.post('/campaigns', authorize('Admin', 'Manager'), mailController.createCampaign);
+router.get('/campaigns/:id', mailController.getCampaign);
+router.put('/campaigns/:id', authorize('Admin', 'Manager'), mailController.updateCampaign);
+router.delete('/campaigns/:id', authorize('Admin', 'Manager'), mailController.deleteCampaign);
+
+// Build pieces from the campaign's saved search
+router.post('/campaigns/:id/build', authorize('Admin', 'Manager'), checkSubscription('Professional'), mailController.buildCampaign);
+
+// Get campaign pieces
+router.get('/campaigns/:id/pieces', mailController.getPieces);
+
+// Proof PDF of the first few pieces
+router.get('/campaigns/:id/proof', mailController.getProof);
+
+// Print-ready PDF of the campaign's pieces
+router.get('/campaigns/:id/pdf', mailController.getCampaignPdf);
+
+// Export mailing list for a print vendor
+router.get('/campaigns/:id/export', mailController.exportCampaign);
+
+// Mail the campaign
+router.post('/campaigns/:id/mail', authorize('Admin', 'Manager'), checkSubscription('Professional'), mailController.mailCampaign);
+
+// Refresh delivery tracking from the mail provider
+router.post('/campaigns/:id/tracking', authorize('Admin', 'Manager'), mailController.refreshTracking);
+
+// Mark a piece Delivered or Returned
+router.patch('/pieces/:id', authorize('Admin', 'Manager'), mailController.updatePiece);
+
+module.exports = router;
@@ -3,7 +3,10 @@ const router = express.Router();
 const propertyController = require('../controllers/propertyController');
 const { protect, authorize, checkSubscription } = require('../middleware/auth');
 
-// All routes are protected
+// Auction calendar feed - authenticated by the feed token so calendar apps can subscribe
+router.get('/auctions/calendar.ics', propertyController.getAuctionFeed);
+
+// All other routes are protected
 router.use(protect);
 
 // Get all properties
@@ -15,12 +18,30 @@ router.get('/analytics', propertyController.getPropertyAnalytics);
 // Get property map data
 router.get('/map', propertyController.getPropertyMapData);
 
+// Get auction calendar
+router.get('/auctions', propertyController.getAuctionCalendar);
+
+// Create or rotate the auction calendar feed URL
+router.post('/auctions/feed', propertyController.createAuctionFeed);
+
 // Export properties
 router.get('/export', propertyController.exportProperties);
 
 // Get single property
 router.get('/:id', propertyController.getProperty);
 
+// Get foreclosure event timeline
+router.get('/:id/timeline', propertyController.getPropertyTimeline);
+
+// Get automated valuation with its contributing factors
+router.get('/:id/valuation', propertyController.getPropertyValuation);
+
+// Get estimated rent with comparable rentals
+router.get('/:id/rent-estimate', propertyController.getPropertyRentEstimate);
+
+// Get lien waterfall and net equity by sale scenario
+router.get('/:id/equity', propertyController.getPropertyEquity);
+
 // Create new property (requires Professional plan or higher)
 router.post('/', checkSubscription('Professional'), propertyController.createProperty);
 
@@ -18,4 +18,7 @@ router.get('/properties', checkSubscription('Basic'), reportController.generateP
 // Generate lead report (requires Basic plan or higher)
 router.get('/leads', checkSubscription('Basic'), reportController.generateLeadReport);
 
+// Generate lead score backtest report (requires Basic plan or higher)
+router.get('/score-backtest', checkSubscription('Basic'), reportController.generateScoreBacktestReport);
+
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// Get the user's saved searches
+router.get('/', savedSearchController.getSearches);
+
+// Get single saved search
+router.get('/:id', savedSearchController.getSearch);
+
+// Run a saved search and get matching properties
+router.get('/:id/results', savedSearchController.getSearchResults);
+
+// Create saved search
+router.post('/', savedSearchController.createSearch);
+
+// Update saved search (name, criteria or alert settings)
+router.put('/:id', savedSearchController.updateSearch);
+
+// Delete saved search (soft delete)
+router.delete('/:id', savedSearchController.deleteSearch);
+
+module.exports = router;
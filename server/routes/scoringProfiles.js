@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const scoringProfileController = require('../controllers/scoringProfileController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// Get signals and operators scoring rules can use
+router.get('/signals', scoringProfileController.getSignals);
+
+// Get leads and conversions per profile version (A/B comparison)
+router.get('/results', scoringProfileController.getProfileResults);
+
+// Get every version of a profile
+router.get('/versions/:key', scoringProfileController.getProfileVersions);
+
+// Replay closed leads through one or two profiles
+router.post('/backtest', scoringProfileController.backtestProfiles);
+
+// Score a property with a profile without saving the score
+router.post('/preview', scoringProfileController.previewScore);
+
+// Get current scoring profiles
+router.get('/', scoringProfileController.getProfiles);
+
+// Get single profile version
+router.get('/:id', scoringProfileController.getProfile);
+
+// Create scoring profile
+router.post('/', authorize('Admin'), scoringProfileController.createProfile);
+
+// Update scoring profile (saves a new version)
+router.put('/:id', authorize('Admin'), scoringProfileController.updateProfile);
+
+// Delete scoring profile (soft delete)
+router.delete('/:id', authorize('Admin'), scoringProfileController.deleteProfile);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const sequenceController = require('../controllers/sequenceController');
+const { protect, authorize, checkSubscription } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// Get drip sequences
+router.get('/', sequenceController.getSequences);
+
+// Create drip sequence
+router.post('/', authorize('Admin', 'Manager'), checkSubscription('Professional'), sequenceController.createSequence);
+
+// Get a lead's enrollments (?lead=<id>)
+router.get('/enrollments', sequenceController.getEnrollments);
+
+// Pause, resume or stop a lead's enrollment
+router.patch('/enrollments/:id/pause', sequenceController.pauseEnrollment);
+router.patch('/enrollments/:id/resume', sequenceController.resumeEnrollment);
+router.patch('/enrollments/:id/stop', sequenceController.stopEnrollment);
+
+// Get single sequence
+router.get('/:id', sequenceController.getSequence);
+
+// Update sequence
+router.put('/:id', authorize('Admin', 'Manager'), sequenceController.updateSequence);
+
+// Delete sequence
+router.delete('/:id', authorize('Admin', 'Manager'), sequenceController.deleteSequence);
+
+// Pause or resume the whole sequence
+router.patch('/:id/status', authorize('Admin', 'Manager'), sequenceController.setSequenceStatus);
+
+// Enroll leads by id or saved search
+router.post('/:id/enroll', checkSubscription('Professional'), sequenceController.enrollLeads);
+
+// Get enrollments in a sequence
+router.get('/:id/enrollments', sequenceController.getEnrollments);
+
+module.exports = router;
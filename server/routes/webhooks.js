@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { inboundEmailUpload } = require('../middleware/upload');
+
+// Webhooks are called by providers, not users: each is authenticated by its own
+// signature or token instead of a login
+
+// Inbound SMS (Twilio messaging webhook, signed with X-Twilio-Signature)
+router.post('/sms', webhookController.receiveSms);
+
+// Inbound email (parse service POST with ?token=INBOUND_EMAIL_TOKEN)
+router.post('/email', inboundEmailUpload.any(), webhookController.receiveEmail);
+
+module.exports = router;
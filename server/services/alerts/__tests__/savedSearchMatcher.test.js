@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Property = require('../../../models/Property');
+const SavedSearch = require('../../../models/SavedSearch');
+const SavedSearchMatch = require('../../../models/SavedSearchMatch');
+const SavedSearchMatcher = require('../savedSearchMatcher');
+
+const LAST_CHECK = new Date('2024-03-01T00:00:00Z');
+const NOW = new Date('2024-03-02T00:00:00Z');
+
+// Chained query stub: select(), sort(), limit() and populate() return the query, which resolves to result
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const buildProperty = (street, openingBid) => ({
+  _id: new mongoose.Types.ObjectId(),
+  address: { street },
+  fullAddress: `${street}, Phoenix, AZ 85004`,
+  foreclosureStatus: 'Auction',
+  foreclosureDetails: { openingBid, auctionDate: new Date('2024-04-01T00:00:00Z') },
+  updatedAt: LAST_CHECK
+});
+
+const buildSearch = (alerts = {}, preferences = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Phoenix auctions',
+  criteria: { toObject: () => ({ county: 'Maricopa' }) },
+  lastCheckedAt: LAST_CHECK,
+  alerts: { isEnabled: true, newMatches: true, priceDrops: true, email: true, sms: true, socket: true, ...alerts },
+  user: {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'investor@example.com',
+    phone: '+16025550100',
+    isActive: true,
+    preferences: { notifications: { sms: true, ...preferences } }
+  }
+});
+
+const match = (property, openingBid) => ({ _id: new mongoose.Types.ObjectId(), property: property._id, openingBid });
+
+describe('SavedSearchMatcher', () => {
+  let notifier;
+  let matcher;
+
+  beforeEach(() => {
+    notifier = { sendEmail: jest.fn().mockResolvedValue(), sendSMS: jest.fn().mockResolvedValue(), emitToUser: jest.fn() };
+    matcher = new SavedSearchMatcher(notifier);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('findChanges', () => {
+    it('splits changed properties into new matches and price drops', async () => {
+      const fresh = buildProperty('1 New St', 200000);
+      const dropped = buildProperty('2 Drop St', 150000);
+      const raised = buildProperty('3 Up St', 260000);
+      const same = buildProperty('4 Same St', 100000);
+      jest.spyOn(Property, 'find').mockReturnValue(query([fresh, dropped, raised, same]));
+      jest.spyOn(SavedSearchMatch, 'find').mockResolvedValue([match(dropped, 180000), match(raised, 250000), match(same, 100000)]);
+      const bulkWrite = jest.spyOn(SavedSearchMatch, 'bulkWrite').mockResolvedValue({});
+      const search = buildSearch();
+
+      const { newMatches, priceDrops, checkedUntil } = await matcher.findChanges(search, NOW);
+
+      expect(newMatches).toEqual([fresh]);
+      expect(priceDrops).toEqual([{ property: dropped, previousBid: 180000 }]);
+      expect(checkedUntil).toBe(NOW);
+
+      const [updates] = bulkWrite.mock.calls[0];
+      expect(updates).toEqual([
+        { insertOne: { document: { search: search._id, property: fresh._id, openingBid: 200000, lastNotifiedAt: NOW } } },
+        { updateOne: { filter: { _id: expect.anything() }, update: { openingBid: 150000, lastNotifiedAt: NOW, lastReason: 'Price Drop' } } },
+        { updateOne: { filter: { _id: expect.anything() }, update: { openingBid: 260000 } } }
+      ]);
+    });
+
+    it('checks properties changed since the last check', async () => {
+      const find = jest.spyOn(Property, 'find').mockReturnValue(query([]));
+      jest.spyOn(SavedSearchMatch, 'find').mockResolvedValue([]);
+      const bulkWrite = jest.spyOn(SavedSearchMatch, 'bulkWrite');
+
+      await matcher.findChanges(buildSearch(), NOW);
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ updatedAt: { $gte: LAST_CHECK, $lt: NOW } }));
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('alerts on a further drop against the last alerted bid', async () => {
+      const property = buildProperty('2 Drop St', 140000);
+      jest.spyOn(Property, 'find').mockReturnValue(query([property]));
+      jest.spyOn(SavedSearchMatch, 'find').mockResolvedValue([match(property, 150000)]);
+      jest.spyOn(SavedSearchMatch, 'bulkWrite').mockResolvedValue({});
+
+      const { priceDrops } = await matcher.findChanges(buildSearch(), NOW);
+
+      expect(priceDrops).toEqual([{ property, previousBid: 150000 }]);
+    });
+
+    it('resumes from the last property seen when the candidate list is capped', async () => {
+      const candidates = Array.from({ length: 500 }, (item, index) => ({
+        ...buildProperty(`${index} Main St`, 100000),
+        updatedAt: new Date(LAST_CHECK.getTime() + index * 1000)
+      }));
+      jest.spyOn(Property, 'find').mockReturnValue(query(candidates));
+      jest.spyOn(SavedSearchMatch, 'find').mockResolvedValue([]);
+      jest.spyOn(SavedSearchMatch, 'bulkWrite').mockResolvedValue({});
+
+      const { checkedUntil } = await matcher.findChanges(buildSearch(), NOW);
+
+      expect(checkedUntil).toEqual(candidates[499].updatedAt);
+    });
+  });
+
+  describe('notify', () => {
+    it('sends price drops by email, SMS and socket', async () => {
+      const property = buildProperty('2 Drop St', 150000);
+      const search = buildSearch();
+
+      expect(await matcher.notify(search, [], [{ property, previousBid: 180000 }])).toBe(true);
+
+      expect(notifier.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'investor@example.com',
+        subject: 'Phoenix auctions: 1 price drop',
+        html: expect.stringContaining('down from $180,000')
+      }));
+      expect(notifier.sendSMS).toHaveBeenCalledWith({ to: '+16025550100', body: 'Phoenix auctions: 1 price drop. 2 Drop St' });
+      expect(notifier.emitToUser).toHaveBeenCalledWith(search.user._id, 'saved-search:alert', expect.objectContaining({
+        priceDrops: [expect.objectContaining({ openingBid: 150000, previousBid: 180000 })]
+      }));
+    });
+
+    it('leaves out price drops when the search or the user turned them off', async () => {
+      const drops = [{ property: buildProperty('2 Drop St', 150000), previousBid: 180000 }];
+
+      expect(await matcher.notify(buildSearch({ priceDrops: false }), [], drops)).toBe(false);
+      expect(await matcher.notify(buildSearch({}, { priceDrops: false }), [], drops)).toBe(false);
+      expect(notifier.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('only texts users who opted in to SMS', async () => {
+      await matcher.notify(buildSearch({}, { sms: false }), [buildProperty('1 New St', 200000)], []);
+
+      expect(notifier.sendEmail).toHaveBeenCalled();
+      expect(notifier.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('escapes property details in the email', () => {
+      const property = { ...buildProperty('1 New St', 200000), fullAddress: '<script>x</script>' };
+
+      expect(matcher.formatEmail(buildSearch(), [property], [])).toContain('&lt;script&gt;x&lt;/script&gt;');
+    });
+  });
+
+  describe('run', () => {
+    it('records the check and counts matches for each search', async () => {
+      const search = buildSearch();
+      jest.spyOn(SavedSearch, 'find').mockReturnValue(query([search, { ...buildSearch(), user: { isActive: false } }]));
+      jest.spyOn(matcher, 'findChanges').mockResolvedValue({
+        newMatches: [buildProperty('1 New St', 200000)],
+        priceDrops: [{ property: buildProperty('2 Drop St', 150000), previousBid: 180000 }],
+        checkedUntil: NOW
+      });
+      const updateOne = jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+
+      const results = await matcher.run();
+
+      expect(results).toEqual({ searches: 2, newMatches: 1, priceDrops: 1, notified: 1, failed: 0 });
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: search._id },
+        { $set: { lastCheckedAt: NOW, lastMatchedAt: expect.any(Date) }, $inc: { totalMatches: 1 } }
+      );
+    });
+
+    it('carries on after a search fails', async () => {
+      jest.spyOn(SavedSearch, 'find').mockReturnValue(query([buildSearch(), buildSearch()]));
+      jest.spyOn(matcher, 'findChanges')
+        .mockRejectedValueOnce(new Error('Bad criteria'))
+        .mockResolvedValue({ newMatches: [], priceDrops: [], checkedUntil: NOW });
+      jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+
+      expect(await matcher.run()).toMatchObject({ searches: 2, failed: 1, notified: 0 });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const logger = require('../../utils/logger');
+const Property = require('../../models/Property');
+const SavedSearch = require('../../models/SavedSearch');
+const SavedSearchMatch = require('../../models/SavedSearchMatch');
+const NotificationService = require('../notifications/notificationService');
+const { buildPropertyFilter } = require('../../utils/propertyFilter');
+
+// Properties checked per search per run; the rest are picked up on the next run
+const MAX_CANDIDATES = 500;
+
+// Properties listed in one email or SMS
+const MAX_LISTED = 10;
+
+const MATCH_FIELDS = 'address propertyType foreclosureStatus foreclosureDetails updatedAt';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+class SavedSearchMatcher {
+  constructor(notifier = new NotificationService()) {
+    this.notifier = notifier;
+  }
+
+  // Check every alerting saved search for properties that newly match it or
+  // whose opening bid dropped since it was last checked
+  async run() {
+    const runAt = new Date();
+    const searches = await SavedSearch.find({ isActive: true, 'alerts.isEnabled': true })
+      .populate('user', 'firstName lastName email phone isActive preferences.notifications');
+
+    const results = { searches: searches.length, newMatches: 0, priceDrops: 0, notified: 0, failed: 0 };
+
+    for (const search of searches) {
+      try {
+        if (!search.user || !search.user.isActive) continue;
+
+        const { newMatches, priceDrops, checkedUntil } = await this.findChanges(search, runAt);
+        results.newMatches += newMatches.length;
+        results.priceDrops += priceDrops.length;
+
+        if (await this.notify(search, newMatches, priceDrops)) results.notified++;
+
+        const update = { lastCheckedAt: checkedUntil };
+        if (newMatches.length > 0 || priceDrops.length > 0) update.lastMatchedAt = runAt;
+        await SavedSearch.updateOne(
+          { _id: search._id },
+          { $set: update, $inc: { totalMatches: newMatches.length } }
+        );
+      } catch (error) {
+        results.failed++;
+        logger.error(`Error checking saved search ${search._id}:`, error);
+      }
+    }
+
+    logger.info(`Saved search alerts: ${results.searches} searches, ${results.newMatches} new matches, ${results.priceDrops} price drops`);
+    return results;
+  }
+
+  // Properties changed since the last check that match the search, split into
+  // ones never alerted on and ones whose opening bid fell. Records what was seen.
+  async findChanges(search, until) {
+    const criteria = search.criteria ? search.criteria.toObject() : {};
+    const since = search.lastCheckedAt || search.createdAt;
+
+    const candidates = await Property.find({ ...buildPropertyFilter(criteria), updatedAt: { $gte: since, $lt: until } })
+      .select(MATCH_FIELDS)
+      .sort({ updatedAt: 1 })
+      .limit(MAX_CANDIDATES);
+
+    // When capped, resume from the last property seen rather than skipping the rest
+    const checkedUntil = candidates.length === MAX_CANDIDATES ? candidates[candidates.length - 1].updatedAt : until;
+
+    const known = new Map(
+      (await SavedSearchMatch.find({ search: search._id, property: { $in: candidates.map(p => p._id) } }))
+        .map(match => [match.property.toString(), match])
+    );
+
+    const newMatches = [];
+    const priceDrops = [];
+    const updates = [];
+
+    candidates.forEach(property => {
+      const bid = property.foreclosureDetails ? property.foreclosureDetails.openingBid : undefined;
+      const match = known.get(property._id.toString());
+
+      if (!match) {
+        newMatches.push(property);
+        updates.push({ insertOne: { document: { search: search._id, property: property._id, openingBid: bid, lastNotifiedAt: until } } });
+        return;
+      }
+
+      if (bid === undefined || bid === match.openingBid) return;
+      if (match.openingBid && bid < match.openingBid) {
+        priceDrops.push({ property, previousBid: match.openingBid });
+        updates.push({ updateOne: { filter: { _id: match._id }, update: { openingBid: bid, lastNotifiedAt: until, lastReason: 'Price Drop' } } });
+      } else {
+        updates.push({ updateOne: { filter: { _id: match._id }, update: { openingBid: bid } } });
+      }
+    });
+
+    if (updates.length > 0) await SavedSearchMatch.bulkWrite(updates, { ordered: false });
+
+    return { newMatches, priceDrops, checkedUntil };
+  }
+
+  // Send alerts through the channels both the search and the user's preferences allow
+  async notify(search, newMatches, priceDrops) {
+    const user = search.user;
+    const prefs = (user.preferences && user.preferences.notifications) || {};
+
+    // Matches are recorded either way so re-enabling alerts doesn't replay old ones
+    const matches = search.alerts.newMatches && prefs.newLeads !== false ? newMatches : [];
+    const drops = search.alerts.priceDrops && prefs.priceDrops !== false ? priceDrops : [];
+    if (matches.length === 0 && drops.length === 0) return false;
+
+    const summary = this.summarize(search, matches, drops);
+    const deliveries = [];
+
+    if (search.alerts.email && prefs.email !== false && user.email) {
+      deliveries.push(this.notifier.sendEmail({
+        to: user.email,
+        subject: summary.subject,
+        html: this.formatEmail(search, matches, drops)
+      }));
+    }
+
+    if (search.alerts.sms && prefs.sms && user.phone) {
+      deliveries.push(this.notifier.sendSMS({ to: user.phone, body: summary.text }));
+    }
+
+    if (search.alerts.socket && prefs.push !== false) {
+      this.notifier.emitToUser(user._id, 'saved-search:alert', {
+        searchId: search._id,
+        name: search.name,
+        newMatches: matches.map(property => this.describe(property)),
+        priceDrops: drops.map(({ property, previousBid }) => ({ ...this.describe(property), previousBid }))
+      });
+    }
+
+    const results = await Promise.allSettled(deliveries);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => logger.error(`Error sending alert for saved search ${search._id}:`, result.reason));
+
+    return true;
+  }
+
+  describe(property) {
+    const details = property.foreclosureDetails || {};
+    return {
+      id: property._id,
+      address: property.fullAddress,
+      foreclosureStatus: property.foreclosureStatus,
+      openingBid: details.openingBid,
+      auctionDate: details.auctionDate
+    };
+  }
+
+  summarize(search, matches, drops) {
+    const parts = [];
+    if (matches.length > 0) parts.push(`${matches.length} new match${matches.length === 1 ? '' : 'es'}`);
+    if (drops.length > 0) parts.push(`${drops.length} price drop${drops.length === 1 ? '' : 's'}`);
+
+    const listed = [...matches, ...drops.map(drop => drop.property)]
+      .slice(0, 3)
+      .map(property => property.address.street);
+
+    return {
+      subject: `${search.name}: ${parts.join(', ')}`,
+      text: `${search.name}: ${parts.join(', ')}. ${listed.join('; ')}`
+    };
+  }
+
+  formatEmail(search, matches, drops) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const line = (property, extra = '') => {
+      const details = property.foreclosureDetails || {};
+      const bid = details.openingBid ? ` - opening bid ${formatMoney(details.openingBid)}` : '';
+      const auction = details.auctionDate ? `, auction ${new Date(details.auctionDate).toISOString().split('T')[0]}` : '';
+      return `<li><a href="${clientUrl}/properties/${property._id}">${escapeHtml(property.fullAddress)}</a>` +
+        ` (${escapeHtml(property.foreclosureStatus)})${bid}${auction}${extra}</li>`;
+    };
+    const more = (count) => (count > MAX_LISTED ? `<p>and ${count - MAX_LISTED} more</p>` : '');
+
+    const sections = [];
+    if (matches.length > 0) {
+      sections.push(`<h3>New matches</h3><ul>${matches.slice(0, MAX_LISTED).map(p => line(p)).join('')}</ul>${more(matches.length)}`);
+    }
+    if (drops.length > 0) {
+      sections.push(`<h3>Price drops</h3><ul>${drops.slice(0, MAX_LISTED)
+        .map(({ property, previousBid }) => line(property, `, down from ${formatMoney(previousBid)}`)).join('')}</ul>${more(drops.length)}`);
+    }
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1976d2;">Saved search: ${escapeHtml(search.name)}</h2>
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px;">
+          ${sections.join('')}
+        </div>
+        <p style="color: #666; font-size: 12px; margin-top: 20px;">
+          You are receiving this because alerts are on for this saved search. Change them in your notification settings.
+        </p>
+      </div>
+    `;
+  }
+}
+
+module.exports = SavedSearchMatcher;
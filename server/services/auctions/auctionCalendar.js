@@ -0,0 +1,241 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses with no sale left to attend
+const CLOSED_STATUSES = ['Cancelled', 'Sold', 'REO'];
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const CALENDAR_FIELDS = 'address foreclosureStatus foreclosureDetails foreclosureEvents propertyType';
+
+class AuctionCalendar {
+  constructor() {
+    this.fields = CALENDAR_FIELDS;
+  }
+
+  toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Build a property query from calendar query parameters.
+  // status is the foreclosure status; bids and equity are dollar amounts.
+  // Returns { error } when from or to isn't a date.
+  buildFilter(query = {}) {
+    const { from, to, county, state, status, minBid, maxBid, minEquity, maxEquity } = query;
+    const start = from ? new Date(from) : new Date(new Date().setUTCHours(0, 0, 0, 0));
+    if (Number.isNaN(start.getTime())) return { error: 'Invalid from date' };
+
+    const end = to ? new Date(to) : new Date(start.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+    if (Number.isNaN(end.getTime())) return { error: 'Invalid to date' };
+
+    const filter = {
+      isActive: true,
+      'foreclosureDetails.auctionDate': { $gte: start, $lte: end }
+    };
+
+    const counties = this.toList(county);
+    if (counties.length > 0) {
+      filter['address.county'] = { $in: counties.map(name => new RegExp(`^${this.escapeRegex(name)}$`, 'i')) };
+    }
+
+    const states = this.toList(state);
+    if (states.length > 0) filter['address.state'] = { $in: states.map(code => code.toUpperCase()) };
+
+    const statuses = this.toList(status);
+    filter.foreclosureStatus = statuses.length > 0 ? { $in: statuses } : { $nin: CLOSED_STATUSES };
+
+    if (minBid || maxBid) {
+      filter['foreclosureDetails.openingBid'] = {};
+      if (minBid) filter['foreclosureDetails.openingBid'].$gte = parseFloat(minBid);
+      if (maxBid) filter['foreclosureDetails.openingBid'].$lte = parseFloat(maxBid);
+    }
+
+    if (minEquity || maxEquity) {
+      filter['foreclosureDetails.estimatedEquity'] = {};
+      if (minEquity) filter['foreclosureDetails.estimatedEquity'].$gte = parseFloat(minEquity);
+      if (maxEquity) filter['foreclosureDetails.estimatedEquity'].$lte = parseFloat(maxEquity);
+    }
+
+    return { filter, range: { from: start, to: end } };
+  }
+
+  // Narrow a calendar filter by a user's saved preferences.searchFilters
+  applySearchFilters(filter, searchFilters = {}) {
+    const { minPrice, maxPrice, propertyTypes, foreclosureStatus, counties } = searchFilters;
+
+    if (minPrice || maxPrice) {
+      filter['foreclosureDetails.openingBid'] = filter['foreclosureDetails.openingBid'] || {};
+      if (minPrice) filter['foreclosureDetails.openingBid'].$gte = minPrice;
+      if (maxPrice) filter['foreclosureDetails.openingBid'].$lte = maxPrice;
+    }
+
+    if (propertyTypes && propertyTypes.length > 0) filter.propertyType = { $in: propertyTypes };
+
+    // Closed statuses stay excluded even if saved in the user's filters
+    if (foreclosureStatus && foreclosureStatus.length > 0) {
+      const open = foreclosureStatus.filter(status => !CLOSED_STATUSES.includes(status));
+      if (open.length > 0) filter.foreclosureStatus = { $in: open };
+    }
+
+    if (counties && counties.length > 0) {
+      filter['address.county'] = { $in: counties.map(name => new RegExp(`^${this.escapeRegex(name)}$`, 'i')) };
+    }
+
+    return filter;
+  }
+
+  // Calendar entry for a property, including its postponement history
+  toEntry(property) {
+    const details = property.foreclosureDetails || {};
+    const postponed = (property.foreclosureEvents || [])
+      .filter(event => event.type === 'Sale Postponed' && event.previousAuctionDate)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      id: property._id,
+      address: property.fullAddress,
+      county: property.address.county,
+      state: property.address.state,
+      propertyType: property.propertyType,
+      foreclosureStatus: property.foreclosureStatus,
+      auctionDate: details.auctionDate,
+      auctionLocation: details.auctionLocation,
+      openingBid: details.openingBid,
+      estimatedValue: details.estimatedValue,
+      estimatedEquity: details.estimatedEquity,
+      caseNumber: details.caseNumber,
+      trusteeSaleNumber: details.trusteeSaleNumber,
+      lender: details.lender,
+      postponements: postponed.length,
+      previousAuctionDates: postponed.map(event => event.previousAuctionDate)
+    };
+  }
+
+  dayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  // Group entries by sale day, then by county within each day
+  groupByDay(entries) {
+    const days = new Map();
+
+    entries.forEach(entry => {
+      const date = this.dayKey(entry.auctionDate);
+      if (!days.has(date)) days.set(date, new Map());
+
+      const counties = days.get(date);
+      const countyKey = `${entry.county || 'Unknown'}|${entry.state}`;
+      if (!counties.has(countyKey)) {
+        counties.set(countyKey, { county: entry.county || 'Unknown', state: entry.state, auctions: [] });
+      }
+      counties.get(countyKey).auctions.push(entry);
+    });
+
+    return [...days.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, counties]) => {
+        const groups = [...counties.values()]
+          .sort((a, b) => `${a.state}${a.county}`.localeCompare(`${b.state}${b.county}`));
+        return {
+          date,
+          total: groups.reduce((sum, group) => sum + group.auctions.length, 0),
+          counties: groups
+        };
+      });
+  }
+
+  // RFC 5545 text escaping
+  escapeText(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold content lines longer than 75 octets
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Sales scraped without a time are stored at midnight UTC and shown as all-day events
+  formatStart(date) {
+    const value = new Date(date);
+    if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0) {
+      return `DTSTART;VALUE=DATE:${this.dayKey(value).replace(/-/g, '')}`;
+    }
+    return `DTSTART:${this.formatDateTime(value)}`;
+  }
+
+  // iCalendar feed. UIDs are stable per property and SEQUENCE counts
+  // postponements, so calendar apps move the event when a sale is postponed.
+  toICS(entries, options = {}) {
+    const { name = 'Foreclosure Auctions', domain = 'foreclosure-auctions' } = options;
+    const stamp = this.formatDateTime(new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Foreclosure Auction Platform//Auction Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+
+    entries.forEach(entry => {
+      const description = [
+        `Status: ${entry.foreclosureStatus}`,
+        entry.openingBid ? `Opening bid: $${entry.openingBid.toLocaleString('en-US')}` : null,
+        entry.estimatedEquity ? `Estimated equity: $${entry.estimatedEquity.toLocaleString('en-US')}` : null,
+        entry.caseNumber ? `Case: ${entry.caseNumber}` : null,
+        entry.trusteeSaleNumber ? `Trustee sale: ${entry.trusteeSaleNumber}` : null,
+        entry.postponements > 0
+          ? `Postponed ${entry.postponements}x from ${entry.previousAuctionDates.map(date => this.dayKey(date)).join(', ')}`
+          : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${entry.id}@${domain}`,
+        `SEQUENCE:${entry.postponements}`,
+        `DTSTAMP:${stamp}`,
+        this.formatStart(entry.auctionDate),
+        `SUMMARY:${this.escapeText(`Auction: ${entry.address}`)}`,
+        `LOCATION:${this.escapeText(entry.auctionLocation || `${entry.county} County, ${entry.state}`)}`,
+        `DESCRIPTION:${this.escapeText(description)}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+AuctionCalendar.CLOSED_STATUSES = CLOSED_STATUSES;
+
+module.exports = AuctionCalendar;
@@ -0,0 +1,115 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const TargetArea = require('../../../models/TargetArea');
+const DataCollectionScheduler = require('../dataCollectionScheduler');
+
+const buildArea = (overrides = {}) => new TargetArea({
+  county: 'Maricopa',
+  state: 'AZ',
+  schedule: '0 5 * * *',
+  timezone: 'America/Phoenix',
+  ...overrides
+});
+
+describe('DataCollectionScheduler target areas', () => {
+  let scheduler;
+  let jobs;
+
+  beforeEach(() => {
+    scheduler = new DataCollectionScheduler();
+    jobs = [];
+    jest.spyOn(cron, 'schedule').mockImplementation((expression, task, options) => {
+      const job = { expression, task, options, stop: jest.fn() };
+      jobs.push(job);
+      return job;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('syncAreaJobs', () => {
+    it('schedules each area with a custom schedule in its own timezone', async () => {
+      const area = buildArea();
+      jest.spyOn(TargetArea, 'find').mockResolvedValue([area]);
+
+      await scheduler.syncAreaJobs();
+
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0]).toMatchObject({ expression: '0 5 * * *', options: { scheduled: true, timezone: 'America/Phoenix' } });
+      expect(scheduler.jobs.get(`area-${area._id}`)).toBe(jobs[0]);
+    });
+
+    it('skips areas with an invalid schedule', async () => {
+      jest.spyOn(TargetArea, 'find').mockResolvedValue([buildArea({ schedule: 'every morning' })]);
+
+      await scheduler.syncAreaJobs();
+
+      expect(jobs).toHaveLength(0);
+    });
+
+    it('leaves unchanged jobs alone and reschedules changed ones', async () => {
+      const area = buildArea();
+      const find = jest.spyOn(TargetArea, 'find').mockResolvedValue([area]);
+      await scheduler.syncAreaJobs();
+      await scheduler.syncAreaJobs();
+
+      expect(jobs).toHaveLength(1);
+
+      find.mockResolvedValue([buildArea({ _id: area._id, timezone: 'America/Denver' })]);
+      await scheduler.syncAreaJobs();
+
+      expect(jobs).toHaveLength(2);
+      expect(jobs[0].stop).toHaveBeenCalled();
+      expect(jobs[1].options.timezone).toBe('America/Denver');
+    });
+
+    it('stops jobs for areas that were disabled or deleted', async () => {
+      const area = buildArea();
+      const find = jest.spyOn(TargetArea, 'find').mockResolvedValue([area]);
+      await scheduler.syncAreaJobs();
+
+      find.mockResolvedValue([]);
+      await scheduler.syncAreaJobs();
+
+      expect(jobs[0].stop).toHaveBeenCalled();
+      expect(scheduler.jobs.has(`area-${area._id}`)).toBe(false);
+      expect(scheduler.areaSchedules.size).toBe(0);
+    });
+  });
+
+  describe('runAreaCollection', () => {
+    beforeEach(() => {
+      jest.spyOn(scheduler, 'trackRun').mockImplementation((job, task) => task({ addError: jest.fn() }));
+      jest.spyOn(scheduler, 'runSavedSearchAlerts').mockResolvedValue();
+    });
+
+    it('collects the area and records the run on it', async () => {
+      const area = buildArea();
+      jest.spyOn(TargetArea, 'findOne').mockResolvedValue(area);
+      jest.spyOn(scheduler, 'collectArea').mockResolvedValue(7);
+      const mark = jest.spyOn(TargetArea, 'findByIdAndUpdate').mockResolvedValue(area);
+
+      expect(await scheduler.runAreaCollection(String(area._id))).toBe(7);
+      expect(mark).toHaveBeenCalledWith(area._id, { lastRunAt: expect.any(Date), lastRunStatus: 'Success' });
+      expect(scheduler.trackRun).toHaveBeenCalledWith(`area-${area._id}`, expect.any(Function));
+    });
+
+    it('records a failed run', async () => {
+      const area = buildArea();
+      jest.spyOn(TargetArea, 'findOne').mockResolvedValue(area);
+      jest.spyOn(scheduler, 'collectArea').mockRejectedValue(new Error('Site down'));
+      const mark = jest.spyOn(TargetArea, 'findByIdAndUpdate').mockResolvedValue(area);
+
+      await expect(scheduler.runAreaCollection(String(area._id))).rejects.toThrow('Site down');
+      expect(mark).toHaveBeenCalledWith(area._id, { lastRunAt: expect.any(Date), lastRunStatus: 'Failed' });
+    });
+
+    it('skips an area that was disabled since it was scheduled', async () => {
+      jest.spyOn(TargetArea, 'findOne').mockResolvedValue(null);
+      const collect = jest.spyOn(scheduler, 'collectArea');
+
+      expect(await scheduler.runAreaCollection(String(new mongoose.Types.ObjectId()))).toBe(0);
+      expect(collect).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,13 +2,24 @@ const cron = require('node-cron');
 const logger = require('../../utils/logger');
 const ForeclosureScraper = require('../dataCollection/foreclosureScraper');
 const DataProcessor = require('../dataCollection/dataProcessor');
+const SavedSearchMatcher = require('../alerts/savedSearchMatcher');
+const SequenceRunner = require('../sequences/sequenceRunner');
+const sourceRegistry = require('../dataCollection/sources');
+const TargetArea = require('../../models/TargetArea');
+const JobRun = require('../../models/JobRun');
 
 class DataCollectionScheduler {
   constructor() {
     this.scraper = new ForeclosureScraper();
     this.processor = new DataProcessor();
+    this.matcher = new SavedSearchMatcher();
+    this.sequences = new SequenceRunner();
+    this.sources = sourceRegistry;
     this.isRunning = false;
+    this.alertsRunning = false;
+    this.sequencesRunning = false;
     this.jobs = new Map();
+    this.areaSchedules = new Map();
   }
 
   async initialize() {
@@ -43,17 +54,29 @@ class DataCollectionScheduler {
         await this.runLeadScoringUpdate();
       });
 
+      // Drip sequence steps that have come due
+      this.scheduleJob('sequence-steps', '*/15 * * * *', async () => {
+        await this.runSequenceSteps();
+      });
+
+      // Pick up per-area schedules added or changed through the API
+      this.scheduleJob('sync-area-schedules', '*/15 * * * *', async () => {
+        await this.syncAreaJobs();
+      });
+
+      this.syncAreaJobs().catch(error => {
+        logger.error('Error scheduling target area jobs:', error);
+      });
+
       logger.info('Scheduled jobs started');
     } catch (error) {
       logger.error('Error starting scheduled jobs:', error);
     }
   }
 
-  scheduleJob(name, cronExpression, task) {
-    if (this.jobs.has(name)) {
-      this.jobs.get(name).destroy();
-    }
-
+  // Replaces any job with the same name. The new job is created first, so a bad
+  // expression or timezone throws without dropping the job already running.
+  scheduleJob(name, cronExpression, task, timezone = 'America/New_York') {
     const job = cron.schedule(cronExpression, async () => {
       try {
         logger.info(`Starting scheduled job: ${name}`);
@@ -64,9 +87,12 @@ class DataCollectionScheduler {
       }
     }, {
       scheduled: true,
-      timezone: 'America/New_York'
+      timezone
     });
 
+    if (this.jobs.has(name)) {
+      this.jobs.get(name).stop();
+    }
     this.jobs.set(name, job);
     logger.info(`Scheduled job ${name} with expression: ${cronExpression}`);
   }
@@ -79,50 +105,48 @@ class DataCollectionScheduler {
 
     this.isRunning = true;
     try {
-      logger.info('Starting foreclosure data collection...');
-
-      // Define target counties and states
-      const targetAreas = [
-        { county: 'Los Angeles', state: 'CA' },
-        { county: 'Miami-Dade', state: 'FL' },
-        { county: 'Harris', state: 'TX' },
-        { county: 'Maricopa', state: 'AZ' },
-        { county: 'Cook', state: 'IL' }
-      ];
-
-      let totalProperties = 0;
-
-      for (const area of targetAreas) {
-        try {
-          logger.info(`Collecting data for ${area.county}, ${area.state}...`);
-          
-          // Scrape county records
-          const countyData = await this.scraper.scrapeCountyRecords(area.county, area.state);
-          const countyProperties = await this.scraper.processAndSaveData(countyData, 'County Records');
-          totalProperties += countyProperties.length;
-
-          // Scrape public records
-          const publicRecords = await this.scraper.scrapePublicRecords(area.state, area.county);
-          const publicProperties = await this.scraper.processAndSaveData(publicRecords, 'Public Records');
-          totalProperties += publicProperties.length;
-
-          // Scrape tax records
-          const taxRecords = await this.scraper.scrapeTaxRecords(area.county, area.state);
-          const taxProperties = await this.scraper.processAndSaveData(taxRecords, 'Tax Records');
-          totalProperties += taxProperties.length;
-
-          logger.info(`Collected ${countyProperties.length + publicProperties.length + taxProperties.length} properties for ${area.county}, ${area.state}`);
-        } catch (error) {
-          logger.error(`Error collecting data for ${area.county}, ${area.state}:`, error);
+      await this.trackRun('daily-foreclosure-scrape', async (run) => {
+        logger.info('Starting foreclosure data collection...');
+
+        // Areas with their own schedule are collected by their dedicated job
+        const targetAreas = await TargetArea.find({
+          isActive: true,
+          isEnabled: true,
+          $or: [{ schedule: { $exists: false } }, { schedule: null }, { schedule: '' }]
+        });
+
+        let totalProperties = 0;
+
+        for (const area of targetAreas) {
+          try {
+            logger.info(`Collecting data for ${area.county}, ${area.state}...`);
+
+            const areaProperties = await this.collectArea(area, null, run);
+            totalProperties += areaProperties;
+            await this.markAreaRun(area, 'Success');
+
+            logger.info(`Collected ${areaProperties} properties for ${area.county}, ${area.state}`);
+          } catch (error) {
+            logger.error(`Error collecting data for ${area.county}, ${area.state}:`, error);
+            run.addError(error.message, { county: area.county, state: area.state });
+            await this.markAreaRun(area, 'Failed');
+          }
         }
-      }
 
-      // Scrape foreclosure listing sites
-      const listingData = await this.scraper.scrapeForeclosureListings();
-      const listingProperties = await this.scraper.processAndSaveData(listingData, 'Foreclosure Listings');
-      totalProperties += listingProperties.length;
+        // Scrape national foreclosure listing sites
+        for (const adapter of this.sources.getNationalAdapters()) {
+          try {
+            totalProperties += await this.runSource(adapter, null, null, run);
+          } catch (error) {
+            logger.error(`Error collecting data from ${adapter.name}:`, error);
+            run.addError(error.message, { source: adapter.id });
+          }
+        }
+
+        logger.info(`Foreclosure data collection completed. Total properties collected: ${totalProperties}`);
+      });
 
-      logger.info(`Foreclosure data collection completed. Total properties collected: ${totalProperties}`);
+      await this.runSavedSearchAlerts();
     } catch (error) {
       logger.error('Error in foreclosure data collection:', error);
     } finally {
@@ -130,28 +154,165 @@ class DataCollectionScheduler {
     }
   }
 
-  async runDataEnrichment() {
+  // Record a JobRun around a task. The task receives the run so it can add per-source counts.
+  async trackRun(job, task, options = {}) {
+    const run = await JobRun.create({
+      job,
+      trigger: options.trigger || 'Scheduled',
+      triggeredBy: options.triggeredBy
+    });
+
     try {
-      logger.info('Starting data enrichment...');
-
-      // Find properties that need enrichment (low data quality or missing key fields)
-      const Property = require('../../models/Property');
-      const propertiesToEnrich = await Property.find({
-        isActive: true,
-        $or: [
-          { 'dataQuality.completeness': { $lt: 70 } },
-          { 'address.coordinates': { $exists: false } },
-          { 'financials.currentValue': { $exists: false } }
-        ]
-      }).limit(50); // Process 50 properties at a time
-
-      if (propertiesToEnrich.length === 0) {
-        logger.info('No properties need enrichment');
-        return;
+      const result = await task(run);
+      await run.finish();
+      return result;
+    } catch (error) {
+      run.addError(error.message);
+      await run.finish('Failed');
+      throw error;
+    }
+  }
+
+  // Run every registered adapter for an area, returning the number of new properties
+  async collectArea(area, sourceLabel = null, run = null) {
+    let totalProperties = 0;
+
+    for (const adapter of this.sources.getAdaptersForArea(area)) {
+      try {
+        totalProperties += await this.runSource(adapter, area, sourceLabel, run);
+      } catch (error) {
+        logger.error(`Error running ${adapter.name} for ${area.county}, ${area.state}:`, error);
+        if (run) run.addError(error.message, { source: adapter.id, county: area.county, state: area.state });
+      }
+    }
+
+    return totalProperties;
+  }
+
+  async runSource(adapter, area, sourceLabel = null, run = null) {
+    const startedAt = Date.now();
+    const stats = {};
+
+    const records = await this.scraper.scrapeSource(adapter, area);
+    const properties = await this.scraper.processAndSaveData(records, sourceLabel || adapter.sourceLabel, stats);
+
+    if (run) run.recordSource(area, adapter, stats, Date.now() - startedAt);
+    return properties.length;
+  }
+
+  // Collection for a single area on its own schedule
+  async runAreaCollection(areaId) {
+    const area = await TargetArea.findOne({ _id: areaId, isActive: true, isEnabled: true });
+    if (!area) {
+      logger.warn(`Target area ${areaId} not found or disabled, skipping collection`);
+      return 0;
+    }
+
+    try {
+      const totalProperties = await this.trackRun(`area-${area._id}`, run => this.collectArea(area, null, run));
+      await this.markAreaRun(area, 'Success');
+      logger.info(`Collected ${totalProperties} properties for ${area.county}, ${area.state}`);
+
+      await this.runSavedSearchAlerts();
+      return totalProperties;
+    } catch (error) {
+      await this.markAreaRun(area, 'Failed');
+      throw error;
+    }
+  }
+
+  async markAreaRun(area, status) {
+    if (!area._id) return;
+
+    try {
+      await TargetArea.findByIdAndUpdate(area._id, { lastRunAt: new Date(), lastRunStatus: status });
+    } catch (error) {
+      logger.error(`Error recording run for target area ${area._id}:`, error);
+    }
+  }
+
+  // Create, update or remove one cron job per target area with a custom schedule
+  async syncAreaJobs() {
+    const areas = await TargetArea.find({
+      isActive: true,
+      isEnabled: true,
+      schedule: { $nin: [null, ''] }
+    });
+
+    const activeIds = new Set();
+
+    for (const area of areas) {
+      const id = area._id.toString();
+      const signature = `${area.schedule}|${area.timezone}`;
+
+      if (!cron.validate(area.schedule)) {
+        logger.warn(`Invalid schedule "${area.schedule}" for target area ${id}, skipping`);
+        continue;
+      }
+
+      activeIds.add(id);
+      if (this.areaSchedules.get(id) === signature) continue;
+
+      try {
+        this.scheduleJob(`area-${id}`, area.schedule, async () => {
+          await this.runAreaCollection(id);
+        }, area.timezone);
+        this.areaSchedules.set(id, signature);
+      } catch (error) {
+        logger.error(`Error scheduling target area ${id}:`, error);
       }
+    }
+
+    this.areaSchedules.forEach((signature, id) => {
+      if (activeIds.has(id)) return;
+
+      const name = `area-${id}`;
+      if (this.jobs.has(name)) {
+        this.jobs.get(name).stop();
+        this.jobs.delete(name);
+        logger.info(`Stopped scheduled job: ${name}`);
+      }
+      this.areaSchedules.delete(id);
+    });
+  }
 
-      const results = await this.processor.batchProcessProperties(propertiesToEnrich);
-      logger.info(`Data enrichment completed. Processed: ${results.processed}, Enriched: ${results.enriched}, Leads: ${results.leadsGenerated}, Errors: ${results.errors}`);
+  async runDataEnrichment() {
+    try {
+      await this.trackRun('hourly-enrichment', async (run) => {
+        logger.info('Starting data enrichment...');
+
+        // Find properties that need enrichment (low data quality or missing key fields)
+        const Property = require('../../models/Property');
+        const propertiesToEnrich = await Property.find({
+          isActive: true,
+          $or: [
+            { 'dataQuality.completeness': { $lt: 70 } },
+            { 'address.coordinates': { $exists: false } },
+            // ZIP centroid fallbacks are retried once their cache entry has expired
+            {
+              'address.geocode.precision': 'ZIP Centroid',
+              'address.geocode.geocodedAt': { $lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+            },
+            { 'financials.currentValue': { $exists: false } }
+          ]
+        }).limit(50); // Process 50 properties at a time
+
+        if (propertiesToEnrich.length === 0) {
+          logger.info('No properties need enrichment');
+          return;
+        }
+
+        const results = await this.processor.batchProcessProperties(propertiesToEnrich);
+        run.totals.found = propertiesToEnrich.length;
+        run.totals.processed = results.processed;
+        run.totals.updated = results.enriched;
+        run.totals.failed += results.errors;
+        run.details = results;
+
+        logger.info(`Data enrichment completed. Processed: ${results.processed}, Enriched: ${results.enriched}, Leads: ${results.leadsGenerated}, Errors: ${results.errors}`);
+      });
+
+      await this.runSavedSearchAlerts();
     } catch (error) {
       logger.error('Error in data enrichment:', error);
     }
@@ -159,27 +320,45 @@ class DataCollectionScheduler {
 
   async runMarketDataUpdate() {
     try {
-      logger.info('Starting market data update...');
-
-      const Property = require('../../models/Property');
-      const properties = await Property.find({
-        isActive: true,
-        'marketData.lastUpdated': { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Older than 7 days
-      }).limit(100);
-
-      for (const property of properties) {
-        try {
-          const marketData = await this.processor.getMarketData(property.address);
-          if (marketData) {
-            property.marketData = { ...property.marketData, ...marketData, lastUpdated: new Date() };
-            await property.save();
+      await this.trackRun('weekly-market-update', async (run) => {
+        logger.info('Starting market data update...');
+
+        const Property = require('../../models/Property');
+        const properties = await Property.find({
+          isActive: true,
+          $or: [
+            { 'marketData.lastUpdated': { $exists: false } },
+            { 'marketData.lastUpdated': { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } } // Older than 7 days
+          ]
+        }).limit(100);
+
+        run.totals.found = properties.length;
+
+        for (const property of properties) {
+          try {
+            const marketData = await this.processor.getMarketData(property);
+            if (marketData) {
+              this.processor.applyMarketData(property, marketData);
+              const valuation = await this.processor.getValuation(property, marketData);
+              if (valuation) {
+                this.processor.applyValuation(property, valuation);
+              }
+              this.processor.applyForeclosureProjection(property);
+              const equityAnalysis = this.processor.applyEquityAnalysis(property);
+              this.processor.applyTitleRisk(property, equityAnalysis);
+              this.processor.calculateFinancialMetrics(property);
+              await property.save();
+              run.totals.updated++;
+            }
+            run.totals.processed++;
+          } catch (error) {
+            logger.error(`Error updating market data for property ${property._id}:`, error);
+            run.addError(`Property ${property._id}: ${error.message}`);
           }
-        } catch (error) {
-          logger.error(`Error updating market data for property ${property._id}:`, error);
         }
-      }
 
-      logger.info(`Market data update completed for ${properties.length} properties`);
+        logger.info(`Market data update completed for ${properties.length} properties`);
+      });
     } catch (error) {
       logger.error('Error in market data update:', error);
     }
@@ -187,74 +366,145 @@ class DataCollectionScheduler {
 
   async runLeadScoringUpdate() {
     try {
-      logger.info('Starting lead scoring update...');
-
-      const Lead = require('../../models/Lead');
-      const leads = await Lead.find({
-        isActive: true,
-        status: { $nin: ['Closed', 'Lost'] }
-      });
-
-      for (const lead of leads) {
-        try {
-          // Recalculate lead score based on current data
-          const property = await require('../../models/Property').findById(lead.property);
-          if (property) {
-            lead.score.factors.motivation = this.processor.scoreMotivation(property);
-            lead.score.factors.timeline = this.processor.scoreTimeline(property);
-            lead.score.factors.equity = this.processor.scoreEquity(property);
-            lead.score.factors.condition = this.processor.scoreCondition(property);
-            lead.score.total = Object.values(lead.score.factors).reduce((sum, score) => sum + score, 0);
-            await lead.save();
+      await this.trackRun('daily-lead-scoring', async (run) => {
+        logger.info('Starting lead scoring update...');
+
+        const Lead = require('../../models/Lead');
+        const leads = await Lead.find({
+          isActive: true,
+          status: { $nin: ['Closed', 'Lost'] }
+        });
+
+        run.totals.found = leads.length;
+
+        // Profiles are loaded once so the whole run scores with the same versions
+        const profiles = await this.processor.scorer.loadProfiles();
+        const versions = {};
+
+        for (const lead of leads) {
+          try {
+            // Recalculate lead score based on current data
+            const property = await require('../../models/Property').findById(lead.property);
+            if (property) {
+              const firstScoring = !lead.score.scoredAt;
+              const { score, signals } = await this.processor.scoreWithSignals(property, lead, profiles);
+              lead.score = score;
+              // Leads entered by hand are first scored here; later runs keep that snapshot
+              if (firstScoring && !(lead.scoreSnapshot && lead.scoreSnapshot.signals)) {
+                lead.scoreSnapshot = { signals, takenAt: score.scoredAt };
+              }
+              await lead.save();
+              run.totals.updated++;
+
+              const version = `${lead.score.profileKey} v${lead.score.profileVersion}`;
+              versions[version] = (versions[version] || 0) + 1;
+            }
+            run.totals.processed++;
+          } catch (error) {
+            logger.error(`Error updating lead score for lead ${lead._id}:`, error);
+            run.addError(`Lead ${lead._id}: ${error.message}`);
           }
-        } catch (error) {
-          logger.error(`Error updating lead score for lead ${lead._id}:`, error);
         }
-      }
 
-      logger.info(`Lead scoring update completed for ${leads.length} leads`);
+        // Leads scored by each profile version
+        run.details = { profileVersions: versions };
+
+        logger.info(`Lead scoring update completed for ${leads.length} leads`);
+      });
     } catch (error) {
       logger.error('Error in lead scoring update:', error);
     }
   }
 
-  async runManualDataCollection(areas = []) {
+  async runManualDataCollection(areas = [], options = {}) {
     try {
       logger.info('Starting manual data collection...');
 
+      // Areas may be passed as target area ids or { county, state } objects
       if (areas.length === 0) {
-        areas = [
-          { county: 'Los Angeles', state: 'CA' },
-          { county: 'Miami-Dade', state: 'FL' }
-        ];
+        areas = await TargetArea.find({ isActive: true, isEnabled: true });
+      } else {
+        areas = await Promise.all(areas.map(area =>
+          typeof area === 'string' ? TargetArea.findOne({ _id: area, isActive: true }) : area
+        ));
+        areas = areas.filter(Boolean);
       }
 
-      let totalProperties = 0;
-
-      for (const area of areas) {
-        try {
-          const countyData = await this.scraper.scrapeCountyRecords(area.county, area.state);
-          const properties = await this.scraper.processAndSaveData(countyData, 'Manual Collection');
-          totalProperties += properties.length;
-        } catch (error) {
-          logger.error(`Error in manual collection for ${area.county}, ${area.state}:`, error);
+      let runId = null;
+      const totalProperties = await this.trackRun('manual-data-collection', async (run) => {
+        runId = run._id;
+        let total = 0;
+
+        for (const area of areas) {
+          try {
+            total += await this.collectArea(area, 'Manual Collection', run);
+            await this.markAreaRun(area, 'Success');
+          } catch (error) {
+            logger.error(`Error in manual collection for ${area.county}, ${area.state}:`, error);
+            run.addError(error.message, { county: area.county, state: area.state });
+            await this.markAreaRun(area, 'Failed');
+          }
         }
-      }
+
+        return total;
+      }, { trigger: 'Manual', triggeredBy: options.triggeredBy });
 
       logger.info(`Manual data collection completed. Total properties: ${totalProperties}`);
-      return { success: true, totalProperties };
+
+      await this.runSavedSearchAlerts();
+      return { success: true, totalProperties, runId };
     } catch (error) {
       logger.error('Error in manual data collection:', error);
       throw error;
     }
   }
 
+  // Alert saved searches about properties added or changed by a collection or enrichment batch
+  async runSavedSearchAlerts() {
+    if (this.alertsRunning) {
+      logger.warn('Saved search alerts already running, skipping...');
+      return;
+    }
+
+    this.alertsRunning = true;
+    try {
+      await this.matcher.run();
+    } catch (error) {
+      logger.error('Error running saved search alerts:', error);
+    } finally {
+      this.alertsRunning = false;
+    }
+  }
+
+  // Run due drip sequence steps; runs never overlap, so no step is sent twice
+  async runSequenceSteps() {
+    if (this.sequencesRunning) {
+      logger.warn('Sequence steps already running, skipping...');
+      return;
+    }
+
+    this.sequencesRunning = true;
+    try {
+      await this.trackRun('sequence-steps', async (run) => {
+        const summary = await this.sequences.runDue();
+        run.totals.created = summary.autoEnrolled;
+        run.totals.processed = summary.processed;
+        run.details = summary;
+      });
+    } catch (error) {
+      logger.error('Error running sequence steps:', error);
+    } finally {
+      this.sequencesRunning = false;
+    }
+  }
+
   stopScheduledJobs() {
     this.jobs.forEach((job, name) => {
-      job.destroy();
+      job.stop();
       logger.info(`Stopped scheduled job: ${name}`);
     });
     this.jobs.clear();
+    this.areaSchedules.clear();
   }
 
   async shutdown() {
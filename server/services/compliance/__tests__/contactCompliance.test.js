@@ -0,0 +1,113 @@
+const ContactCompliance = require('../contactCompliance');
+
+const compliance = new ContactCompliance({ mode: 'enforce' });
+
+describe('ContactCompliance', () => {
+  describe('classifyReply', () => {
+    it('recognizes STOP and START keywords however they are written', () => {
+      ['STOP', 'stop', ' Stop. ', 'Unsubscribe', 'stop all', 'OPT-OUT'].forEach(text => {
+        expect(compliance.classifyReply(text)).toBe('opt-out');
+      });
+      ['START', 'unstop'].forEach(text => {
+        expect(compliance.classifyReply(text)).toBe('opt-in');
+      });
+    });
+
+    it('ignores messages that only mention a keyword', () => {
+      ['Please stop calling me after 5', 'Yes', '', null].forEach(text => {
+        expect(compliance.classifyReply(text)).toBeNull();
+      });
+    });
+  });
+
+  describe('handleReply', () => {
+    let recordConsent;
+
+    beforeEach(() => {
+      recordConsent = jest.spyOn(compliance, 'recordConsent').mockResolvedValue({});
+    });
+
+    afterEach(() => recordConsent.mockRestore());
+
+    it('revokes text consent on STOP', async () => {
+      await expect(compliance.handleReply('(555) 201-0123', ' STOP ', { lead: 'lead1' })).resolves.toBe('opt-out');
+
+      expect(recordConsent).toHaveBeenCalledWith({
+        phone: '(555) 201-0123',
+        channel: 'SMS',
+        status: 'Revoked',
+        method: 'STOP Reply',
+        evidence: 'STOP',
+        lead: 'lead1'
+      });
+    });
+
+    it('restores text consent on START', async () => {
+      await expect(compliance.handleReply('5552010123', 'start')).resolves.toBe('opt-in');
+
+      expect(recordConsent).toHaveBeenCalledWith(expect.objectContaining({ status: 'Granted', method: 'START Reply' }));
+    });
+
+    it('records nothing for other replies', async () => {
+      await expect(compliance.handleReply('5552010123', 'Is the house still for sale?')).resolves.toBeNull();
+
+      expect(recordConsent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quiet hours', () => {
+    it('ends earlier in states with stricter telemarketing laws', () => {
+      expect(compliance.getQuietHours('FL')).toEqual({ start: 8, end: 20 });
+      expect(compliance.getQuietHours('ok')).toEqual({ start: 8, end: 20 });
+      expect(compliance.getQuietHours('CA')).toEqual({ start: 8, end: 21 });
+      expect(compliance.getQuietHours()).toEqual({ start: 8, end: 21 });
+    });
+
+    it("checks the recipient's local time", () => {
+      // 20:30 in New York
+      const evening = new Date('2024-06-04T00:30:00Z');
+
+      expect(compliance.withinCallingHours(evening, 'America/New_York', 'NY')).toEqual({
+        allowed: true,
+        timeZone: 'America/New_York',
+        localTime: '20:30',
+        hours: { start: 8, end: 21 }
+      });
+      expect(compliance.withinCallingHours(evening, 'America/New_York', 'FL').allowed).toBe(false);
+      expect(compliance.withinCallingHours(new Date('2024-06-03T11:59:00Z'), 'America/New_York').allowed).toBe(false);
+    });
+
+    it('must be allowed in every US time zone when the zone is unknown', () => {
+      // Noon in New York is 6 AM in Honolulu
+      expect(compliance.withinCallingHours(new Date('2024-06-03T16:00:00Z'), null, 'NY')).toMatchObject({ allowed: false, timeZone: null, localTime: null });
+      expect(compliance.withinCallingHours(new Date('2024-06-03T16:00:00Z'), 'Not/AZone', 'NY').allowed).toBe(false);
+      expect(compliance.withinCallingHours(new Date('2024-06-03T20:00:00Z'), null, 'NY').allowed).toBe(true);
+    });
+  });
+
+  describe('decide', () => {
+    const violation = (rule) => ({ rule, message: rule });
+
+    it('blocks any violation in enforce mode', () => {
+      expect(compliance.decide({ violations: [violation('Quiet Hours')] })).toMatchObject({ allowed: false, decision: 'Blocked', mode: 'enforce' });
+      expect(compliance.decide({ violations: [] })).toMatchObject({ allowed: true, decision: 'Allowed' });
+    });
+
+    it('only flags timing, registry and consent violations in log mode', () => {
+      const logOnly = new ContactCompliance({ mode: 'log' });
+
+      expect(logOnly.decide({ violations: [violation('Quiet Hours'), violation('No Consent')] })).toMatchObject({ allowed: true, decision: 'Flagged' });
+      expect(logOnly.decide({ violations: [violation('Opted Out')] })).toMatchObject({ allowed: false, decision: 'Blocked' });
+      expect(logOnly.decide({ violations: [violation('Internal DNC')] })).toMatchObject({ allowed: false, decision: 'Blocked' });
+    });
+  });
+
+  describe('check', () => {
+    it('blocks invalid numbers before looking anything up', async () => {
+      const result = await new ContactCompliance({ mode: 'log' }).check({ phone: '12345' });
+
+      expect(result).toMatchObject({ allowed: false, phone: null, rawPhone: '12345' });
+      expect(result.violations.map(item => item.rule)).toEqual(['Invalid Number']);
+    });
+  });
+});
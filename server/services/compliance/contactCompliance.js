@@ -0,0 +1,341 @@
+const readline = require('readline');
+const logger = require('../../utils/logger');
+const Lead = require('../../models/Lead');
+const User = require('../../models/User');
+const DoNotCallEntry = require('../../models/DoNotCallEntry');
+const ContactConsent = require('../../models/ContactConsent');
+const ComplianceLog = require('../../models/ComplianceLog');
+const { normalizePhone, phonePattern } = require('../../utils/phoneNumber');
+
+// Single-word replies carriers and the CTIA treat as opting out of, or back into, texts
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+
+// Marketing contact is allowed from start up to (not including) end, recipient's local time.
+// The TCPA allows 8 AM-9 PM; some state telemarketing laws end earlier.
+const QUIET_HOURS = { start: 8, end: 21 };
+const STATE_QUIET_HOURS = {
+  FL: { start: 8, end: 20 },
+  OK: { start: 8, end: 20 }
+};
+
+// Checked when the recipient's time zone isn't known: the send must be allowed in all of them
+const US_TIME_ZONES = ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'];
+
+// Violations that block a send even in log mode
+const ALWAYS_BLOCK = ['Invalid Number', 'Opted Out', 'Internal DNC'];
+
+// Registry numbers written per bulk upsert
+const BATCH_SIZE = 1000;
+
+const MESSAGE_PREVIEW_LENGTH = 160;
+
+// Checks outbound texts and calls against opt-outs, the internal and registry
+// Do-Not-Call lists, quiet hours and recorded consent, and logs every check.
+// COMPLIANCE_MODE=log lets sends that break registry, quiet-hour or consent rules go
+// ahead flagged, for rollout; opt-outs and the internal list always block.
+class ContactCompliance {
+  constructor(options = {}) {
+    this.mode = options.mode || (process.env.COMPLIANCE_MODE === 'log' ? 'log' : 'enforce');
+    this.smsRequiresConsent = options.smsRequiresConsent !== undefined
+      ? options.smsRequiresConsent
+      : process.env.COMPLIANCE_SMS_REQUIRES_CONSENT !== 'false';
+  }
+
+  // 'opt-out' or 'opt-in' for a STOP or START style reply, otherwise null
+  classifyReply(text) {
+    const keyword = String(text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+    if (STOP_KEYWORDS.includes(keyword)) return 'opt-out';
+    if (START_KEYWORDS.includes(keyword)) return 'opt-in';
+    return null;
+  }
+
+  getQuietHours(state) {
+    return STATE_QUIET_HOURS[String(state || '').toUpperCase()] || QUIET_HOURS;
+  }
+
+  // Local time in a zone as { hour, minute, label }, or null for an unknown zone
+  localTime(date, timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date);
+      const hour = Number(parts.find(part => part.type === 'hour').value);
+      const minute = Number(parts.find(part => part.type === 'minute').value);
+      return { hour, minute, label: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}` };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Whether it is inside calling hours in the zone, or in every US zone when it isn't known
+  withinCallingHours(date, timeZone, state) {
+    const hours = this.getQuietHours(state);
+    const local = timeZone ? this.localTime(date, timeZone) : null;
+    const zones = local ? [timeZone] : US_TIME_ZONES;
+
+    const allowed = zones.every(zone => {
+      const time = this.localTime(date, zone);
+      return time.hour >= hours.start && time.hour < hours.end;
+    });
+    return { allowed, timeZone: local ? timeZone : null, localTime: local ? local.label : null, hours };
+  }
+
+  async findLead(phone) {
+    const pattern = phonePattern(phone);
+    if (!pattern) return null;
+    return Lead.findOne({ 'contact.phone': pattern, isActive: true }).populate('property', 'address');
+  }
+
+  // Texts to the platform's own users are notifications, not marketing
+  async resolvePurpose(phone) {
+    const pattern = phonePattern(phone);
+    const user = pattern ? await User.exists({ phone: pattern, isActive: true }) : null;
+    return user ? 'Transactional' : 'Marketing';
+  }
+
+  // Check a text or call without logging it. lead may be a document or id; without one,
+  // the lead is found by phone. Returns { allowed, decision, phone, violations, ... }.
+  async check(params = {}) {
+    const channel = params.channel || 'SMS';
+    const phone = normalizePhone(params.phone);
+    const asOf = params.asOf ? new Date(params.asOf) : new Date();
+    const violations = [];
+
+    if (!phone) {
+      violations.push({ rule: 'Invalid Number', message: `${params.phone || 'No number'} is not a valid US phone number` });
+      return this.decide({ channel, phone: null, rawPhone: params.phone, violations, purpose: params.purpose || 'Marketing' });
+    }
+
+    let lead = params.lead;
+    if (lead && !lead.contact) lead = await Lead.findById(lead).populate('property', 'address');
+    if (!lead) lead = await this.findLead(phone);
+
+    const purpose = params.purpose || await this.resolvePurpose(phone);
+    const [consent, entries] = await Promise.all([
+      ContactConsent.findOne({ phone, channel }),
+      DoNotCallEntry.find({ phone })
+    ]);
+    const hasConsent = Boolean(consent && consent.status === 'Granted');
+
+    if (consent && consent.status === 'Revoked') {
+      violations.push({
+        rule: 'Opted Out',
+        message: `Opted out of ${channel === 'SMS' ? 'texts' : 'calls'}${consent.method ? ` (${consent.method})` : ''} on ${consent.recordedAt.toISOString().split('T')[0]}`
+      });
+    }
+
+    const internal = entries.find(entry => entry.list === 'Internal');
+    if (internal) {
+      violations.push({ rule: 'Internal DNC', message: `On the internal Do-Not-Call list${internal.reason ? `: ${internal.reason}` : ''}` });
+    }
+
+    let timing = { timeZone: null, localTime: null };
+    if (purpose === 'Marketing') {
+      const registry = entries.find(entry => entry.list !== 'Internal');
+      if (registry && !hasConsent) {
+        violations.push({
+          rule: 'DNC Registry',
+          message: `On the ${registry.list === 'State' ? `${registry.state} state` : 'National'} Do-Not-Call registry with no consent on record`
+        });
+      }
+
+      const state = lead && lead.property && lead.property.address ? lead.property.address.state : null;
+      timing = this.withinCallingHours(asOf, lead && lead.contact ? lead.contact.timeZone : null, state);
+      if (!timing.allowed) {
+        const { start, end } = timing.hours;
+        violations.push({
+          rule: 'Quiet Hours',
+          message: timing.timeZone
+            ? `${timing.localTime} in ${timing.timeZone} is outside ${start}:00-${end}:00`
+            : `Outside ${start}:00-${end}:00 in at least one US time zone, and the recipient's time zone is unknown`
+        });
+      }
+
+      if (channel === 'SMS' && this.smsRequiresConsent && !hasConsent && !(consent && consent.status === 'Revoked')) {
+        violations.push({ rule: 'No Consent', message: 'No consent to marketing texts on record' });
+      }
+    }
+
+    return this.decide({
+      channel,
+      phone,
+      lead: lead ? lead._id : undefined,
+      purpose,
+      violations,
+      timeZone: timing.timeZone,
+      localTime: timing.localTime
+    });
+  }
+
+  decide(result) {
+    const blocking = result.violations.filter(violation => this.mode === 'enforce' || ALWAYS_BLOCK.includes(violation.rule));
+    let decision = 'Allowed';
+    if (blocking.length > 0) decision = 'Blocked';
+    else if (result.violations.length > 0) decision = 'Flagged';
+
+    return { ...result, allowed: decision !== 'Blocked', decision, mode: this.mode };
+  }
+
+  // Check a send and record it in the audit trail. Returns the check result with logId.
+  async guard(params = {}) {
+    const result = await this.check(params);
+
+    try {
+      const log = await ComplianceLog.create({
+        channel: result.channel,
+        phone: result.phone || String(params.phone || ''),
+        rawPhone: result.phone ? undefined : params.phone,
+        lead: result.lead,
+        purpose: result.purpose,
+        context: params.context,
+        messagePreview: params.message ? String(params.message).slice(0, MESSAGE_PREVIEW_LENGTH) : undefined,
+        decision: result.decision,
+        mode: result.mode,
+        violations: result.violations,
+        timeZone: result.timeZone,
+        localTime: result.localTime,
+        user: params.userId
+      });
+      result.logId = log._id;
+    } catch (error) {
+      logger.error('Error writing compliance log:', error);
+    }
+
+    if (result.decision !== 'Allowed') {
+      logger.warn(`${result.channel} to ${result.phone || params.phone} ${result.decision.toLowerCase()}: ${result.violations.map(violation => violation.rule).join(', ')}`);
+    }
+    return result;
+  }
+
+  // Record consent or an opt-out for a number and channel, keeping the history
+  async recordConsent({ phone, channel = 'SMS', status, method = 'Manual', evidence, lead, userId }) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) throw new Error(`${phone} is not a valid US phone number`);
+
+    const recordedAt = new Date();
+    return ContactConsent.findOneAndUpdate(
+      { phone: normalized, channel },
+      {
+        $set: { status, method, evidence, recordedAt, updatedBy: userId, ...(lead ? { lead } : {}) },
+        $push: { history: { status, method, evidence, recordedAt, recordedBy: userId } }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  // Handle an inbound text: STOP revokes text consent, START restores it.
+  // Returns 'opt-out', 'opt-in' or null when the text is neither.
+  async handleReply(phone, text, options = {}) {
+    const reply = this.classifyReply(text);
+    if (!reply) return null;
+
+    await this.recordConsent({
+      phone,
+      channel: 'SMS',
+      status: reply === 'opt-out' ? 'Revoked' : 'Granted',
+      method: reply === 'opt-out' ? 'STOP Reply' : 'START Reply',
+      evidence: String(text).trim(),
+      lead: options.lead
+    });
+    logger.info(`Recorded ${reply} from ${normalizePhone(phone)}`);
+    return reply;
+  }
+
+  // Whether a lead with this email address replied asking not to be emailed
+  async isEmailOptedOut(email) {
+    const address = String(email || '').trim();
+    if (!address) return false;
+    const pattern = new RegExp(`^\\s*${address.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i');
+    return Boolean(await Lead.exists({ 'contact.email': pattern, 'contact.doNotEmail': true }));
+  }
+
+  async addToDoNotCall(phone, options = {}) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) throw new Error(`${phone} is not a valid US phone number`);
+
+    return DoNotCallEntry.findOneAndUpdate(
+      { phone: normalized, list: options.list || 'Internal', state: options.state || null },
+      {
+        $set: { reason: options.reason, source: options.source },
+        $setOnInsert: { createdBy: options.userId }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  // The number on a registry file line: a 10-digit field, or area code and number
+  // in separate fields as in FTC downloads (201,5550123)
+  parseRegistryLine(line) {
+    const fields = String(line).split(/[,\t|;]/).map(field => field.trim().replace(/^"|"$/g, ''));
+    for (const field of fields) {
+      const phone = normalizePhone(field);
+      if (phone) return phone;
+    }
+    return fields.length >= 2 ? normalizePhone(`${fields[0]}${fields[1]}`) : null;
+  }
+
+  // Load a National or State registry file (or an internal suppression list) from a
+  // readable stream, one number per line. With replace, entries of the same list and
+  // state that weren't in the file are removed, so a full download replaces the last.
+  // Returns { read, imported, invalid, removed }.
+  async importRegistry(input, options = {}) {
+    const list = options.list || 'National';
+    const state = list === 'State' ? String(options.state || '').toUpperCase() : null;
+    if (list === 'State' && !/^[A-Z]{2}$/.test(state)) throw new Error('State registry files need a two-letter state');
+
+    const importedAt = new Date();
+    const report = { read: 0, imported: 0, invalid: 0, removed: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await DoNotCallEntry.bulkWrite(operations, { ordered: false });
+      report.imported += result.upsertedCount + result.matchedCount;
+      operations = [];
+    };
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      report.read++;
+
+      const phone = this.parseRegistryLine(line);
+      if (!phone) {
+        report.invalid++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { phone, list, state },
+          update: {
+            $set: { source: options.source, importedAt },
+            $setOnInsert: { reason: options.reason || `${list === 'State' ? `${state} state` : list} Do-Not-Call registry`, createdBy: options.userId }
+          },
+          upsert: true
+        }
+      });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (options.replace) {
+      const result = await DoNotCallEntry.deleteMany({ list, state, importedAt: { $lt: importedAt } });
+      report.removed = result.deletedCount;
+    }
+
+    logger.info(`Do-Not-Call import (${list}${state ? ` ${state}` : ''}): ${JSON.stringify(report)}`);
+    return report;
+  }
+}
+
+ContactCompliance.STOP_KEYWORDS = STOP_KEYWORDS;
+ContactCompliance.START_KEYWORDS = START_KEYWORDS;
+ContactCompliance.QUIET_HOURS = QUIET_HOURS;
+ContactCompliance.STATE_QUIET_HOURS = STATE_QUIET_HOURS;
+
+module.exports = ContactCompliance;
@@ -0,0 +1,199 @@
+const ForeclosureRules = require('../foreclosureRules');
+const DataProcessor = require('../dataProcessor');
+
+const { STATE_RULES, JUDICIAL, NON_JUDICIAL } = ForeclosureRules;
+const rules = new ForeclosureRules();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AS_OF = new Date('2024-04-01T00:00:00Z');
+
+const buildProperty = (state, overrides = {}) => ({
+  address: { street: '123 N Main St', county: 'Test', state },
+  foreclosureStatus: 'Pre-Foreclosure',
+  foreclosureDetails: {},
+  foreclosureEvents: [],
+  ...overrides
+});
+
+describe('ForeclosureRules', () => {
+  describe('rules table', () => {
+    it('covers every state and DC with a complete rule', () => {
+      expect(Object.keys(STATE_RULES)).toHaveLength(51);
+      Object.values(STATE_RULES).forEach(rule => {
+        expect([JUDICIAL, NON_JUDICIAL]).toContain(rule.process);
+        expect(rule.typicalDays).toBeGreaterThan(0);
+        expect(rule.noticeOfSaleDays).toBeGreaterThan(0);
+        expect(rule.redemptionDays).toBeGreaterThanOrEqual(0);
+        expect(rule.publicationWeeks).toBeGreaterThanOrEqual(0);
+      });
+    });
+
+    it('looks up a state by its code', () => {
+      expect(rules.getRules(' mi ')).toMatchObject({ state: 'MI', process: NON_JUDICIAL, redemptionDays: 180 });
+      expect(rules.getRules('FL')).toMatchObject({ process: JUDICIAL, redemptionDays: 0 });
+      expect(rules.getRules('Michigan')).toBeNull();
+      expect(rules.getRules(undefined)).toBeNull();
+    });
+
+    it('takes overrides and extra jurisdictions', () => {
+      const custom = new ForeclosureRules({
+        rules: { GU: { process: JUDICIAL, typicalDays: 200, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 3 } }
+      });
+
+      expect(custom.getRules('GU')).toMatchObject({ state: 'GU', typicalDays: 200 });
+      expect(custom.getRules('AZ')).toMatchObject({ typicalDays: 100 });
+    });
+
+    it('describes the notices each process requires', () => {
+      expect(rules.describeNotices(rules.getRules('FL'))).toEqual([
+        'Lender files a foreclosure complaint and serves the owner; the sale follows a court judgment',
+        'Notice of sale at least 20 days before the sale',
+        'Notice of sale published 2 weeks in a local newspaper'
+      ]);
+      expect(rules.describeNotices(rules.getRules('TX'))).toEqual([
+        'Trustee records a notice of default before the notice of sale',
+        'Notice of sale at least 21 days before the sale'
+      ]);
+      expect(rules.describeNotices(rules.getRules('DC'))[2]).toBe('Notice of sale published 1 week in a local newspaper');
+    });
+  });
+
+  describe('getStartDate', () => {
+    it('starts the case at the notice of default', () => {
+      const property = buildProperty('CA', {
+        foreclosureDetails: { noticeOfDefaultDate: '2024-03-01T00:00:00Z' },
+        foreclosureEvents: [{ type: 'NOD Recorded', date: new Date('2024-02-01T00:00:00Z') }]
+      });
+
+      expect(rules.getStartDate(property)).toEqual(new Date('2024-03-01T00:00:00Z'));
+    });
+
+    it('falls back on the earliest default or lis pendens event', () => {
+      const property = buildProperty('FL', {
+        foreclosureEvents: [
+          { type: 'Auction Scheduled', date: new Date('2023-12-01T00:00:00Z') },
+          { type: 'Lis Pendens', date: new Date('2024-01-10T00:00:00Z') },
+          { type: 'NOD Recorded', date: new Date('2024-01-05T00:00:00Z') }
+        ]
+      });
+
+      expect(rules.getStartDate(property)).toEqual(new Date('2024-01-05T00:00:00Z'));
+      expect(rules.getStartDate(buildProperty('FL'))).toBeNull();
+    });
+  });
+
+  describe('getExpectedAuctionDate', () => {
+    it('uses a scheduled auction date as is', () => {
+      const property = buildProperty('CA', { foreclosureStatus: 'Auction', foreclosureDetails: { auctionDate: '2024-05-15T00:00:00Z' } });
+
+      expect(rules.getExpectedAuctionDate(property, { asOf: AS_OF })).toEqual({ date: new Date('2024-05-15T00:00:00Z'), projected: false });
+    });
+
+    it('projects a Pre-Foreclosure sale from the state\'s typical timeline', () => {
+      const property = buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: '2024-03-01T00:00:00Z' } });
+
+      expect(rules.getExpectedAuctionDate(property, { asOf: AS_OF })).toEqual({ date: new Date('2024-06-29T00:00:00Z'), projected: true });
+    });
+
+    it('leaves time for a notice of sale when the case is overdue', () => {
+      const property = buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: '2023-01-01T00:00:00Z' } });
+
+      expect(rules.getExpectedAuctionDate(property, { asOf: AS_OF })).toEqual({ date: new Date('2024-04-21T00:00:00Z'), projected: true });
+    });
+
+    it('projects nothing without a start, a known state or an open case', () => {
+      const started = { foreclosureDetails: { noticeOfDefaultDate: '2024-03-01T00:00:00Z' } };
+
+      expect(rules.getExpectedAuctionDate(buildProperty('CA'), { asOf: AS_OF })).toBeNull();
+      expect(rules.getExpectedAuctionDate(buildProperty('ZZ', started), { asOf: AS_OF })).toBeNull();
+      expect(rules.getExpectedAuctionDate(buildProperty('CA', { ...started, foreclosureStatus: 'REO' }), { asOf: AS_OF })).toBeNull();
+      expect(rules.getExpectedAuctionDate(buildProperty('CA', {
+        foreclosureStatus: 'Sold',
+        foreclosureDetails: { auctionDate: '2024-02-01T00:00:00Z' }
+      }), { asOf: AS_OF })).toBeNull();
+    });
+  });
+
+  describe('getRedemption', () => {
+    it('runs the redemption period from the sale', () => {
+      const property = buildProperty('MI', {
+        foreclosureStatus: 'Sold',
+        foreclosureDetails: { auctionDate: '2024-01-15T00:00:00Z' },
+        foreclosureEvents: [{ type: 'Sold to Third Party', date: new Date('2024-03-05T00:00:00Z'), auctionDate: new Date('2024-03-01T00:00:00Z') }]
+      });
+
+      expect(rules.getRedemption(property, { asOf: AS_OF })).toEqual({
+        days: 180,
+        endsAt: new Date('2024-08-28T00:00:00Z'),
+        active: true,
+        note: STATE_RULES.MI.redemptionNote
+      });
+      expect(rules.getRedemption(property, { asOf: new Date('2024-08-28T00:00:00Z') }).active).toBe(false);
+    });
+
+    it('falls back on the auction date, and treats an unknown sale date as still open', () => {
+      const reo = buildProperty('MN', { foreclosureStatus: 'REO', foreclosureDetails: { auctionDate: '2024-03-01T00:00:00Z' } });
+
+      expect(rules.getRedemption(reo, { asOf: AS_OF }).endsAt).toEqual(new Date(Date.parse('2024-03-01T00:00:00Z') + 180 * DAY_MS));
+      expect(rules.getRedemption(buildProperty('MN', { foreclosureStatus: 'REO' }), { asOf: AS_OF }))
+        .toMatchObject({ days: 180, endsAt: null, active: true });
+    });
+
+    it('has none before the sale or in states without one', () => {
+      expect(rules.getRedemption(buildProperty('MI'), { asOf: AS_OF })).toBeNull();
+      expect(rules.getRedemption(buildProperty('AZ', { foreclosureStatus: 'Sold' }), { asOf: AS_OF })).toBeNull();
+    });
+  });
+
+  describe('assess', () => {
+    it('sums up the process, projected sale and redemption', () => {
+      const property = buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: '2024-03-01T00:00:00Z' } });
+
+      expect(rules.assess(property, { asOf: AS_OF })).toEqual({
+        state: 'CA',
+        process: NON_JUDICIAL,
+        typicalDays: 120,
+        expectedAuctionDate: new Date('2024-06-29T00:00:00Z'),
+        auctionDateProjected: true,
+        redemptionDays: 0,
+        redemptionEndsAt: null,
+        inRedemption: false,
+        redemptionNote: undefined,
+        notices: rules.describeNotices(rules.getRules('CA'))
+      });
+    });
+
+    it('flags a sold property still in redemption', () => {
+      const property = buildProperty('WY', { foreclosureStatus: 'Sold', foreclosureDetails: { auctionDate: '2024-03-01T00:00:00Z' } });
+
+      expect(rules.assess(property, { asOf: AS_OF })).toMatchObject({
+        expectedAuctionDate: null,
+        redemptionDays: 90,
+        redemptionEndsAt: new Date('2024-05-30T00:00:00Z'),
+        inRedemption: true
+      });
+    });
+
+    it('returns null for places without rules', () => {
+      expect(rules.assess(buildProperty('PR'))).toBeNull();
+    });
+  });
+
+  describe('DataProcessor.determineTimeline', () => {
+    const processor = new DataProcessor();
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+    it('uses the projected sale for Pre-Foreclosure properties without an auction date', () => {
+      expect(processor.determineTimeline(buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: daysAgo(10) } })))
+        .toBe('3-6 Months');
+      expect(processor.determineTimeline(buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: daysAgo(60) } })))
+        .toBe('1-3 Months');
+      expect(processor.determineTimeline(buildProperty('CA', { foreclosureDetails: { noticeOfDefaultDate: daysAgo(400) } })))
+        .toBe('Immediate');
+    });
+
+    it('is flexible when no sale can be projected', () => {
+      expect(processor.determineTimeline(buildProperty('CA'))).toBe('Flexible');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const ForeclosureTimeline = require('../foreclosureTimeline');
+
+const timeline = new ForeclosureTimeline();
+
+const MARCH = new Date('2024-03-01T00:00:00Z');
+const APRIL = new Date('2024-04-01T00:00:00Z');
+const MAY = new Date('2024-05-01T00:00:00Z');
+
+const OLDER = new Date('2024-01-01T00:00:00Z');
+const NEWER = new Date('2024-02-01T00:00:00Z');
+const NEWEST = new Date('2024-02-15T00:00:00Z');
+
+const buildProperty = (data = {}) => ({
+  foreclosureStatus: 'Pre-Foreclosure',
+  foreclosureEvents: [],
+  ...data,
+  foreclosureDetails: { caseNumber: 'CV-2024-001', openingBid: 150000, ...data.foreclosureDetails }
+});
+
+// Detect and apply an update the way the data processor does
+const update = (property, changes, options) => {
+  const previous = timeline.snapshot(property);
+  Object.assign(property.foreclosureDetails, changes);
+  return timeline.applyEvents(property, timeline.detectEvents(previous, property, options));
+};
+
+describe('ForeclosureTimeline', () => {
+  it('classifies source status text', () => {
+    expect(timeline.parseEventType('Notice of Default recorded')).toBe('NOD Recorded');
+    expect(timeline.parseEventType('NOD')).toBe('NOD Recorded');
+    expect(timeline.parseEventType('Lis Pendens filed')).toBe('Lis Pendens');
+    expect(timeline.parseEventType('Trustee Sale')).toBe('Sale Scheduled');
+    expect(timeline.parseEventType('Sale postponed to 5/1')).toBe('Sale Postponed');
+    expect(timeline.parseEventType('Continued')).toBe('Sale Postponed');
+    expect(timeline.parseEventType('Sale cancelled')).toBe('Sale Cancelled');
+    expect(timeline.parseEventType('Rescinded')).toBe('Sale Cancelled');
+    expect(timeline.parseEventType('Sold to 3rd party')).toBe('Sold to Third Party');
+    expect(timeline.parseEventType('Reverted to beneficiary')).toBe('Reverted to Lender');
+    expect(timeline.parseEventType('Bank owned')).toBe('Reverted to Lender');
+    expect(timeline.parseEventType('Sold')).toBe('Sold to Third Party');
+    expect(timeline.parseEventType('Active')).toBeNull();
+    expect(timeline.parseEventType('')).toBeNull();
+  });
+
+  describe('detectEvents', () => {
+    it('records a sale scheduled when a new property has an auction date', () => {
+      const property = buildProperty({ foreclosureDetails: { auctionDate: MARCH } });
+
+      const events = timeline.detectEvents(null, property, { source: 'County Records', statusText: 'Trustee Sale', observedAt: OLDER });
+
+      expect(events).toEqual([expect.objectContaining({
+        type: 'Sale Scheduled',
+        date: OLDER,
+        auctionDate: MARCH,
+        source: 'County Records',
+        caseNumber: 'CV-2024-001',
+        openingBid: 150000,
+        recordedAt: OLDER
+      })]);
+    });
+
+    it('treats a moved sale date as a postponement whatever the source calls it', () => {
+      const property = buildProperty({ foreclosureDetails: { auctionDate: APRIL } });
+
+      const events = timeline.detectEvents({ foreclosureStatus: 'Auction', auctionDate: MARCH }, property, {
+        statusText: 'Trustee Sale',
+        observedAt: NEWER
+      });
+
+      expect(events).toEqual([expect.objectContaining({ type: 'Sale Postponed', auctionDate: APRIL, previousAuctionDate: MARCH })]);
+    });
+
+    it('ignores a sale date that moved by less than a day', () => {
+      const property = buildProperty({ foreclosureDetails: { auctionDate: new Date(MARCH.getTime() + 60 * 60 * 1000) } });
+
+      expect(timeline.detectEvents({ foreclosureStatus: 'Auction', auctionDate: MARCH }, property, { observedAt: NEWER })).toEqual([]);
+    });
+
+    it('uses the document\'s recorded date for the event date', () => {
+      const property = buildProperty();
+
+      const [event] = timeline.detectEvents(null, property, { statusText: 'Lis Pendens', recordedDate: '2023-12-15', observedAt: OLDER });
+
+      expect(event).toMatchObject({ type: 'Lis Pendens', date: new Date('2023-12-15'), recordedAt: OLDER });
+    });
+
+    it('records an event for a status set directly, but only when it changed', () => {
+      const property = buildProperty({ foreclosureStatus: 'Cancelled' });
+
+      expect(timeline.detectEvents({ foreclosureStatus: 'Auction' }, property, { status: 'Cancelled', userId: 'u1' }))
+        .toEqual([expect.objectContaining({ type: 'Sale Cancelled', recordedBy: 'u1' })]);
+      expect(timeline.detectEvents({ foreclosureStatus: 'Cancelled' }, property, { status: 'Cancelled' })).toEqual([]);
+    });
+  });
+
+  describe('applyEvents', () => {
+    it('derives the status from the latest event', () => {
+      const property = buildProperty();
+
+      update(property, {}, { statusText: 'Notice of default', observedAt: OLDER });
+      expect(property.foreclosureStatus).toBe('Pre-Foreclosure');
+
+      update(property, { auctionDate: MARCH }, { statusText: 'Trustee Sale', observedAt: NEWER });
+      expect(property.foreclosureStatus).toBe('Auction');
+
+      update(property, {}, { statusText: 'Sale cancelled', observedAt: NEWEST });
+      expect(property.foreclosureStatus).toBe('Cancelled');
+      expect(property.foreclosureEvents.map(event => event.type)).toEqual(['NOD Recorded', 'Sale Scheduled', 'Sale Cancelled']);
+    });
+
+    it('keeps the status of the latest event when an older one arrives late', () => {
+      const property = buildProperty();
+      update(property, { auctionDate: MARCH }, { statusText: 'Trustee Sale', observedAt: NEWER });
+
+      update(property, {}, { statusText: 'Lis Pendens', observedAt: OLDER });
+
+      expect(property.foreclosureEvents).toHaveLength(2);
+      expect(property.foreclosureStatus).toBe('Auction');
+    });
+
+    it('doesn\'t add the same sale date twice, from any source', () => {
+      const property = buildProperty();
+      update(property, { auctionDate: MARCH }, { source: 'County Records', statusText: 'Trustee Sale', observedAt: OLDER });
+
+      const added = timeline.applyEvents(property, [
+        { type: 'Sale Scheduled', date: NEWER, auctionDate: MARCH, source: 'Auction.com', recordedAt: NEWER },
+        { type: 'Sale Postponed', date: NEWER, auctionDate: new Date(MARCH.getTime() + 60 * 60 * 1000), recordedAt: NEWER }
+      ]);
+
+      expect(added).toEqual([]);
+      expect(property.foreclosureEvents).toHaveLength(1);
+    });
+
+    it('records each postponement to a new date', () => {
+      const property = buildProperty();
+      update(property, { auctionDate: MARCH }, { observedAt: OLDER });
+      update(property, { auctionDate: APRIL }, { observedAt: NEWER });
+      update(property, { auctionDate: MAY }, { observedAt: NEWEST });
+      update(property, { auctionDate: MAY }, { statusText: 'Postponed', observedAt: NEWEST });
+
+      expect(property.foreclosureEvents.map(event => event.type)).toEqual(['Sale Scheduled', 'Sale Postponed', 'Sale Postponed']);
+
+      const view = timeline.buildTimeline(property);
+      expect(view).toMatchObject({ currentStatus: 'Auction', currentAuctionDate: MAY, postponements: 2, auctionDates: [MARCH, APRIL, MAY] });
+    });
+
+    it('dedupes a repeated outcome against the latest event only', () => {
+      const property = buildProperty();
+      update(property, { auctionDate: MARCH }, { observedAt: OLDER });
+
+      expect(timeline.applyEvents(property, [{ type: 'Sale Cancelled', date: NEWER, recordedAt: NEWER }])).toHaveLength(1);
+      expect(timeline.applyEvents(property, [{ type: 'Sale Cancelled', date: NEWEST, recordedAt: NEWEST }])).toEqual([]);
+
+      update(property, { auctionDate: MAY }, { observedAt: NEWEST });
+      expect(timeline.applyEvents(property, [{ type: 'Sale Cancelled', date: MARCH, recordedAt: MARCH }])).toHaveLength(1);
+      expect(property.foreclosureStatus).toBe('Cancelled');
+    });
+
+    it('fills in the notice of default date from a NOD event', () => {
+      const property = buildProperty();
+
+      update(property, {}, { statusText: 'NOD', recordedDate: '2023-11-20', observedAt: OLDER });
+
+      expect(property.foreclosureDetails.noticeOfDefaultDate).toEqual(new Date('2023-11-20'));
+    });
+
+    it('leaves the status alone when nothing new was added', () => {
+      const property = buildProperty({ foreclosureStatus: 'Auction' });
+
+      expect(timeline.applyEvents(property, [])).toEqual([]);
+      expect(property.foreclosureStatus).toBe('Auction');
+    });
+  });
+});
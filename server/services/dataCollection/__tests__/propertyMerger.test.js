@@ -0,0 +1,111 @@
+const Property = require('../../../models/Property');
+const PropertyMerger = require('../propertyMerger');
+
+const merger = new PropertyMerger();
+
+const OLDER = new Date('2024-01-01T00:00:00Z');
+const NEWER = new Date('2024-02-01T00:00:00Z');
+
+const buildProperty = (data, options) => {
+  const property = new Property({
+    address: { street: '123 Main St', city: 'Anytown', state: 'CA', zipCode: '90001', county: 'Los Angeles' },
+    ...data
+  });
+  property.provenance = merger.describe(data, options);
+  return property;
+};
+
+describe('PropertyMerger', () => {
+  it('treats placeholders and blanks as empty', () => {
+    ['', '  ', 'N/A', 'unknown', '-', null, undefined, NaN, []].forEach(value => {
+      expect(merger.isEmpty(value)).toBe(true);
+    });
+    [0, 'Smith', ['x'], false].forEach(value => {
+      expect(merger.isEmpty(value)).toBe(false);
+    });
+  });
+
+  it('flattens nested objects into dotted paths', () => {
+    const date = new Date();
+    expect(merger.flatten({ owner: { name: 'Smith' }, foreclosureDetails: { auctionDate: date }, tags: ['a'] })).toEqual({
+      'owner.name': 'Smith',
+      'foreclosureDetails.auctionDate': date,
+      tags: ['a']
+    });
+  });
+
+  it('describes each non-empty field with its source', () => {
+    const entries = merger.describe({ bedrooms: 3, owner: { name: 'n/a' }, addressKey: 'X' }, { source: 'County Records', observedAt: OLDER });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ field: 'bedrooms', source: 'County Records', confidence: 90, isManual: false })
+    ]);
+  });
+
+  it('fills empty fields from any source and skips placeholders', () => {
+    const property = buildProperty({ bedrooms: 3 }, { source: 'County Records', observedAt: OLDER });
+
+    const changed = merger.merge(property, { squareFeet: 1500, owner: { name: 'unknown' } }, { source: 'Zillow', observedAt: NEWER });
+
+    expect(changed).toEqual(['squareFeet']);
+    expect(property.squareFeet).toBe(1500);
+    expect(property.owner.name).toBeUndefined();
+  });
+
+  it('keeps a higher-confidence value over a lower-confidence one', () => {
+    const property = buildProperty({ bedrooms: 3 }, { source: 'County Records', observedAt: OLDER });
+
+    expect(merger.merge(property, { bedrooms: 4 }, { source: 'Zillow', observedAt: NEWER })).toEqual([]);
+    expect(property.bedrooms).toBe(3);
+
+    expect(merger.merge(property, { bedrooms: 4 }, { source: 'County Records', observedAt: NEWER })).toEqual(['bedrooms']);
+    expect(property.bedrooms).toBe(4);
+  });
+
+  it('takes the newer observation when confidence is tied', () => {
+    const property = buildProperty({ bedrooms: 3 }, { source: 'County Records', observedAt: NEWER });
+
+    expect(merger.merge(property, { bedrooms: 4 }, { source: 'County Records', observedAt: OLDER })).toEqual([]);
+    expect(property.bedrooms).toBe(3);
+    expect(property.provenance.find(item => item.field === 'bedrooms').observedAt).toEqual(NEWER);
+
+    const latest = new Date('2024-03-01T00:00:00Z');
+    expect(merger.merge(property, { bedrooms: 4 }, { source: 'County Records', observedAt: latest })).toEqual(['bedrooms']);
+    expect(property.bedrooms).toBe(4);
+  });
+
+  it('never overwrites a manual value with a sourced one', () => {
+    const property = buildProperty({ bedrooms: 5 }, { isManual: true, observedAt: OLDER });
+
+    expect(merger.merge(property, { bedrooms: 4 }, { source: 'County Records', observedAt: NEWER })).toEqual([]);
+    expect(property.bedrooms).toBe(5);
+
+    expect(merger.merge(property, { bedrooms: 2 }, { isManual: true, observedAt: NEWER })).toEqual(['bedrooms']);
+    expect(property.bedrooms).toBe(2);
+  });
+
+  it('takes the newest observation of time-sensitive fields', () => {
+    const property = buildProperty(
+      { foreclosureDetails: { auctionDate: new Date('2024-03-01T00:00:00Z') } },
+      { source: 'County Records', observedAt: OLDER }
+    );
+    const postponed = new Date('2024-04-01T00:00:00Z');
+
+    // An older, lower-confidence observation doesn't win
+    expect(merger.merge(property, { foreclosureDetails: { auctionDate: postponed } }, { source: 'Zillow', observedAt: new Date('2023-12-01T00:00:00Z') })).toEqual([]);
+
+    expect(merger.merge(property, { foreclosureDetails: { auctionDate: postponed } }, { source: 'Zillow', observedAt: NEWER }))
+      .toEqual(['foreclosureDetails.auctionDate']);
+    expect(property.foreclosureDetails.auctionDate).toEqual(postponed);
+  });
+
+  it('updates provenance for merged fields', () => {
+    const property = buildProperty({ bedrooms: 3 }, { source: 'Zillow', observedAt: OLDER });
+
+    merger.merge(property, { bedrooms: 3 }, { source: 'County Records', observedAt: NEWER });
+
+    const entry = property.provenance.find(item => item.field === 'bedrooms');
+    expect(entry).toMatchObject({ source: 'County Records', confidence: 90 });
+    expect(entry.observedAt).toEqual(NEWER);
+  });
+});
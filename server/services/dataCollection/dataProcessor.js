@@ -1,15 +1,34 @@
-const axios = require('axios');
+const _ = require('lodash');
 const logger = require('../../utils/logger');
 const Property = require('../../models/Property');
 const Lead = require('../../models/Lead');
+const PropertyMerger = require('./propertyMerger');
+const Geocoder = require('../geocoding/geocoder');
+const CompsEngine = require('../valuation/compsEngine');
+const ValuationModel = require('../valuation/valuationModel');
+const RentEstimator = require('../valuation/rentEstimator');
+const LienWaterfall = require('../valuation/lienWaterfall');
+const TitleRiskEvaluator = require('../title/titleRiskEvaluator');
+const ForeclosureRules = require('./foreclosureRules');
+const LeadScorer = require('../scoring/leadScorer');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 class DataProcessor {
   constructor() {
     this.apiKeys = {
-      googleMaps: process.env.GOOGLE_MAPS_API_KEY,
       zillow: process.env.ZILLOW_API_KEY,
       openai: process.env.OPENAI_API_KEY
     };
+    this.merger = new PropertyMerger();
+    this.geocoder = new Geocoder();
+    this.comps = new CompsEngine();
+    this.valuationModel = new ValuationModel({ comps: this.comps });
+    this.rents = new RentEstimator();
+    this.liens = new LienWaterfall();
+    this.foreclosureRules = new ForeclosureRules();
+    this.titleRisk = new TitleRiskEvaluator({ liens: this.liens, foreclosureRules: this.foreclosureRules });
+    this.scorer = new LeadScorer({ foreclosureRules: this.foreclosureRules });
   }
 
   async enrichPropertyData(property) {
@@ -17,9 +36,15 @@ class DataProcessor {
       logger.info(`Enriching data for property: ${property.address.street}`);
       
       // Get coordinates
-      const coordinates = await this.getCoordinates(property.address);
-      if (coordinates) {
-        property.address.coordinates = coordinates;
+      const geocode = await this.getCoordinates(property.address);
+      if (geocode) {
+        property.address.coordinates = { lat: geocode.lat, lng: geocode.lng };
+        property.address.geocode = {
+          provider: geocode.provider,
+          precision: geocode.precision,
+          confidence: geocode.confidence,
+          geocodedAt: new Date()
+        };
       }
       
       // Get property details from Zillow
@@ -29,10 +54,22 @@ class DataProcessor {
       }
       
       // Get market data
-      const marketData = await this.getMarketData(property.address);
+      const marketData = await this.getMarketData(property);
       if (marketData) {
-        property.marketData = marketData;
+        this.applyMarketData(property, marketData);
       }
+
+      // Value the property, reusing the comps found for the market data
+      const valuation = await this.getValuation(property, marketData);
+      if (valuation) {
+        this.applyValuation(property, valuation);
+      }
+
+      // Apply the state's foreclosure rules, work out lien payoffs and equity
+      // against the new value, then flag title risks
+      this.applyForeclosureProjection(property);
+      const equityAnalysis = this.applyEquityAnalysis(property);
+      this.applyTitleRisk(property, equityAnalysis);
       
       // Calculate financial metrics
       this.calculateFinancialMetrics(property);
@@ -50,30 +87,10 @@ class DataProcessor {
     }
   }
 
+  // Coordinates with their precision, from the geocode cache or the configured providers
   async getCoordinates(address) {
     try {
-      if (!this.apiKeys.googleMaps) {
-        logger.warn('Google Maps API key not configured');
-        return null;
-      }
-      
-      const addressString = `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: {
-          address: addressString,
-          key: this.apiKeys.googleMaps
-        }
-      });
-      
-      if (response.data.results && response.data.results.length > 0) {
-        const location = response.data.results[0].geometry.location;
-        return {
-          lat: location.lat,
-          lng: location.lng
-        };
-      }
-      
-      return null;
+      return await this.geocoder.geocode(address);
     } catch (error) {
       logger.error('Error getting coordinates:', error.message);
       return null;
@@ -110,23 +127,47 @@ class DataProcessor {
   }
 
   mergeZillowData(property, zillowData) {
-    if (zillowData.yearBuilt) property.yearBuilt = zillowData.yearBuilt;
-    if (zillowData.lotSize) property.lotSize = zillowData.lotSize;
-    if (zillowData.livingArea) property.squareFeet = zillowData.livingArea;
-    if (zillowData.bedrooms) property.bedrooms = zillowData.bedrooms;
-    if (zillowData.bathrooms) property.bathrooms = zillowData.bathrooms;
-    if (zillowData.zestimate) property.financials.currentValue = zillowData.zestimate;
-    if (zillowData.rentZestimate) property.financials.rentalIncome = zillowData.rentZestimate;
+    this.merger.merge(property, {
+      yearBuilt: zillowData.yearBuilt,
+      lotSize: zillowData.lotSize,
+      squareFeet: zillowData.livingArea,
+      bedrooms: zillowData.bedrooms,
+      bathrooms: zillowData.bathrooms,
+      financials: {
+        currentValue: zillowData.zestimate
+      }
+    }, { source: 'Zillow' });
   }
 
-  async getMarketData(address) {
+  async getMarketData(property) {
     try {
       // Get comparable sales and market statistics
-      const comparables = await this.getComparableSales(address);
-      const neighborhoodStats = await this.getNeighborhoodStats(address);
-      
+      const estimate = await this.getComparableSales(property);
+      const neighborhoodStats = await this.getNeighborhoodStats(property);
+      const rentEstimate = await this.getRentEstimate(property);
+      const comparables = estimate ? estimate.comps : [];
+
       return {
         comparableSales: comparables,
+        compsValue: estimate ? {
+          value: estimate.value,
+          low: estimate.low,
+          high: estimate.high,
+          confidence: estimate.confidence,
+          compCount: estimate.compCount,
+          estimatedAt: new Date()
+        } : undefined,
+        comparableRentals: rentEstimate ? rentEstimate.comps : [],
+        rentEstimate: rentEstimate ? {
+          rent: rentEstimate.rent,
+          low: rentEstimate.low,
+          high: rentEstimate.high,
+          confidence: rentEstimate.confidence,
+          method: rentEstimate.method,
+          compCount: rentEstimate.compCount,
+          fairMarketRent: rentEstimate.fairMarketRent,
+          estimatedAt: new Date()
+        } : undefined,
         neighborhoodStats: neighborhoodStats,
         daysOnMarket: this.calculateDaysOnMarket(comparables),
         pricePerSqFt: this.calculatePricePerSqFt(comparables)
@@ -137,56 +178,149 @@ class DataProcessor {
     }
   }
 
-  async getComparableSales(address) {
+  // Adjusted comparable sales with the value they support, or null without recorded sales nearby
+  async getComparableSales(property) {
     try {
-      // In production, this would query MLS or other data sources
-      // For demo purposes, return simulated data
-      return [
-        {
-          address: '125 Main St, Anytown, ST 12345',
-          salePrice: 245000,
-          saleDate: new Date('2023-08-15'),
-          squareFeet: 1450,
-          distance: 0.2
-        },
-        {
-          address: '127 Main St, Anytown, ST 12345',
-          salePrice: 255000,
-          saleDate: new Date('2023-07-20'),
-          squareFeet: 1550,
-          distance: 0.3
-        }
-      ];
+      return await this.comps.estimate(property);
     } catch (error) {
       logger.error('Error getting comparable sales:', error.message);
-      return [];
+      return null;
     }
   }
 
-  async getNeighborhoodStats(address) {
+  // Monthly rent with comparable rentals, or null without rentals or Fair Market Rents
+  async getRentEstimate(property) {
     try {
-      // In production, this would query market data APIs
-      return {
-        medianPrice: 250000,
-        averageDaysOnMarket: 45,
-        pricePerSqFt: 165,
-        inventory: 12
-      };
+      return await this.rents.estimate(property);
+    } catch (error) {
+      logger.error('Error getting rent estimate:', error.message);
+      return null;
+    }
+  }
+
+  async getNeighborhoodStats(property) {
+    try {
+      return await this.comps.getAreaStats(property);
     } catch (error) {
       logger.error('Error getting neighborhood stats:', error.message);
       return null;
     }
   }
 
+  // Store market data (keeping price history) and take the estimated rent as the
+  // rental income. The rent goes through the merger so manual values are kept.
+  applyMarketData(property, marketData) {
+    ['comparableSales', 'compsValue', 'comparableRentals', 'rentEstimate', 'neighborhoodStats', 'daysOnMarket'].forEach(field => {
+      property.set(`marketData.${field}`, marketData[field]);
+    });
+    property.set('marketData.lastUpdated', new Date());
+
+    if (marketData.rentEstimate) {
+      this.merger.merge(property, {
+        financials: { rentalIncome: marketData.rentEstimate.rent }
+      }, { source: 'Rent Estimate' });
+    }
+  }
+
+  // Automated valuation with its contributing factors. Comps from getMarketData are
+  // reused when given; without them the valuation model looks them up itself.
+  async getValuation(property, marketData) {
+    try {
+      const options = {};
+      if (marketData) {
+        options.compsEstimate = marketData.compsValue
+          ? { ...marketData.compsValue, comps: marketData.comparableSales }
+          : null;
+      }
+      return await this.valuationModel.value(property, options);
+    } catch (error) {
+      logger.error('Error getting valuation:', error.message);
+      return null;
+    }
+  }
+
+  // Store the valuation and take its value as the ARV. The ARV goes through the
+  // merger so manual values are kept.
+  applyValuation(property, valuation) {
+    property.set('valuation', valuation);
+
+    if (valuation.value) {
+      this.merger.merge(property, {
+        financials: { afterRepairValue: valuation.value }
+      }, { source: 'Automated Valuation' });
+    }
+  }
+
+  // Store the lien waterfall and take the owner-sale net equity as the estimated
+  // equity. The equity goes through the merger so manual values are kept.
+  applyEquityAnalysis(property) {
+    try {
+      const analysis = this.liens.analyze(property);
+
+      property.set('equityAnalysis', {
+        value: analysis.value,
+        valueSource: analysis.valueSource,
+        totalLienPayoff: analysis.totalLienPayoff,
+        liens: analysis.liens,
+        scenarios: analysis.scenarios.map(scenario => ({
+          ...scenario,
+          survivingLiens: scenario.survivingLiens.map(lien => lien.position)
+        })),
+        analyzedAt: analysis.asOf
+      });
+
+      const ownerSale = analysis.scenarios.find(scenario => scenario.scenario === LienWaterfall.SCENARIOS.OWNER_SALE);
+      if (ownerSale && ownerSale.netEquity !== null && analysis.liens.length > 0) {
+        this.merger.merge(property, {
+          foreclosureDetails: { estimatedEquity: ownerSale.netEquity }
+        }, { source: 'Lien Analysis' });
+      }
+
+      return analysis;
+    } catch (error) {
+      logger.error('Error analyzing liens:', error.message);
+      return null;
+    }
+  }
+
+  // Store the state rules view of the case: process, expected auction date and redemption
+  applyForeclosureProjection(property) {
+    try {
+      const projection = this.foreclosureRules.assess(property);
+      property.set('foreclosureProjection', projection ? { ...projection, projectedAt: new Date() } : undefined);
+      return projection;
+    } catch (error) {
+      logger.error('Error projecting foreclosure timeline:', error.message);
+      return null;
+    }
+  }
+
+  // Store title risk flags; analysis reuses a lien waterfall already worked out
+  applyTitleRisk(property, analysis) {
+    try {
+      const risk = this.titleRisk.evaluate(property, { analysis: analysis || undefined });
+      property.set('titleRisk', { ...risk, evaluatedAt: new Date() });
+      return risk;
+    } catch (error) {
+      logger.error('Error evaluating title risk:', error.message);
+      return null;
+    }
+  }
+
   calculateFinancialMetrics(property) {
     try {
       const currentValue = property.financials.currentValue;
       const repairCosts = property.financials.repairCosts || 0;
       const openingBid = property.foreclosureDetails.openingBid || 0;
       
-      if (currentValue && repairCosts) {
+      // The automated valuation sets the ARV; the current value stands in without it
+      if (!property.financials.afterRepairValue && currentValue && repairCosts) {
         property.financials.afterRepairValue = currentValue;
-        property.financials.maximumAllowableOffer = currentValue - repairCosts - 20000; // 20k profit buffer
+      }
+
+      const afterRepairValue = property.financials.afterRepairValue;
+      if (afterRepairValue && repairCosts) {
+        property.financials.maximumAllowableOffer = afterRepairValue - repairCosts - 20000; // 20k profit buffer
       }
       
       if (property.financials.rentalIncome && currentValue) {
@@ -252,7 +386,8 @@ class DataProcessor {
     return Math.floor(totalPricePerSqFt / validComparables.length);
   }
 
-  async generateLead(property) {
+  // overrides are merged over the generated lead data (e.g. imported contact details)
+  async generateLead(property, overrides = {}) {
     try {
       // Check if lead already exists
       const existingLead = await Lead.findOne({ property: property._id });
@@ -274,16 +409,12 @@ class DataProcessor {
           timeline: this.determineTimeline(property),
           askingPrice: property.foreclosureDetails.openingBid,
           condition: property.condition
-        },
-        score: {
-          factors: {
-            motivation: this.scoreMotivation(property),
-            timeline: this.scoreTimeline(property),
-            equity: this.scoreEquity(property),
-            condition: this.scoreCondition(property)
-          }
         }
       };
+      _.merge(leadData, overrides);
+      const { score, signals } = await this.scoreWithSignals(property, leadData);
+      leadData.score = score;
+      leadData.scoreSnapshot = { signals, takenAt: score.scoredAt };
       
       const lead = await Lead.create(leadData);
       logger.info(`Generated lead for property: ${property.address.street}`);
@@ -302,9 +433,11 @@ class DataProcessor {
     return 'Other';
   }
 
+  // Scheduled auction date, or one projected from the state's typical timeline
   determineTimeline(property) {
-    if (property.foreclosureDetails.auctionDate) {
-      const daysUntilAuction = Math.floor((property.foreclosureDetails.auctionDate - new Date()) / (1000 * 60 * 60 * 24));
+    const auction = this.foreclosureRules.getExpectedAuctionDate(property);
+    if (auction) {
+      const daysUntilAuction = Math.floor((auction.date - new Date()) / DAY_MS);
       if (daysUntilAuction < 30) return 'Immediate';
       if (daysUntilAuction < 90) return '1-3 Months';
       return '3-6 Months';
@@ -312,45 +445,21 @@ class DataProcessor {
     return 'Flexible';
   }
 
-  scoreMotivation(property) {
-    let score = 0;
-    if (property.foreclosureStatus === 'Pre-Foreclosure') score += 15;
-    if (property.taxInfo.taxDelinquent) score += 10;
-    if (property.owner.isAbsenteeOwner) score += 5;
-    return Math.min(score, 25);
-  }
-
-  scoreTimeline(property) {
-    if (property.foreclosureDetails.auctionDate) {
-      const daysUntilAuction = Math.floor((property.foreclosureDetails.auctionDate - new Date()) / (1000 * 60 * 60 * 24));
-      if (daysUntilAuction < 30) return 25;
-      if (daysUntilAuction < 90) return 20;
-      if (daysUntilAuction < 180) return 15;
-      return 10;
-    }
-    return 15;
+  // Lead score fields from the scoring profile the lead is allocated to. Pass profiles
+  // loaded once with scorer.loadProfiles() when scoring many leads.
+  async scoreLead(property, lead, profiles) {
+    const { score } = await this.scoreWithSignals(property, lead, profiles);
+    return score;
   }
 
-  scoreEquity(property) {
-    if (property.foreclosureDetails.estimatedEquity) {
-      const equity = property.foreclosureDetails.estimatedEquity;
-      if (equity > 100000) return 25;
-      if (equity > 50000) return 20;
-      if (equity > 25000) return 15;
-      if (equity > 0) return 10;
-    }
-    return 5;
-  }
-
-  scoreCondition(property) {
-    const conditionScores = {
-      'Excellent': 25,
-      'Good': 20,
-      'Fair': 15,
-      'Poor': 10,
-      'Unknown': 5
-    };
-    return conditionScores[property.condition] || 5;
+  // scoreLead plus the signal values behind the score, for the lead's scoreSnapshot
+  async scoreWithSignals(property, lead, profiles) {
+    const { breakdown, signals, ...score } = this.scorer.scoreLead(
+      property,
+      profiles || await this.scorer.loadProfiles(),
+      { lead }
+    );
+    return { score, signals };
   }
 
   async batchProcessProperties(properties) {
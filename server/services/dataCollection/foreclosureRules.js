@@ -0,0 +1,203 @@
+// Per-state foreclosure rules: the usual process, how long a case typically runs
+// from the notice of default (or complaint) to the sale, the owner's right to
+// redeem after the sale and the notice of sale requirements. Durations are typical
+// for uncontested residential cases; contested cases and court backlogs run longer.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const JUDICIAL = 'Judicial';
+const NON_JUDICIAL = 'Non-Judicial';
+
+// typicalDays: notice of default or complaint to sale
+// redemptionDays: owner's right to redeem after the sale (0 when there is none)
+// noticeOfSaleDays / publicationWeeks: notice of sale before the sale date
+// redemptionNote: when the right of redemption depends on the case
+const STATE_RULES = {
+  AL: { process: NON_JUDICIAL, typicalDays: 75, redemptionDays: 365, noticeOfSaleDays: 21, publicationWeeks: 3,
+    redemptionNote: 'Lost if the owner doesn\'t give up possession within 10 days of the buyer\'s demand' },
+  AK: { process: NON_JUDICIAL, typicalDays: 105, redemptionDays: 0, noticeOfSaleDays: 90, publicationWeeks: 4 },
+  AZ: { process: NON_JUDICIAL, typicalDays: 100, redemptionDays: 0, noticeOfSaleDays: 90, publicationWeeks: 4 },
+  AR: { process: NON_JUDICIAL, typicalDays: 90, redemptionDays: 0, noticeOfSaleDays: 60, publicationWeeks: 4 },
+  CA: { process: NON_JUDICIAL, typicalDays: 120, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 3 },
+  CO: { process: NON_JUDICIAL, typicalDays: 125, redemptionDays: 0, noticeOfSaleDays: 110, publicationWeeks: 5 },
+  CT: { process: JUDICIAL, typicalDays: 300, redemptionDays: 0, noticeOfSaleDays: 14, publicationWeeks: 1,
+    redemptionNote: 'Most cases are strict foreclosures: title passes to the lender on the law day set by the court' },
+  DE: { process: JUDICIAL, typicalDays: 300, redemptionDays: 0, noticeOfSaleDays: 14, publicationWeeks: 2 },
+  DC: { process: NON_JUDICIAL, typicalDays: 120, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 1 },
+  FL: { process: JUDICIAL, typicalDays: 270, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 2 },
+  GA: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 4 },
+  HI: { process: JUDICIAL, typicalDays: 365, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  ID: { process: NON_JUDICIAL, typicalDays: 150, redemptionDays: 0, noticeOfSaleDays: 120, publicationWeeks: 4 },
+  IL: { process: JUDICIAL, typicalDays: 365, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  IN: { process: JUDICIAL, typicalDays: 270, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 3 },
+  IA: { process: JUDICIAL, typicalDays: 180, redemptionDays: 180, noticeOfSaleDays: 28, publicationWeeks: 2,
+    redemptionNote: 'Up to a year, or none when the lender waives a deficiency judgment' },
+  KS: { process: JUDICIAL, typicalDays: 150, redemptionDays: 365, noticeOfSaleDays: 21, publicationWeeks: 3,
+    redemptionNote: '3 months when the owner paid off less than a third of the loan' },
+  KY: { process: JUDICIAL, typicalDays: 200, redemptionDays: 365, noticeOfSaleDays: 21, publicationWeeks: 3,
+    redemptionNote: 'Only when the sale brings less than two-thirds of the appraised value' },
+  LA: { process: JUDICIAL, typicalDays: 180, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 2 },
+  ME: { process: JUDICIAL, typicalDays: 365, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  MD: { process: NON_JUDICIAL, typicalDays: 210, redemptionDays: 0, noticeOfSaleDays: 15, publicationWeeks: 3,
+    redemptionNote: 'The sale isn\'t final until the circuit court ratifies it' },
+  MA: { process: NON_JUDICIAL, typicalDays: 150, redemptionDays: 0, noticeOfSaleDays: 14, publicationWeeks: 3 },
+  MI: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 180, noticeOfSaleDays: 28, publicationWeeks: 4,
+    redemptionNote: '30 days for abandoned property, up to a year on larger lots' },
+  MN: { process: NON_JUDICIAL, typicalDays: 90, redemptionDays: 180, noticeOfSaleDays: 42, publicationWeeks: 6,
+    redemptionNote: 'Up to a year on some agricultural and older mortgages' },
+  MS: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  MO: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 3,
+    redemptionNote: 'A year when the lender buys and the owner gave notice and posted bond before the sale' },
+  MT: { process: NON_JUDICIAL, typicalDays: 150, redemptionDays: 0, noticeOfSaleDays: 120, publicationWeeks: 3 },
+  NE: { process: JUDICIAL, typicalDays: 180, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 5 },
+  NV: { process: NON_JUDICIAL, typicalDays: 120, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 3 },
+  NH: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  NJ: { process: JUDICIAL, typicalDays: 540, redemptionDays: 10, noticeOfSaleDays: 21, publicationWeeks: 4 },
+  NM: { process: JUDICIAL, typicalDays: 270, redemptionDays: 270, noticeOfSaleDays: 30, publicationWeeks: 4,
+    redemptionNote: '1 month when the mortgage shortens it' },
+  NY: { process: JUDICIAL, typicalDays: 900, redemptionDays: 0, noticeOfSaleDays: 28, publicationWeeks: 4 },
+  NC: { process: NON_JUDICIAL, typicalDays: 110, redemptionDays: 10, noticeOfSaleDays: 20, publicationWeeks: 2,
+    redemptionNote: 'Upset bid period: a higher bid within 10 days reopens the sale' },
+  ND: { process: JUDICIAL, typicalDays: 150, redemptionDays: 60, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  OH: { process: JUDICIAL, typicalDays: 300, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3,
+    redemptionNote: 'The owner can redeem until the court confirms the sale' },
+  OK: { process: JUDICIAL, typicalDays: 240, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 2 },
+  OR: { process: NON_JUDICIAL, typicalDays: 150, redemptionDays: 0, noticeOfSaleDays: 120, publicationWeeks: 4 },
+  PA: { process: JUDICIAL, typicalDays: 300, redemptionDays: 0, noticeOfSaleDays: 30, publicationWeeks: 3 },
+  RI: { process: NON_JUDICIAL, typicalDays: 90, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  SC: { process: JUDICIAL, typicalDays: 180, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3,
+    redemptionNote: 'Bidding stays open 30 days after the sale when the lender seeks a deficiency' },
+  SD: { process: JUDICIAL, typicalDays: 150, redemptionDays: 180, noticeOfSaleDays: 28, publicationWeeks: 4,
+    redemptionNote: 'A year on mortgages that don\'t provide for the shorter period' },
+  TN: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 3,
+    redemptionNote: 'Two years unless waived, which nearly every deed of trust does' },
+  TX: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 0 },
+  UT: { process: NON_JUDICIAL, typicalDays: 120, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 3 },
+  VT: { process: JUDICIAL, typicalDays: 365, redemptionDays: 0, noticeOfSaleDays: 21, publicationWeeks: 3 },
+  VA: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 14, publicationWeeks: 2 },
+  WA: { process: NON_JUDICIAL, typicalDays: 150, redemptionDays: 0, noticeOfSaleDays: 90, publicationWeeks: 2 },
+  WV: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 0, noticeOfSaleDays: 20, publicationWeeks: 2 },
+  WI: { process: JUDICIAL, typicalDays: 300, redemptionDays: 0, noticeOfSaleDays: 42, publicationWeeks: 6,
+    redemptionNote: 'The owner can redeem until the court confirms the sale' },
+  WY: { process: NON_JUDICIAL, typicalDays: 60, redemptionDays: 90, noticeOfSaleDays: 28, publicationWeeks: 4 }
+};
+
+// Events that start the clock on a case, and events that end it with a sale
+const START_EVENTS = ['NOD Recorded', 'Lis Pendens'];
+const SALE_EVENTS = ['Sold to Third Party', 'Reverted to Lender'];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+class ForeclosureRules {
+  constructor(options = {}) {
+    this.rules = { ...STATE_RULES, ...options.rules };
+  }
+
+  getRules(state) {
+    const code = String(state || '').trim().toUpperCase();
+    return this.rules[code] ? { state: code, ...this.rules[code] } : null;
+  }
+
+  // Notice of sale requirements in plain language
+  describeNotices(rules) {
+    const notices = [];
+    if (rules.process === JUDICIAL) {
+      notices.push('Lender files a foreclosure complaint and serves the owner; the sale follows a court judgment');
+    } else {
+      notices.push('Trustee records a notice of default before the notice of sale');
+    }
+    notices.push(`Notice of sale at least ${rules.noticeOfSaleDays} days before the sale`);
+    if (rules.publicationWeeks > 0) {
+      notices.push(`Notice of sale published ${rules.publicationWeeks} week${rules.publicationWeeks > 1 ? 's' : ''} in a local newspaper`);
+    }
+    return notices;
+  }
+
+  // When the case started: the notice of default, or the earliest default or lis pendens event
+  getStartDate(property) {
+    const details = property.foreclosureDetails || {};
+    if (details.noticeOfDefaultDate) return new Date(details.noticeOfDefaultDate);
+
+    const started = (property.foreclosureEvents || [])
+      .filter(event => START_EVENTS.includes(event.type))
+      .map(event => new Date(event.date))
+      .sort((a, b) => a - b);
+    return started[0] || null;
+  }
+
+  // When a completed sale took place: the sale event's auction date or date, else the last auction date
+  getSaleDate(property) {
+    const sale = (property.foreclosureEvents || [])
+      .filter(event => SALE_EVENTS.includes(event.type))
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .pop();
+    if (sale) return new Date(sale.auctionDate || sale.date);
+
+    const details = property.foreclosureDetails || {};
+    return details.auctionDate ? new Date(details.auctionDate) : null;
+  }
+
+  // Scheduled auction date, or for Pre-Foreclosure properties a date projected from
+  // the start of the case. Returns { date, projected } or null.
+  getExpectedAuctionDate(property, options = {}) {
+    const asOf = options.asOf || new Date();
+    const details = property.foreclosureDetails || {};
+
+    if (details.auctionDate && !['Sold', 'REO'].includes(property.foreclosureStatus)) {
+      return { date: new Date(details.auctionDate), projected: false };
+    }
+    if (property.foreclosureStatus !== 'Pre-Foreclosure') return null;
+
+    const rules = this.getRules(property.address && property.address.state);
+    const start = this.getStartDate(property);
+    if (!rules || !start) return null;
+
+    // A case running past the typical timeline can't be sold before a notice of sale runs
+    const typical = addDays(start, rules.typicalDays);
+    const earliest = addDays(asOf, rules.noticeOfSaleDays);
+    return { date: typical > earliest ? typical : earliest, projected: true };
+  }
+
+  // Owner's post-sale right of redemption for a Sold or REO property.
+  // Returns { days, endsAt, active, note } or null when there is none.
+  getRedemption(property, options = {}) {
+    const asOf = options.asOf || new Date();
+    const rules = this.getRules(property.address && property.address.state);
+    if (!rules || !rules.redemptionDays || !['Sold', 'REO'].includes(property.foreclosureStatus)) return null;
+
+    const saleDate = this.getSaleDate(property);
+    if (!saleDate) return { days: rules.redemptionDays, endsAt: null, active: true, note: rules.redemptionNote };
+
+    const endsAt = addDays(saleDate, rules.redemptionDays);
+    return { days: rules.redemptionDays, endsAt, active: asOf < endsAt, note: rules.redemptionNote };
+  }
+
+  // Process, expected auction date and redemption status for a property, or null
+  // for states without rules
+  assess(property, options = {}) {
+    const rules = this.getRules(property.address && property.address.state);
+    if (!rules) return null;
+
+    const auction = this.getExpectedAuctionDate(property, options);
+    const redemption = this.getRedemption(property, options);
+
+    return {
+      state: rules.state,
+      process: rules.process,
+      typicalDays: rules.typicalDays,
+      expectedAuctionDate: auction ? auction.date : null,
+      auctionDateProjected: auction ? auction.projected : false,
+      redemptionDays: rules.redemptionDays,
+      redemptionEndsAt: redemption ? redemption.endsAt : null,
+      inRedemption: Boolean(redemption && redemption.active),
+      redemptionNote: rules.redemptionNote,
+      notices: this.describeNotices(rules)
+    };
+  }
+}
+
+ForeclosureRules.STATE_RULES = STATE_RULES;
+ForeclosureRules.JUDICIAL = JUDICIAL;
+ForeclosureRules.NON_JUDICIAL = NON_JUDICIAL;
+
+module.exports = ForeclosureRules;
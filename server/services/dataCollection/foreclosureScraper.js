@@ -1,12 +1,18 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
+const _ = require('lodash');
 const logger = require('../../utils/logger');
 const Property = require('../../models/Property');
+const { parseAddressString } = require('../../utils/addressNormalizer');
+const PropertyMerger = require('./propertyMerger');
+const ForeclosureTimeline = require('./foreclosureTimeline');
+const ForeclosureRules = require('./foreclosureRules');
 
 class ForeclosureScraper {
   constructor() {
     this.browser = null;
+    this.merger = new PropertyMerger();
+    this.timeline = new ForeclosureTimeline();
+    this.rules = new ForeclosureRules();
     this.userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -35,116 +41,25 @@ class ForeclosureScraper {
     }
   }
 
-  async scrapeCountyRecords(county, state) {
-    try {
-      const page = await this.browser.newPage();
-      await page.setUserAgent(this.getRandomUserAgent());
-      
-      // Navigate to county records website
-      const countyUrl = this.getCountyUrl(county, state);
-      await page.goto(countyUrl, { waitUntil: 'networkidle2' });
-      
-      // Search for foreclosure records
-      const foreclosureData = await this.extractForeclosureData(page);
-      
-      await page.close();
-      return foreclosureData;
-    } catch (error) {
-      logger.error(`Error scraping county records for ${county}, ${state}:`, error);
-      throw error;
-    }
-  }
-
-  async scrapeForeclosureListings() {
-    const listings = [];
-    
-    try {
-      // Scrape multiple foreclosure listing sites
-      const sites = [
-        'https://www.foreclosure.com',
-        'https://www.realtytrac.com',
-        'https://www.auction.com'
-      ];
-
-      for (const site of sites) {
-        try {
-          const siteListings = await this.scrapeSite(site);
-          listings.push(...siteListings);
-        } catch (error) {
-          logger.error(`Error scraping ${site}:`, error);
-        }
-      }
-
-      return listings;
-    } catch (error) {
-      logger.error('Error scraping foreclosure listings:', error);
-      throw error;
-    }
-  }
-
-  async scrapeSite(url) {
+  // Run a single source adapter for an area and return records ready for processAndSaveData
+  async scrapeSource(adapter, area = null) {
     const page = await this.browser.newPage();
     await page.setUserAgent(this.getRandomUserAgent());
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2' });
-      
-      // Wait for content to load
-      await page.waitForSelector('.property-listing, .foreclosure-item, .auction-item', { timeout: 10000 });
-      
-      const listings = await page.evaluate(() => {
-        const items = document.querySelectorAll('.property-listing, .foreclosure-item, .auction-item');
-        return Array.from(items).map(item => {
-          return {
-            address: item.querySelector('.address, .property-address')?.textContent?.trim(),
-            price: item.querySelector('.price, .bid-amount')?.textContent?.trim(),
-            status: item.querySelector('.status, .foreclosure-status')?.textContent?.trim(),
-            auctionDate: item.querySelector('.auction-date, .sale-date')?.textContent?.trim(),
-            details: item.querySelector('.details, .property-details')?.textContent?.trim()
-          };
-        });
-      });
-      
-      await page.close();
-      return listings;
-    } catch (error) {
-      await page.close();
-      throw error;
-    }
-  }
 
-  async scrapePublicRecords(state, county) {
     try {
-      const page = await this.browser.newPage();
-      await page.setUserAgent(this.getRandomUserAgent());
-      
-      // Navigate to public records search
-      const searchUrl = this.getPublicRecordsUrl(state, county);
-      await page.goto(searchUrl, { waitUntil: 'networkidle2' });
-      
-      // Search for foreclosure-related documents
-      await page.type('#search-input', 'foreclosure OR "notice of default" OR "trustee sale"');
-      await page.click('#search-button');
-      
-      await page.waitForSelector('.search-results', { timeout: 10000 });
-      
-      const records = await page.evaluate(() => {
-        const results = document.querySelectorAll('.search-result');
-        return Array.from(results).map(result => {
-          return {
-            documentType: result.querySelector('.doc-type')?.textContent?.trim(),
-            date: result.querySelector('.date')?.textContent?.trim(),
-            propertyAddress: result.querySelector('.property-address')?.textContent?.trim(),
-            caseNumber: result.querySelector('.case-number')?.textContent?.trim(),
-            amount: result.querySelector('.amount')?.textContent?.trim()
-          };
-        });
-      });
-      
+      await adapter.search(page, area);
+
+      const html = await page.content();
+      const records = adapter.parse(html, area)
+        .map(record => adapter.mapRecord(record, area))
+        .filter(Boolean);
+
       await page.close();
       return records;
     } catch (error) {
-      logger.error(`Error scraping public records for ${county}, ${state}:`, error);
+      await page.close();
+      const location = area ? ` for ${area.county}, ${area.state}` : '';
+      logger.error(`Error scraping ${adapter.name}${location}:`, error);
       throw error;
     }
   }
@@ -178,62 +93,37 @@ class ForeclosureScraper {
     ];
   }
 
-  async scrapeTaxRecords(county, state) {
-    try {
-      const page = await this.browser.newPage();
-      await page.setUserAgent(this.getRandomUserAgent());
-      
-      const taxUrl = this.getTaxRecordsUrl(county, state);
-      await page.goto(taxUrl, { waitUntil: 'networkidle2' });
-      
-      // Search for delinquent tax properties
-      const delinquentProperties = await page.evaluate(() => {
-        const properties = document.querySelectorAll('.tax-property');
-        return Array.from(properties).map(prop => {
-          return {
-            address: prop.querySelector('.address')?.textContent?.trim(),
-            owner: prop.querySelector('.owner')?.textContent?.trim(),
-            assessedValue: prop.querySelector('.assessed-value')?.textContent?.trim(),
-            delinquentAmount: prop.querySelector('.delinquent-amount')?.textContent?.trim(),
-            yearsDelinquent: prop.querySelector('.years-delinquent')?.textContent?.trim()
-          };
-        });
-      });
-      
-      await page.close();
-      return delinquentProperties;
-    } catch (error) {
-      logger.error(`Error scraping tax records for ${county}, ${state}:`, error);
-      throw error;
-    }
-  }
-
-  async processAndSaveData(rawData, source) {
+  // Pass a stats object to collect found/created/updated/failed counts for run history
+  async processAndSaveData(rawData, source, stats = null) {
     try {
       const processedProperties = [];
+      const counts = stats || {};
+      ['found', 'created', 'updated', 'failed'].forEach(key => {
+        counts[key] = counts[key] || 0;
+      });
       
       for (const item of rawData) {
+        counts.found++;
         try {
           const property = await this.processPropertyData(item, source);
           if (property) {
-            // Check if property already exists
-            const existingProperty = await Property.findOne({
-              'address.street': property.address.street,
-              'address.city': property.address.city,
-              'address.state': property.address.state
+            const result = await this.savePropertyRecord(property, {
+              source,
+              statusText: item.status,
+              recordedDate: item.recordedDate
             });
-            
-            if (!existingProperty) {
-              const savedProperty = await Property.create(property);
-              processedProperties.push(savedProperty);
+
+            if (result.created) {
+              processedProperties.push(result.property);
+              counts.created++;
               logger.info(`Saved new property: ${property.address.street}`);
-            } else {
-              // Update existing property
-              await Property.findByIdAndUpdate(existingProperty._id, property);
-              logger.info(`Updated existing property: ${property.address.street}`);
+            } else if (result.changed.length > 0) {
+              counts.updated++;
+              logger.info(`Updated existing property: ${property.address.street} (${result.changed.join(', ')})`);
             }
           }
         } catch (error) {
+          counts.failed++;
           logger.error('Error processing property data:', error);
         }
       }
@@ -245,11 +135,60 @@ class ForeclosureScraper {
     }
   }
 
+  // State rules view of the case as it stands after an update
+  project(property) {
+    const projection = this.rules.assess(property);
+    return projection ? { ...projection, projectedAt: new Date() } : undefined;
+  }
+
+  // Create a property or merge it into the existing record with the same address key.
+  // Shared by scraping and file imports. defaults only fill gaps in new records.
+  // Returns { property, created, changed }.
+  async savePropertyRecord(property, options = {}) {
+    const { source, statusText, recordedDate, userId, defaults } = options;
+    const observedAt = options.observedAt || new Date();
+    const eventOptions = { statusText, recordedDate, source, observedAt, userId };
+
+    const existingProperty = await Property.findOne({ addressKey: property.addressKey });
+
+    if (!existingProperty) {
+      if (defaults) _.defaultsDeep(property, defaults);
+      this.timeline.applyEvents(property, this.timeline.detectEvents(null, property, eventOptions));
+      property.foreclosureProjection = this.project(property);
+      property.provenance = this.merger.describe(property, { source, observedAt });
+      const savedProperty = await Property.create({ ...property, createdBy: userId, updatedBy: userId });
+      return { property: savedProperty, created: true, changed: [] };
+    }
+
+    // Merge field by field so manual and higher-confidence values are kept.
+    // Status is derived from the event history rather than overwritten.
+    const previous = this.timeline.snapshot(existingProperty);
+    const { foreclosureStatus, ...incoming } = property;
+    const changed = this.merger.merge(existingProperty, incoming, { source, observedAt });
+
+    const events = this.timeline.applyEvents(
+      existingProperty,
+      this.timeline.detectEvents(previous, existingProperty, eventOptions)
+    );
+    if (events.length > 0) changed.push(...events.map(event => event.type));
+    if (events.length > 0 || existingProperty.isModified('foreclosureDetails')) {
+      existingProperty.set('foreclosureProjection', this.project(existingProperty));
+    }
+
+    if (existingProperty.isModified()) {
+      if (userId) existingProperty.updatedBy = userId;
+      await existingProperty.save();
+    }
+
+    return { property: existingProperty, created: false, changed };
+  }
+
   async processPropertyData(item, source) {
     try {
       // Parse address
       const address = this.parseAddress(item.address);
       if (!address) return null;
+      if (item.county) address.county = item.county;
       
       // Parse price
       const price = this.parsePrice(item.price);
@@ -260,12 +199,16 @@ class ForeclosureScraper {
       // Parse auction date
       const auctionDate = this.parseDate(item.auctionDate);
       
+      const { key, ...addressFields } = address;
+
       return {
-        address: address,
+        address: addressFields,
+        addressKey: key,
         foreclosureStatus: status,
         foreclosureDetails: {
           openingBid: price,
           auctionDate: auctionDate,
+          caseNumber: item.caseNumber,
           lender: item.lender || 'Unknown'
         },
         leadInfo: {
@@ -284,19 +227,9 @@ class ForeclosureScraper {
   }
 
   parseAddress(addressString) {
-    if (!addressString) return null;
-    
-    // Simple address parsing - in production, use a more robust parser
-    const parts = addressString.split(',').map(part => part.trim());
-    
-    if (parts.length < 3) return null;
-    
-    return {
-      street: parts[0],
-      city: parts[1],
-      state: parts[2].split(' ')[0],
-      zipCode: parts[2].split(' ')[1] || ''
-    };
+    const address = parseAddressString(addressString);
+    if (!address || !address.key) return null;
+    return address;
   }
 
   parsePrice(priceString) {
@@ -339,19 +272,6 @@ class ForeclosureScraper {
     return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
   }
 
-  getCountyUrl(county, state) {
-    // This would map to actual county websites
-    return `https://${county.toLowerCase().replace(/\s+/g, '')}.${state.toLowerCase()}.gov/records`;
-  }
-
-  getPublicRecordsUrl(state, county) {
-    return `https://publicrecords.${state.toLowerCase()}.gov/search`;
-  }
-
-  getTaxRecordsUrl(county, state) {
-    return `https://${county.toLowerCase().replace(/\s+/g, '')}.${state.toLowerCase()}.gov/tax-records`;
-  }
-
   async close() {
     if (this.browser) {
       await this.browser.close();
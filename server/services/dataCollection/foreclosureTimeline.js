@@ -0,0 +1,176 @@
+// Turns scraped and manual updates into foreclosure events and derives the
+// current foreclosureStatus from the latest event.
+
+// Status implied by each event type
+const EVENT_STATUS = {
+  'NOD Recorded': 'Pre-Foreclosure',
+  'Lis Pendens': 'Pre-Foreclosure',
+  'Sale Scheduled': 'Auction',
+  'Sale Postponed': 'Auction',
+  'Sale Cancelled': 'Cancelled',
+  'Sold to Third Party': 'Sold',
+  'Reverted to Lender': 'REO'
+};
+
+// Event recorded when a status is set directly (manual edits)
+const STATUS_EVENT = {
+  'Pre-Foreclosure': 'NOD Recorded',
+  'Auction': 'Sale Scheduled',
+  'Cancelled': 'Sale Cancelled',
+  'Sold': 'Sold to Third Party',
+  'REO': 'Reverted to Lender'
+};
+
+// Events without a sale date of their own are deduped against the latest event
+const TERMINAL_EVENTS = ['Sale Cancelled', 'Sold to Third Party', 'Reverted to Lender'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ForeclosureTimeline {
+  // Classify a free-text status or document type from a source
+  parseEventType(statusText) {
+    if (!statusText) return null;
+
+    const status = statusText.toLowerCase();
+    if (status.includes('postpone') || status.includes('continued')) return 'Sale Postponed';
+    if (status.includes('cancel') || status.includes('rescind') || status.includes('withdrawn')) return 'Sale Cancelled';
+    if (status.includes('third party') || status.includes('3rd party')) return 'Sold to Third Party';
+    if (status.includes('reo') || status.includes('bank owned') || status.includes('reverted') || status.includes('back to beneficiary')) {
+      return 'Reverted to Lender';
+    }
+    if (status.includes('lis pendens')) return 'Lis Pendens';
+    if (status.includes('notice of default') || /\bnod\b/.test(status)) return 'NOD Recorded';
+    if (status.includes('auction') || status.includes('trustee sale') || status.includes('notice of sale') || status.includes('sale scheduled')) {
+      return 'Sale Scheduled';
+    }
+    if (status.includes('sold')) return 'Sold to Third Party';
+    return null;
+  }
+
+  // Capture the fields events are detected from, before an update is applied
+  snapshot(property) {
+    if (!property) return null;
+    return {
+      foreclosureStatus: property.foreclosureStatus,
+      auctionDate: property.foreclosureDetails ? property.foreclosureDetails.auctionDate : null
+    };
+  }
+
+  // Work out which events an update represents.
+  // previous: snapshot before the update (null for new properties)
+  // property: the property after the update was applied
+  detectEvents(previous, property, options = {}) {
+    const { statusText, status, source, observedAt = new Date(), recordedDate, userId } = options;
+    const details = property.foreclosureDetails || {};
+    const auctionDate = details.auctionDate ? new Date(details.auctionDate) : null;
+    const previousAuctionDate = previous && previous.auctionDate ? new Date(previous.auctionDate) : null;
+    const base = {
+      source,
+      caseNumber: details.caseNumber,
+      openingBid: details.openingBid,
+      recordedAt: observedAt,
+      recordedBy: userId
+    };
+    const events = [];
+
+    let type = this.parseEventType(statusText);
+    if (!type && status && (!previous || status !== previous.foreclosureStatus)) {
+      type = STATUS_EVENT[status];
+    }
+
+    // A moved sale date is a postponement whatever the source calls it
+    const auctionMoved = previousAuctionDate && auctionDate &&
+      Math.abs(auctionDate - previousAuctionDate) >= DAY_MS;
+
+    if (auctionMoved) {
+      events.push({
+        ...base,
+        type: 'Sale Postponed',
+        date: observedAt,
+        auctionDate,
+        previousAuctionDate
+      });
+    } else if (auctionDate && !previousAuctionDate && type !== 'Sale Postponed') {
+      events.push({ ...base, type: 'Sale Scheduled', date: observedAt, auctionDate });
+    }
+
+    if (type && !events.some(event => event.type === type) &&
+      !(type === 'Sale Scheduled' && events.length > 0)) {
+      events.push({
+        ...base,
+        type,
+        date: recordedDate ? new Date(recordedDate) : observedAt,
+        auctionDate: ['Sale Scheduled', 'Sale Postponed'].includes(type) ? auctionDate : undefined,
+        previousAuctionDate: type === 'Sale Postponed' ? previousAuctionDate : undefined
+      });
+    }
+
+    return events;
+  }
+
+  isDuplicate(existingEvents, event) {
+    const sameDay = (a, b) => (!a && !b) || (a && b && Math.abs(new Date(a) - new Date(b)) < DAY_MS);
+
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      const latest = existingEvents[existingEvents.length - 1];
+      return latest && latest.type === event.type;
+    }
+
+    // A sale date already announced as scheduled or postponed is not news
+    const saleEvents = ['Sale Scheduled', 'Sale Postponed'];
+    const sameKind = existing => existing.type === event.type ||
+      (event.auctionDate && saleEvents.includes(event.type) && saleEvents.includes(existing.type));
+
+    return existingEvents.some(existing =>
+      sameKind(existing) &&
+      (event.auctionDate ? sameDay(existing.auctionDate, event.auctionDate) : sameDay(existing.date, event.date))
+    );
+  }
+
+  // Append new events and derive the current status from the latest one.
+  // Works on both mongoose documents and plain objects about to be created.
+  applyEvents(property, events) {
+    if (!property.foreclosureEvents) property.foreclosureEvents = [];
+    const added = [];
+
+    for (const event of events) {
+      if (this.isDuplicate(property.foreclosureEvents, event)) continue;
+      property.foreclosureEvents.push(event);
+      added.push(event);
+    }
+
+    if (added.length === 0) return added;
+
+    const latest = [...property.foreclosureEvents]
+      .sort((a, b) => new Date(a.recordedAt || a.date) - new Date(b.recordedAt || b.date))
+      .pop();
+    property.foreclosureStatus = EVENT_STATUS[latest.type];
+
+    const nod = added.find(event => event.type === 'NOD Recorded');
+    if (nod && property.foreclosureDetails && !property.foreclosureDetails.noticeOfDefaultDate) {
+      property.foreclosureDetails.noticeOfDefaultDate = nod.date;
+    }
+
+    return added;
+  }
+
+  // Chronological view for the API
+  buildTimeline(property) {
+    const events = [...(property.foreclosureEvents || [])]
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const auctionDates = events
+      .filter(event => event.auctionDate)
+      .map(event => event.auctionDate);
+
+    return {
+      currentStatus: property.foreclosureStatus,
+      currentAuctionDate: property.foreclosureDetails ? property.foreclosureDetails.auctionDate : null,
+      postponements: events.filter(event => event.type === 'Sale Postponed').length,
+      auctionDates,
+      events
+    };
+  }
+}
+
+module.exports = ForeclosureTimeline;
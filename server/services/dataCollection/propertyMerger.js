@@ -0,0 +1,141 @@
+const _ = require('lodash');
+
+// Default confidence (0-100) of values by source. Manual edits always win.
+const SOURCE_CONFIDENCE = {
+  'Manual': 100,
+  'County Records': 90,
+  'Public Records': 85,
+  'Tax Records': 85,
+  'Manual Collection': 80,
+  'Automated Valuation': 70,
+  'Rent Estimate': 70,
+  'Lien Analysis': 70,
+  'Foreclosure Listings': 60,
+  'Zillow': 50
+};
+
+const DEFAULT_CONFIDENCE = 60;
+
+// Confidence assumed for values saved before provenance was tracked
+const LEGACY_CONFIDENCE = 50;
+
+// Fields never merged from outside data
+const SYSTEM_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'provenance', 'addressKey', 'createdBy', 'updatedBy'];
+
+// Fields owned by the platform rather than by a data source
+const SCRAPE_IGNORED_FIELDS = [...SYSTEM_FIELDS, 'leadInfo', 'dataQuality', 'isActive'];
+
+// Sale details change as a case progresses, so the latest sourced observation
+// wins over an older one regardless of source confidence
+const TIME_SENSITIVE_FIELDS = [
+  'foreclosureDetails.auctionDate',
+  'foreclosureDetails.auctionLocation',
+  'foreclosureDetails.openingBid'
+];
+
+// Placeholder values sources emit when they don't know a value
+const PLACEHOLDERS = ['unknown', 'n/a', 'na', 'none', '-'];
+
+class PropertyMerger {
+  getConfidence(source) {
+    return SOURCE_CONFIDENCE[source] || DEFAULT_CONFIDENCE;
+  }
+
+  isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') {
+      const trimmed = value.trim().toLowerCase();
+      return trimmed === '' || PLACEHOLDERS.includes(trimmed);
+    }
+    if (typeof value === 'number') return Number.isNaN(value);
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+  }
+
+  // Flatten nested plain objects into dotted leaf paths; arrays and dates are leaves
+  flatten(data, prefix = '', result = {}) {
+    Object.entries(data || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (_.isPlainObject(value)) {
+        this.flatten(value, path, result);
+      } else if (value !== undefined) {
+        result[path] = value;
+      }
+    });
+    return result;
+  }
+
+  isIgnored(path, ignore) {
+    return ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+  }
+
+  isSameValue(current, value) {
+    if (current && typeof current.toObject === 'function') current = current.toObject();
+    if (current instanceof Date || value instanceof Date) {
+      return new Date(current).getTime() === new Date(value).getTime();
+    }
+    return _.isEqual(current, value);
+  }
+
+  // Build provenance entries for every field of a new property
+  describe(data, options = {}) {
+    const { source, observedAt = new Date(), isManual = false, userId } = options;
+    const confidence = options.confidence || this.getConfidence(isManual ? 'Manual' : source);
+    const ignore = options.ignore || (isManual ? SYSTEM_FIELDS : SCRAPE_IGNORED_FIELDS);
+
+    return Object.entries(this.flatten(data))
+      .filter(([path, value]) => !this.isIgnored(path, ignore) && !this.isEmpty(value))
+      .map(([path]) => ({ field: path, source, observedAt, confidence, isManual, updatedBy: userId }));
+  }
+
+  // Merge incoming values into a property document field by field.
+  // Manual values are kept over sourced ones; otherwise the higher-confidence
+  // value wins, with the newer observation winning ties. Time-sensitive fields
+  // take the newest observation. Returns changed paths.
+  merge(property, incoming, options = {}) {
+    const { source, observedAt = new Date(), isManual = false, userId } = options;
+    const confidence = options.confidence || this.getConfidence(isManual ? 'Manual' : source);
+    const ignore = options.ignore || (isManual ? SYSTEM_FIELDS : SCRAPE_IGNORED_FIELDS);
+    const changed = [];
+
+    if (!property.provenance) property.provenance = [];
+
+    Object.entries(this.flatten(incoming)).forEach(([path, value]) => {
+      if (this.isIgnored(path, ignore)) return;
+      if (!isManual && this.isEmpty(value)) return;
+
+      const current = property.get(path);
+      const existing = property.provenance.find(entry => entry.field === path);
+
+      if (!isManual && !this.isEmpty(current)) {
+        if (existing && existing.isManual) return;
+
+        const existingConfidence = existing ? existing.confidence : LEGACY_CONFIDENCE;
+        const isNewer = existing && existing.observedAt && new Date(observedAt) >= existing.observedAt;
+        const recencyWins = TIME_SENSITIVE_FIELDS.includes(path) && (isNewer || !existing);
+        if (confidence < existingConfidence && !recencyWins) return;
+        // Equal confidence: an older observation doesn't replace a newer one
+        if (confidence === existingConfidence && existing && existing.observedAt && !isNewer) return;
+      }
+
+      if (!this.isSameValue(current, value)) {
+        property.set(path, value);
+        changed.push(path);
+      }
+
+      const entry = { field: path, source, observedAt, confidence, isManual, updatedBy: userId };
+      if (existing) {
+        existing.set(entry);
+      } else {
+        property.provenance.push(entry);
+      }
+    });
+
+    return changed;
+  }
+}
+
+PropertyMerger.SOURCE_CONFIDENCE = SOURCE_CONFIDENCE;
+PropertyMerger.TIME_SENSITIVE_FIELDS = TIME_SENSITIVE_FIELDS;
+
+module.exports = PropertyMerger;
@@ -0,0 +1,7 @@
+const fs = require('fs');
+const path = require('path');
+
+// Saved results pages, so adapters can be checked without a browser
+const loadFixture = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+module.exports = { loadFixture };
@@ -0,0 +1,56 @@
+const GenericCountyRecordsAdapter = require('../adapters/genericCountyRecords');
+const { loadFixture } = require('../__fixtures__');
+
+const area = { county: 'Maricopa', state: 'AZ' };
+
+describe('GenericCountyRecordsAdapter', () => {
+  const adapter = new GenericCountyRecordsAdapter();
+
+  it('builds the county records URL from the area', () => {
+    expect(adapter.getUrl({ county: 'San Bernardino', state: 'CA' })).toBe('https://sanbernardino.ca.gov/records');
+  });
+
+  it('parses every record in the results page', () => {
+    const records = adapter.parse(loadFixture('county-records.html'), area);
+
+    expect(records).toHaveLength(3);
+    expect(records[0]).toEqual({
+      address: '1234 W Main St, Phoenix, AZ 85001',
+      price: '$185,000.00',
+      status: 'Notice of Trustee Sale',
+      auctionDate: '03/15/2025',
+      lender: 'First National Bank',
+      caseNumber: 'CV2024-001234'
+    });
+  });
+
+  it('leaves empty cells undefined', () => {
+    const [, notice] = adapter.parse(loadFixture('county-records.html'), area);
+
+    expect(notice.status).toBe('Notice of Default');
+    expect(notice.lender).toBeUndefined();
+    expect(notice.price).toBeUndefined();
+    expect(notice.auctionDate).toBeUndefined();
+  });
+
+  it('reads the alternate item and field markup', () => {
+    const records = adapter.parse(loadFixture('county-records.html'), area);
+
+    expect(records[2]).toMatchObject({
+      address: '77 N Central Ave, Phoenix, AZ 85004',
+      price: '$92,500',
+      status: 'Notice of Sale',
+      lender: 'Desert Credit Union'
+    });
+  });
+
+  it('maps records onto the scraper input with the area county', () => {
+    const [record] = adapter.parse(loadFixture('county-records.html'), area);
+
+    expect(adapter.mapRecord(record, area)).toEqual({ ...record, county: 'Maricopa' });
+  });
+
+  it('returns no records for a page without results', () => {
+    expect(adapter.parse('<html><body><p>No records found</p></body></html>', area)).toEqual([]);
+  });
+});
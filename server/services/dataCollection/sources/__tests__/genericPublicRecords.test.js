@@ -0,0 +1,35 @@
+const GenericPublicRecordsAdapter = require('../adapters/genericPublicRecords');
+const { loadFixture } = require('../__fixtures__');
+
+const area = { county: 'Maricopa', state: 'AZ' };
+
+describe('GenericPublicRecordsAdapter', () => {
+  const adapter = new GenericPublicRecordsAdapter();
+
+  it('parses search results', () => {
+    const records = adapter.parse(loadFixture('public-records.html'), area);
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toEqual({
+      documentType: 'Notice of Default',
+      date: '01/08/2025',
+      propertyAddress: '450 S Mill Ave, Tempe, AZ 85281',
+      caseNumber: '2025-0004512',
+      amount: '$212,340.17'
+    });
+    expect(records[1].amount).toBeUndefined();
+  });
+
+  it('maps document fields onto the scraper input', () => {
+    const [record] = adapter.parse(loadFixture('public-records.html'), area);
+
+    expect(adapter.mapRecord(record, area)).toEqual({
+      address: '450 S Mill Ave, Tempe, AZ 85281',
+      price: '$212,340.17',
+      status: 'Notice of Default',
+      caseNumber: '2025-0004512',
+      recordedDate: '01/08/2025',
+      county: 'Maricopa'
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const GenericTaxRecordsAdapter = require('../adapters/genericTaxRecords');
+const { loadFixture } = require('../__fixtures__');
+
+const area = { county: 'Maricopa', state: 'AZ' };
+
+describe('GenericTaxRecordsAdapter', () => {
+  const adapter = new GenericTaxRecordsAdapter();
+
+  it('parses delinquent properties', () => {
+    const records = adapter.parse(loadFixture('tax-records.html'), area);
+
+    expect(records).toHaveLength(2);
+    expect(records[1]).toEqual({
+      address: '915 E Roosevelt St, Phoenix, AZ 85006',
+      owner: 'ROOSEVELT HOLDINGS LLC',
+      assessedValue: '$310,000',
+      delinquentAmount: '$2,980.00',
+      yearsDelinquent: '1'
+    });
+  });
+
+  it('marks mapped records tax delinquent in the area county', () => {
+    const [record] = adapter.parse(loadFixture('tax-records.html'), area);
+
+    expect(adapter.mapRecord(record, area)).toEqual({ ...record, taxDelinquent: true, county: 'Maricopa' });
+  });
+});
@@ -0,0 +1,45 @@
+const AuctionComAdapter = require('../adapters/auctionCom');
+const ForeclosureComAdapter = require('../adapters/foreclosureCom');
+const RealtyTracAdapter = require('../adapters/realtyTrac');
+const { loadFixture } = require('../__fixtures__');
+
+describe.each([
+  ['AuctionComAdapter', AuctionComAdapter, 'https://www.auction.com'],
+  ['ForeclosureComAdapter', ForeclosureComAdapter, 'https://www.foreclosure.com'],
+  ['RealtyTracAdapter', RealtyTracAdapter, 'https://www.realtytrac.com']
+])('%s', (name, Adapter, url) => {
+  const adapter = new Adapter();
+
+  it('runs once per collection rather than per area', () => {
+    expect(adapter.national).toBe(true);
+    expect(adapter.matches({ county: 'Sangamon', state: 'IL' })).toBe(false);
+    expect(adapter.getUrl()).toBe(url);
+  });
+
+  it('parses listings in either markup', () => {
+    const records = adapter.parse(loadFixture('listing-site.html'));
+
+    expect(records).toEqual([
+      {
+        address: '500 Oak Ave, Springfield, IL 62701',
+        price: '$120,000',
+        status: 'Auction',
+        auctionDate: '2025-05-20',
+        details: '3 bd, 2 ba, 1,450 sqft'
+      },
+      {
+        address: '12 Elm St, Springfield, IL 62704',
+        price: '$64,900',
+        status: 'Bank Owned',
+        auctionDate: undefined,
+        details: '2 bd, 1 ba'
+      }
+    ]);
+  });
+
+  it('maps records without an area county', () => {
+    const [record] = adapter.parse(loadFixture('listing-site.html'));
+
+    expect(adapter.mapRecord(record)).toEqual(record);
+  });
+});
@@ -0,0 +1,46 @@
+const BaseSourceAdapter = require('../baseSourceAdapter');
+const SourceRegistry = require('../sourceRegistry');
+const GenericCountyRecordsAdapter = require('../adapters/genericCountyRecords');
+const GenericTaxRecordsAdapter = require('../adapters/genericTaxRecords');
+const AuctionComAdapter = require('../adapters/auctionCom');
+
+const maricopa = { county: 'Maricopa', state: 'AZ' };
+const pima = { county: 'Pima', state: 'AZ' };
+
+class MaricopaRecorderAdapter extends BaseSourceAdapter {
+  constructor() {
+    super();
+    this.id = 'maricopa-recorder';
+    this.sourceLabel = 'County Records';
+    this.areas = [{ county: 'maricopa', state: 'az' }];
+  }
+}
+
+const buildRegistry = () => {
+  const registry = new SourceRegistry();
+  [new GenericCountyRecordsAdapter(), new GenericTaxRecordsAdapter(), new MaricopaRecorderAdapter(), new AuctionComAdapter()]
+    .forEach(adapter => registry.register(adapter));
+  return registry;
+};
+
+const ids = (adapters) => adapters.map(adapter => adapter.id);
+
+describe('SourceRegistry', () => {
+  it('runs a dedicated adapter instead of the generic one of the same kind', () => {
+    expect(ids(buildRegistry().getAdaptersForArea(maricopa))).toEqual(['generic-tax-records', 'maricopa-recorder']);
+  });
+
+  it('runs the generic adapters where there is no dedicated one', () => {
+    expect(ids(buildRegistry().getAdaptersForArea(pima))).toEqual(['generic-county-records', 'generic-tax-records']);
+  });
+
+  it('runs exactly the sources an area lists, leaving out national ones', () => {
+    const area = { ...maricopa, sources: ['generic-county-records', 'maricopa-recorder', 'auction-com', 'missing'] };
+
+    expect(ids(buildRegistry().getAdaptersForArea(area))).toEqual(['generic-county-records', 'maricopa-recorder']);
+  });
+
+  it('runs national adapters once per collection', () => {
+    expect(ids(buildRegistry().getNationalAdapters())).toEqual(['auction-com']);
+  });
+});
@@ -0,0 +1,12 @@
+const ListingSiteAdapter = require('../listingSiteAdapter');
+
+class AuctionComAdapter extends ListingSiteAdapter {
+  constructor() {
+    super();
+    this.id = 'auction-com';
+    this.name = 'Auction.com';
+    this.url = 'https://www.auction.com';
+  }
+}
+
+module.exports = AuctionComAdapter;
@@ -0,0 +1,12 @@
+const ListingSiteAdapter = require('../listingSiteAdapter');
+
+class ForeclosureComAdapter extends ListingSiteAdapter {
+  constructor() {
+    super();
+    this.id = 'foreclosure-com';
+    this.name = 'Foreclosure.com';
+    this.url = 'https://www.foreclosure.com';
+  }
+}
+
+module.exports = ForeclosureComAdapter;
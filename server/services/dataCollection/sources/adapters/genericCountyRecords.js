@@ -0,0 +1,28 @@
+const BaseSourceAdapter = require('../baseSourceAdapter');
+
+// Fallback county recorder adapter used for areas without a dedicated module
+class GenericCountyRecordsAdapter extends BaseSourceAdapter {
+  constructor() {
+    super();
+    this.id = 'generic-county-records';
+    this.name = 'County Records (generic)';
+    this.sourceLabel = 'County Records';
+    this.selectors = {
+      item: '.foreclosure-record, .foreclosure-item',
+      fields: {
+        address: '.address, .property-address',
+        price: '.amount, .opening-bid',
+        status: '.status, .doc-type',
+        auctionDate: '.sale-date, .auction-date',
+        lender: '.lender, .beneficiary',
+        caseNumber: '.case-number'
+      }
+    };
+  }
+
+  getUrl(area) {
+    return `https://${area.county.toLowerCase().replace(/\s+/g, '')}.${area.state.toLowerCase()}.gov/records`;
+  }
+}
+
+module.exports = GenericCountyRecordsAdapter;
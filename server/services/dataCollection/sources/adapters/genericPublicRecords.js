@@ -0,0 +1,50 @@
+const BaseSourceAdapter = require('../baseSourceAdapter');
+
+// Fallback statewide public records search used for areas without a dedicated module
+class GenericPublicRecordsAdapter extends BaseSourceAdapter {
+  constructor() {
+    super();
+    this.id = 'generic-public-records';
+    this.name = 'Public Records (generic)';
+    this.sourceLabel = 'Public Records';
+    this.waitForSelector = '.search-results';
+    this.searchQuery = 'foreclosure OR "notice of default" OR "trustee sale"';
+    this.selectors = {
+      item: '.search-result',
+      fields: {
+        documentType: '.doc-type',
+        date: '.date',
+        propertyAddress: '.property-address',
+        caseNumber: '.case-number',
+        amount: '.amount'
+      }
+    };
+  }
+
+  getUrl(area) {
+    return `https://publicrecords.${area.state.toLowerCase()}.gov/search`;
+  }
+
+  async search(page, area) {
+    await page.goto(this.getUrl(area), { waitUntil: 'networkidle2' });
+
+    // Search for foreclosure-related documents
+    await page.type('#search-input', this.searchQuery);
+    await page.click('#search-button');
+
+    await page.waitForSelector(this.waitForSelector, { timeout: this.waitTimeout });
+  }
+
+  mapRecord(record, area) {
+    return {
+      address: record.propertyAddress,
+      price: record.amount,
+      status: record.documentType,
+      caseNumber: record.caseNumber,
+      recordedDate: record.date,
+      county: area.county
+    };
+  }
+}
+
+module.exports = GenericPublicRecordsAdapter;
@@ -0,0 +1,35 @@
+const BaseSourceAdapter = require('../baseSourceAdapter');
+
+// Fallback county treasurer adapter for delinquent tax lists
+class GenericTaxRecordsAdapter extends BaseSourceAdapter {
+  constructor() {
+    super();
+    this.id = 'generic-tax-records';
+    this.name = 'Tax Records (generic)';
+    this.sourceLabel = 'Tax Records';
+    this.selectors = {
+      item: '.tax-property',
+      fields: {
+        address: '.address',
+        owner: '.owner',
+        assessedValue: '.assessed-value',
+        delinquentAmount: '.delinquent-amount',
+        yearsDelinquent: '.years-delinquent'
+      }
+    };
+  }
+
+  getUrl(area) {
+    return `https://${area.county.toLowerCase().replace(/\s+/g, '')}.${area.state.toLowerCase()}.gov/tax-records`;
+  }
+
+  mapRecord(record, area) {
+    return {
+      ...record,
+      taxDelinquent: true,
+      county: area.county
+    };
+  }
+}
+
+module.exports = GenericTaxRecordsAdapter;
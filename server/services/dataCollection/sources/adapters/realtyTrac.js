@@ -0,0 +1,12 @@
+const ListingSiteAdapter = require('../listingSiteAdapter');
+
+class RealtyTracAdapter extends ListingSiteAdapter {
+  constructor() {
+    super();
+    this.id = 'realtytrac';
+    this.name = 'RealtyTrac';
+    this.url = 'https://www.realtytrac.com';
+  }
+}
+
+module.exports = RealtyTracAdapter;
@@ -0,0 +1,86 @@
+const cheerio = require('cheerio');
+
+// Base class for a single county or listing-site data source.
+// Subclasses declare where to go, how to search, what to extract and how to
+// map it onto the record shape ForeclosureScraper.processPropertyData expects.
+class BaseSourceAdapter {
+  constructor() {
+    this.id = 'base';
+    this.name = 'Base Source';
+    // Label stored on leadInfo.source for properties found by this adapter
+    this.sourceLabel = 'Other';
+    // Areas this adapter covers, e.g. [{ county: 'Maricopa', state: 'AZ' }].
+    // Leave empty to run for every target area without a dedicated adapter.
+    this.areas = [];
+    // National sources run once per collection instead of once per area
+    this.national = false;
+    // Selector to wait for after navigation (optional)
+    this.waitForSelector = null;
+    this.waitTimeout = 10000;
+    // CSS selectors: `item` matches one record, `fields` maps output keys to selectors
+    this.selectors = {
+      item: null,
+      fields: {}
+    };
+  }
+
+  // Generic adapters cover every area that has no dedicated adapter of the same kind
+  isGeneric() {
+    return !this.national && (!this.areas || this.areas.length === 0);
+  }
+
+  // Whether this adapter should run for the given target area
+  matches(area) {
+    if (this.national) return false;
+    if (!this.areas || this.areas.length === 0) return true;
+
+    return this.areas.some(covered =>
+      covered.county.toLowerCase() === area.county.toLowerCase() &&
+      covered.state.toLowerCase() === area.state.toLowerCase()
+    );
+  }
+
+  getUrl(area) {
+    throw new Error(`Source adapter ${this.id} does not define getUrl()`);
+  }
+
+  // Drive the browser page to the results. Override for sites that need a form submission.
+  async search(page, area) {
+    await page.goto(this.getUrl(area), { waitUntil: 'networkidle2' });
+
+    if (this.waitForSelector) {
+      await page.waitForSelector(this.waitForSelector, { timeout: this.waitTimeout });
+    }
+  }
+
+  // Extract raw records from a results page. Pure function of the HTML so it
+  // can be run against saved fixtures without a browser.
+  parse(html, area) {
+    const $ = cheerio.load(html);
+    const records = [];
+
+    if (!this.selectors.item) return records;
+
+    $(this.selectors.item).each((index, element) => {
+      const record = {};
+      Object.entries(this.selectors.fields).forEach(([key, selector]) => {
+        const value = $(element).find(selector).first().text().trim();
+        record[key] = value || undefined;
+      });
+      records.push(record);
+    });
+
+    return records;
+  }
+
+  // Map a parsed record onto the scraper's input shape:
+  // { address, price, status, auctionDate, lender, caseNumber, owner, county }
+  mapRecord(record, area) {
+    return {
+      ...record,
+      county: area ? area.county : undefined
+    };
+  }
+}
+
+module.exports = BaseSourceAdapter;
@@ -0,0 +1,9 @@
+const path = require('path');
+const SourceRegistry = require('./sourceRegistry');
+
+// Shared registry with every adapter in ./adapters loaded.
+// Add a county or site by dropping a new adapter module into that directory.
+const registry = new SourceRegistry();
+registry.loadDirectory(path.join(__dirname, 'adapters'));
+
+module.exports = registry;
@@ -0,0 +1,32 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Shared shape for national foreclosure listing sites
+class ListingSiteAdapter extends BaseSourceAdapter {
+  constructor() {
+    super();
+    this.sourceLabel = 'Foreclosure Listings';
+    this.national = true;
+    this.url = null;
+    this.waitForSelector = '.property-listing, .foreclosure-item, .auction-item';
+    this.selectors = {
+      item: '.property-listing, .foreclosure-item, .auction-item',
+      fields: {
+        address: '.address, .property-address',
+        price: '.price, .bid-amount',
+        status: '.status, .foreclosure-status',
+        auctionDate: '.auction-date, .sale-date',
+        details: '.details, .property-details'
+      }
+    };
+  }
+
+  getUrl() {
+    return this.url;
+  }
+
+  mapRecord(record) {
+    return { ...record };
+  }
+}
+
+module.exports = ListingSiteAdapter;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter || !adapter.id) {
+      throw new Error('Source adapter must have an id');
+    }
+
+    if (this.adapters.has(adapter.id)) {
+      logger.warn(`Replacing registered source adapter: ${adapter.id}`);
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  unregister(id) {
+    return this.adapters.delete(id);
+  }
+
+  get(id) {
+    return this.adapters.get(id);
+  }
+
+  getAll() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Adapters that should run for a target area. An area with an explicit
+  // `sources` list runs exactly those adapters. Otherwise a dedicated adapter
+  // replaces the generic one with the same source label.
+  getAdaptersForArea(area) {
+    if (area.sources && area.sources.length > 0) {
+      return area.sources
+        .map(id => this.get(id))
+        .filter(adapter => adapter && !adapter.national);
+    }
+
+    const matching = this.getAll().filter(adapter => adapter.matches(area));
+    const dedicated = new Set(matching.filter(adapter => !adapter.isGeneric()).map(adapter => adapter.sourceLabel));
+    return matching.filter(adapter => !adapter.isGeneric() || !dedicated.has(adapter.sourceLabel));
+  }
+
+  // Adapters that run once per collection regardless of area
+  getNationalAdapters() {
+    return this.getAll().filter(adapter => adapter.national);
+  }
+
+  // Register every adapter module found in a directory
+  loadDirectory(directory) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js'));
+
+    for (const file of files) {
+      try {
+        const AdapterClass = require(path.join(directory, file));
+        this.register(new AdapterClass());
+      } catch (error) {
+        logger.error(`Error loading source adapter ${file}:`, error);
+      }
+    }
+
+    return this;
+  }
+}
+
+module.exports = SourceRegistry;
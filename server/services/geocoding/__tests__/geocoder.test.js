@@ -0,0 +1,160 @@
+const path = require('path');
+const axios = require('axios');
+const GeocodeCache = require('../../../models/GeocodeCache');
+const Geocoder = require('../geocoder');
+const CensusGeocoder = require('../providers/censusGeocoder');
+const ZipCentroidGeocoder = require('../providers/zipCentroidGeocoder');
+
+const { PRECISION } = Geocoder;
+
+const CENTROIDS = path.join(__dirname, '..', '__fixtures__', 'zcta-centroids.txt');
+
+const address = { street: '123 N Central Ave', city: 'Phoenix', state: 'AZ', zipCode: '85004' };
+
+const provider = (id, lookup, configured = true) => ({ id, isConfigured: () => configured, lookup: jest.fn(lookup) });
+
+const result = (precision, confidence) => ({ lat: 33.45, lng: -112.07, precision, confidence, matchedAddress: '123 N CENTRAL AVE' });
+
+describe('Geocoder', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(GeocodeCache, 'findOneAndUpdate').mockResolvedValue(null);
+    store = jest.spyOn(GeocodeCache, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('provider chain', () => {
+    it('stops at the first confident result', async () => {
+      const google = provider('google', async () => result(PRECISION.ROOFTOP, 95));
+      const census = provider('census', async () => result(PRECISION.INTERPOLATED, 80));
+
+      const geocoded = await new Geocoder([google, census]).geocode(address);
+
+      expect(geocoded).toMatchObject({ provider: 'google', precision: PRECISION.ROOFTOP, confidence: 95, cached: false });
+      expect(census.lookup).not.toHaveBeenCalled();
+    });
+
+    it('falls through providers that are unconfigured, miss or fail', async () => {
+      const google = provider('google', async () => result(PRECISION.ROOFTOP, 95), false);
+      const census = provider('census', async () => {
+        throw new Error('503 Service Unavailable');
+      });
+      const zip = provider('zip', async () => result(PRECISION.ZIP_CENTROID, 30));
+
+      const geocoded = await new Geocoder([google, census, zip]).geocode(address);
+
+      expect(google.lookup).not.toHaveBeenCalled();
+      expect(geocoded).toMatchObject({ provider: 'zip', precision: PRECISION.ZIP_CENTROID });
+    });
+
+    it('keeps the most confident of several weak results', async () => {
+      const census = provider('census', async () => result(PRECISION.INTERPOLATED, 60));
+      const zip = provider('zip', async () => result(PRECISION.ZIP_CENTROID, 30));
+
+      expect(await new Geocoder([census, zip]).geocode(address)).toMatchObject({ provider: 'census', confidence: 60 });
+    });
+
+    it('skips the lookup for an address it can\'t normalize', async () => {
+      const census = provider('census', async () => result(PRECISION.INTERPOLATED, 80));
+
+      expect(await new Geocoder([census]).geocode({ city: 'Phoenix' })).toBeNull();
+      expect(census.lookup).not.toHaveBeenCalled();
+    });
+
+    it('builds the chain from GEOCODER_PROVIDERS, ignoring unknown ids', () => {
+      const previous = process.env.GEOCODER_PROVIDERS;
+      process.env.GEOCODER_PROVIDERS = 'census, bing ,zip';
+      try {
+        expect(new Geocoder().providers.map(item => item.id)).toEqual(['census', 'zip']);
+      } finally {
+        if (previous === undefined) delete process.env.GEOCODER_PROVIDERS;
+        else process.env.GEOCODER_PROVIDERS = previous;
+      }
+    });
+  });
+
+  describe('cache', () => {
+    it('returns a cached result without asking providers', async () => {
+      GeocodeCache.findOneAndUpdate.mockResolvedValue({ found: true, ...result(PRECISION.ROOFTOP, 95), provider: 'google' });
+      const census = provider('census', async () => result(PRECISION.INTERPOLATED, 80));
+
+      expect(await new Geocoder([census]).geocode(address)).toMatchObject({ provider: 'google', cached: true });
+      expect(census.lookup).not.toHaveBeenCalled();
+    });
+
+    it('returns null for a cached miss', async () => {
+      GeocodeCache.findOneAndUpdate.mockResolvedValue({ found: false });
+
+      expect(await new Geocoder([]).geocode(address)).toBeNull();
+    });
+
+    it('looks up again on refresh', async () => {
+      const census = provider('census', async () => result(PRECISION.INTERPOLATED, 80));
+
+      await new Geocoder([census]).geocode(address, { refresh: true });
+
+      expect(GeocodeCache.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(census.lookup).toHaveBeenCalled();
+    });
+
+    it('keeps precise results and expires ZIP centroids and misses', async () => {
+      await new Geocoder([provider('census', async () => result(PRECISION.INTERPOLATED, 80))]).geocode(address);
+      await new Geocoder([provider('zip', async () => result(PRECISION.ZIP_CENTROID, 30))]).geocode(address);
+      await new Geocoder([provider('census', async () => null)]).geocode(address);
+
+      const [precise, centroid, miss] = store.mock.calls.map(([filter, update]) => ({ filter, update }));
+      expect(precise.filter).toEqual({ addressKey: expect.any(String) });
+      expect(precise.update.$set).toMatchObject({ found: true, provider: 'census' });
+      expect(precise.update.$unset).toEqual({ expiresAt: '' });
+
+      const days = (update) => Math.round((update.$set.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+      expect(days(centroid.update)).toBe(30);
+      expect(miss.update.$set.found).toBe(false);
+      expect(days(miss.update)).toBe(7);
+    });
+
+    it('doesn\'t cache a miss when a provider failed', async () => {
+      const census = provider('census', async () => {
+        throw new Error('timeout');
+      });
+
+      expect(await new Geocoder([census, provider('zip', async () => null)]).geocode(address)).toBeNull();
+      expect(store).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('providers', () => {
+    it('places an address at its ZIP centroid from a Gazetteer file', async () => {
+      const zip = new ZipCentroidGeocoder(CENTROIDS);
+
+      expect(zip.isConfigured()).toBe(true);
+      expect(await zip.lookup({ zipCode: '85004-1234' })).toEqual({
+        lat: 33.451151,
+        lng: -112.068711,
+        precision: PRECISION.ZIP_CENTROID,
+        confidence: 30,
+        matchedAddress: '85004'
+      });
+      expect(await zip.lookup({ zipCode: '02134' })).toMatchObject({ lat: 42.35731 });
+      expect(await zip.lookup({ zipCode: '99999' })).toBeNull();
+      expect(await zip.lookup({ zipCode: 'N/A' })).toBeNull();
+      expect(new ZipCentroidGeocoder(path.join(__dirname, 'missing.txt')).isConfigured()).toBe(false);
+    });
+
+    it('rates an ambiguous Census match lower', async () => {
+      const match = (x, y) => ({ coordinates: { x, y }, matchedAddress: '123 N CENTRAL AVE, PHOENIX, AZ, 85004' });
+      const get = jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ data: { result: { addressMatches: [match(-112.07, 33.45)] } } })
+        .mockResolvedValueOnce({ data: { result: { addressMatches: [match(-112.07, 33.45), match(-112.1, 33.5)] } } })
+        .mockResolvedValueOnce({ data: { result: { addressMatches: [] } } });
+      const census = new CensusGeocoder();
+
+      expect(await census.lookup(address)).toMatchObject({ precision: PRECISION.INTERPOLATED, confidence: 80, lat: 33.45, lng: -112.07 });
+      expect(await census.lookup(address)).toMatchObject({ confidence: 60 });
+      expect(await census.lookup(address)).toBeNull();
+      expect(get.mock.calls[0][1].params).toMatchObject({ street: '123 N Central Ave', city: 'Phoenix', state: 'AZ', zip: '85004' });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const logger = require('../../utils/logger');
+const GeocodeCache = require('../../models/GeocodeCache');
+const { normalizeAddress } = require('../../utils/addressNormalizer');
+const BaseGeocoder = require('./providers/baseGeocoder');
+const GoogleGeocoder = require('./providers/googleGeocoder');
+const CensusGeocoder = require('./providers/censusGeocoder');
+const ZipCentroidGeocoder = require('./providers/zipCentroidGeocoder');
+
+const { PRECISION } = BaseGeocoder;
+
+const PROVIDERS = {
+  google: GoogleGeocoder,
+  census: CensusGeocoder,
+  zip: ZipCentroidGeocoder
+};
+
+// Providers are tried in this order unless GEOCODER_PROVIDERS says otherwise
+const DEFAULT_PROVIDERS = 'google,census,zip';
+
+// A result at least this confident is used without asking the remaining providers
+const ACCEPT_CONFIDENCE = 70;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MISS_TTL_DAYS = 7;
+const LOW_PRECISION_TTL_DAYS = 30;
+
+// Geocodes addresses through a chain of providers, caching results by
+// normalized address so repeat enrichment runs don't pay for the same lookup.
+class Geocoder {
+  constructor(providers = null) {
+    this.providers = providers || (process.env.GEOCODER_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => {
+        if (!PROVIDERS[id]) logger.warn(`Unknown geocoder provider: ${id}`);
+        return Boolean(PROVIDERS[id]);
+      })
+      .map(id => new PROVIDERS[id]());
+  }
+
+  getProviders() {
+    return this.providers.filter(provider => provider.isConfigured());
+  }
+
+  // Returns { lat, lng, precision, confidence, provider, matchedAddress, cached }
+  // or null when no provider can place the address
+  async geocode(address, options = {}) {
+    const normalized = normalizeAddress(address);
+    if (!normalized || !normalized.key) return null;
+
+    if (!options.refresh) {
+      const cached = await GeocodeCache.findOneAndUpdate(
+        { addressKey: normalized.key, $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }] },
+        { $inc: { hits: 1 }, lastUsedAt: new Date() },
+        { new: true }
+      );
+
+      if (cached) {
+        return cached.found ? {
+          lat: cached.lat,
+          lng: cached.lng,
+          precision: cached.precision,
+          confidence: cached.confidence,
+          provider: cached.provider,
+          matchedAddress: cached.matchedAddress,
+          cached: true
+        } : null;
+      }
+    }
+
+    const providers = this.getProviders();
+    let best = null;
+    let failed = false;
+
+    for (const provider of providers) {
+      try {
+        const result = await provider.lookup(normalized);
+        if (result && (!best || result.confidence > best.confidence)) {
+          best = { ...result, provider: provider.id };
+        }
+        if (best && best.confidence >= ACCEPT_CONFIDENCE) break;
+      } catch (error) {
+        failed = true;
+        logger.warn(`Geocoder ${provider.id} failed for ${normalized.key}: ${error.message}`);
+      }
+    }
+
+    // A miss is only cached when every provider answered; errors are retried next time
+    if (best || (!failed && providers.length > 0)) {
+      await this.store(normalized, best);
+    }
+
+    return best ? { ...best, cached: false } : null;
+  }
+
+  async store(normalized, result) {
+    const now = Date.now();
+    let ttlDays = null;
+    if (!result) ttlDays = MISS_TTL_DAYS;
+    else if (result.precision === PRECISION.ZIP_CENTROID || result.precision === PRECISION.APPROXIMATE) ttlDays = LOW_PRECISION_TTL_DAYS;
+
+    const entry = {
+      query: [normalized.street, normalized.unit, normalized.city, normalized.state, normalized.zipCode].filter(Boolean).join(' '),
+      found: Boolean(result),
+      lat: result ? result.lat : undefined,
+      lng: result ? result.lng : undefined,
+      precision: result ? result.precision : undefined,
+      confidence: result ? result.confidence : undefined,
+      provider: result ? result.provider : undefined,
+      matchedAddress: result ? result.matchedAddress : undefined
+    };
+
+    const update = { $set: {}, $unset: {} };
+    Object.entries(entry).forEach(([key, value]) => {
+      if (value === undefined) update.$unset[key] = '';
+      else update.$set[key] = value;
+    });
+    if (ttlDays) update.$set.expiresAt = new Date(now + ttlDays * DAY_MS);
+    else update.$unset.expiresAt = '';
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+    try {
+      await GeocodeCache.updateOne({ addressKey: normalized.key }, update, { upsert: true });
+    } catch (error) {
+      logger.error(`Error caching geocode for ${normalized.key}:`, error);
+    }
+  }
+}
+
+Geocoder.PRECISION = PRECISION;
+
+module.exports = Geocoder;
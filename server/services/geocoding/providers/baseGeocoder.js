@@ -0,0 +1,40 @@
+// How exactly a result locates the address, best first
+const PRECISION = {
+  ROOFTOP: 'Rooftop',
+  INTERPOLATED: 'Interpolated',
+  APPROXIMATE: 'Approximate',
+  ZIP_CENTROID: 'ZIP Centroid'
+};
+
+// Base class for a geocoding provider. Subclasses implement lookup(address) and
+// return { lat, lng, precision, confidence, matchedAddress } or null when the
+// address can't be found. Errors (quota, outage) are thrown so the result isn't
+// cached and the next provider is tried.
+class BaseGeocoder {
+  constructor() {
+    this.id = 'base';
+    this.name = 'Base Geocoder';
+  }
+
+  // Whether the provider has what it needs (API key, data file) to run
+  isConfigured() {
+    return true;
+  }
+
+  async lookup(address) {
+    throw new Error(`Geocoder ${this.id} does not define lookup()`);
+  }
+
+  formatAddress(address) {
+    const street = address.unit ? `${address.street} ${address.unit}` : address.street;
+    return `${street}, ${address.city}, ${address.state} ${address.zipCode || ''}`.trim();
+  }
+
+  isValidPoint(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  }
+}
+
+BaseGeocoder.PRECISION = PRECISION;
+
+module.exports = BaseGeocoder;
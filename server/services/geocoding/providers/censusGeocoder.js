@@ -0,0 +1,45 @@
+const axios = require('axios');
+const BaseGeocoder = require('./baseGeocoder');
+
+// US Census Bureau geocoder: free, no key, interpolates along TIGER address ranges
+class CensusGeocoder extends BaseGeocoder {
+  constructor(benchmark = process.env.CENSUS_GEOCODER_BENCHMARK || 'Public_AR_Current') {
+    super();
+    this.id = 'census';
+    this.name = 'US Census Geocoder';
+    this.benchmark = benchmark;
+  }
+
+  async lookup(address) {
+    const response = await axios.get('https://geocoding.geo.census.gov/geocoder/locations/address', {
+      params: {
+        street: address.unit ? `${address.street} ${address.unit}` : address.street,
+        city: address.city,
+        state: address.state,
+        zip: address.zipCode,
+        benchmark: this.benchmark,
+        format: 'json'
+      },
+      timeout: 15000
+    });
+
+    const matches = (response.data.result && response.data.result.addressMatches) || [];
+    if (matches.length === 0) return null;
+
+    const [match] = matches;
+    const lat = match.coordinates.y;
+    const lng = match.coordinates.x;
+    if (!this.isValidPoint(lat, lng)) return null;
+
+    return {
+      lat,
+      lng,
+      precision: BaseGeocoder.PRECISION.INTERPOLATED,
+      // Several candidates means the address was ambiguous
+      confidence: matches.length === 1 ? 80 : 60,
+      matchedAddress: match.matchedAddress
+    };
+  }
+}
+
+module.exports = CensusGeocoder;
@@ -0,0 +1,58 @@
+const axios = require('axios');
+const BaseGeocoder = require('./baseGeocoder');
+
+const { PRECISION } = BaseGeocoder;
+
+// Google location_type -> precision and confidence
+const LOCATION_TYPES = {
+  ROOFTOP: { precision: PRECISION.ROOFTOP, confidence: 95 },
+  RANGE_INTERPOLATED: { precision: PRECISION.INTERPOLATED, confidence: 80 },
+  GEOMETRIC_CENTER: { precision: PRECISION.APPROXIMATE, confidence: 60 },
+  APPROXIMATE: { precision: PRECISION.APPROXIMATE, confidence: 40 }
+};
+
+class GoogleGeocoder extends BaseGeocoder {
+  constructor(apiKey = process.env.GOOGLE_MAPS_API_KEY) {
+    super();
+    this.id = 'google';
+    this.name = 'Google Maps Geocoding';
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async lookup(address) {
+    const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      params: {
+        address: this.formatAddress(address),
+        components: 'country:US',
+        key: this.apiKey
+      },
+      timeout: 10000
+    });
+
+    const { status, results } = response.data;
+    if (status === 'ZERO_RESULTS') return null;
+    if (status !== 'OK') {
+      throw new Error(`Google geocoding failed: ${status}${response.data.error_message ? ` - ${response.data.error_message}` : ''}`);
+    }
+
+    const [result] = results;
+    const { lat, lng } = result.geometry.location;
+    if (!this.isValidPoint(lat, lng)) return null;
+
+    const accuracy = LOCATION_TYPES[result.geometry.location_type] || LOCATION_TYPES.APPROXIMATE;
+    return {
+      lat,
+      lng,
+      precision: accuracy.precision,
+      // Partial matches may be a different address altogether
+      confidence: result.partial_match ? Math.min(accuracy.confidence, 50) : accuracy.confidence,
+      matchedAddress: result.formatted_address
+    };
+  }
+}
+
+module.exports = GoogleGeocoder;
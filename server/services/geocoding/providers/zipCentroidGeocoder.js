@@ -0,0 +1,70 @@
+const fs = require('fs');
+const BaseGeocoder = require('./baseGeocoder');
+const logger = require('../../../utils/logger');
+
+const ZIP_COLUMNS = ['GEOID', 'ZCTA5', 'ZCTA', 'ZIP', 'ZIPCODE'];
+const LAT_COLUMNS = ['INTPTLAT', 'LAT', 'LATITUDE'];
+const LNG_COLUMNS = ['INTPTLONG', 'INTPTLON', 'LNG', 'LON', 'LONG', 'LONGITUDE'];
+
+// Offline fallback that places an address at its ZIP code's centroid.
+// Reads a local file such as the Census Gazetteer ZCTA file (tab separated,
+// GEOID/INTPTLAT/INTPTLONG columns) or any CSV with zip, lat and lng columns.
+class ZipCentroidGeocoder extends BaseGeocoder {
+  constructor(filePath = process.env.ZIP_CENTROIDS_FILE) {
+    super();
+    this.id = 'zip';
+    this.name = 'ZIP Code Centroids';
+    this.filePath = filePath;
+    this.centroids = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.filePath) && fs.existsSync(this.filePath);
+  }
+
+  // Load the centroid file once, on first use
+  load() {
+    if (this.centroids) return this.centroids;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const header = lines[0].split(delimiter).map(column => column.trim().replace(/^"|"$/g, '').toUpperCase());
+    const find = (names) => header.findIndex(column => names.includes(column));
+    const [zipIndex, latIndex, lngIndex] = [find(ZIP_COLUMNS), find(LAT_COLUMNS), find(LNG_COLUMNS)];
+
+    if (zipIndex === -1 || latIndex === -1 || lngIndex === -1) {
+      throw new Error(`ZIP centroid file ${this.filePath} needs zip, latitude and longitude columns`);
+    }
+
+    this.centroids = new Map();
+    lines.slice(1).forEach(line => {
+      const values = line.split(delimiter).map(value => value.trim().replace(/^"|"$/g, ''));
+      const lat = parseFloat(values[latIndex]);
+      const lng = parseFloat(values[lngIndex]);
+      if (values[zipIndex] && this.isValidPoint(lat, lng)) {
+        this.centroids.set(values[zipIndex].padStart(5, '0'), { lat, lng });
+      }
+    });
+
+    logger.info(`Loaded ${this.centroids.size} ZIP centroids from ${this.filePath}`);
+    return this.centroids;
+  }
+
+  async lookup(address) {
+    const zip = String(address.zipCode || '').slice(0, 5);
+    if (!/^\d{5}$/.test(zip)) return null;
+
+    const centroid = this.load().get(zip);
+    if (!centroid) return null;
+
+    return {
+      lat: centroid.lat,
+      lng: centroid.lng,
+      precision: BaseGeocoder.PRECISION.ZIP_CENTROID,
+      confidence: 30,
+      matchedAddress: zip
+    };
+  }
+}
+
+module.exports = ZipCentroidGeocoder;
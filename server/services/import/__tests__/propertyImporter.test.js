@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Property = require('../../../models/Property');
+const Lead = require('../../../models/Lead');
+const PropertyImporter = require('../propertyImporter');
+
+const importer = new PropertyImporter();
+
+const headers = ['Property Address', 'City', 'State', 'Zip', 'County', 'Owner Name', 'Amount Due', 'Recording Date', 'Phone'];
+
+const buildTemplate = (overrides = {}) => ({
+  mapping: importer.suggestMapping(headers),
+  listType: 'Tax Delinquent',
+  source: 'County Records',
+  createLeads: true,
+  ...overrides
+});
+
+const buildRow = (overrides = {}) => ({
+  'Property Address': '123 North Main Street',
+  City: 'Phoenix',
+  State: 'az',
+  Zip: '85004',
+  County: 'Maricopa',
+  'Owner Name': 'Jane Smith',
+  'Amount Due': '$4,210.50',
+  'Recording Date': '2024-02-15',
+  Phone: '602-555-0100',
+  ...overrides
+});
+
+describe('PropertyImporter', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('mapping', () => {
+    it('suggests fields for common list headings, each field once', () => {
+      expect(importer.suggestMapping([...headers, 'Street', 'Notes'])).toEqual([
+        { column: 'Property Address', field: 'address.street' },
+        { column: 'City', field: 'address.city' },
+        { column: 'State', field: 'address.state' },
+        { column: 'Zip', field: 'address.zipCode' },
+        { column: 'County', field: 'address.county' },
+        { column: 'Owner Name', field: 'owner.name' },
+        { column: 'Amount Due', field: 'taxInfo.taxDelinquentAmount' },
+        { column: 'Recording Date', field: 'foreclosureDetails.noticeOfDefaultDate' },
+        { column: 'Phone', field: 'lead.contact.phone' }
+      ]);
+    });
+
+    it('rejects unknown or system fields, missing columns and mappings without a street', () => {
+      expect(importer.validateMapping([])).toBe('A column mapping is required');
+      expect(importer.validateMapping([{ column: 'A', field: 'address.street' }, { column: 'B', field: 'addressKey' }]))
+        .toBe('Unknown fields: addressKey');
+      expect(importer.validateMapping([{ column: 'A', field: 'lead.score.total' }])).toBe('Unknown fields: lead.score.total');
+      expect(importer.validateMapping([{ column: 'Site', field: 'address.street' }], headers)).toBe('Columns not found in file: Site');
+      expect(importer.validateMapping([{ column: 'City', field: 'address.city' }])).toBe('A street address column must be mapped');
+      expect(importer.validateMapping([{ column: 'Full', field: 'address.full' }])).toBeNull();
+    });
+
+    it('checks template defaults like mapped cells', () => {
+      expect(importer.validateDefaults({ 'taxInfo.taxDelinquent': 'yes', foreclosureStatus: 'auction' })).toBeNull();
+      expect(importer.validateDefaults({ bedrooms: 'several' })).toBe('Default for bedrooms: "several" is not a number');
+      expect(importer.validateDefaults({ leadInfo: 'x' })).toBe('Unknown default field: leadInfo');
+      expect(importer.validateDefaults(['x'])).toBe('Defaults must be an object keyed by field');
+    });
+
+    it('converts cells to the field type', () => {
+      const path = (field) => importer.getSchemaPath(field);
+
+      expect(importer.convertValue('$1,250.75', path('foreclosureDetails.openingBid'))).toBe(1250.75);
+      expect(importer.convertValue('(500)', path('foreclosureDetails.openingBid'))).toBe(-500);
+      expect(importer.convertValue('Y', path('taxInfo.taxDelinquent'))).toBe(true);
+      expect(importer.convertValue('no', path('taxInfo.taxDelinquent'))).toBe(false);
+      expect(importer.convertValue('2024-03-01', path('foreclosureDetails.auctionDate'))).toEqual(new Date('2024-03-01'));
+      expect(importer.convertValue('reo', path('foreclosureStatus'))).toBe('REO');
+      expect(importer.convertValue('  ', path('bedrooms'))).toBeUndefined();
+      expect(() => importer.convertValue('soon', path('foreclosureDetails.auctionDate'))).toThrow('"soon" is not a date');
+      expect(() => importer.convertValue('Castle', path('propertyType'))).toThrow('"Castle" must be one of');
+    });
+  });
+
+  describe('mapRow', () => {
+    it('maps a row into property, lead and list defaults', () => {
+      const { property, defaults, lead, errors } = importer.mapRow(buildRow(), buildTemplate());
+
+      expect(errors).toEqual([]);
+      expect(property).toMatchObject({
+        address: { street: '123 N Main St', city: 'Phoenix', state: 'AZ', zipCode: '85004' },
+        addressKey: expect.stringContaining('123 N MAIN ST'),
+        owner: { name: 'Jane Smith' },
+        taxInfo: { taxDelinquentAmount: 4210.5 },
+        leadInfo: { source: 'County Records' }
+      });
+      expect(defaults).toEqual({ propertyType: 'Single Family', foreclosureStatus: 'Pre-Foreclosure', taxInfo: { taxDelinquent: true } });
+      expect(lead).toEqual({ contact: { phone: '602-555-0100' }, source: 'Other', details: { motivation: 'Financial Distress' } });
+    });
+
+    it('splits a single address column', () => {
+      const template = buildTemplate({ mapping: [{ column: 'Address', field: 'address.full' }, { column: 'County', field: 'address.county' }] });
+
+      const { property, errors } = importer.mapRow({ Address: '45 Elm Avenue, Tucson, AZ 85701', County: 'Pima' }, template);
+
+      expect(errors).toEqual([]);
+      expect(property.address).toMatchObject({ street: '45 Elm Ave', city: 'Tucson', state: 'AZ', zipCode: '85701' });
+    });
+
+    it('keeps row values over template defaults', () => {
+      const template = buildTemplate({
+        mapping: [...buildTemplate().mapping, { column: 'Status', field: 'foreclosureStatus' }],
+        defaults: { foreclosureStatus: 'Auction', bedrooms: 3 }
+      });
+
+      const { property, defaults } = importer.mapRow(buildRow({ Status: 'REO' }), template);
+
+      expect(property.foreclosureStatus).toBe('REO');
+      expect(defaults.foreclosureStatus).toBeUndefined();
+      expect(defaults.bedrooms).toBe(3);
+    });
+
+    it('reports each bad cell with its column', () => {
+      const { errors } = importer.mapRow(buildRow({ 'Amount Due': 'unpaid', 'Recording Date': 'last week' }), buildTemplate());
+
+      expect(errors).toEqual([
+        { column: 'Amount Due', field: 'taxInfo.taxDelinquentAmount', value: 'unpaid', message: '"unpaid" is not a number' },
+        { column: 'Recording Date', field: 'foreclosureDetails.noticeOfDefaultDate', value: 'last week', message: '"last week" is not a date' }
+      ]);
+    });
+
+    it('fails a row without a usable address', () => {
+      const { errors } = importer.mapRow(buildRow({ 'Property Address': '' }), buildTemplate());
+
+      expect(errors).toContainEqual(expect.objectContaining({ field: 'address.street', message: 'Path `address.street` is required.' }));
+    });
+  });
+
+  describe('run', () => {
+    it('reports what a dry run would do without saving anything', async () => {
+      const exists = jest.spyOn(Property, 'exists').mockResolvedValueOnce({ _id: 'p1' }).mockResolvedValue(null);
+      const save = jest.spyOn(importer.scraper, 'savePropertyRecord');
+      const rows = [
+        buildRow(),
+        buildRow({ 'Property Address': '9 Oak Ave' }),
+        buildRow({ 'Property Address': '9 Oak Avenue' }),
+        buildRow({ 'Amount Due': 'unpaid' })
+      ];
+
+      const report = await importer.run(rows, buildTemplate());
+
+      expect(report).toMatchObject({
+        dryRun: true,
+        totalRows: 4,
+        validRows: 3,
+        invalidRows: 1,
+        created: 1,
+        updated: 2,
+        duplicateRows: 1,
+        leadsCreated: 0
+      });
+      expect(report.errors).toEqual([expect.objectContaining({ row: 5, column: 'Amount Due' })]);
+      expect(report.preview.map(item => [item.row, item.action, item.duplicateOf])).toEqual([
+        [2, 'update', undefined],
+        [3, 'create', undefined],
+        [4, 'update', 3]
+      ]);
+      expect(exists).toHaveBeenCalledTimes(2);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('saves rows through the scraper and creates missing leads', async () => {
+      const saved = { _id: new mongoose.Types.ObjectId() };
+      const save = jest.spyOn(importer.scraper, 'savePropertyRecord')
+        .mockResolvedValueOnce({ property: saved, created: true, changed: [] })
+        .mockResolvedValueOnce({ property: saved, created: false, changed: [] });
+      jest.spyOn(Lead, 'findOne').mockResolvedValueOnce(null).mockResolvedValue({ _id: 'l1' });
+      const generateLead = jest.spyOn(importer.dataProcessor, 'generateLead').mockResolvedValue({});
+      const userId = new mongoose.Types.ObjectId();
+
+      const report = await importer.run([buildRow(), buildRow()], buildTemplate({ listType: 'NOD' }), { dryRun: false, userId });
+
+      expect(report).toMatchObject({ created: 1, unchanged: 1, leadsCreated: 1, duplicateRows: 1 });
+      expect(save).toHaveBeenCalledWith(expect.objectContaining({ addressKey: expect.any(String) }), expect.objectContaining({
+        source: 'County Records',
+        statusText: 'Notice of Default',
+        recordedDate: new Date('2024-02-15'),
+        userId,
+        defaults: expect.objectContaining({ foreclosureStatus: 'Pre-Foreclosure' })
+      }));
+      expect(generateLead).toHaveBeenCalledWith(saved, expect.objectContaining({
+        source: 'Pre-Foreclosure',
+        tags: ['NOD'],
+        createdBy: userId
+      }));
+    });
+
+    it('counts a row that fails to save and carries on', async () => {
+      jest.spyOn(importer.scraper, 'savePropertyRecord')
+        .mockRejectedValueOnce(new Error('Write conflict'))
+        .mockResolvedValue({ property: { _id: 'p2' }, created: true, changed: [] });
+
+      const report = await importer.run(
+        [buildRow(), buildRow({ 'Property Address': '9 Oak Ave' })],
+        buildTemplate({ createLeads: false }),
+        { dryRun: false }
+      );
+
+      expect(report).toMatchObject({ failed: 1, created: 1 });
+      expect(report.errors).toEqual([{ row: 2, message: 'Write conflict' }]);
+    });
+  });
+});
@@ -0,0 +1,460 @@
+const _ = require('lodash');
+const logger = require('../../utils/logger');
+const Property = require('../../models/Property');
+const Lead = require('../../models/Lead');
+const { normalizeAddress, parseAddressString } = require('../../utils/addressNormalizer');
+const { parseTabularFile } = require('../../utils/tabularFile');
+const ForeclosureScraper = require('../dataCollection/foreclosureScraper');
+const DataProcessor = require('../dataCollection/dataProcessor');
+
+// Largest file accepted in one import
+const MAX_ROWS = 10000;
+
+// Rows echoed back in the report
+const PREVIEW_LIMIT = 50;
+
+const LEAD_PREFIX = 'lead.';
+const FULL_ADDRESS_FIELD = 'address.full';
+
+const IMPORTABLE_TYPES = ['String', 'Number', 'Date', 'Boolean'];
+
+// Fields set by the platform rather than by imported files
+const SYSTEM_FIELDS = ['__v', 'isActive', 'createdAt', 'updatedAt', 'dataQuality'];
+const PROPERTY_EXCLUDED_FIELDS = [...SYSTEM_FIELDS, 'addressKey', 'leadInfo'];
+const LEAD_EXCLUDED_FIELDS = [...SYSTEM_FIELDS, 'leadId', 'score', 'conversion', 'campaign', 'skipTrace'];
+
+// Fields every row needs; propertyType is required but rarely in purchased lists
+const BASE_DEFAULTS = {
+  propertyType: 'Single Family',
+  foreclosureStatus: 'Pre-Foreclosure',
+  'lead.source': 'Other'
+};
+
+// Defaults implied by the kind of list being imported
+const LIST_DEFAULTS = {
+  'Tax Delinquent': {
+    'taxInfo.taxDelinquent': true,
+    'lead.details.motivation': 'Financial Distress'
+  },
+  'Probate': {
+    'lead.details.motivation': 'Inheritance'
+  },
+  'NOD': {
+    'lead.source': 'Pre-Foreclosure',
+    'lead.details.motivation': 'Financial Distress'
+  },
+  'Lis Pendens': {
+    'lead.source': 'Pre-Foreclosure',
+    'lead.details.motivation': 'Financial Distress'
+  },
+  'Auction': {
+    foreclosureStatus: 'Auction',
+    'lead.source': 'Auction'
+  }
+};
+
+// Lists whose rows are foreclosure filings, recorded as timeline events
+const LIST_EVENTS = {
+  'NOD': 'Notice of Default',
+  'Lis Pendens': 'Lis Pendens',
+  'Auction': 'Notice of Sale'
+};
+
+// Common column headings in purchased lists, matched case-insensitively
+const COLUMN_ALIASES = {
+  'address.street': ['address', 'street', 'property address', 'site address', 'situs address', 'street address'],
+  'address.unit': ['unit', 'apt', 'suite'],
+  'address.city': ['city', 'property city', 'site city'],
+  'address.state': ['state', 'st', 'property state'],
+  'address.zipCode': ['zip', 'zip code', 'zipcode', 'postal code', 'property zip'],
+  'address.county': ['county'],
+  'owner.name': ['owner', 'owner name', 'owner 1', 'decedent', 'borrower', 'trustor'],
+  'owner.mailingAddress': ['mailing address', 'owner address', 'mail address'],
+  'propertyType': ['property type', 'type'],
+  'bedrooms': ['beds', 'bedrooms'],
+  'bathrooms': ['baths', 'bathrooms'],
+  'squareFeet': ['sqft', 'square feet', 'living area', 'building sqft'],
+  'yearBuilt': ['year built'],
+  'taxInfo.assessedValue': ['assessed value', 'assessed'],
+  'taxInfo.taxDelinquentAmount': ['amount due', 'delinquent amount', 'taxes due', 'tax due'],
+  'foreclosureDetails.caseNumber': ['case number', 'case #', 'case no'],
+  'foreclosureDetails.trusteeSaleNumber': ['ts number', 'trustee sale number', 'ts #'],
+  'foreclosureDetails.noticeOfDefaultDate': ['recording date', 'recorded date', 'nod date', 'filing date'],
+  'foreclosureDetails.auctionDate': ['auction date', 'sale date'],
+  'foreclosureDetails.openingBid': ['opening bid', 'minimum bid', 'starting bid'],
+  'foreclosureDetails.lender': ['lender', 'beneficiary', 'plaintiff'],
+  'foreclosureDetails.loanAmount': ['loan amount', 'original loan amount', 'default amount'],
+  'lead.contact.phone': ['phone', 'phone number', 'owner phone'],
+  'lead.contact.email': ['email', 'owner email']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+class PropertyImporter {
+  constructor() {
+    this.scraper = new ForeclosureScraper();
+    this.dataProcessor = new DataProcessor();
+  }
+
+  // Read an uploaded CSV or Excel file into header names and row objects keyed by header
+  async parseFile(file) {
+    return parseTabularFile(file);
+  }
+
+  // Schema path for a mapped field, or null if it can't be imported
+  getSchemaPath(field) {
+    const isLead = field.startsWith(LEAD_PREFIX);
+    const name = isLead ? field.slice(LEAD_PREFIX.length) : field;
+    const excluded = isLead ? LEAD_EXCLUDED_FIELDS : PROPERTY_EXCLUDED_FIELDS;
+    if (excluded.some(prefix => name === prefix || name.startsWith(`${prefix}.`))) return null;
+
+    const schemaPath = isLead ? Lead.schema.path(name) : Property.schema.path(name);
+
+    return schemaPath && IMPORTABLE_TYPES.includes(schemaPath.instance) ? schemaPath : null;
+  }
+
+  // Fields that can be mapped, with their type and allowed values
+  getImportableFields() {
+    const fields = [{ field: FULL_ADDRESS_FIELD, type: 'String', description: 'Street, city, state and ZIP in one column' }];
+
+    const collect = (schema, prefix) => {
+      schema.eachPath((schemaPath) => {
+        const field = `${prefix}${schemaPath}`;
+        const definition = this.getSchemaPath(field);
+        if (!definition || schemaPath === '_id') return;
+
+        fields.push({
+          field,
+          type: definition.instance,
+          required: Boolean(definition.isRequired),
+          values: definition.enumValues && definition.enumValues.length > 0 ? definition.enumValues : undefined
+        });
+      });
+    };
+
+    collect(Property.schema, '');
+    collect(Lead.schema, LEAD_PREFIX);
+
+    return fields;
+  }
+
+  // Map headers to fields using common list column names
+  suggestMapping(headers) {
+    const mapping = [];
+    const used = new Set();
+
+    headers.forEach(column => {
+      const heading = column.toLowerCase().replace(/[_\s]+/g, ' ').trim();
+      const field = Object.keys(COLUMN_ALIASES)
+        .find(candidate => !used.has(candidate) && COLUMN_ALIASES[candidate].includes(heading));
+
+      if (field) {
+        used.add(field);
+        mapping.push({ column, field });
+      }
+    });
+
+    return mapping;
+  }
+
+  // Returns an error message for an unusable mapping, or null
+  validateMapping(mapping, headers = null) {
+    if (!Array.isArray(mapping) || mapping.length === 0) return 'A column mapping is required';
+
+    const invalid = mapping.filter(entry =>
+      !entry || !entry.column || !entry.field ||
+      (entry.field !== FULL_ADDRESS_FIELD && !this.getSchemaPath(entry.field)));
+    if (invalid.length > 0) {
+      return `Unknown fields: ${invalid.map(entry => (entry && entry.field) || '(blank)').join(', ')}`;
+    }
+
+    if (headers) {
+      const missing = mapping.filter(entry => !headers.includes(entry.column));
+      if (missing.length > 0) return `Columns not found in file: ${missing.map(entry => entry.column).join(', ')}`;
+    }
+
+    const fields = mapping.map(entry => entry.field);
+    if (!fields.includes(FULL_ADDRESS_FIELD) && !fields.includes('address.street')) {
+      return 'A street address column must be mapped';
+    }
+
+    return null;
+  }
+
+  // Returns an error message for template defaults, or null. Each default is
+  // converted like a mapped cell so bad values are caught when the template is saved.
+  validateDefaults(defaults) {
+    if (defaults === undefined || defaults === null) return null;
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) return 'Defaults must be an object keyed by field';
+
+    for (const [field, value] of Object.entries(defaults)) {
+      const schemaPath = this.getSchemaPath(field);
+      if (!schemaPath) return `Unknown default field: ${field}`;
+
+      try {
+        this.convertValue(value, schemaPath);
+      } catch (error) {
+        return `Default for ${field}: ${error.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Convert a raw cell to the field's schema type; throws with a row-level message
+  convertValue(raw, schemaPath) {
+    if (raw === undefined || raw === null) return undefined;
+    if (typeof raw === 'string' && raw.trim() === '') return undefined;
+
+    switch (schemaPath.instance) {
+      case 'Number': {
+        if (typeof raw === 'number') return raw;
+        const text = String(raw).trim();
+        const negative = /^\(.*\)$/.test(text);
+        const value = parseFloat(text.replace(/[$,\s()]/g, ''));
+        if (Number.isNaN(value)) throw new Error(`"${raw}" is not a number`);
+        return negative ? -value : value;
+      }
+      case 'Date': {
+        const value = raw instanceof Date ? raw : new Date(String(raw).trim());
+        if (Number.isNaN(value.getTime())) throw new Error(`"${raw}" is not a date`);
+        return value;
+      }
+      case 'Boolean': {
+        const text = String(raw).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        throw new Error(`"${raw}" is not yes/no`);
+      }
+      default: {
+        const text = String(raw).trim();
+        const allowed = schemaPath.enumValues || [];
+        if (allowed.length === 0) return text;
+
+        const match = allowed.find(value => value.toLowerCase() === text.toLowerCase());
+        if (!match) throw new Error(`"${raw}" must be one of: ${allowed.join(', ')}`);
+        return match;
+      }
+    }
+  }
+
+  // Turn one file row into property and lead data. Defaults are kept apart from
+  // row values so they never overwrite an existing record.
+  // Returns { property, defaults, lead, errors }.
+  mapRow(row, template) {
+    const values = {};
+    const errors = [];
+
+    template.mapping.forEach(({ column, field }) => {
+      const raw = row[column];
+
+      if (field === FULL_ADDRESS_FIELD) {
+        if (!raw) return;
+        const parsed = parseAddressString(String(raw));
+        if (!parsed) {
+          errors.push({ column, field, value: raw, message: 'Could not parse address' });
+          return;
+        }
+        ['street', 'unit', 'city', 'state', 'zipCode'].forEach(part => {
+          if (parsed[part]) values[`address.${part}`] = parsed[part];
+        });
+        return;
+      }
+
+      try {
+        const value = this.convertValue(raw, this.getSchemaPath(field));
+        if (value !== undefined) values[field] = value;
+      } catch (error) {
+        errors.push({ column, field, value: raw, message: error.message });
+      }
+    });
+
+    const property = {};
+    const defaults = {};
+    const lead = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (field.startsWith(LEAD_PREFIX)) {
+        _.set(lead, field.slice(LEAD_PREFIX.length), value);
+      } else {
+        _.set(property, field, value);
+      }
+    });
+
+    const defaultValues = {
+      ...BASE_DEFAULTS,
+      ...(LIST_DEFAULTS[template.listType] || {}),
+      ...(template.defaults || {})
+    };
+    const leadPaths = Object.keys(values)
+      .filter(field => field.startsWith(LEAD_PREFIX))
+      .map(field => field.slice(LEAD_PREFIX.length));
+    Object.entries(defaultValues).forEach(([field, raw]) => {
+      if (values[field] !== undefined) return;
+
+      // Templates saved before defaults were validated may still hold bad values
+      const schemaPath = this.getSchemaPath(field);
+      let value;
+      try {
+        if (!schemaPath) throw new Error('Unknown default field');
+        value = this.convertValue(raw, schemaPath);
+      } catch (error) {
+        errors.push({ field, value: raw, message: `Default: ${error.message}` });
+        return;
+      }
+      if (value === undefined) return;
+
+      if (field.startsWith(LEAD_PREFIX)) {
+        _.set(lead, field.slice(LEAD_PREFIX.length), value);
+        leadPaths.push(field.slice(LEAD_PREFIX.length));
+      } else {
+        _.set(defaults, field, value);
+      }
+    });
+
+    // Normalize the address into the same key the scraper dedupes on
+    const normalized = property.address && property.address.street ? normalizeAddress(property.address) : null;
+    if (normalized) {
+      const { key, ...address } = normalized;
+      property.address = address;
+      property.addressKey = key;
+    }
+
+    property.leadInfo = { source: template.source, dateFound: new Date() };
+
+    // Schema validation catches missing required fields and out-of-range values
+    const validationError = new Property(_.defaultsDeep({}, property, defaults)).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => {
+        errors.push({ field: error.path, value: error.value, message: error.message });
+      });
+    }
+
+    // Lead values are checked here as well, so a bad one fails the row before its property is saved
+    if (template.createLeads && leadPaths.length > 0) {
+      const leadError = new Lead(lead).validateSync(leadPaths);
+      if (leadError) {
+        Object.values(leadError.errors).forEach(error => {
+          errors.push({ field: `${LEAD_PREFIX}${error.path}`, value: error.value, message: error.message });
+        });
+      }
+    }
+
+    if (!property.addressKey && !errors.some(error => error.field && error.field.startsWith('address.'))) {
+      errors.push({ field: 'address', message: 'Address could not be normalized' });
+    }
+
+    return { property, defaults, lead, errors };
+  }
+
+  // Validate every row and, unless dryRun, save through the scraper's dedupe and merge.
+  // Returns a report with per-row errors and a preview of what each row does.
+  async run(rows, template, options = {}) {
+    const { dryRun = true, userId } = options;
+    const observedAt = new Date();
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      validRows: 0,
+      invalidRows: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      leadsCreated: 0,
+      failed: 0,
+      duplicateRows: 0,
+      errors: [],
+      preview: []
+    };
+    const seen = new Map();
+
+    for (const [index, row] of rows.entries()) {
+      // Spreadsheet row number; row 1 is the header
+      const rowNumber = index + 2;
+      const { property, defaults, lead, errors } = this.mapRow(row, template);
+
+      if (errors.length > 0) {
+        report.invalidRows++;
+        errors.forEach(error => report.errors.push({ row: rowNumber, ...error }));
+        continue;
+      }
+
+      report.validRows++;
+      const duplicateOf = seen.get(property.addressKey);
+      if (duplicateOf) {
+        report.duplicateRows++;
+      } else {
+        seen.set(property.addressKey, rowNumber);
+      }
+
+      let action;
+      try {
+        if (dryRun) {
+          const exists = duplicateOf || await Property.exists({ addressKey: property.addressKey });
+          action = exists ? 'update' : 'create';
+          report[exists ? 'updated' : 'created']++;
+        } else {
+          action = await this.saveRow(property, defaults, lead, template, { userId, observedAt }, report);
+        }
+      } catch (error) {
+        report.failed++;
+        report.errors.push({ row: rowNumber, message: error.message });
+        logger.error(`Error importing row ${rowNumber}:`, error);
+        continue;
+      }
+
+      if (report.preview.length < PREVIEW_LIMIT) {
+        report.preview.push({
+          row: rowNumber,
+          action,
+          address: [property.address.street, property.address.city, property.address.state].join(', '),
+          duplicateOf
+        });
+      }
+    }
+
+    return report;
+  }
+
+  async saveRow(property, defaults, lead, template, options, report) {
+    const { userId, observedAt } = options;
+    const result = await this.scraper.savePropertyRecord(property, {
+      source: template.source,
+      statusText: LIST_EVENTS[template.listType],
+      recordedDate: property.foreclosureDetails && property.foreclosureDetails.noticeOfDefaultDate,
+      observedAt,
+      userId,
+      defaults
+    });
+
+    let action = 'unchanged';
+    if (result.created) {
+      action = 'create';
+      report.created++;
+    } else if (result.changed.length > 0) {
+      action = 'update';
+      report.updated++;
+    } else {
+      report.unchanged++;
+    }
+
+    if (template.createLeads) {
+      const existingLead = await Lead.findOne({ property: result.property._id });
+      if (!existingLead) {
+        await this.dataProcessor.generateLead(result.property, {
+          ...lead,
+          tags: template.listType && template.listType !== 'Other' ? [template.listType] : undefined,
+          createdBy: userId,
+          updatedBy: userId
+        });
+        report.leadsCreated++;
+      }
+    }
+
+    return action;
+  }
+}
+
+PropertyImporter.MAX_ROWS = MAX_ROWS;
+
+module.exports = PropertyImporter;
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Lead = require('../../../models/Lead');
+const ContactCompliance = require('../../compliance/contactCompliance');
+const InboundMessageHandler = require('../inboundMessageHandler');
+const realtime = require('../../../utils/realtime');
+
+// Chained query stub: sort() returns the query, which resolves to result
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const buildLead = (contact = {}) => {
+  const lead = new Lead({
+    source: 'Pre-Foreclosure',
+    property: new mongoose.Types.ObjectId(),
+    contact: { name: 'Jane Smith', phone: '(602) 555-0142', email: 'Jane.Smith@example.com', ...contact },
+    assignedTo: new mongoose.Types.ObjectId()
+  });
+  // Saving runs validation so replies must fit the Lead schema
+  jest.spyOn(lead, 'save').mockImplementation(async () => {
+    await lead.validate();
+    return lead;
+  });
+  return lead;
+};
+
+const sms = (overrides = {}) => ({
+  From: '+16025550142',
+  To: '+16025550100',
+  Body: 'STOP',
+  MessageSid: 'SM0123456789abcdef',
+  NumMedia: '0',
+  ...overrides
+});
+
+describe('InboundMessageHandler', () => {
+  let compliance;
+  let sequences;
+  let handler;
+  let emitted;
+
+  beforeEach(() => {
+    compliance = new ContactCompliance();
+    jest.spyOn(compliance, 'recordConsent').mockResolvedValue({});
+    sequences = { stopForLead: jest.fn().mockResolvedValue(1) };
+    handler = new InboundMessageHandler({ compliance, sequences });
+
+    emitted = [];
+    realtime.setIO({ to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) }) });
+  });
+
+  afterEach(() => {
+    realtime.setIO(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('handleSms', () => {
+    it('records a STOP reply, adds it to the lead and tells the assigned user', async () => {
+      const lead = buildLead();
+      const find = jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      const result = await handler.handleSms(sms({ Body: ' Stop ' }));
+
+      expect(result).toEqual({ matched: 1, leads: [lead._id], optOut: true, optIn: false });
+      expect(find.mock.calls[0][0]['contact.phone'].test('(602) 555-0142')).toBe(true);
+      expect(compliance.recordConsent).toHaveBeenCalledWith(expect.objectContaining({
+        phone: '+16025550142',
+        status: 'Revoked',
+        method: 'STOP Reply',
+        lead: lead._id
+      }));
+      expect(lead.communications[0]).toMatchObject({
+        type: 'Text',
+        direction: 'Inbound',
+        content: 'Stop',
+        outcome: 'Opted Out',
+        externalId: 'SM0123456789abcdef'
+      });
+      expect(lead.save).toHaveBeenCalled();
+      expect(sequences.stopForLead).toHaveBeenCalledWith(lead._id, { reply: true });
+      expect(emitted).toEqual([{
+        room: `user-${lead.assignedTo}`,
+        event: 'lead:reply',
+        data: expect.objectContaining({ leadId: lead._id, channel: 'SMS', from: '+16025550142', optOut: true })
+      }]);
+    });
+
+    it('records a STOP even when no lead has the number', async () => {
+      jest.spyOn(Lead, 'find').mockReturnValue(query([]));
+
+      expect(await handler.handleSms(sms())).toEqual({ matched: 0, leads: [], optOut: true, optIn: false });
+      expect(compliance.recordConsent).toHaveBeenCalledWith(expect.objectContaining({ status: 'Revoked', lead: undefined }));
+    });
+
+    it('adds an ordinary reply with its pictures and leaves consent alone', async () => {
+      const lead = buildLead();
+      jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      const result = await handler.handleSms(sms({
+        Body: 'Is the offer still good?',
+        NumMedia: '1',
+        MediaUrl0: 'https://api.twilio.com/media/ME1'
+      }));
+
+      expect(result).toMatchObject({ optOut: false, optIn: false });
+      expect(compliance.recordConsent).not.toHaveBeenCalled();
+      expect(lead.communications[0]).toMatchObject({
+        content: 'Is the offer still good?\nhttps://api.twilio.com/media/ME1',
+        outcome: undefined
+      });
+    });
+
+    it('doesn\'t add a redelivered message twice', async () => {
+      const lead = buildLead();
+      jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      await handler.handleSms(sms({ Body: 'Call me' }));
+      const retry = await handler.handleSms(sms({ Body: 'Call me' }));
+
+      expect(retry).toMatchObject({ matched: 1, leads: [] });
+      expect(lead.communications).toHaveLength(1);
+      expect(lead.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores texts from numbers it can\'t read', async () => {
+      const find = jest.spyOn(Lead, 'find');
+
+      expect(await handler.handleSms(sms({ From: 'TWILIO' }))).toEqual({ matched: 0, leads: [], optOut: false, optIn: false });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleEmail', () => {
+    it('adds the reply without the quoted message and matches the sender however the lead stored it', async () => {
+      const lead = buildLead();
+      const find = jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      const result = await handler.handleEmail({
+        from: 'Jane Smith <jane.smith@EXAMPLE.com>',
+        subject: 'Re: Your property at 123 N Main St',
+        text: 'Yes, I would like to talk.\n\nOn Mon, Jun 3, 2024 at 9:00 AM Investor wrote:\n> Are you interested?',
+        headers: 'Received: by mx.example.com\nMessage-ID: <abc123@mail.example.com>\n',
+        attachmentNames: ['photo.jpg']
+      });
+
+      expect(result).toEqual({ matched: 1, leads: [lead._id], optOut: false });
+      expect(find.mock.calls[0][0]['contact.email'].test(' Jane.Smith@example.com ')).toBe(true);
+      expect(lead.communications[0]).toMatchObject({
+        type: 'Email',
+        direction: 'Inbound',
+        subject: 'Re: Your property at 123 N Main St',
+        content: 'Yes, I would like to talk.\n\nAttachments: photo.jpg',
+        externalId: '<abc123@mail.example.com>'
+      });
+      expect(lead.contact.doNotEmail).toBe(false);
+    });
+
+    it('stops emailing a lead who replies asking to unsubscribe', async () => {
+      const lead = buildLead();
+      jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      const result = await handler.handleEmail({
+        sender: 'jane.smith@example.com',
+        subject: 'Re: Your property',
+        'stripped-text': 'Unsubscribe',
+        'body-plain': 'Unsubscribe\n> Are you interested?',
+        'Message-Id': '<def456@mail.example.com>'
+      });
+
+      expect(result.optOut).toBe(true);
+      expect(lead.contact).toMatchObject({ doNotEmail: true, emailOptedOutAt: expect.any(Date) });
+      expect(lead.communications[0]).toMatchObject({ content: 'Unsubscribe', outcome: 'Opted Out' });
+      expect(emitted[0].data).toMatchObject({ channel: 'Email', optOut: true });
+    });
+
+    it('recognizes opt-outs in the subject or first line only', () => {
+      expect(handler.isEmailOptOut('RE: remove me', 'Thanks')).toBe(true);
+      expect(handler.isEmailOptOut('Re: offer', '\n\nStop emailing me')).toBe(true);
+      expect(handler.isEmailOptOut('Re: offer', 'Please do not stop the sale')).toBe(false);
+    });
+
+    it('reads HTML-only replies', async () => {
+      const lead = buildLead();
+      jest.spyOn(Lead, 'find').mockReturnValue(query([lead]));
+
+      await handler.handleEmail({ from: 'jane.smith@example.com', html: '<p>Call me &amp; my husband</p><div>Jane</div>' });
+
+      expect(lead.communications[0].content).toBe('Call me & my husband\nJane');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const logger = require('../../utils/logger');
+const Lead = require('../../models/Lead');
+const ContactCompliance = require('../compliance/contactCompliance');
+const SequenceRunner = require('../sequences/sequenceRunner');
+const { emitToUser } = require('../../utils/realtime');
+const { normalizePhone, phonePattern } = require('../../utils/phoneNumber');
+
+// Replies asking not to be emailed, matched against the subject or the reply's first line
+const EMAIL_OPT_OUT = /^\s*(unsubscribe|stop|remove me|opt[\s-]?out|do not (email|contact))\b/i;
+
+// Where the quoted original starts in a reply
+const QUOTE_MARKERS = [/^On .+wrote:$/, /^-{2,}\s*Original Message\s*-{2,}$/i, /^From: .+/, /^_{5,}$/];
+
+const PREVIEW_LENGTH = 140;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Appends texts and emails from owners to the matching leads' communications,
+// records opt-outs, ends drip sequences that stop on a reply and tells each lead's
+// assigned user about the reply.
+class InboundMessageHandler {
+  constructor(options = {}) {
+    this.compliance = options.compliance || new ContactCompliance();
+    this.sequences = options.sequences || new SequenceRunner({ compliance: this.compliance });
+  }
+
+  // The address in 'Jane Doe <jane@example.com>', lowercased
+  parseEmailAddress(value) {
+    const match = String(value || '').match(/<([^>]+)>/) || String(value || '').match(/[^\s<>"]+@[^\s<>"]+/);
+    if (!match) return null;
+    return (match[1] || match[0]).trim().toLowerCase();
+  }
+
+  // Reply text without the quoted message below it
+  stripQuoted(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const end = lines.findIndex(line => line.startsWith('>') || QUOTE_MARKERS.some(marker => marker.test(line.trim())));
+    return (end === -1 ? lines : lines.slice(0, end)).join('\n').trim();
+  }
+
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<(br|\/p|\/div)[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .trim();
+  }
+
+  isEmailOptOut(subject, text) {
+    const firstLine = String(text || '').split('\n').find(line => line.trim()) || '';
+    const reply = String(subject || '').replace(/^(re|fwd?):\s*/i, '');
+    return EMAIL_OPT_OUT.test(firstLine) || EMAIL_OPT_OUT.test(reply);
+  }
+
+  async findLeadsByPhone(phone) {
+    const pattern = phonePattern(phone);
+    if (!pattern) return [];
+    return Lead.find({ 'contact.phone': pattern, isActive: true }).sort({ updatedAt: -1 });
+  }
+
+  async findLeadsByEmail(email) {
+    if (!email) return [];
+    return Lead.find({ 'contact.email': new RegExp(`^\\s*${escapeRegex(email)}\\s*$`, 'i'), isActive: true })
+      .sort({ updatedAt: -1 });
+  }
+
+  // Add the reply to each lead that doesn't have it yet and notify its assigned user.
+  // Returns the leads it was added to.
+  async appendToLeads(leads, communication, notification) {
+    const updated = [];
+
+    for (const lead of leads) {
+      if (communication.externalId && lead.communications.some(existing => existing.externalId === communication.externalId)) {
+        continue;
+      }
+
+      lead.communications.push(communication);
+      if (notification.optOut && communication.type === 'Email') {
+        lead.contact.doNotEmail = true;
+        lead.contact.emailOptedOutAt = communication.date;
+      }
+      await lead.save();
+      updated.push(lead);
+      await this.sequences.stopForLead(lead._id, { reply: true });
+
+      if (lead.assignedTo) {
+        emitToUser(lead.assignedTo, 'lead:reply', {
+          leadId: lead._id,
+          leadRef: lead.leadId,
+          contactName: lead.contact.name,
+          ...notification,
+          receivedAt: communication.date
+        });
+      }
+    }
+
+    return updated;
+  }
+
+  // Handle a text in Twilio's webhook format (From, To, Body, MessageSid, NumMedia, MediaUrl0...).
+  // Returns { matched, leads, optOut, optIn }.
+  async handleSms(message) {
+    const from = normalizePhone(message.From);
+    const body = String(message.Body || '').trim();
+    const mediaCount = parseInt(message.NumMedia) || 0;
+    const media = Array.from({ length: mediaCount }, (value, index) => message[`MediaUrl${index}`]).filter(Boolean);
+
+    if (!from) {
+      logger.warn(`Inbound SMS from unrecognized number ${message.From}`);
+      return { matched: 0, leads: [], optOut: false, optIn: false };
+    }
+
+    const leads = await this.findLeadsByPhone(from);
+    const reply = await this.compliance.handleReply(from, body, { lead: leads[0] && leads[0]._id });
+
+    let outcome;
+    if (reply === 'opt-out') outcome = 'Opted Out';
+    else if (reply === 'opt-in') outcome = 'Opted In';
+
+    const updated = await this.appendToLeads(leads, {
+      type: 'Text',
+      direction: 'Inbound',
+      date: new Date(),
+      content: [body, ...media].filter(Boolean).join('\n') || '(empty message)',
+      outcome,
+      externalId: message.MessageSid || message.SmsSid
+    }, {
+      channel: 'SMS',
+      from,
+      preview: body.slice(0, PREVIEW_LENGTH),
+      optOut: reply === 'opt-out'
+    });
+
+    if (leads.length === 0) logger.warn(`Inbound SMS from ${from} matched no lead`);
+    else logger.info(`Inbound SMS from ${from} added to ${updated.length} lead(s)`);
+
+    return { matched: leads.length, leads: updated.map(lead => lead._id), optOut: reply === 'opt-out', optIn: reply === 'opt-in' };
+  }
+
+  // Handle an email posted by an inbound parse service. Accepts SendGrid Inbound Parse
+  // (from, subject, text, html, headers) and Mailgun (sender, from, subject, body-plain,
+  // stripped-text, Message-Id) field names, plus attachmentNames. Returns { matched, leads, optOut }.
+  async handleEmail(message) {
+    const from = this.parseEmailAddress(message.sender || message.from);
+    const subject = String(message.subject || '').trim();
+    const messageId = message['Message-Id'] || message['message-id'] || this.headerValue(message.headers, 'Message-ID');
+
+    const fullText = message['body-plain'] || message.text || this.htmlToText(message['body-html'] || message.html);
+    const text = message['stripped-text'] ? String(message['stripped-text']).trim() : this.stripQuoted(fullText);
+    const attachments = message.attachmentNames || [];
+
+    if (!from) {
+      logger.warn('Inbound email without a sender address');
+      return { matched: 0, leads: [], optOut: false };
+    }
+
+    const leads = await this.findLeadsByEmail(from);
+    const optOut = this.isEmailOptOut(subject, text);
+
+    const updated = await this.appendToLeads(leads, {
+      type: 'Email',
+      direction: 'Inbound',
+      date: new Date(),
+      subject: subject || undefined,
+      content: [
+        text || subject || '(empty message)',
+        attachments.length > 0 ? `Attachments: ${attachments.join(', ')}` : null
+      ].filter(Boolean).join('\n\n'),
+      outcome: optOut ? 'Opted Out' : undefined,
+      externalId: messageId ? String(messageId).trim() : undefined
+    }, {
+      channel: 'Email',
+      from,
+      subject,
+      preview: text.slice(0, PREVIEW_LENGTH),
+      optOut
+    });
+
+    if (leads.length === 0) logger.warn(`Inbound email from ${from} matched no lead`);
+    else logger.info(`Inbound email from ${from} added to ${updated.length} lead(s)`);
+
+    return { matched: leads.length, leads: updated.map(lead => lead._id), optOut };
+  }
+
+  // A header from a raw header block (SendGrid's headers field)
+  headerValue(headers, name) {
+    const match = String(headers || '').match(new RegExp(`^${name}:\\s*(.+)$`, 'im'));
+    return match ? match[1].trim() : null;
+  }
+}
+
+InboundMessageHandler.EMAIL_OPT_OUT = EMAIL_OPT_OUT;
+
+module.exports = InboundMessageHandler;
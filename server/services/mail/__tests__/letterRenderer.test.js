@@ -0,0 +1,141 @@
+const puppeteer = require('puppeteer');
+const LetterRenderer = require('../letterRenderer');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const renderer = new LetterRenderer();
+
+const data = {
+  recipient: { name: 'JANE DOE', firstName: 'Jane', lastName: '' },
+  property: { address: '123 Main St, Anytown, CA 90001' },
+  sender: { name: 'Acme <Home> Buyers & Co' }
+};
+
+describe('LetterRenderer', () => {
+  describe('merge', () => {
+    it('replaces merge fields with nested values', () => {
+      expect(renderer.merge('Dear {{recipient.firstName}}, about {{ property.address }}', data))
+        .toBe('Dear Jane, about 123 Main St, Anytown, CA 90001');
+    });
+
+    it('uses the fallback for missing or empty values', () => {
+      expect(renderer.merge('Dear {{recipient.lastName|Homeowner}}', data)).toBe('Dear Homeowner');
+      expect(renderer.merge('Dear {{recipient.title| Neighbor }}', data)).toBe('Dear Neighbor');
+      expect(renderer.merge('Dear {{recipient.title}}', data)).toBe('Dear ');
+      expect(renderer.merge('{{campaign.name}}', {})).toBe('');
+    });
+
+    it('escapes values for HTML unless told not to', () => {
+      expect(renderer.merge('From {{sender.name}}', data)).toBe('From Acme &lt;Home&gt; Buyers &amp; Co');
+      expect(renderer.merge('From {{sender.name}}', data, false)).toBe('From Acme <Home> Buyers & Co');
+      expect(renderer.merge('{{sender.phone|"Call us"}}', data)).toBe('&quot;Call us&quot;');
+    });
+
+    it('leaves other text alone', () => {
+      expect(renderer.merge('<p>No fields {here}</p>', data)).toBe('<p>No fields {here}</p>');
+      expect(renderer.merge(undefined, data)).toBe('');
+    });
+  });
+
+  it('finds the merge fields a template uses', () => {
+    expect(renderer.findFields('{{recipient.name}} {{property.address|here}}', null, '{{recipient.name}}'))
+      .toEqual(['recipient.name', 'property.address']);
+  });
+
+  it('rejects templates with unknown merge fields', () => {
+    expect(renderer.validateTemplate({ format: 'Letter', html: '{{recipient.name}} {{recipient.shoeSize}}' }))
+      .toBe('Unknown merge fields: recipient.shoeSize');
+    expect(renderer.validateTemplate({ format: 'Letter', html: '{{recipient.name}}' })).toBeNull();
+    expect(Object.keys(LetterRenderer.MERGE_FIELDS)).toContain('recipient.name');
+  });
+
+  describe('renderPdf', () => {
+    const REQUESTED = [
+      'data:image/png;base64,iVBORw0KGgo=',
+      'https://cdn.example.com/logo.png',
+      'http://169.254.169.254/latest/meta-data/iam/security-credentials/',
+      'http://localhost:27017/',
+      'https://cdn.example.com.evil.test/logo.png',
+      'file:///etc/passwd'
+    ];
+    let browser;
+    let requests;
+
+    // A browser whose pages request REQUESTED while loading content
+    const fakeBrowser = () => {
+      const handlers = {};
+      const page = {
+        setRequestInterception: jest.fn(),
+        on: jest.fn((event, handler) => { handlers[event] = handler; }),
+        setContent: jest.fn(async () => {
+          REQUESTED.forEach(url => {
+            const request = {
+              url: () => url,
+              isInterceptResolutionHandled: () => false,
+              continue: jest.fn(),
+              abort: jest.fn()
+            };
+            requests.push(request);
+            handlers.request(request);
+          });
+        }),
+        pdf: jest.fn(async () => Buffer.from('%PDF')),
+        close: jest.fn(async () => {})
+      };
+      return { page, newPage: jest.fn(async () => page), on: jest.fn(), close: jest.fn(async () => {}) };
+    };
+
+    beforeEach(() => {
+      process.env.MAIL_ASSET_ORIGINS = 'https://cdn.example.com/';
+      requests = [];
+      browser = fakeBrowser();
+      puppeteer.launch.mockReset().mockResolvedValue(browser);
+    });
+
+    afterEach(() => {
+      delete process.env.MAIL_ASSET_ORIGINS;
+      delete process.env.PUPPETEER_NO_SANDBOX;
+    });
+
+    it('only lets data: URLs and allowed asset origins load', async () => {
+      const pdf = await renderer.renderPdf('<img src="http://169.254.169.254/">', { size: '8.5x11' });
+
+      expect(pdf.toString()).toBe('%PDF');
+      expect(browser.page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(requests.filter(request => request.continue.mock.calls.length > 0).map(request => request.url()))
+        .toEqual(REQUESTED.slice(0, 2));
+      expect(requests.filter(request => request.abort.mock.calls.length > 0)).toHaveLength(REQUESTED.length - 2);
+      expect(browser.page.close).toHaveBeenCalled();
+    });
+
+    it('blocks every remote request without an allowlist', () => {
+      delete process.env.MAIL_ASSET_ORIGINS;
+
+      expect(renderer.isAllowedRequest('https://cdn.example.com/logo.png')).toBe(false);
+      expect(renderer.isAllowedRequest('data:font/woff2;base64,AAAA')).toBe(true);
+      expect(renderer.isAllowedRequest('not a url')).toBe(false);
+    });
+
+    it('reuses one browser across renders and closes it on request', async () => {
+      const batch = new LetterRenderer();
+
+      await Promise.all([batch.renderPdf('<p>1</p>', {}), batch.renderPdf('<p>2</p>', {})]);
+      await batch.renderPdf('<p>3</p>', {});
+
+      expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+      expect(browser.newPage).toHaveBeenCalledTimes(3);
+
+      await batch.close();
+      expect(browser.close).toHaveBeenCalled();
+    });
+
+    it('keeps the Chromium sandbox unless it is turned off', async () => {
+      await new LetterRenderer().renderPdf('<p></p>', {});
+      expect(puppeteer.launch.mock.calls[0][0].args).not.toContain('--no-sandbox');
+
+      process.env.PUPPETEER_NO_SANDBOX = 'true';
+      await new LetterRenderer().renderPdf('<p></p>', {});
+      expect(puppeteer.launch.mock.calls[1][0].args).toContain('--no-sandbox');
+    });
+  });
+});
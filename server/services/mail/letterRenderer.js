@@ -0,0 +1,313 @@
+const puppeteer = require('puppeteer');
+const logger = require('../../utils/logger');
+
+// Fields templates can use as {{field}} or {{field|fallback}}
+const MERGE_FIELDS = {
+  'recipient.name': 'Owner name as addressed',
+  'recipient.firstName': 'Owner first name (empty for companies and trusts)',
+  'recipient.lastName': 'Owner last name',
+  'recipient.street': 'Mailing street',
+  'recipient.city': 'Mailing city',
+  'recipient.state': 'Mailing state',
+  'recipient.zipCode': 'Mailing ZIP code',
+  'property.address': 'Property address on one line',
+  'property.street': 'Property street',
+  'property.city': 'Property city',
+  'property.state': 'Property state',
+  'property.zipCode': 'Property ZIP code',
+  'property.county': 'Property county',
+  'property.auctionDate': 'Scheduled or projected auction date',
+  'property.openingBid': 'Opening bid',
+  'property.estimatedValue': 'Estimated value',
+  'lead.leadId': 'Lead ID',
+  'piece.pieceId': 'Piece ID, to match responses to the mailing',
+  'sender.name': 'Name of the user who built the campaign',
+  'sender.company': 'Sender company',
+  'sender.phone': 'Sender phone',
+  'sender.email': 'Sender email',
+  'campaign.name': 'Campaign name',
+  date: 'Date the campaign was built'
+};
+
+const MERGE_PATTERN = /\{\{\s*([a-zA-Z.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Owners that are organizations, and placeholders such as Current Owner, are addressed
+// by name, never "Dear LLC" or "Dear Current"
+const ORGANIZATION = /\b(llc|inc|corp|co|company|trust|trustee|bank|estate|association|assn|lp|llp|ltd|holdings|properties|investments)\b|^current (owner|resident)$/i;
+
+// Page sizes in inches; postcard sizes are height x width
+const PAGE_SIZES = {
+  '8.5x11': { width: 8.5, height: 11 },
+  '4x6': { width: 6, height: 4 },
+  '6x9': { width: 9, height: 6 },
+  '6x11': { width: 11, height: 6 }
+};
+
+// A PDF browser left unused this long is closed
+const BROWSER_IDLE_MS = 60 * 1000;
+
+// Origins (scheme://host[:port]) templates may load images and fonts from
+const allowedAssetOrigins = () => (process.env.MAIL_ASSET_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (value) => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString('en-US')}` : undefined);
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+  : undefined);
+
+const titleCase = (value) => String(value || '').toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+
+// Merges lead and property data into letter and postcard templates and renders
+// them to print-ready HTML and PDF
+class LetterRenderer {
+  constructor() {
+    this.browser = null;
+    this.activeRenders = 0;
+    this.idleTimer = null;
+  }
+
+  // Merge fields a template uses
+  findFields(...contents) {
+    const fields = new Set();
+    contents.filter(Boolean).forEach(content => {
+      for (const match of String(content).matchAll(MERGE_PATTERN)) fields.add(match[1]);
+    });
+    return [...fields];
+  }
+
+  // Error message for a template that can't be rendered, or null
+  validateTemplate(template) {
+    if (!template.html) return 'Template content (html) is required';
+    if (template.format === 'Postcard' && !['4x6', '6x9', '6x11'].includes(template.size)) {
+      return 'Postcards must be 4x6, 6x9 or 6x11';
+    }
+    if (template.format === 'Letter' && template.size && template.size !== '8.5x11') return 'Letters must be 8.5x11';
+
+    const unknown = this.findFields(template.html, template.backHtml).filter(field => !MERGE_FIELDS[field]);
+    return unknown.length > 0 ? `Unknown merge fields: ${unknown.join(', ')}` : null;
+  }
+
+  // Merge field values for one piece
+  buildMergeData({ lead, property, recipient, pieceId, sender, campaign, date = new Date() }) {
+    const name = recipient.name;
+    const organization = ORGANIZATION.test(name);
+    const nameParts = organization ? [] : name.trim().split(/\s+/);
+    const address = (property && property.address) || {};
+    const foreclosure = (property && property.foreclosureDetails) || {};
+    const projection = (property && property.foreclosureProjection) || {};
+
+    return {
+      recipient: {
+        name,
+        firstName: nameParts.length > 1 ? titleCase(nameParts[0]) : undefined,
+        lastName: nameParts.length > 1 ? titleCase(nameParts[nameParts.length - 1]) : undefined,
+        street: [recipient.street, recipient.unit].filter(Boolean).join(' '),
+        city: recipient.city,
+        state: recipient.state,
+        zipCode: recipient.zipCode
+      },
+      property: {
+        address: address.street ? `${address.street}, ${address.city}, ${address.state} ${address.zipCode || ''}`.trim() : undefined,
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode,
+        county: address.county,
+        auctionDate: formatDate(foreclosure.auctionDate || projection.expectedAuctionDate),
+        openingBid: formatMoney(foreclosure.openingBid),
+        estimatedValue: formatMoney((property && property.valuation && property.valuation.value) || foreclosure.estimatedValue)
+      },
+      lead: { leadId: lead.leadId },
+      piece: { pieceId },
+      sender: {
+        name: sender ? `${sender.firstName} ${sender.lastName}` : undefined,
+        company: sender && sender.profile ? sender.profile.company : undefined,
+        phone: sender ? sender.phone : undefined,
+        email: sender ? sender.email : undefined
+      },
+      campaign: { name: campaign.name },
+      date: formatDate(date)
+    };
+  }
+
+  // Replace merge fields with their values (HTML-escaped unless escape is false for
+  // plain text such as SMS), their fallback or nothing
+  merge(content, data, escape = true) {
+    const format = escape ? escapeHtml : String;
+    return String(content || '').replace(MERGE_PATTERN, (match, field, fallback) => {
+      const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+      if (value !== undefined && value !== null && value !== '') return format(value);
+      return fallback !== undefined ? format(fallback.trim()) : '';
+    });
+  }
+
+  addressBlock(address) {
+    if (!address || !address.street) return '';
+    const lines = [
+      address.name,
+      address.company,
+      [address.street, address.unit].filter(Boolean).join(' '),
+      `${address.city}, ${address.state} ${address.zipCode || ''}`.trim()
+    ].filter(Boolean);
+    return lines.map(escapeHtml).join('<br>');
+  }
+
+  // Pages for one piece. Letters put the return and recipient addresses where a
+  // #10 double-window envelope shows them; postcards put the recipient on the back.
+  renderPiece(template, piece, returnAddress) {
+    const data = piece.mergeData || {};
+    const recipient = this.addressBlock(piece.recipient);
+    const sender = this.addressBlock(returnAddress);
+
+    if (template.format === 'Postcard') {
+      return `
+        <section class="page">${this.merge(template.html, data)}</section>
+        <section class="page postcard-back">
+          <div class="message">${this.merge(template.backHtml, data)}</div>
+          <div class="return-address">${sender}</div>
+          <div class="recipient-address">${recipient}<div class="piece-id">${escapeHtml(piece.pieceId)}</div></div>
+        </section>`;
+    }
+
+    return `
+      <section class="page letter">
+        <div class="return-address">${sender}</div>
+        <div class="recipient-address">${recipient}</div>
+        <div class="body">${this.merge(template.html, data)}</div>
+        <div class="piece-id">${escapeHtml(piece.pieceId)}</div>
+      </section>`;
+  }
+
+  // One HTML document with every piece, a page per letter or postcard side
+  renderDocument(template, pieces, returnAddress) {
+    return this.wrapDocument(template, pieces.map(piece => this.renderPiece(template, piece, returnAddress)).join('\n'));
+  }
+
+  // A piece's content without address blocks, for mail APIs that print their own:
+  // { front } for letters, { front, back } for postcards
+  renderForProvider(template, piece) {
+    const data = piece.mergeData || {};
+    if (template.format === 'Postcard') {
+      return {
+        front: this.wrapDocument(template, `<section class="page">${this.merge(template.html, data)}</section>`),
+        back: this.wrapDocument(template, `<section class="page postcard-back"><div class="message">${this.merge(template.backHtml, data)}</div></section>`)
+      };
+    }
+    return {
+      front: this.wrapDocument(template, `<section class="page letter"><div class="body">${this.merge(template.html, data)}</div></section>`)
+    };
+  }
+
+  wrapDocument(template, body) {
+    const size = PAGE_SIZES[template.size] || PAGE_SIZES['8.5x11'];
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  @page { size: ${size.width}in ${size.height}in; margin: 0; }
+  body { margin: 0; font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; color: #111; }
+  .page { position: relative; width: ${size.width}in; height: ${size.height}in; overflow: hidden; page-break-after: always; box-sizing: border-box; }
+  .page:last-child { page-break-after: auto; }
+  .letter { padding: 0.5in 0.75in; }
+  .letter .return-address { position: absolute; top: 0.5in; left: 0.75in; font-size: 9pt; }
+  .letter .recipient-address { position: absolute; top: 2in; left: 0.875in; width: 3.5in; }
+  .letter .body { margin-top: 3.25in; }
+  .postcard-back .message { position: absolute; top: 0.25in; left: 0.25in; width: 45%; bottom: 0.25in; font-size: 9pt; }
+  .postcard-back .return-address { position: absolute; top: 0.25in; right: 0.25in; width: 45%; font-size: 8pt; }
+  .postcard-back .recipient-address { position: absolute; bottom: 0.75in; right: 0.25in; width: 45%; }
+  .piece-id { font-family: monospace; font-size: 7pt; color: #666; }
+  .letter .piece-id { position: absolute; bottom: 0.4in; right: 0.75in; }
+</style>
+</head>
+<body>${body}</body>
+</html>`;
+  }
+
+  // The shared browser, launched on first use. Chromium's sandbox stays on unless
+  // PUPPETEER_NO_SANDBOX=true, for containers that can't provide it.
+  getBrowser() {
+    if (!this.browser) {
+      const args = ['--disable-dev-shm-usage', '--disable-gpu'];
+      if (process.env.PUPPETEER_NO_SANDBOX === 'true') args.push('--no-sandbox', '--disable-setuid-sandbox');
+
+      const launching = puppeteer.launch({ headless: 'new', args });
+      this.browser = launching;
+      launching.then(browser => browser.on('disconnected', () => {
+        if (this.browser === launching) this.browser = null;
+      }), () => {
+        if (this.browser === launching) this.browser = null;
+      });
+    }
+    return this.browser;
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+    const launching = this.browser;
+    this.browser = null;
+    if (!launching) return;
+
+    const browser = await launching.catch(() => null);
+    if (browser) await browser.close().catch(error => logger.warn(`Error closing PDF browser: ${error.message}`));
+  }
+
+  // Templates are user HTML: only data: URLs and MAIL_ASSET_ORIGINS may load, so a
+  // template can't make the server fetch internal or metadata addresses
+  isAllowedRequest(url) {
+    if (url.startsWith('data:')) return true;
+    try {
+      return allowedAssetOrigins().includes(new URL(url).origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Render an HTML document to PDF at the template's page size. Renders share one
+  // browser, which closes once no render has used it for BROWSER_IDLE_MS.
+  async renderPdf(html, template) {
+    const size = PAGE_SIZES[template.size] || PAGE_SIZES['8.5x11'];
+    clearTimeout(this.idleTimer);
+    this.activeRenders++;
+
+    let page;
+    try {
+      const browser = await this.getBrowser();
+      page = await browser.newPage();
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (this.isAllowedRequest(request.url())) {
+          request.continue();
+        } else {
+          logger.warn(`Blocked mail template request to ${request.url().slice(0, 200)}`);
+          request.abort('blockedbyclient');
+        }
+      });
+
+      await page.setContent(html, { waitUntil: 'networkidle0', timeout: 60000 });
+      return await page.pdf({ width: `${size.width}in`, height: `${size.height}in`, printBackground: true });
+    } finally {
+      if (page) await page.close().catch(() => {});
+      this.activeRenders--;
+      if (this.activeRenders === 0) {
+        this.idleTimer = setTimeout(() => this.close(), BROWSER_IDLE_MS);
+        this.idleTimer.unref();
+      }
+    }
+  }
+}
+
+LetterRenderer.MERGE_FIELDS = MERGE_FIELDS;
+LetterRenderer.PAGE_SIZES = PAGE_SIZES;
+
+module.exports = LetterRenderer;
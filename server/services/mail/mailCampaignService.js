@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const Lead = require('../../models/Lead');
+const Property = require('../../models/Property');
+const SavedSearch = require('../../models/SavedSearch');
+const MailPiece = require('../../models/MailPiece');
+const LetterRenderer = require('./letterRenderer');
+const MockMailProvider = require('./providers/mockMailProvider');
+const LobMailProvider = require('./providers/lobMailProvider');
+const { buildPropertyFilter } = require('../../utils/propertyFilter');
+const { normalizeAddress, parseAddressString } = require('../../utils/addressNormalizer');
+
+const PROVIDERS = {
+  mock: MockMailProvider,
+  lob: LobMailProvider
+};
+
+// Most pieces one campaign can hold
+const MAX_PIECES = 5000;
+
+// Leads that aren't mailed
+const EXCLUDED_STATUSES = ['Not Interested', 'Closed', 'Lost'];
+
+// Most recent status wins: later statuses in this list replace earlier ones
+const STATUS_ORDER = ['Pending', 'Mailed', 'In Transit', 'Delivered', 'Returned'];
+
+const PROPERTY_FIELDS = 'address owner foreclosureDetails foreclosureProjection valuation';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Builds a campaign's pieces from its saved search, mails them through the provider
+// named by MAIL_PROVIDER (or marks an exported batch mailed) and tracks delivery.
+// Every mailed piece is charged to its lead's campaign as a 'Direct Mail' touchpoint,
+// so calculateROI counts what the mailing cost.
+class MailCampaignService {
+  constructor(provider = null) {
+    const id = process.env.MAIL_PROVIDER;
+    if (provider) {
+      this.provider = provider;
+    } else if (id && PROVIDERS[id]) {
+      this.provider = new PROVIDERS[id]();
+    } else {
+      if (id) logger.warn(`Unknown mail provider: ${id}`);
+      this.provider = null;
+    }
+    this.renderer = new LetterRenderer();
+  }
+
+  isConfigured() {
+    return Boolean(this.provider && this.provider.isConfigured());
+  }
+
+  // Short id printed on the piece, e.g. M-3F9A2C7D1B
+  generatePieceId() {
+    return `M-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+
+  // Where to mail a lead's owner: the best skip-traced mailing address, then the
+  // owner's mailing address on record, then the property itself
+  resolveRecipient(lead, property) {
+    const owner = property.owner || {};
+    const traced = lead.skipTrace && lead.skipTrace.mailingAddresses && lead.skipTrace.mailingAddresses[0];
+
+    const candidates = [
+      { address: traced ? parseAddressString(traced.address) : null, source: 'Skip Trace' },
+      { address: owner.mailingAddress ? parseAddressString(owner.mailingAddress) : null, source: 'Owner Mailing Address' },
+      { address: property.address ? normalizeAddress(property.address) : null, source: 'Property' }
+    ];
+    const match = candidates.find(({ address }) => address && address.street && address.city && address.state && address.zipCode);
+    if (!match) return null;
+
+    const contactName = lead.contact && lead.contact.name !== 'Unknown' ? lead.contact.name : null;
+    const name = contactName || owner.name || (lead.skipTrace && lead.skipTrace.ownerName) || 'Current Owner';
+
+    return {
+      name: name.trim(),
+      street: match.address.street,
+      unit: match.address.unit,
+      city: match.address.city,
+      state: match.address.state,
+      zipCode: match.address.zipCode,
+      source: match.source,
+      key: `${name.trim().toLowerCase()}|${match.address.key}`
+    };
+  }
+
+  // A new piece for a lead, with its merge values captured
+  pieceFor(campaign, lead, property, recipient, options = {}) {
+    const { key, ...address } = recipient;
+    const pieceId = this.generatePieceId();
+    return {
+      campaign: campaign._id,
+      lead: lead._id,
+      property: property._id,
+      pieceId,
+      recipient: address,
+      mergeData: this.renderer.buildMergeData({
+        lead,
+        property,
+        recipient: address,
+        pieceId,
+        sender: options.sender,
+        campaign,
+        date: options.asOf
+      })
+    };
+  }
+
+  // Replace a Draft or Ready campaign's pieces with one per lead on the saved
+  // search's properties. campaign.template must be populated. Returns
+  // { pieces, skipped } or { error } when the search is too broad.
+  async buildPieces(campaign, options = {}) {
+    const search = await SavedSearch.findById(campaign.savedSearch);
+    if (!search) return { error: 'Saved search not found' };
+
+    const filter = buildPropertyFilter(search.criteria ? search.criteria.toObject() : {});
+    const propertyCount = await Property.countDocuments(filter);
+    if (propertyCount > MAX_PIECES) {
+      return { error: `Saved search matches ${propertyCount} properties; campaigns are limited to ${MAX_PIECES}` };
+    }
+
+    const properties = await Property.find(filter).select(PROPERTY_FIELDS);
+    const byId = new Map(properties.map(property => [property._id.toString(), property]));
+    const leads = await Lead.find({ property: { $in: properties.map(property => property._id) }, isActive: true })
+      .sort({ createdAt: 1 });
+
+    const skipped = { noLead: 0, excludedStatus: 0, noAddress: 0, duplicate: 0 };
+    const withLead = new Set(leads.map(lead => lead.property.toString()));
+    skipped.noLead = properties.filter(property => !withLead.has(property._id.toString())).length;
+
+    const builtAt = options.asOf ? new Date(options.asOf) : new Date();
+    const seen = new Set();
+    const pieces = [];
+
+    leads.forEach(lead => {
+      if (EXCLUDED_STATUSES.includes(lead.status)) {
+        skipped.excludedStatus++;
+        return;
+      }
+
+      const property = byId.get(lead.property.toString());
+      const recipient = this.resolveRecipient(lead, property);
+      if (!recipient) {
+        skipped.noAddress++;
+        return;
+      }
+      // Owners with several properties on the search get one piece
+      if (seen.has(recipient.key)) {
+        skipped.duplicate++;
+        return;
+      }
+      seen.add(recipient.key);
+
+      pieces.push(this.pieceFor(campaign, lead, property, recipient, { ...options, asOf: builtAt }));
+    });
+
+    await MailPiece.deleteMany({ campaign: campaign._id });
+    for (let start = 0; start < pieces.length; start += 1000) {
+      await MailPiece.insertMany(pieces.slice(start, start + 1000), { ordered: false });
+    }
+
+    campaign.status = pieces.length > 0 ? 'Ready' : 'Draft';
+    campaign.skipped = skipped;
+    campaign.builtAt = builtAt;
+    campaign.totals = { pieces: pieces.length, mailed: 0, delivered: 0, returned: 0, failed: 0, cost: 0 };
+    if (options.userId) campaign.updatedBy = options.userId;
+    await campaign.save();
+
+    logger.info(`Mail campaign ${campaign._id} built: ${pieces.length} pieces, skipped ${JSON.stringify(skipped)}`);
+    return { pieces: pieces.length, skipped };
+  }
+
+  // Charge a mailed piece to its lead's campaign and log it with the lead's communications
+  async recordMailed(piece, campaign, options = {}) {
+    const lead = await Lead.findById(piece.lead);
+    if (!lead) return;
+
+    lead.campaign.touchpoints.push({
+      date: piece.mailedAt,
+      method: 'Direct Mail',
+      response: 'Mailed',
+      cost: piece.cost
+    });
+    lead.campaign.totalCost = roundCents((lead.campaign.totalCost || 0) + piece.cost);
+    if (!lead.campaign.campaignId) {
+      lead.campaign.campaignId = campaign._id.toString();
+      lead.campaign.campaignName = campaign.name;
+    }
+
+    lead.communications.push({
+      type: 'Mail',
+      direction: 'Outbound',
+      date: piece.mailedAt,
+      subject: campaign.name,
+      content: `${campaign.template.format} mailed to ${piece.recipient.street}, ${piece.recipient.city}, ${piece.recipient.state} ${piece.recipient.zipCode} (piece ${piece.pieceId})`,
+      author: options.userId || campaign.createdBy,
+      externalId: piece.pieceId
+    });
+    if (options.userId) lead.updatedBy = options.userId;
+
+    await lead.save();
+  }
+
+  // Mail a Ready campaign's pending pieces: through the provider when the campaign
+  // delivers by Provider, otherwise mark the exported pieces as dropped on mailedAt.
+  // campaign.template must be populated. Returns { mailed, failed, cost }.
+  async mailCampaign(campaign, options = {}) {
+    const byProvider = campaign.delivery.method === 'Provider';
+    if (byProvider && !this.isConfigured()) {
+      throw new Error('Mail provider is not configured');
+    }
+
+    const mailedAt = options.mailedAt ? new Date(options.mailedAt) : new Date();
+    const cost = campaign.delivery.costPerPiece || 0;
+    const summary = { mailed: 0, failed: 0, cost: 0 };
+
+    campaign.status = 'Sending';
+    if (byProvider) campaign.delivery.provider = this.provider.id;
+    await campaign.save();
+
+    const cursor = MailPiece.find({ campaign: campaign._id, status: 'Pending' }).cursor();
+    for await (const piece of cursor) {
+      if (await this.deliverPiece(campaign, piece, { ...options, mailedAt })) {
+        summary.mailed++;
+        summary.cost = roundCents(summary.cost + cost);
+      } else {
+        summary.failed++;
+      }
+    }
+
+    campaign.status = 'Sent';
+    campaign.mailedAt = mailedAt;
+    if (options.userId) campaign.updatedBy = options.userId;
+    await this.updateTotals(campaign);
+
+    logger.info(`Mail campaign ${campaign._id} mailed: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // Send one pending piece through the provider, or mark it dropped when the campaign is
+  // exported, and charge it to the lead. Returns whether it was mailed.
+  async deliverPiece(campaign, piece, options = {}) {
+    const byProvider = campaign.delivery.method === 'Provider';
+    const mailedAt = options.mailedAt ? new Date(options.mailedAt) : new Date();
+    piece.mailedAt = mailedAt;
+    piece.cost = campaign.delivery.costPerPiece || 0;
+
+    if (byProvider) {
+      try {
+        const content = this.renderer.renderForProvider(campaign.template, piece);
+        const result = await this.provider.sendPiece({
+          piece,
+          template: campaign.template,
+          ...content,
+          from: campaign.returnAddress,
+          to: piece.recipient,
+          mailClass: campaign.delivery.mailClass
+        });
+        piece.providerId = result.providerId;
+        piece.expectedDeliveryDate = result.expectedDeliveryDate;
+      } catch (error) {
+        logger.error(`Error sending mail piece ${piece.pieceId}:`, error);
+        piece.status = 'Failed';
+        piece.error = error.message;
+        piece.mailedAt = undefined;
+        piece.cost = 0;
+        await piece.save();
+        return false;
+      }
+    }
+
+    piece.status = 'Mailed';
+    piece.trackingEvents.push({ status: 'Mailed', description: byProvider ? `Sent to ${this.provider.name}` : 'Dropped with print vendor', date: mailedAt });
+    await piece.save();
+
+    try {
+      await this.recordMailed(piece, campaign, options);
+    } catch (error) {
+      logger.error(`Error recording mail piece ${piece.pieceId} on lead ${piece.lead}:`, error);
+    }
+    return true;
+  }
+
+  // Mail one lead (property populated) through the provider right away, as drip sequence
+  // mail steps do. campaign.template must be populated. Returns { piece }, { error } when
+  // the lead can't be mailed, or { piece, error } when the provider rejected the piece.
+  async mailLead(campaign, lead, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Mail provider is not configured');
+    }
+
+    const property = lead.property;
+    const recipient = property ? this.resolveRecipient(lead, property) : null;
+    if (!recipient) return { error: 'No mailing address' };
+    if (await MailPiece.exists({ campaign: campaign._id, lead: lead._id })) return { error: 'Already mailed' };
+
+    const piece = await MailPiece.create(this.pieceFor(campaign, lead, property, recipient, { ...options, asOf: new Date() }));
+    const mailed = await this.deliverPiece(campaign, piece, options);
+    await this.updateTotals(campaign);
+
+    return mailed ? { piece } : { piece, error: piece.error };
+  }
+
+  // Apply tracking events to a piece, moving its status forward. A Returned piece is
+  // noted on the lead so the bad address is visible.
+  async applyTracking(piece, events) {
+    const known = new Set(piece.trackingEvents.map(event => `${event.status}|${new Date(event.date).getTime()}`));
+    const added = (events || []).filter(event => !known.has(`${event.status}|${new Date(event.date).getTime()}`));
+    if (added.length === 0) return false;
+
+    const previous = piece.status;
+    added.forEach(event => {
+      piece.trackingEvents.push(event);
+      if (STATUS_ORDER.indexOf(event.status) > STATUS_ORDER.indexOf(piece.status)) piece.status = event.status;
+    });
+    await piece.save();
+
+    if (piece.status === 'Returned' && previous !== 'Returned') {
+      const lead = await Lead.findById(piece.lead);
+      if (lead) {
+        lead.campaign.touchpoints.push({ date: new Date(), method: 'Direct Mail', response: 'Returned', cost: 0 });
+        await lead.save();
+      }
+    }
+    return true;
+  }
+
+  // Pull tracking for a campaign's pieces still in the mail. Returns { checked, updated }.
+  async refreshTracking(campaign) {
+    if (!this.isConfigured()) {
+      throw new Error('Mail provider is not configured');
+    }
+
+    const summary = { checked: 0, updated: 0 };
+    const cursor = MailPiece.find({ campaign: campaign._id, status: { $in: ['Mailed', 'In Transit'] }, providerId: { $exists: true } }).cursor();
+
+    for await (const piece of cursor) {
+      summary.checked++;
+      try {
+        const tracking = await this.provider.getTracking(piece);
+        if (tracking && await this.applyTracking(piece, tracking.events)) summary.updated++;
+      } catch (error) {
+        logger.error(`Error getting tracking for mail piece ${piece.pieceId}:`, error);
+      }
+    }
+
+    await this.updateTotals(campaign);
+    return summary;
+  }
+
+  // Recount a campaign's totals from its pieces
+  async updateTotals(campaign) {
+    const counts = await MailPiece.aggregate([
+      { $match: { campaign: campaign._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, cost: { $sum: '$cost' } } }
+    ]);
+    const byStatus = Object.fromEntries(counts.map(count => [count._id, count]));
+    const count = (...statuses) => statuses.reduce((sum, status) => sum + (byStatus[status] ? byStatus[status].count : 0), 0);
+
+    campaign.totals = {
+      pieces: counts.reduce((sum, entry) => sum + entry.count, 0),
+      mailed: count('Mailed', 'In Transit', 'Delivered', 'Returned'),
+      delivered: count('Delivered'),
+      returned: count('Returned'),
+      failed: count('Failed'),
+      cost: roundCents(counts.reduce((sum, entry) => sum + (entry.cost || 0), 0))
+    };
+    await campaign.save();
+    return campaign.totals;
+  }
+}
+
+MailCampaignService.PROVIDERS = PROVIDERS;
+MailCampaignService.MAX_PIECES = MAX_PIECES;
+MailCampaignService.EXCLUDED_STATUSES = EXCLUDED_STATUSES;
+MailCampaignService.PROPERTY_FIELDS = PROPERTY_FIELDS;
+
+module.exports = MailCampaignService;
@@ -0,0 +1,31 @@
+// Base class for a mail API provider that prints and mails pieces. Subclasses implement
+// sendPiece({ piece, template, front, back, from, to, mailClass }) where front (and back,
+// for postcards) are merged HTML documents without address blocks, since providers print
+// their own. It returns { providerId, expectedDeliveryDate } and throws when the piece is
+// rejected. getTracking(piece) returns { events: [{ status, description, date }] } with
+// statuses from PIECE_STATUSES, or null when the provider has no tracking.
+const PIECE_STATUSES = ['Mailed', 'In Transit', 'Delivered', 'Returned'];
+
+class BaseMailProvider {
+  constructor() {
+    this.id = 'base';
+    this.name = 'Base Mail Provider';
+  }
+
+  // Whether the provider has what it needs (API key) to run
+  isConfigured() {
+    return true;
+  }
+
+  async sendPiece(options) {
+    throw new Error(`Mail provider ${this.id} does not define sendPiece()`);
+  }
+
+  async getTracking(piece) {
+    return null;
+  }
+}
+
+BaseMailProvider.PIECE_STATUSES = PIECE_STATUSES;
+
+module.exports = BaseMailProvider;
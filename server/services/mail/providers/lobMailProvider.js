@@ -0,0 +1,101 @@
+const axios = require('axios');
+const BaseMailProvider = require('./baseMailProvider');
+
+const API_URL = 'https://api.lob.com/v1';
+
+// Lob tracking event names -> piece status
+const TRACKING_STATUSES = {
+  Mailed: 'Mailed',
+  'In Transit': 'In Transit',
+  'In Local Area': 'In Transit',
+  'Processed for Delivery': 'In Transit',
+  'Re-Routed': 'In Transit',
+  Delivered: 'Delivered',
+  'Returned to Sender': 'Returned'
+};
+
+const MAIL_TYPES = {
+  'First Class': 'usps_first_class',
+  Standard: 'usps_standard'
+};
+
+class LobMailProvider extends BaseMailProvider {
+  constructor(apiKey = process.env.LOB_API_KEY) {
+    super();
+    this.id = 'lob';
+    this.name = 'Lob';
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  toAddress(address) {
+    return {
+      name: address.name,
+      company: address.company,
+      address_line1: address.street,
+      address_line2: address.unit,
+      address_city: address.city,
+      address_state: address.state,
+      address_zip: address.zipCode
+    };
+  }
+
+  request(method, path, data) {
+    return axios({
+      method,
+      url: `${API_URL}${path}`,
+      data,
+      auth: { username: this.apiKey, password: '' },
+      timeout: 30000
+    });
+  }
+
+  async sendPiece({ piece, template, front, back, from, to, mailClass }) {
+    const common = {
+      description: piece.pieceId,
+      to: this.toAddress(to),
+      from: from && from.street ? this.toAddress(from) : undefined,
+      use_type: 'marketing',
+      mail_type: MAIL_TYPES[mailClass] || MAIL_TYPES['First Class'],
+      metadata: { pieceId: piece.pieceId }
+    };
+
+    try {
+      const response = template.format === 'Postcard'
+        ? await this.request('post', '/postcards', { ...common, front, back, size: template.size })
+        : await this.request('post', '/letters', { ...common, file: front, color: true });
+
+      return {
+        providerId: response.data.id,
+        expectedDeliveryDate: response.data.expected_delivery_date ? new Date(response.data.expected_delivery_date) : undefined
+      };
+    } catch (error) {
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.message
+        : error.message;
+      throw new Error(`Lob rejected piece ${piece.pieceId}: ${message}`);
+    }
+  }
+
+  async getTracking(piece) {
+    if (!piece.providerId) return null;
+
+    const path = piece.providerId.startsWith('psc_') ? '/postcards' : '/letters';
+    const response = await this.request('get', `${path}/${piece.providerId}`);
+
+    return {
+      events: (response.data.tracking_events || [])
+        .filter(event => TRACKING_STATUSES[event.name])
+        .map(event => ({
+          status: TRACKING_STATUSES[event.name],
+          description: event.name,
+          date: new Date(event.time)
+        }))
+    };
+  }
+}
+
+module.exports = LobMailProvider;
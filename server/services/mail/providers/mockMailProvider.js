@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const BaseMailProvider = require('./baseMailProvider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local provider for development and testing. Nothing is printed: pieces are accepted,
+// move to In Transit after a day and are delivered after five, except about one in
+// twenty, which come back Returned. The same piece always takes the same path.
+class MockMailProvider extends BaseMailProvider {
+  constructor() {
+    super();
+    this.id = 'mock';
+    this.name = 'Mock Mail Provider';
+  }
+
+  async sendPiece({ piece }) {
+    const mailedAt = piece.mailedAt || new Date();
+    return {
+      providerId: `mock_${piece.pieceId}`,
+      expectedDeliveryDate: new Date(mailedAt.getTime() + 5 * DAY_MS)
+    };
+  }
+
+  async getTracking(piece, asOf = new Date()) {
+    if (!piece.mailedAt) return null;
+
+    const days = (asOf - piece.mailedAt) / DAY_MS;
+    const returned = crypto.createHash('md5').update(piece.pieceId).digest()[0] % 20 === 0;
+    const events = [];
+
+    if (days >= 1) {
+      events.push({ status: 'In Transit', description: 'Accepted at USPS facility', date: new Date(piece.mailedAt.getTime() + DAY_MS) });
+    }
+    if (days >= 5) {
+      events.push(returned
+        ? { status: 'Returned', description: 'Returned to sender: not deliverable as addressed', date: new Date(piece.mailedAt.getTime() + 5 * DAY_MS) }
+        : { status: 'Delivered', description: 'Delivered', date: new Date(piece.mailedAt.getTime() + 5 * DAY_MS) });
+    }
+
+    return { events };
+  }
+}
+
+module.exports = MockMailProvider;
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+const twilio = require('twilio');
+const logger = require('../../utils/logger');
+const { emitToUser } = require('../../utils/realtime');
+
+// Email, SMS and socket delivery for background jobs
+class NotificationService {
+  constructor() {
+    this.emailTransporter = null;
+    this.twilioClient = null;
+
+    if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+      this.emailTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT || 587,
+        secure: false,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      });
+    }
+
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+      this.twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+  }
+
+  async sendEmail({ to, subject, html }) {
+    if (!this.emailTransporter || !to) return false;
+
+    await this.emailTransporter.sendMail({ from: process.env.SMTP_USER, to, subject, html });
+    logger.info(`Email sent to ${to}: ${subject}`);
+    return true;
+  }
+
+  async sendSMS({ to, body }) {
+    if (!this.twilioClient || !to) return false;
+
+    await this.twilioClient.messages.create({ body, from: process.env.TWILIO_PHONE_NUMBER, to });
+    logger.info(`SMS sent to ${to}`);
+    return true;
+  }
+
+  emitToUser(userId, event, data) {
+    return emitToUser(userId, event, data);
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const ScoringProfile = require('../../../models/ScoringProfile');
+const LeadScorer = require('../leadScorer');
+
+const scorer = new LeadScorer();
+
+const asOf = new Date('2024-06-01T00:00:00Z');
+const daysFromNow = (days) => new Date(asOf.getTime() + days * 24 * 60 * 60 * 1000);
+
+const buildProperty = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  address: { state: 'TX' },
+  foreclosureStatus: 'Auction Scheduled',
+  foreclosureDetails: {},
+  taxInfo: {},
+  owner: {},
+  ...overrides
+});
+
+const factor = (overrides) => ({ key: 'f', label: 'F', weight: 100, combine: 'sum', defaultPoints: 0, rules: [], ...overrides });
+
+const builtIn = (property) => scorer.score(property, LeadScorer.BUILT_IN_PROFILE, { asOf }).factors;
+
+describe('LeadScorer', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('built-in profile', () => {
+    it('adds the four 25-point factors', () => {
+      const result = scorer.score(buildProperty({
+        foreclosureStatus: 'Pre-Foreclosure',
+        foreclosureDetails: { auctionDate: daysFromNow(20), estimatedEquity: 60000 },
+        taxInfo: { taxDelinquent: true },
+        owner: { isAbsenteeOwner: true },
+        condition: 'Good'
+      }), LeadScorer.BUILT_IN_PROFILE, { asOf });
+
+      expect(result.factors).toEqual({ motivation: 25, timeline: 25, equity: 20, condition: 20 });
+      expect(result).toMatchObject({ total: 90, profileKey: 'built-in', profileVersion: 1, scoredAt: asOf });
+    });
+
+    it('scores motivation like the original table', () => {
+      expect(builtIn(buildProperty({ foreclosureStatus: 'Pre-Foreclosure' })).motivation).toBe(15);
+      expect(builtIn(buildProperty({ taxInfo: { taxDelinquent: true } })).motivation).toBe(10);
+      expect(builtIn(buildProperty({ owner: { isAbsenteeOwner: true } })).motivation).toBe(5);
+      expect(builtIn(buildProperty()).motivation).toBe(0);
+    });
+
+    it('scores equity like the original table, with no or negative equity at 5 points', () => {
+      const equity = (estimatedEquity) => builtIn(buildProperty({ foreclosureDetails: { estimatedEquity } })).equity;
+
+      expect(equity(150000)).toBe(25);
+      expect(equity(60000)).toBe(20);
+      expect(equity(30000)).toBe(15);
+      expect(equity(1000)).toBe(10);
+      expect(equity(0)).toBe(5);
+      expect(equity(-20000)).toBe(5);
+      expect(equity(undefined)).toBe(5);
+    });
+
+    it('scores nearer deadlines higher and caps projected auctions', () => {
+      const timeline = (auctionDate) => builtIn(buildProperty({ foreclosureDetails: { auctionDate } })).timeline;
+
+      expect(timeline(daysFromNow(10))).toBe(25);
+      expect(timeline(daysFromNow(60))).toBe(20);
+      expect(timeline(daysFromNow(120))).toBe(15);
+      expect(timeline(daysFromNow(400))).toBe(10);
+      expect(timeline(undefined)).toBe(15);
+
+      // A projected auction can be sooner than 30 days but isn't certain enough for full points
+      const projected = builtIn(buildProperty({
+        foreclosureStatus: 'Pre-Foreclosure',
+        foreclosureDetails: { noticeOfDefaultDate: daysFromNow(-365) }
+      }));
+      expect(projected.timeline).toBe(20);
+    });
+
+    it('scores condition like the original table', () => {
+      expect(builtIn(buildProperty({ condition: 'Excellent' })).condition).toBe(25);
+      expect(builtIn(buildProperty({ condition: 'Poor' })).condition).toBe(10);
+      expect(builtIn(buildProperty()).condition).toBe(5);
+    });
+  });
+
+  describe('signals', () => {
+    it('works out the deadline from an active redemption period', () => {
+      const signals = scorer.computeSignals(buildProperty({
+        address: { state: 'AL' },
+        foreclosureStatus: 'Sold',
+        foreclosureDetails: { auctionDate: daysFromNow(-65) }
+      }), null, asOf);
+
+      expect(signals).toMatchObject({ inRedemption: true, deadlineProjected: false, daysToDeadline: 300 });
+    });
+
+    it('reads equity percent, tax years and occupancy from the property and lead', () => {
+      const signals = scorer.computeSignals(buildProperty({
+        foreclosureDetails: { estimatedEquity: 50000 },
+        valuation: { value: 200000 },
+        taxInfo: { taxDelinquent: true, taxDelinquentAmount: 9000, annualTaxes: 4000 },
+        liens: [{}, {}]
+      }), { details: { occupancy: 'Vacant' }, source: 'Referral' }, asOf);
+
+      expect(signals).toMatchObject({
+        equityPercent: 25,
+        taxDelinquencyYears: 3,
+        vacant: true,
+        lienCount: 2,
+        leadSource: 'Referral',
+        condition: 'Unknown'
+      });
+    });
+  });
+
+  describe('profile engine', () => {
+    it('tests equality, operators and lists', () => {
+      const signals = { lienCount: 3, condition: 'Poor', vacant: true };
+
+      expect(scorer.matches({ vacant: true, condition: 'Poor' }, signals)).toBe(true);
+      expect(scorer.matches({ lienCount: { gte: 2, lt: 4 } }, signals)).toBe(true);
+      expect(scorer.matches({ lienCount: { gt: 3 } }, signals)).toBe(false);
+      expect(scorer.matches({ condition: { in: ['Poor', 'Fair'] } }, signals)).toBe(true);
+      expect(scorer.matches({ condition: { nin: ['Poor'] } }, signals)).toBe(false);
+      expect(scorer.matches({ daysToDeadline: { lt: 30 } }, signals)).toBe(false);
+      expect(scorer.matches({ titleRisk: null }, signals)).toBe(true);
+    });
+
+    it('combines matching rules by sum, max or first match', () => {
+      const rules = [
+        { label: 'Vacant', when: { vacant: true }, points: 30 },
+        { label: 'Liens', when: { lienCount: { gt: 0 } }, points: 50 }
+      ];
+      const signals = { vacant: true, lienCount: 2 };
+
+      expect(scorer.scoreFactor(factor({ rules }), signals)).toEqual({ points: 80, matched: rules });
+      expect(scorer.scoreFactor(factor({ rules, combine: 'max' }), signals)).toEqual({ points: 50, matched: [rules[1]] });
+      expect(scorer.scoreFactor(factor({ rules, combine: 'first' }), signals)).toEqual({ points: 30, matched: [rules[0]] });
+      expect(scorer.scoreFactor(factor({ rules, defaultPoints: 15 }), {})).toEqual({ points: 15, matched: [] });
+    });
+
+    it('scales points by weight and keeps each factor within 0-100 points', () => {
+      const profile = {
+        key: 'custom',
+        version: 3,
+        factors: [
+          factor({ key: 'distress', weight: 60, rules: [{ label: 'Vacant', when: { vacant: true }, points: 150 }] }),
+          factor({ key: 'risk', weight: 40, defaultPoints: 50, rules: [{ label: 'Title', when: { titleRisk: 'High' }, points: -20 }] })
+        ]
+      };
+
+      const result = scorer.scoreSignals({ vacant: true, titleRisk: 'High' }, profile, asOf);
+
+      expect(result.factors).toEqual({ distress: 60, risk: 0 });
+      expect(result).toMatchObject({ total: 60, profileKey: 'custom', profileVersion: 3 });
+      expect(result.breakdown[0]).toMatchObject({ factor: 'distress', points: 100, score: 60, rules: ['Vacant'] });
+    });
+
+    it('validates profile definitions', () => {
+      const valid = { factors: [factor({ rules: [{ when: { vacant: true }, points: 10 }] })] };
+      const withRule = (rule) => ({ factors: [factor({ rules: [rule] })] });
+
+      expect(scorer.validateProfile(valid)).toBeNull();
+      expect(scorer.validateProfile(LeadScorer.BUILT_IN_PROFILE)).toBeNull();
+      expect(scorer.validateProfile({ factors: [] })).toBe('A profile needs at least one factor');
+      expect(scorer.validateProfile({ factors: [factor({ weight: 50 }), factor({ weight: 50 })] })).toBe('Factor f is listed twice');
+      expect(scorer.validateProfile({ factors: [factor({ weight: 90 })] })).toBe('Factor weights add up to 90, not 100');
+      expect(scorer.validateProfile(withRule({ when: {}, points: 5 }))).toBe('Every rule in factor f needs conditions');
+      expect(scorer.validateProfile(withRule({ when: { vacant: true } }))).toBe('Every rule in factor f needs points');
+      expect(scorer.validateProfile(withRule({ when: { creditScore: 600 }, points: 5 }))).toBe('Unknown signal creditScore in factor f');
+      expect(scorer.validateProfile(withRule({ when: { lienCount: { between: [1, 2] } }, points: 5 })))
+        .toBe('Unknown operator between for lienCount in factor f');
+    });
+  });
+
+  describe('A/B allocation', () => {
+    const profiles = {
+      defaultProfile: { key: 'default' },
+      testProfiles: [{ key: 'a', allocation: 30 }, { key: 'b', allocation: 20 }]
+    };
+
+    it('splits leads between test profiles by their allocation', () => {
+      const counts = { default: 0, a: 0, b: 0 };
+      for (let i = 0; i < 2000; i++) {
+        counts[scorer.selectProfile({ _id: new mongoose.Types.ObjectId() }, profiles).key] += 1;
+      }
+
+      expect(counts.a / 2000).toBeCloseTo(0.3, 1);
+      expect(counts.b / 2000).toBeCloseTo(0.2, 1);
+      expect(counts.default / 2000).toBeCloseTo(0.5, 1);
+    });
+
+    it('keeps a property with the same profile from run to run', () => {
+      const property = { _id: new mongoose.Types.ObjectId() };
+      const first = scorer.selectProfile(property, profiles);
+
+      for (let i = 0; i < 5; i++) {
+        expect(scorer.selectProfile({ _id: String(property._id) }, profiles)).toBe(first);
+      }
+    });
+
+    it('scores every lead with the default when nothing is allocated', () => {
+      const property = { _id: new mongoose.Types.ObjectId() };
+
+      expect(scorer.selectProfile(property, { defaultProfile: profiles.defaultProfile, testProfiles: [] }))
+        .toBe(profiles.defaultProfile);
+    });
+
+    it('loads the current default and allocated test profiles', async () => {
+      const saved = [
+        { key: 'zeta', allocation: 10, isDefault: false },
+        { key: 'main', allocation: 0, isDefault: true },
+        { key: 'idle', allocation: 0, isDefault: false },
+        { key: 'alpha', allocation: 15, isDefault: false }
+      ];
+      const find = jest.spyOn(ScoringProfile, 'find').mockReturnValue({ lean: () => Promise.resolve(saved) });
+
+      const loaded = await scorer.loadProfiles();
+
+      expect(find).toHaveBeenCalledWith({ isCurrent: true, isActive: true });
+      expect(loaded.defaultProfile.key).toBe('main');
+      expect(loaded.testProfiles.map(profile => profile.key)).toEqual(['alpha', 'zeta']);
+    });
+
+    it('falls back to the built-in profile until a default is saved', async () => {
+      jest.spyOn(ScoringProfile, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+
+      expect((await scorer.loadProfiles()).defaultProfile).toBe(LeadScorer.BUILT_IN_PROFILE);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const ScoreBacktester = require('../scoreBacktester');
+
+const backtester = new ScoreBacktester();
+
+const results = (pairs) => pairs.map(([score, converted, dealValue]) => ({ score, converted, dealValue }));
+
+describe('ScoreBacktester', () => {
+  describe('auc', () => {
+    it('is null without both outcomes', () => {
+      expect(backtester.auc([])).toBeNull();
+      expect(backtester.auc(results([[10, true], [20, true]]))).toBeNull();
+      expect(backtester.auc(results([[10, false], [20, false]]))).toBeNull();
+    });
+
+    it('is 1 when every conversion outscores every loss, 0 when reversed', () => {
+      expect(backtester.auc(results([[90, true], [80, true], [20, false], [10, false]]))).toBe(1);
+      expect(backtester.auc(results([[90, false], [80, false], [20, true], [10, true]]))).toBe(0);
+    });
+
+    it('gives tied scores their average rank', () => {
+      expect(backtester.auc(results([[50, true], [50, false], [50, true], [50, false]]))).toBe(0.5);
+      expect(backtester.auc(results([[1, false], [2, true], [2, false], [3, true]]))).toBe(0.875);
+    });
+  });
+
+  describe('deciles', () => {
+    it('splits results into ten groups, best scores first', () => {
+      const scored = results(Array.from({ length: 20 }, (item, index) => [20 - index, index < 4, index < 4 ? 1000 : 0]));
+
+      const deciles = backtester.deciles(scored);
+
+      expect(deciles).toHaveLength(10);
+      expect(deciles[0]).toEqual({
+        decile: 1,
+        leads: 2,
+        minScore: 19,
+        maxScore: 20,
+        converted: 2,
+        conversionRate: 100,
+        lift: 5,
+        cumulativeCapture: 50,
+        dealValue: 2000
+      });
+      expect(deciles[1]).toMatchObject({ converted: 2, cumulativeCapture: 100 });
+      expect(deciles[9]).toMatchObject({ converted: 0, lift: 0, cumulativeCapture: 100, minScore: 1 });
+    });
+
+    it('keeps tied scores in one decile', () => {
+      const deciles = backtester.deciles(results([[80, true], ...Array.from({ length: 9 }, () => [50, false])]));
+
+      expect(deciles.map(decile => decile.leads)).toEqual([1, 9]);
+    });
+
+    it('has no lift or capture without conversions', () => {
+      const deciles = backtester.deciles(results([[80, false], [50, false]]));
+
+      expect(deciles[0]).toMatchObject({ lift: null, cumulativeCapture: null });
+      expect(backtester.deciles([])).toEqual([]);
+    });
+  });
+
+  describe('scoreLead', () => {
+    const scorer = {
+      scoreSignals: jest.fn(() => ({ total: 70 })),
+      score: jest.fn(() => ({ total: 40 }))
+    };
+    const withScorer = new ScoreBacktester({ scorer });
+    const profile = { key: 'test' };
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it('scores from the snapshot taken when the lead was first scored', () => {
+      const takenAt = new Date('2024-01-02');
+      const signals = { equityPercent: 40 };
+
+      expect(withScorer.scoreLead({ scoreSnapshot: { signals, takenAt }, property: {} }, profile)).toBe(70);
+      expect(scorer.scoreSignals).toHaveBeenCalledWith(signals, profile, takenAt);
+      expect(scorer.score).not.toHaveBeenCalled();
+    });
+
+    it('replays leads without a snapshot as of the day they were created', () => {
+      const lead = { createdAt: '2024-01-01T00:00:00Z', property: { _id: 'p1' } };
+
+      expect(withScorer.scoreLead(lead, profile)).toBe(40);
+      expect(scorer.score).toHaveBeenCalledWith(lead.property, profile, { lead, asOf: new Date('2024-01-01T00:00:00Z') });
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const ScoringProfile = require('../../models/ScoringProfile');
+const ForeclosureRules = require('../dataCollection/foreclosureRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Values a rule can test, worked out from the property and its lead
+const SIGNALS = {
+  foreclosureStatus: {
+    type: 'String',
+    description: 'Foreclosure status',
+    value: ({ property }) => property.foreclosureStatus
+  },
+  propertyType: {
+    type: 'String',
+    description: 'Property type',
+    value: ({ property }) => property.propertyType
+  },
+  condition: {
+    type: 'String',
+    description: 'Property condition',
+    value: ({ property }) => property.condition || 'Unknown'
+  },
+  absenteeOwner: {
+    type: 'Boolean',
+    description: 'Owner lives elsewhere',
+    value: ({ property }) => Boolean(property.owner && property.owner.isAbsenteeOwner)
+  },
+  taxDelinquent: {
+    type: 'Boolean',
+    description: 'Property taxes are delinquent',
+    value: ({ property }) => Boolean(property.taxInfo && property.taxInfo.taxDelinquent)
+  },
+  taxDelinquencyYears: {
+    type: 'Number',
+    description: 'Years of unpaid taxes: since the last payment, else the amount owed over the annual tax',
+    value: ({ property, asOf }) => {
+      const taxInfo = property.taxInfo || {};
+      if (!taxInfo.taxDelinquent) return 0;
+      if (taxInfo.lastTaxPayment) return Math.max(1, Math.floor((asOf - new Date(taxInfo.lastTaxPayment)) / YEAR_MS));
+      if (taxInfo.taxDelinquentAmount && taxInfo.annualTaxes) return Math.ceil(taxInfo.taxDelinquentAmount / taxInfo.annualTaxes);
+      return 1;
+    }
+  },
+  vacant: {
+    type: 'Boolean',
+    description: 'Property or lead occupancy is Vacant',
+    value: ({ property, lead }) => property.occupancy === 'Vacant' ||
+      Boolean(lead && lead.details && lead.details.occupancy === 'Vacant')
+  },
+  lienCount: {
+    type: 'Number',
+    description: 'Recorded liens',
+    value: ({ property }) => (property.liens || []).length
+  },
+  daysSinceNOD: {
+    type: 'Number',
+    description: 'Days since the notice of default or first lis pendens',
+    value: ({ property, asOf, foreclosureRules }) => {
+      const start = foreclosureRules.getStartDate(property);
+      return start ? Math.floor((asOf - start) / DAY_MS) : null;
+    }
+  },
+  daysToDeadline: {
+    type: 'Number',
+    description: 'Days until the redemption deadline, else the scheduled or projected auction',
+    value: ({ deadline, asOf }) => (deadline.date ? Math.floor((deadline.date - asOf) / DAY_MS) : null)
+  },
+  deadlineProjected: {
+    type: 'Boolean',
+    description: 'The deadline is an auction date projected from state rules',
+    value: ({ deadline }) => deadline.projected
+  },
+  inRedemption: {
+    type: 'Boolean',
+    description: 'The former owner can still redeem after the sale',
+    value: ({ deadline }) => deadline.inRedemption
+  },
+  estimatedEquity: {
+    type: 'Number',
+    description: 'Estimated equity in dollars',
+    value: ({ property }) => {
+      const equity = property.foreclosureDetails && property.foreclosureDetails.estimatedEquity;
+      return typeof equity === 'number' ? equity : null;
+    }
+  },
+  equityPercent: {
+    type: 'Number',
+    description: 'Estimated equity as a percentage of value',
+    value: ({ property }) => {
+      const equity = property.foreclosureDetails && property.foreclosureDetails.estimatedEquity;
+      const value = (property.valuation && property.valuation.value) ||
+        (property.financials && property.financials.currentValue);
+      return typeof equity === 'number' && value ? Math.round((equity / value) * 1000) / 10 : null;
+    }
+  },
+  titleRisk: {
+    type: 'String',
+    description: 'Title risk level',
+    value: ({ property }) => (property.titleRisk && property.titleRisk.level) || null
+  },
+  leadSource: {
+    type: 'String',
+    description: 'Lead source',
+    value: ({ property, lead }) => (lead && lead.source) || (property.leadInfo && property.leadInfo.source) || null
+  }
+};
+
+const OPERATORS = {
+  eq: (value, target) => value === target,
+  ne: (value, target) => value !== target,
+  lt: (value, target) => typeof value === 'number' && value < target,
+  lte: (value, target) => typeof value === 'number' && value <= target,
+  gt: (value, target) => typeof value === 'number' && value > target,
+  gte: (value, target) => typeof value === 'number' && value >= target,
+  in: (value, target) => Array.isArray(target) && target.includes(value),
+  nin: (value, target) => Array.isArray(target) && !target.includes(value)
+};
+
+// Profile used until an admin saves a default: the original four 25-point factors
+const BUILT_IN_PROFILE = {
+  key: 'built-in',
+  version: 1,
+  name: 'Built-in',
+  description: 'Motivation, timeline, equity and condition, 25 points each',
+  isDefault: true,
+  allocation: 0,
+  factors: [
+    {
+      key: 'motivation',
+      label: 'Motivation',
+      weight: 25,
+      combine: 'sum',
+      defaultPoints: 0,
+      rules: [
+        { label: 'Pre-foreclosure', when: { foreclosureStatus: 'Pre-Foreclosure' }, points: 60 },
+        { label: 'Tax delinquent', when: { taxDelinquent: true }, points: 40 },
+        { label: 'Absentee owner', when: { absenteeOwner: true }, points: 20 }
+      ]
+    },
+    {
+      key: 'timeline',
+      label: 'Timeline',
+      weight: 25,
+      combine: 'first',
+      defaultPoints: 60,
+      rules: [
+        { label: 'Under 30 days', when: { daysToDeadline: { lt: 30 }, deadlineProjected: false }, points: 100 },
+        { label: 'Under 90 days', when: { daysToDeadline: { lt: 90 } }, points: 80 },
+        { label: 'Under 180 days', when: { daysToDeadline: { lt: 180 } }, points: 60 },
+        { label: '180 days or more', when: { daysToDeadline: { gte: 180 } }, points: 40 }
+      ]
+    },
+    // No equity, negative equity and an unknown estimate all get the default 5 points
+    {
+      key: 'equity',
+      label: 'Equity',
+      weight: 25,
+      combine: 'first',
+      defaultPoints: 20,
+      rules: [
+        { label: 'Over $100k', when: { estimatedEquity: { gt: 100000 } }, points: 100 },
+        { label: 'Over $50k', when: { estimatedEquity: { gt: 50000 } }, points: 80 },
+        { label: 'Over $25k', when: { estimatedEquity: { gt: 25000 } }, points: 60 },
+        { label: 'Positive', when: { estimatedEquity: { gt: 0 } }, points: 40 }
+      ]
+    },
+    {
+      key: 'condition',
+      label: 'Condition',
+      weight: 25,
+      combine: 'first',
+      defaultPoints: 20,
+      rules: [
+        { label: 'Excellent', when: { condition: 'Excellent' }, points: 100 },
+        { label: 'Good', when: { condition: 'Good' }, points: 80 },
+        { label: 'Fair', when: { condition: 'Fair' }, points: 60 },
+        { label: 'Poor', when: { condition: 'Poor' }, points: 40 }
+      ]
+    }
+  ]
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Scores leads with admin-defined profiles. Each factor's rules test signals about
+// the property and award points; the factor's weight scales them into the score.
+class LeadScorer {
+  constructor(options = {}) {
+    this.foreclosureRules = options.foreclosureRules || new ForeclosureRules();
+  }
+
+  describeSignals() {
+    return Object.entries(SIGNALS).map(([name, signal]) => ({
+      signal: name,
+      type: signal.type,
+      description: signal.description
+    }));
+  }
+
+  // Returns an error message for an invalid profile definition, or null
+  validateProfile(profile) {
+    const factors = profile.factors;
+    if (!Array.isArray(factors) || factors.length === 0) return 'A profile needs at least one factor';
+
+    const keys = new Set();
+    for (const factor of factors) {
+      if (!factor.key) return 'Every factor needs a key';
+      if (keys.has(factor.key)) return `Factor ${factor.key} is listed twice`;
+      keys.add(factor.key);
+      if (!(factor.weight >= 0)) return `Factor ${factor.key} needs a weight of 0 or more`;
+
+      for (const rule of factor.rules || []) {
+        if (!rule.when || typeof rule.when !== 'object' || Object.keys(rule.when).length === 0) {
+          return `Every rule in factor ${factor.key} needs conditions`;
+        }
+        if (typeof rule.points !== 'number') return `Every rule in factor ${factor.key} needs points`;
+
+        for (const [signal, condition] of Object.entries(rule.when)) {
+          if (!SIGNALS[signal]) return `Unknown signal ${signal} in factor ${factor.key}`;
+          const isOperatorSet = condition && typeof condition === 'object' && !Array.isArray(condition);
+          const unknown = isOperatorSet && Object.keys(condition).find(operator => !OPERATORS[operator]);
+          if (unknown) return `Unknown operator ${unknown} for ${signal} in factor ${factor.key}`;
+        }
+      }
+    }
+
+    const totalWeight = factors.reduce((total, factor) => total + factor.weight, 0);
+    if (Math.abs(totalWeight - 100) > 0.001) return `Factor weights add up to ${totalWeight}, not 100`;
+
+    return null;
+  }
+
+  // Current profile versions: the default plus any allocated a share of leads
+  async loadProfiles() {
+    const profiles = await ScoringProfile.find({ isCurrent: true, isActive: true }).lean();
+    return {
+      defaultProfile: profiles.find(profile => profile.isDefault) || BUILT_IN_PROFILE,
+      testProfiles: profiles
+        .filter(profile => !profile.isDefault && profile.allocation > 0)
+        .sort((a, b) => a.key.localeCompare(b.key))
+    };
+  }
+
+  // Pick a profile for a lead. Leads are bucketed by property, so each lead stays
+  // with the same profile from run to run while allocations are unchanged.
+  selectProfile(property, profiles) {
+    const hash = crypto.createHash('md5').update(String(property._id)).digest('hex');
+    const bucket = parseInt(hash.slice(0, 8), 16) % 100;
+
+    let threshold = 0;
+    for (const profile of profiles.testProfiles) {
+      threshold += profile.allocation;
+      if (bucket < threshold) return profile;
+    }
+    return profiles.defaultProfile;
+  }
+
+  computeSignals(property, lead, asOf) {
+    const redemption = this.foreclosureRules.getRedemption(property, { asOf });
+    const auction = this.foreclosureRules.getExpectedAuctionDate(property, { asOf });
+    const inRedemption = Boolean(redemption && redemption.active);
+    const deadline = {
+      date: inRedemption ? redemption.endsAt : auction && auction.date,
+      projected: !inRedemption && Boolean(auction && auction.projected),
+      inRedemption
+    };
+
+    const context = { property, lead, asOf, deadline, foreclosureRules: this.foreclosureRules };
+    return Object.fromEntries(Object.entries(SIGNALS).map(([name, signal]) => [name, signal.value(context)]));
+  }
+
+  // All of a rule's conditions must hold. A bare value is an equality test.
+  matches(when, signals) {
+    return Object.entries(when).every(([signal, condition]) => {
+      const value = signals[signal] === undefined ? null : signals[signal];
+      if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return value === condition;
+      }
+      return Object.entries(condition).every(([operator, target]) => OPERATORS[operator](value, target));
+    });
+  }
+
+  // Points (0-100) a factor awards, before weighting
+  scoreFactor(factor, signals) {
+    const matched = (factor.rules || []).filter(rule => this.matches(rule.when, signals));
+    if (matched.length === 0) return { points: factor.defaultPoints || 0, matched: [] };
+
+    const combine = factor.combine || 'sum';
+    if (combine === 'first') return { points: matched[0].points, matched: matched.slice(0, 1) };
+    if (combine === 'max') {
+      const best = matched.reduce((top, rule) => (rule.points > top.points ? rule : top));
+      return { points: best.points, matched: [best] };
+    }
+    return { points: matched.reduce((sum, rule) => sum + rule.points, 0), matched };
+  }
+
+  // Score a property's lead with a profile. Returns the lead score fields:
+  // { total, factors, profile, profileKey, profileVersion, scoredAt }, plus the
+  // signals and matched rules behind each factor under breakdown.
+  score(property, profile, options = {}) {
+    const asOf = options.asOf || new Date();
+    return this.scoreSignals(this.computeSignals(property, options.lead, asOf), profile, asOf);
+  }
+
+  // Score signal values already worked out, such as a lead's scoreSnapshot
+  scoreSignals(signals, profile, asOf = new Date()) {
+    const factors = {};
+    const breakdown = profile.factors.map(factor => {
+      const { points, matched } = this.scoreFactor(factor, signals);
+      factors[factor.key] = round((clamp(points, 0, 100) / 100) * factor.weight);
+      return {
+        factor: factor.key,
+        label: factor.label,
+        weight: factor.weight,
+        points: clamp(points, 0, 100),
+        score: factors[factor.key],
+        rules: matched.map(rule => rule.label).filter(Boolean)
+      };
+    });
+
+    return {
+      total: round(Object.values(factors).reduce((sum, value) => sum + value, 0)),
+      factors,
+      profile: profile._id || undefined,
+      profileKey: profile.key,
+      profileVersion: profile.version,
+      scoredAt: asOf,
+      breakdown,
+      signals
+    };
+  }
+
+  // Score with the profile the lead is allocated to
+  scoreLead(property, profiles, options = {}) {
+    return this.score(property, this.selectProfile(property, profiles), options);
+  }
+}
+
+LeadScorer.SIGNALS = SIGNALS;
+LeadScorer.OPERATORS = OPERATORS;
+LeadScorer.BUILT_IN_PROFILE = BUILT_IN_PROFILE;
+
+module.exports = LeadScorer;
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Lead = require('../../models/Lead');
+const ScoringProfile = require('../../models/ScoringProfile');
+const LeadScorer = require('./leadScorer');
+
+// Leads whose outcome is known: converted, or closed out without a deal
+const RESOLVED_STATUSES = ['Closed', 'Lost', 'Not Interested'];
+
+// Most leads replayed in one backtest
+const MAX_LEADS = 10000;
+
+const DECILES = 10;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Warning returned when some leads had to be replayed against today's property data
+const LOOK_AHEAD_WARNING = 'Some leads have no score snapshot and were scored with the property as stored now. ' +
+  'Data recorded after they came in (a sale, later equity, liens or title risk) can flatter a profile. ' +
+  'Pass snapshotOnly to leave them out.';
+
+const hasSnapshot = (lead) => Boolean(lead.scoreSnapshot && lead.scoreSnapshot.signals);
+
+// Replays resolved leads through scoring profiles to check how well each profile's
+// scores predict conversion: conversion rate and lift by score decile, and AUC.
+// Leads are scored from the signal snapshot taken when they were first scored;
+// older leads without one fall back to the property as stored now.
+class ScoreBacktester {
+  constructor(options = {}) {
+    this.scorer = options.scorer || new LeadScorer();
+  }
+
+  // A profile from an id, 'key' (current version), 'key@version', 'built-in' or an
+  // unsaved definition. Returns null when not found.
+  async resolveProfile(reference) {
+    if (reference && typeof reference === 'object') return { key: 'unsaved', version: 0, name: 'Unsaved', ...reference };
+    if (!reference || reference === LeadScorer.BUILT_IN_PROFILE.key) return LeadScorer.BUILT_IN_PROFILE;
+
+    if (mongoose.Types.ObjectId.isValid(reference) && String(reference).length === 24) {
+      return ScoringProfile.findById(reference).lean();
+    }
+
+    const [key, version] = String(reference).split('@');
+    return version
+      ? ScoringProfile.findOne({ key, version: Number(version) }).lean()
+      : ScoringProfile.findOne({ key, isCurrent: true, isActive: true }).lean();
+  }
+
+  // Resolve the one or two profiles to backtest (the default profile when none are
+  // given). Returns { profiles } or { error }.
+  async resolveProfiles(references = []) {
+    if (references.length > 2) return { error: 'Backtest one or two profiles at a time' };
+    if (references.length === 0) return { profiles: [(await this.scorer.loadProfiles()).defaultProfile] };
+
+    const profiles = [];
+    for (const reference of references) {
+      if (reference && typeof reference === 'object') {
+        const validationError = this.scorer.validateProfile(reference);
+        if (validationError) return { error: validationError };
+      }
+      const profile = await this.resolveProfile(reference);
+      if (!profile) return { error: `Scoring profile ${reference} not found` };
+      profiles.push(profile);
+    }
+    return { profiles };
+  }
+
+  // Resolved leads created in the date range, with their properties. With snapshotOnly,
+  // only leads with a score snapshot.
+  async loadLeads(options = {}) {
+    const filter = {
+      isActive: true,
+      $or: [{ 'conversion.isConverted': true }, { status: { $in: RESOLVED_STATUSES } }]
+    };
+    if (options.snapshotOnly) filter['scoreSnapshot.signals'] = { $exists: true };
+    if (options.startDate || options.endDate) {
+      filter.createdAt = {};
+      if (options.startDate) filter.createdAt.$gte = new Date(options.startDate);
+      if (options.endDate) filter.createdAt.$lte = new Date(options.endDate);
+    }
+
+    const leads = await Lead.find(filter)
+      .populate('property')
+      .sort({ createdAt: -1 })
+      .limit(MAX_LEADS)
+      .lean();
+    return leads.filter(lead => lead.property || hasSnapshot(lead));
+  }
+
+  // A lead's score from its snapshot, else replayed as of the day it was created
+  scoreLead(lead, profile) {
+    if (hasSnapshot(lead)) {
+      return this.scorer.scoreSignals(lead.scoreSnapshot.signals, profile, lead.scoreSnapshot.takenAt).total;
+    }
+    return this.scorer.score(lead.property, profile, { lead, asOf: new Date(lead.createdAt) }).total;
+  }
+
+  // Area under the ROC curve from ranks (Mann-Whitney U), with tied scores sharing
+  // their average rank. 0.5 is no better than chance. Null without both outcomes.
+  auc(results) {
+    const positives = results.filter(result => result.converted).length;
+    const negatives = results.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    const sorted = [...results].sort((a, b) => a.score - b.score);
+    let positiveRankSum = 0;
+    for (let start = 0; start < sorted.length;) {
+      let end = start;
+      while (end + 1 < sorted.length && sorted[end + 1].score === sorted[start].score) end++;
+      const averageRank = (start + end) / 2 + 1;
+      for (let index = start; index <= end; index++) {
+        if (sorted[index].converted) positiveRankSum += averageRank;
+      }
+      start = end + 1;
+    }
+
+    return round((positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives), 3);
+  }
+
+  // Conversion by score decile, best scores first. Lift is the decile's conversion
+  // rate over the overall rate; capture is the share of all conversions reached so far.
+  // Tied scores stay in one decile, so heavy ties give fewer, larger deciles.
+  deciles(results) {
+    const sorted = [...results].sort((a, b) => b.score - a.score);
+    const totalConverted = sorted.filter(result => result.converted).length;
+    const baseRate = sorted.length > 0 ? totalConverted / sorted.length : 0;
+    const groups = [];
+    let cumulative = 0;
+    let start = 0;
+
+    for (let decile = 1; decile <= DECILES && start < sorted.length; decile++) {
+      let end = Math.max(start + 1, Math.round((decile * sorted.length) / DECILES));
+      while (end < sorted.length && sorted[end].score === sorted[end - 1].score) end++;
+      const group = sorted.slice(start, end);
+      start = end;
+
+      const converted = group.filter(result => result.converted).length;
+      const rate = converted / group.length;
+      cumulative += converted;
+
+      groups.push({
+        decile,
+        leads: group.length,
+        minScore: group[group.length - 1].score,
+        maxScore: group[0].score,
+        converted,
+        conversionRate: round(rate * 100),
+        lift: baseRate > 0 ? round(rate / baseRate, 2) : null,
+        cumulativeCapture: totalConverted > 0 ? round((cumulative / totalConverted) * 100) : null,
+        dealValue: group.reduce((sum, result) => sum + (result.dealValue || 0), 0)
+      });
+    }
+
+    return groups;
+  }
+
+  // Score every lead with the profile
+  evaluate(profile, leads) {
+    const results = leads.map(lead => ({
+      score: this.scoreLead(lead, profile),
+      converted: Boolean(lead.conversion && lead.conversion.isConverted),
+      dealValue: lead.conversion && lead.conversion.dealValue
+    }));
+    const deciles = this.deciles(results);
+
+    return {
+      profileKey: profile.key,
+      profileVersion: profile.version,
+      name: profile.name,
+      averageScore: results.length > 0 ? round(results.reduce((sum, result) => sum + result.score, 0) / results.length) : null,
+      auc: this.auc(results),
+      topDecileLift: deciles.length > 0 ? deciles[0].lift : null,
+      deciles
+    };
+  }
+
+  // Backtest one or two profiles against the same leads. Returns the lead counts,
+  // each profile's results and, for two profiles, which ranks conversions better.
+  async run(profiles, options = {}) {
+    const leads = await this.loadLeads(options);
+    const converted = leads.filter(lead => lead.conversion && lead.conversion.isConverted).length;
+    const snapshots = leads.filter(hasSnapshot).length;
+    const results = profiles.map(profile => this.evaluate(profile, leads));
+
+    const backtest = {
+      leads: leads.length,
+      converted,
+      conversionRate: leads.length > 0 ? round((converted / leads.length) * 100) : null,
+      truncated: leads.length === MAX_LEADS,
+      snapshotLeads: snapshots,
+      replayedLeads: leads.length - snapshots,
+      profiles: results
+    };
+    if (backtest.replayedLeads > 0) backtest.warning = LOOK_AHEAD_WARNING;
+
+    if (results.length === 2 && results[0].auc !== null && results[1].auc !== null) {
+      const difference = round(results[1].auc - results[0].auc, 3);
+      const better = difference > 0 ? results[1] : results[0];
+      backtest.comparison = {
+        aucDifference: difference,
+        topDecileLiftDifference: round((results[1].topDecileLift || 0) - (results[0].topDecileLift || 0), 2),
+        better: difference === 0 ? null : `${better.profileKey} v${better.profileVersion}`
+      };
+    }
+
+    return backtest;
+  }
+}
+
+ScoreBacktester.MAX_LEADS = MAX_LEADS;
+
+module.exports = ScoreBacktester;
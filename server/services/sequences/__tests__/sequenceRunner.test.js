@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Lead = require('../../../models/Lead');
+const Sequence = require('../../../models/Sequence');
+const SequenceEnrollment = require('../../../models/SequenceEnrollment');
+const MailCampaignService = require('../../mail/mailCampaignService');
+const SequenceRunner = require('../sequenceRunner');
+
+const AS_OF = new Date('2024-06-03T15:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A query whose chained select/populate resolves to result
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const buildSequence = (steps, overrides = {}) => new Sequence({
+  name: 'Pre-foreclosure outreach',
+  steps,
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+const buildLead = (overrides = {}) => {
+  const lead = new Lead({
+    leadId: 'L-1',
+    status: 'New',
+    contact: { name: 'Jane Doe', email: 'jane@example.com', phone: '5552010123' },
+    assignedTo: new mongoose.Types.ObjectId(),
+    ...overrides
+  });
+  jest.spyOn(lead, 'save').mockResolvedValue(lead);
+  return lead;
+};
+
+const buildEnrollment = (sequence, lead, overrides = {}) => {
+  const enrollment = new SequenceEnrollment({
+    sequence: sequence._id,
+    lead: lead._id,
+    enrolledAt: new Date('2024-06-01T00:00:00Z'),
+    nextStepAt: AS_OF,
+    ...overrides
+  });
+  jest.spyOn(enrollment, 'save').mockResolvedValue(enrollment);
+  return enrollment;
+};
+
+describe('SequenceRunner', () => {
+  let runner;
+  let compliance;
+  let notifier;
+
+  beforeEach(() => {
+    compliance = {
+      guard: jest.fn().mockResolvedValue({ allowed: true, phone: '+15552010123', violations: [] }),
+      isEmailOptedOut: jest.fn().mockResolvedValue(false)
+    };
+    notifier = {
+      sendEmail: jest.fn().mockResolvedValue(true),
+      sendSMS: jest.fn().mockResolvedValue(true),
+      emitToUser: jest.fn()
+    };
+    runner = new SequenceRunner({ compliance, notifier, mailService: new MailCampaignService() });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('validateSteps', () => {
+    it('needs at least one complete step', () => {
+      expect(runner.validateSteps([])).toBe('A sequence needs at least one step');
+      expect(runner.validateSteps([{ type: 'Email', subject: 'Hi' }])).toBe('Step 1: email steps need a subject and body');
+      expect(runner.validateSteps([{ type: 'SMS', body: 'Hi' }, { type: 'Task', task: {} }])).toBe('Step 2: task steps need an action');
+      expect(runner.validateSteps([{ type: 'Mail' }])).toBe('Step 1: mail steps need a mail template');
+    });
+
+    it('rejects unknown merge fields', () => {
+      expect(runner.validateSteps([{ type: 'SMS', body: 'Hi {{recipient.firstName}}, {{recipient.shoeSize}}' }]))
+        .toBe('Step 1: unknown merge fields: recipient.shoeSize');
+      expect(runner.validateSteps([{ type: 'SMS', body: 'Hi {{recipient.firstName|there}}' }])).toBeNull();
+    });
+  });
+
+  describe('enroll', () => {
+    it('enrolls new leads, leaving out enrolled, stopped and missing ones', async () => {
+      const sequence = buildSequence([{ type: 'Task', task: { action: 'Call' }, delay: { amount: 2, unit: 'Days' } }]);
+      const [enrolled, fresh, closed, missing] = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+
+      jest.spyOn(SequenceEnrollment, 'find').mockReturnValue(query([{ lead: enrolled }]));
+      const leadFind = jest.spyOn(Lead, 'find').mockReturnValue(query([
+        { _id: fresh, status: 'New' },
+        { _id: closed, status: 'Closed' }
+      ]));
+      const insertMany = jest.spyOn(SequenceEnrollment, 'insertMany').mockResolvedValue([]);
+
+      const summary = await runner.enroll(sequence, [enrolled, fresh, fresh, closed, missing], { source: 'Workflow', asOf: AS_OF });
+
+      expect(summary).toEqual({ enrolled: 1, alreadyEnrolled: 1, skipped: 2 });
+      expect(leadFind.mock.calls[0][0]._id.$in).toEqual([fresh, closed, missing].map(String));
+      expect(insertMany).toHaveBeenCalledWith([expect.objectContaining({
+        sequence: sequence._id,
+        lead: fresh,
+        source: 'Workflow',
+        enrolledAt: AS_OF,
+        nextStepAt: new Date(AS_OF.getTime() + 2 * DAY_MS)
+      })], { ordered: false });
+    });
+  });
+
+  describe('stop conditions', () => {
+    const sequence = buildSequence([{ type: 'Task', task: { action: 'Call' } }]);
+    const enrollment = { enrolledAt: new Date('2024-06-01T00:00:00Z') };
+    const reply = (date) => ({ type: 'Text', direction: 'Inbound', date });
+
+    it('stops on a stop status, a reply after enrolling or a removed lead', () => {
+      expect(runner.stopReason(sequence, buildLead({ status: 'Interested' }), enrollment)).toBe('Status: Interested');
+      expect(runner.stopReason(sequence, buildLead({ communications: [reply(new Date('2024-06-02'))] }), enrollment)).toBe('Replied');
+      expect(runner.stopReason(sequence, buildLead({ isActive: false }), enrollment)).toBe('Lead removed');
+      expect(runner.stopReason(sequence, null, enrollment)).toBe('Lead removed');
+    });
+
+    it('ignores replies from before the lead was enrolled and other statuses', () => {
+      expect(runner.stopReason(sequence, buildLead({ status: 'Contacted', communications: [reply(new Date('2024-05-01'))] }), enrollment)).toBeNull();
+    });
+
+    it('keeps going after a reply when the sequence doesn\'t stop on replies', () => {
+      const noReplyStop = buildSequence(sequence.steps, { stopOn: { reply: false } });
+
+      expect(runner.stopReason(noReplyStop, buildLead({ communications: [reply(new Date('2024-06-02'))] }), enrollment)).toBeNull();
+    });
+
+    it('stops open enrollments whose sequence stops on the event', async () => {
+      const lead = buildLead();
+      const stopsOnReply = buildEnrollment(sequence, lead);
+      stopsOnReply.sequence = sequence;
+      const ignoresReply = buildEnrollment(sequence, lead);
+      ignoresReply.sequence = buildSequence(sequence.steps, { stopOn: { reply: false } });
+      jest.spyOn(SequenceEnrollment, 'find')
+        .mockReturnValueOnce(query([stopsOnReply, ignoresReply]))
+        .mockReturnValueOnce(query([ignoresReply]));
+
+      await expect(runner.stopForLead(lead._id, { reply: true })).resolves.toBe(1);
+      expect(stopsOnReply).toMatchObject({ status: 'Stopped', stopReason: 'Replied', nextStepAt: undefined });
+      expect(ignoresReply.status).toBe('Active');
+
+      await expect(runner.stopForLead(lead._id, { status: 'Lost' })).resolves.toBe(1);
+      expect(ignoresReply.stopReason).toBe('Status: Lost');
+    });
+
+    it('pauses and resumes enrollments where they left off', () => {
+      const enrollmentDoc = buildEnrollment(sequence, buildLead(), { nextStepAt: new Date('2024-06-01') });
+
+      expect(runner.resume(enrollmentDoc, AS_OF)).toBe(false);
+      expect(runner.pause(enrollmentDoc, AS_OF)).toBe(true);
+      expect(enrollmentDoc.status).toBe('Paused');
+      expect(runner.resume(enrollmentDoc, AS_OF)).toBe(true);
+      expect(enrollmentDoc.nextStepAt).toEqual(AS_OF);
+    });
+  });
+
+  describe('runEnrollment', () => {
+    const run = (sequence, lead, enrollment) => {
+      jest.spyOn(Lead, 'findById').mockReturnValue(query(lead));
+      return runner.runEnrollment(enrollment, sequence, AS_OF);
+    };
+
+    it('runs the due step and schedules the next one', async () => {
+      const sequence = buildSequence([
+        { type: 'Task', task: { action: 'Call {{recipient.firstName}}', dueInDays: 1 } },
+        { type: 'SMS', body: 'Hi', delay: { amount: 3, unit: 'Hours' } }
+      ]);
+      const lead = buildLead();
+      const enrollment = buildEnrollment(sequence, lead);
+
+      await expect(run(sequence, lead, enrollment)).resolves.toBe('Created');
+
+      expect(lead.followUp).toMatchObject({ nextAction: 'Call Jane', nextActionDate: new Date(AS_OF.getTime() + DAY_MS), reminderSet: true });
+      expect(notifier.emitToUser).toHaveBeenCalledWith(lead.assignedTo, 'lead:task', expect.objectContaining({ action: 'Call Jane' }));
+      expect(enrollment).toMatchObject({ currentStep: 1, status: 'Active', nextStepAt: new Date(AS_OF.getTime() + 3 * 60 * 60 * 1000) });
+      expect(enrollment.history[0]).toMatchObject({ step: 0, type: 'Task', status: 'Created' });
+    });
+
+    it('completes the enrollment after the last step', async () => {
+      const sequence = buildSequence([{ type: 'Email', subject: 'About {{recipient.firstName}}', body: '<p>Hello</p>' }]);
+      const lead = buildLead();
+      const enrollment = buildEnrollment(sequence, lead);
+
+      await expect(run(sequence, lead, enrollment)).resolves.toBe('Sent');
+
+      expect(notifier.sendEmail).toHaveBeenCalledWith({ to: 'jane@example.com', subject: 'About Jane', html: '<p>Hello</p>' });
+      expect(lead.communications[0]).toMatchObject({ type: 'Email', direction: 'Outbound', subject: 'About Jane' });
+      expect(enrollment).toMatchObject({ status: 'Completed', completedAt: AS_OF, nextStepAt: undefined });
+    });
+
+    it('records blocked steps and moves on', async () => {
+      const sequence = buildSequence([{ type: 'Email', subject: 'Hi', body: 'Hi' }, { type: 'SMS', body: 'Hi' }]);
+      const lead = buildLead({ contact: { name: 'Jane Doe', email: 'jane@example.com', doNotEmail: true } });
+      const enrollment = buildEnrollment(sequence, lead);
+
+      await expect(run(sequence, lead, enrollment)).resolves.toBe('Blocked');
+
+      expect(notifier.sendEmail).not.toHaveBeenCalled();
+      expect(enrollment.currentStep).toBe(1);
+    });
+
+    it('retries a text held by quiet hours later without moving on', async () => {
+      compliance.guard.mockResolvedValue({ allowed: false, violations: [{ rule: 'Quiet Hours' }] });
+      const sequence = buildSequence([{ type: 'SMS', body: 'Hi' }]);
+      const lead = buildLead();
+      const enrollment = buildEnrollment(sequence, lead);
+
+      await expect(run(sequence, lead, enrollment)).resolves.toBe('Deferred');
+
+      expect(notifier.sendSMS).not.toHaveBeenCalled();
+      expect(enrollment).toMatchObject({ currentStep: 0, status: 'Active', nextStepAt: new Date(AS_OF.getTime() + 60 * 60 * 1000) });
+      expect(enrollment.history).toHaveLength(0);
+    });
+
+    it('stops instead of running a step when a stop condition is met', async () => {
+      const sequence = buildSequence([{ type: 'SMS', body: 'Hi' }]);
+      const lead = buildLead({ status: 'Under Contract' });
+      const enrollment = buildEnrollment(sequence, lead);
+
+      await expect(run(sequence, lead, enrollment)).resolves.toBe('Stopped');
+
+      expect(compliance.guard).not.toHaveBeenCalled();
+      expect(enrollment).toMatchObject({ status: 'Stopped', stopReason: 'Status: Under Contract', stoppedAt: AS_OF });
+    });
+  });
+});
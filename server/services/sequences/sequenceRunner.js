@@ -0,0 +1,426 @@
+const logger = require('../../utils/logger');
+const Lead = require('../../models/Lead');
+const Property = require('../../models/Property');
+const SavedSearch = require('../../models/SavedSearch');
+const Sequence = require('../../models/Sequence');
+const SequenceEnrollment = require('../../models/SequenceEnrollment');
+const MailCampaign = require('../../models/MailCampaign');
+const ContactCompliance = require('../compliance/contactCompliance');
+const NotificationService = require('../notifications/notificationService');
+const MailCampaignService = require('../mail/mailCampaignService');
+const LetterRenderer = require('../mail/letterRenderer');
+const { buildPropertyFilter } = require('../../utils/propertyFilter');
+
+// Most leads enrolled from one saved search at a time
+const MAX_ENROLLMENTS = 5000;
+
+// Enrollments stepped per run; the rest wait for the next run
+const BATCH_SIZE = 500;
+
+// Texts held by quiet hours are retried this much later
+const QUIET_HOURS_RETRY_MS = 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const OPEN_STATUSES = ['Active', 'Paused'];
+
+const SENDER_FIELDS = 'firstName lastName email phone profile';
+
+// The sequence's creator, who texts and mail go out as; createdBy may be populated
+const ownerId = (sequence) => sequence.createdBy && (sequence.createdBy._id || sequence.createdBy);
+
+const delayMs = (delay) => (delay ? (delay.amount || 0) * (delay.unit === 'Hours' ? HOUR_MS : DAY_MS) : 0);
+
+// Runs drip sequences: enrolls leads, runs each lead's next step when its delay is up
+// and ends the sequence for a lead when a stop condition is met. Texts go through the
+// compliance check, emails skip opted-out leads and mail steps are charged to the lead
+// like any other mailing.
+class SequenceRunner {
+  constructor(options = {}) {
+    this.compliance = options.compliance || new ContactCompliance();
+    this.notifier = options.notifier || new NotificationService();
+    this.mailService = options.mailService || new MailCampaignService();
+    this.renderer = this.mailService.renderer;
+  }
+
+  // Error message for steps that can't run, or null
+  validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) return 'A sequence needs at least one step';
+
+    for (const [index, step] of steps.entries()) {
+      const label = `Step ${index + 1}`;
+      if (step.type === 'Email' && (!step.subject || !step.body)) return `${label}: email steps need a subject and body`;
+      if (step.type === 'SMS' && !step.body) return `${label}: SMS steps need a body`;
+      if (step.type === 'Task' && !(step.task && step.task.action)) return `${label}: task steps need an action`;
+      if (step.type === 'Mail' && !step.mailTemplate) return `${label}: mail steps need a mail template`;
+
+      const unknown = this.renderer.findFields(step.subject, step.body, step.task && step.task.action)
+        .filter(field => !LetterRenderer.MERGE_FIELDS[field]);
+      if (unknown.length > 0) return `${label}: unknown merge fields: ${unknown.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Why a lead should leave the sequence, or null
+  stopReason(sequence, lead, enrollment) {
+    if (!lead || !lead.isActive) return 'Lead removed';
+    if (sequence.stopOn.statuses.includes(lead.status)) return `Status: ${lead.status}`;
+    if (sequence.stopOn.reply && lead.communications.some(communication =>
+      communication.direction === 'Inbound' && communication.date > enrollment.enrolledAt)) {
+      return 'Replied';
+    }
+    return null;
+  }
+
+  markStopped(enrollment, reason, asOf = new Date()) {
+    enrollment.status = 'Stopped';
+    enrollment.stopReason = reason;
+    enrollment.stoppedAt = asOf;
+    enrollment.nextStepAt = undefined;
+  }
+
+  // Enroll leads by id. Leads already in the sequence, in one of its stop statuses or
+  // not found are left out. Returns { enrolled, alreadyEnrolled, skipped }.
+  async enroll(sequence, leadIds, options = {}) {
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const ids = [...new Set(leadIds.map(String))];
+    const summary = { enrolled: 0, alreadyEnrolled: 0, skipped: 0 };
+
+    const existing = new Set((await SequenceEnrollment.find({ sequence: sequence._id, lead: { $in: ids } }).select('lead'))
+      .map(enrollment => enrollment.lead.toString()));
+    summary.alreadyEnrolled = existing.size;
+
+    const leads = await Lead.find({ _id: { $in: ids.filter(id => !existing.has(id)) }, isActive: true }).select('status');
+    summary.skipped = ids.length - existing.size - leads.length;
+
+    const firstStepAt = new Date(asOf.getTime() + delayMs(sequence.steps[0] && sequence.steps[0].delay));
+    const enrollments = [];
+    leads.forEach(lead => {
+      if (sequence.stopOn.statuses.includes(lead.status)) {
+        summary.skipped++;
+        return;
+      }
+      enrollments.push({
+        sequence: sequence._id,
+        lead: lead._id,
+        nextStepAt: firstStepAt,
+        source: options.source || 'Manual',
+        enrolledAt: asOf,
+        enrolledBy: options.userId
+      });
+    });
+
+    for (let start = 0; start < enrollments.length; start += 1000) {
+      await SequenceEnrollment.insertMany(enrollments.slice(start, start + 1000), { ordered: false });
+    }
+    summary.enrolled = enrollments.length;
+
+    logger.info(`Sequence ${sequence._id} enrollment: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // Enroll the leads on a saved search's properties. Returns the enroll() summary, or
+  // { error } when the search is missing or too broad.
+  async enrollSavedSearch(sequence, searchId, options = {}) {
+    const search = await SavedSearch.findOne({ _id: searchId, isActive: true });
+    if (!search) return { error: 'Saved search not found' };
+
+    const filter = buildPropertyFilter(search.criteria ? search.criteria.toObject() : {});
+    const propertyCount = await Property.countDocuments(filter);
+    if (propertyCount > MAX_ENROLLMENTS) {
+      return { error: `Saved search matches ${propertyCount} properties; enrollment is limited to ${MAX_ENROLLMENTS}` };
+    }
+
+    const properties = await Property.find(filter).select('_id');
+    const leads = await Lead.find({ property: { $in: properties.map(property => property._id) }, isActive: true }).select('_id');
+
+    return this.enroll(sequence, leads.map(lead => lead._id), { ...options, source: 'Saved Search' });
+  }
+
+  pause(enrollment, asOf = new Date()) {
+    if (enrollment.status !== 'Active') return false;
+    enrollment.status = 'Paused';
+    enrollment.pausedAt = asOf;
+    return true;
+  }
+
+  // Resume where the lead left off; a step that fell due while paused runs on the next run
+  resume(enrollment, asOf = new Date()) {
+    if (enrollment.status !== 'Paused') return false;
+    enrollment.status = 'Active';
+    enrollment.pausedAt = undefined;
+    if (!enrollment.nextStepAt || enrollment.nextStepAt < asOf) enrollment.nextStepAt = asOf;
+    return true;
+  }
+
+  // End a lead's open enrollments in sequences that stop on this event: { reply: true }
+  // for an inbound reply, or { status } for a status change. Returns the number stopped.
+  async stopForLead(leadId, event) {
+    const enrollments = await SequenceEnrollment.find({ lead: leadId, status: { $in: OPEN_STATUSES } })
+      .populate('sequence', 'stopOn');
+    let stopped = 0;
+
+    for (const enrollment of enrollments) {
+      const stopOn = enrollment.sequence && enrollment.sequence.stopOn;
+      if (!stopOn) continue;
+
+      let reason = null;
+      if (event.reply && stopOn.reply) reason = 'Replied';
+      else if (event.status && stopOn.statuses.includes(event.status)) reason = `Status: ${event.status}`;
+      if (!reason) continue;
+
+      this.markStopped(enrollment, reason);
+      await enrollment.save();
+      stopped++;
+    }
+
+    if (stopped > 0) logger.info(`Stopped ${stopped} sequence enrollment(s) for lead ${leadId}: ${event.reply ? 'reply' : event.status}`);
+    return stopped;
+  }
+
+  // Merge values for a lead's email, text or task; the same fields mail templates use
+  mergeData(sequence, lead, asOf) {
+    const property = lead.property && lead.property.address ? lead.property : null;
+    const owner = property && property.owner ? property.owner : {};
+    const contactName = lead.contact && lead.contact.name !== 'Unknown' ? lead.contact.name : null;
+    const recipient = (property && this.mailService.resolveRecipient(lead, property)) || { name: contactName || owner.name || '' };
+
+    return this.renderer.buildMergeData({
+      lead,
+      property,
+      recipient,
+      sender: sequence.createdBy && sequence.createdBy.firstName ? sequence.createdBy : null,
+      campaign: sequence,
+      date: asOf
+    });
+  }
+
+  logCommunication(lead, sequence, communication) {
+    lead.communications.push({
+      direction: 'Outbound',
+      author: ownerId(sequence),
+      ...communication
+    });
+  }
+
+  async sendEmail(step, sequence, lead, data, asOf) {
+    const to = lead.contact.email;
+    if (!to) return { status: 'Skipped', detail: 'No email address' };
+    if (lead.contact.doNotEmail || await this.compliance.isEmailOptedOut(to)) {
+      return { status: 'Blocked', detail: 'Opted out of email' };
+    }
+
+    const subject = this.renderer.merge(step.subject, data, false);
+    const sent = await this.notifier.sendEmail({ to, subject, html: this.renderer.merge(step.body, data) });
+    if (!sent) return { status: 'Skipped', detail: 'Email is not configured' };
+
+    this.logCommunication(lead, sequence, { type: 'Email', date: asOf, subject, content: this.renderer.merge(step.body, data, false) });
+    await lead.save();
+    return { status: 'Sent', detail: to };
+  }
+
+  async sendSms(step, sequence, lead, data, asOf) {
+    const phone = lead.contact.phone;
+    if (!phone) return { status: 'Skipped', detail: 'No phone number' };
+
+    const message = this.renderer.merge(step.body, data, false);
+    const compliance = await this.compliance.guard({
+      channel: 'SMS',
+      phone,
+      lead,
+      message,
+      context: 'sequence',
+      userId: ownerId(sequence),
+      asOf
+    });
+    if (!compliance.allowed) {
+      // Quiet hours end; try again later rather than skip the step
+      if (compliance.violations.every(violation => violation.rule === 'Quiet Hours')) {
+        return { status: 'Deferred', retryAt: new Date(asOf.getTime() + QUIET_HOURS_RETRY_MS) };
+      }
+      return { status: 'Blocked', detail: compliance.violations.map(violation => violation.rule).join(', ') };
+    }
+
+    const sent = await this.notifier.sendSMS({ to: phone, body: message });
+    if (!sent) return { status: 'Skipped', detail: 'SMS is not configured' };
+
+    this.logCommunication(lead, sequence, { type: 'Text', date: asOf, content: message });
+    await lead.save();
+    return { status: 'Sent', detail: compliance.phone };
+  }
+
+  // Make the step's action the lead's next follow-up and tell the assigned user
+  async createTask(step, sequence, lead, data, asOf) {
+    const action = this.renderer.merge(step.task.action, data, false);
+    const dueAt = new Date(asOf.getTime() + (step.task.dueInDays || 0) * DAY_MS);
+
+    lead.followUp.nextAction = action;
+    lead.followUp.nextActionDate = dueAt;
+    lead.followUp.reminderSet = true;
+    await lead.save();
+
+    if (lead.assignedTo) {
+      this.notifier.emitToUser(lead.assignedTo, 'lead:task', {
+        leadId: lead._id,
+        leadRef: lead.leadId,
+        action,
+        dueAt,
+        sequence: sequence.name
+      });
+    }
+    return { status: 'Created', detail: action };
+  }
+
+  // The campaign a mail step's pieces are recorded in, created on first use and
+  // replaced when the step's template or cost changes
+  async mailCampaignFor(sequence, step, index) {
+    let campaign = step.mailCampaign ? await MailCampaign.findById(step.mailCampaign).populate('template') : null;
+    const current = campaign && campaign.template
+      && String(campaign.template._id) === String(step.mailTemplate)
+      && campaign.delivery.costPerPiece === step.costPerPiece;
+    if (current) return campaign;
+
+    campaign = await MailCampaign.create({
+      name: `${sequence.name}: step ${index + 1}`,
+      template: step.mailTemplate,
+      sequence: sequence._id,
+      status: 'Sending',
+      delivery: {
+        method: 'Provider',
+        provider: this.mailService.provider.id,
+        costPerPiece: step.costPerPiece,
+        mailClass: sequence.mailClass
+      },
+      returnAddress: sequence.returnAddress,
+      owner: ownerId(sequence),
+      createdBy: ownerId(sequence)
+    });
+    await Sequence.updateOne({ _id: sequence._id, 'steps._id': step._id }, { $set: { 'steps.$.mailCampaign': campaign._id } });
+    step.mailCampaign = campaign._id;
+
+    return campaign.populate('template');
+  }
+
+  async sendMail(step, sequence, lead, index) {
+    if (!this.mailService.isConfigured()) return { status: 'Skipped', detail: 'Mail provider is not configured' };
+
+    const campaign = await this.mailCampaignFor(sequence, step, index);
+    const result = await this.mailService.mailLead(campaign, lead, {
+      userId: ownerId(sequence),
+      sender: sequence.createdBy
+    });
+
+    if (!result.piece) return { status: 'Skipped', detail: result.error };
+    if (result.error) return { status: 'Failed', detail: result.error };
+    return { status: 'Sent', detail: `Piece ${result.piece.pieceId}` };
+  }
+
+  // Run one step for a lead (property populated). Returns { status, detail }, or
+  // { status: 'Deferred', retryAt } when the step should run later.
+  async executeStep(step, index, sequence, lead, asOf) {
+    const data = this.mergeData(sequence, lead, asOf);
+
+    switch (step.type) {
+      case 'Email':
+        return this.sendEmail(step, sequence, lead, data, asOf);
+      case 'SMS':
+        return this.sendSms(step, sequence, lead, data, asOf);
+      case 'Task':
+        return this.createTask(step, sequence, lead, data, asOf);
+      case 'Mail':
+        return this.sendMail(step, sequence, lead, index);
+      default:
+        return { status: 'Skipped', detail: `Unknown step type ${step.type}` };
+    }
+  }
+
+  // Run an enrollment's due step, or stop it. Returns the step status, 'Deferred' or 'Stopped'.
+  async runEnrollment(enrollment, sequence, asOf) {
+    const lead = await Lead.findById(enrollment.lead).populate('property', MailCampaignService.PROPERTY_FIELDS);
+
+    const reason = this.stopReason(sequence, lead, enrollment);
+    if (reason) {
+      this.markStopped(enrollment, reason, asOf);
+      await enrollment.save();
+      return 'Stopped';
+    }
+
+    const index = enrollment.currentStep;
+    const step = sequence.steps[index];
+    let result = { status: 'Skipped', detail: 'Step removed from the sequence' };
+
+    if (step) {
+      try {
+        result = await this.executeStep(step, index, sequence, lead, asOf);
+      } catch (error) {
+        logger.error(`Error running step ${index + 1} of sequence ${sequence._id} for lead ${lead._id}:`, error);
+        result = { status: 'Failed', detail: error.message };
+      }
+
+      if (result.status === 'Deferred') {
+        enrollment.nextStepAt = result.retryAt;
+        await enrollment.save();
+        return 'Deferred';
+      }
+
+      enrollment.history.push({ step: index, type: step.type, status: result.status, detail: result.detail, date: asOf });
+    }
+
+    enrollment.currentStep = index + 1;
+    const next = sequence.steps[index + 1];
+    if (next) {
+      enrollment.nextStepAt = new Date(asOf.getTime() + delayMs(next.delay));
+    } else {
+      enrollment.status = 'Completed';
+      enrollment.completedAt = asOf;
+      enrollment.nextStepAt = undefined;
+    }
+    await enrollment.save();
+
+    return result.status;
+  }
+
+  // Enroll new saved search matches for auto-enroll sequences, then run every due step.
+  // Returns counts by outcome.
+  async runDue(options = {}) {
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const summary = { autoEnrolled: 0, processed: 0, completed: 0, outcomes: {} };
+
+    const autoEnroll = await Sequence.find({ isActive: true, status: 'Active', autoEnroll: true, savedSearch: { $exists: true } });
+    for (const sequence of autoEnroll) {
+      try {
+        const result = await this.enrollSavedSearch(sequence, sequence.savedSearch, { asOf, userId: sequence.createdBy });
+        if (result.error) logger.warn(`Auto-enroll for sequence ${sequence._id} skipped: ${result.error}`);
+        else summary.autoEnrolled += result.enrolled;
+      } catch (error) {
+        logger.error(`Error auto-enrolling sequence ${sequence._id}:`, error);
+      }
+    }
+
+    const paused = await Sequence.find({ $or: [{ status: 'Paused' }, { isActive: false }] }).distinct('_id');
+    const due = await SequenceEnrollment.find({ status: 'Active', nextStepAt: { $lte: asOf }, sequence: { $nin: paused } })
+      .populate({ path: 'sequence', populate: { path: 'createdBy', select: SENDER_FIELDS } })
+      .sort({ nextStepAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const enrollment of due) {
+      try {
+        const outcome = await this.runEnrollment(enrollment, enrollment.sequence, asOf);
+        summary.processed++;
+        summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + 1;
+        if (enrollment.status === 'Completed') summary.completed++;
+      } catch (error) {
+        logger.error(`Error running sequence enrollment ${enrollment._id}:`, error);
+        summary.outcomes.Failed = (summary.outcomes.Failed || 0) + 1;
+      }
+    }
+
+    logger.info(`Sequence steps run: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+}
+
+SequenceRunner.MAX_ENROLLMENTS = MAX_ENROLLMENTS;
+
+module.exports = SequenceRunner;
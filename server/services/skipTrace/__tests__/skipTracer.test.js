@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Lead = require('../../../models/Lead');
+const Property = require('../../../models/Property');
+const SkipTracer = require('../skipTracer');
+const BaseSkipTracer = require('../providers/baseSkipTracer');
+const MockSkipTracer = require('../providers/mockSkipTracer');
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Provider that answers from a table of results keyed by subject id
+class TableSkipTracer extends BaseSkipTracer {
+  constructor(results = {}) {
+    super();
+    this.id = 'table';
+    this.batchSize = 2;
+    this.costPerLookup = 0.2;
+    this.results = results;
+    this.lookupBatch = jest.fn(async subjects => subjects.map(subject => this.results[subject.id] || { id: subject.id, found: false }));
+  }
+}
+
+const buildProperty = (owner = {}) => {
+  const property = new Property({
+    address: { street: '123 N Main St', city: 'Phoenix', county: 'Maricopa', state: 'AZ', zipCode: '85004' },
+    owner: { name: 'Jane Smith', ...owner },
+    foreclosureStatus: 'Pre-Foreclosure',
+    leadInfo: { source: 'County Records' }
+  });
+  jest.spyOn(property, 'save').mockResolvedValue(property);
+  return property;
+};
+
+const buildLead = (overrides = {}) => {
+  const property = buildProperty();
+  const lead = new Lead({ source: 'Pre-Foreclosure', property: property._id, contact: { name: 'Unknown' }, ...overrides });
+  lead.property = property;
+  // Saving runs validation so results must fit the Lead schema
+  jest.spyOn(lead, 'save').mockImplementation(async () => {
+    await lead.validate();
+    return lead;
+  });
+  return lead;
+};
+
+const found = (lead, overrides = {}) => ({
+  id: String(lead._id),
+  found: true,
+  name: 'Jane A Smith',
+  phones: [
+    { number: '(602) 555-0101', type: 'landline', confidence: 80 },
+    { number: '(602) 555-0102', type: 'mobile', confidence: 80 },
+    { number: '(602) 555-0103', type: 'pager', confidence: 90 },
+    { number: '', type: 'mobile', confidence: 99 }
+  ],
+  emails: [{ address: 'jane@example.com', confidence: 60 }, { address: 'jsmith@example.com', confidence: 85 }],
+  relatives: [{ name: 'John Smith', relationship: 'Spouse', phone: '(602) 555-0104' }],
+  mailingAddresses: [{ address: 'PO Box 12, Phoenix, AZ 85001', confidence: 90 }, { confidence: 50 }],
+  ...overrides
+});
+
+describe('SkipTracer', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.SKIP_TRACE_PROVIDER;
+    delete process.env.SKIP_TRACE_COST_PER_LOOKUP;
+  });
+
+  describe('setup', () => {
+    it('uses the provider named by SKIP_TRACE_PROVIDER', () => {
+      process.env.SKIP_TRACE_PROVIDER = 'mock';
+
+      const tracer = new SkipTracer();
+
+      expect(tracer.provider).toBeInstanceOf(MockSkipTracer);
+      expect(tracer.isConfigured()).toBe(true);
+    });
+
+    it('refuses to trace without a known provider', async () => {
+      process.env.SKIP_TRACE_PROVIDER = 'acme';
+      const tracer = new SkipTracer();
+
+      expect(tracer.isConfigured()).toBe(false);
+      await expect(tracer.traceLeads([buildLead()])).rejects.toThrow('Skip tracing is not configured');
+    });
+
+    it('looks up leads never traced or traced over 90 days ago', () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const tracedAt = (days) => ({ skipTrace: { tracedAt: new Date(AS_OF.getTime() - days * DAY_MS) } });
+
+      expect(tracer.needsTrace({}, { asOf: AS_OF })).toBe(true);
+      expect(tracer.needsTrace(tracedAt(30), { asOf: AS_OF })).toBe(false);
+      expect(tracer.needsTrace(tracedAt(30), { asOf: AS_OF, force: true })).toBe(true);
+      expect(tracer.needsTrace(tracedAt(91), { asOf: AS_OF })).toBe(true);
+    });
+
+    it('searches on the owner name when the lead has none', () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const lead = buildLead();
+
+      expect(tracer.buildSubject(lead)).toMatchObject({ id: String(lead._id), name: 'Jane Smith', address: { street: '123 N Main St' } });
+      lead.contact.name = 'Janet Smith';
+      expect(tracer.buildSubject(lead).name).toBe('Janet Smith');
+    });
+  });
+
+  describe('applyResult', () => {
+    it('stores ranked contacts with confidence and phone type, and fills blank contact details', async () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const lead = buildLead({ contact: { name: 'Unknown', email: 'owner@example.com' } });
+
+      tracer.applyResult(lead, found(lead), 0.2, { asOf: AS_OF });
+      await lead.validate();
+
+      expect(lead.skipTrace.toObject()).toMatchObject({
+        status: 'Found',
+        provider: 'table',
+        tracedAt: AS_OF,
+        lookups: 1,
+        cost: 0.2,
+        ownerName: 'Jane A Smith',
+        phones: [
+          { number: '(602) 555-0103', type: 'Unknown', confidence: 90 },
+          { number: '(602) 555-0102', type: 'Mobile', confidence: 80 },
+          { number: '(602) 555-0101', type: 'Landline', confidence: 80 }
+        ],
+        emails: [{ address: 'jsmith@example.com', confidence: 85 }, { address: 'jane@example.com', confidence: 60 }],
+        relatives: [{ name: 'John Smith', relationship: 'Spouse' }],
+        mailingAddresses: [{ address: 'PO Box 12, Phoenix, AZ 85001', confidence: 90 }]
+      });
+      expect(lead.contact).toMatchObject({ name: 'Jane A Smith', phone: '(602) 555-0103', email: 'owner@example.com' });
+    });
+
+    it('charges every lookup to the campaign, found or not', () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const lead = buildLead({ campaign: { totalCost: 10.5 } });
+
+      tracer.applyResult(lead, { id: String(lead._id), found: false }, 0.2, { asOf: AS_OF });
+      tracer.applyResult(lead, found(lead), 0.15, { asOf: AS_OF });
+
+      expect(lead.skipTrace).toMatchObject({ status: 'Found', lookups: 2, cost: 0.35 });
+      expect(lead.campaign.totalCost).toBe(10.85);
+      expect(lead.campaign.touchpoints.map(touchpoint => [touchpoint.method, touchpoint.response, touchpoint.cost])).toEqual([
+        ['Skip Trace', 'Not Found', 0.2],
+        ['Skip Trace', 'Found', 0.15]
+      ]);
+    });
+
+    it('leaves the contact alone when nothing is found', () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const lead = buildLead();
+
+      tracer.applyResult(lead, undefined, 0.2, { asOf: AS_OF });
+
+      expect(lead.skipTrace).toMatchObject({ status: 'Not Found', ownerName: undefined });
+      expect(lead.skipTrace.phones).toHaveLength(0);
+      expect(lead.contact.name).toBe('Unknown');
+    });
+  });
+
+  describe('traceLeads', () => {
+    it('traces due leads in provider batches and totals the cost', async () => {
+      const provider = new TableSkipTracer();
+      const tracer = new SkipTracer(provider);
+      const leads = [buildLead(), buildLead(), buildLead()];
+      provider.results[String(leads[0]._id)] = found(leads[0]);
+      const recent = buildLead({ skipTrace: { tracedAt: new Date(Date.now() - DAY_MS) } });
+      const userId = new mongoose.Types.ObjectId();
+
+      const summary = await tracer.traceLeads([...leads, recent], { userId });
+
+      expect(summary).toEqual({ requested: 4, traced: 3, found: 1, notFound: 2, skipped: 1, failed: 0, cost: 0.6 });
+      expect(provider.lookupBatch.mock.calls.map(([subjects]) => subjects.length)).toEqual([2, 1]);
+      expect(leads[0].save).toHaveBeenCalled();
+      expect(leads[0].updatedBy).toEqual(userId);
+      expect(leads[0].property.save).toHaveBeenCalled();
+      expect(leads[0].property.owner.contactInfo).toMatchObject({ phone: '(602) 555-0103', email: 'jsmith@example.com' });
+      expect(leads[1].property.save).not.toHaveBeenCalled();
+      expect(recent.save).not.toHaveBeenCalled();
+    });
+
+    it('counts a failed batch without charging for it', async () => {
+      const provider = new TableSkipTracer();
+      provider.lookupBatch.mockRejectedValueOnce(new Error('Quota exceeded'));
+      const tracer = new SkipTracer(provider);
+
+      const summary = await tracer.traceLeads([buildLead(), buildLead(), buildLead()]);
+
+      expect(summary).toMatchObject({ traced: 1, failed: 2, cost: 0.2 });
+    });
+
+    it('skips leads without a property to search on', async () => {
+      const tracer = new SkipTracer(new TableSkipTracer());
+      const lead = buildLead();
+      lead.property = undefined;
+
+      expect(await tracer.traceLeads([lead])).toMatchObject({ requested: 1, skipped: 1, traced: 0 });
+    });
+  });
+
+  describe('MockSkipTracer', () => {
+    const provider = new MockSkipTracer();
+    const subjects = Array.from({ length: 20 }, (value, index) => ({
+      id: String(index),
+      name: `Owner ${index}`,
+      address: { street: `${index} Main St`, city: 'Phoenix', state: 'AZ', zipCode: '85004' }
+    }));
+
+    it('gives the same made-up answer for the same subject', async () => {
+      expect(await provider.lookupBatch(subjects)).toEqual(await provider.lookupBatch(subjects));
+    });
+
+    it('returns fictional phone numbers with a type and confidence, and misses some subjects', async () => {
+      const results = await provider.lookupBatch(subjects);
+      const hits = results.filter(result => result.found);
+
+      expect(results.map(result => result.id)).toEqual(subjects.map(subject => subject.id));
+      expect(hits.length).toBeGreaterThan(0);
+      expect(hits.length).toBeLessThan(results.length);
+      hits.flatMap(result => result.phones).forEach(phone => {
+        expect(phone.number).toMatch(/^\(\d{3}\) 555-01\d{2}$/);
+        expect(BaseSkipTracer.PHONE_TYPES).toContain(phone.type);
+        expect(phone.confidence).toBeGreaterThanOrEqual(30);
+      });
+    });
+
+    it('charges its list price unless the account price is configured', () => {
+      expect(provider.getCostPerLookup()).toBe(0.15);
+      process.env.SKIP_TRACE_COST_PER_LOOKUP = '0.09';
+      expect(provider.getCostPerLookup()).toBe(0.09);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Phone line types reported by skip-trace providers
+const PHONE_TYPES = ['Mobile', 'Landline', 'VoIP', 'Unknown'];
+
+// Base class for a skip-trace provider. Subclasses implement lookupBatch(subjects),
+// where each subject is { id, name, address, mailingAddress }, and return one result
+// per subject in the same order:
+//   { id, found, name, phones: [{ number, type, confidence }], emails: [{ address, confidence }],
+//     relatives: [{ name, relationship, phone }], mailingAddresses: [{ address, confidence }] }
+// Confidence is 0-100. Errors (quota, outage) are thrown so no cost is recorded.
+class BaseSkipTracer {
+  constructor() {
+    this.id = 'base';
+    this.name = 'Base Skip Tracer';
+    // Subjects sent per request
+    this.batchSize = 100;
+    // Charge per subject looked up, whether or not anything is found
+    this.costPerLookup = 0;
+  }
+
+  // Whether the provider has what it needs (API key, account) to run
+  isConfigured() {
+    return true;
+  }
+
+  async lookupBatch(subjects) {
+    throw new Error(`Skip tracer ${this.id} does not define lookupBatch()`);
+  }
+
+  async lookup(subject) {
+    const [result] = await this.lookupBatch([subject]);
+    return result;
+  }
+
+  // Cost of a lookup, overridable with SKIP_TRACE_COST_PER_LOOKUP when the account
+  // is on different pricing
+  getCostPerLookup() {
+    const configured = parseFloat(process.env.SKIP_TRACE_COST_PER_LOOKUP);
+    return Number.isFinite(configured) ? configured : this.costPerLookup;
+  }
+
+  normalizePhoneType(type) {
+    const match = PHONE_TYPES.find(phoneType => phoneType.toLowerCase() === String(type || '').toLowerCase());
+    return match || 'Unknown';
+  }
+
+  formatAddress(address) {
+    if (!address) return '';
+    if (typeof address === 'string') return address;
+    const street = address.unit ? `${address.street} ${address.unit}` : address.street;
+    return `${street}, ${address.city}, ${address.state} ${address.zipCode || ''}`.trim();
+  }
+}
+
+BaseSkipTracer.PHONE_TYPES = PHONE_TYPES;
+
+module.exports = BaseSkipTracer;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const BaseSkipTracer = require('./baseSkipTracer');
+
+const FIRST_NAMES = ['James', 'Maria', 'Robert', 'Linda', 'Michael', 'Patricia', 'David', 'Susan'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Johnson', 'Brown', 'Miller', 'Davis', 'Wilson', 'Moore'];
+const RELATIONSHIPS = ['Spouse', 'Sibling', 'Parent', 'Child', 'Associate'];
+
+// Local provider for development and testing. Results are made up but stable: the
+// same subject always gets the same answer, about one in five subjects is not found,
+// and every phone number is in the 555-01xx range reserved for fiction.
+class MockSkipTracer extends BaseSkipTracer {
+  constructor() {
+    super();
+    this.id = 'mock';
+    this.name = 'Mock Skip Tracer';
+    this.costPerLookup = 0.15;
+  }
+
+  async lookupBatch(subjects) {
+    return subjects.map(subject => this.trace(subject));
+  }
+
+  trace(subject) {
+    const seed = crypto.createHash('md5')
+      .update(`${subject.name || ''}|${this.formatAddress(subject.address)}`.toLowerCase())
+      .digest();
+    const pick = (list, byte) => list[seed[byte] % list.length];
+
+    if (seed[0] % 5 === 0) {
+      return { id: subject.id, found: false, phones: [], emails: [], relatives: [], mailingAddresses: [] };
+    }
+
+    const known = subject.name && subject.name !== 'Unknown';
+    const name = known ? subject.name : `${pick(FIRST_NAMES, 1)} ${pick(LAST_NAMES, 2)}`;
+    const phone = (byte) => `(${200 + (seed[byte] % 800)}) 555-01${String(seed[byte + 1] % 100).padStart(2, '0')}`;
+    const phoneCount = 1 + (seed[3] % 3);
+
+    const phones = Array.from({ length: phoneCount }, (value, index) => ({
+      number: phone(4 + index * 2),
+      type: ['Mobile', 'Landline', 'VoIP'][(seed[10] + index) % 3],
+      confidence: Math.max(30, 95 - index * 20 - (seed[11] % 10))
+    }));
+
+    const emails = seed[12] % 3 === 0 ? [] : [{
+      address: `${name.toLowerCase().replace(/[^a-z]+/g, '.')}${seed[13] % 100}@example.com`,
+      confidence: 60 + (seed[14] % 30)
+    }];
+
+    const relatives = seed[15] % 2 === 0 ? [] : [{
+      name: `${pick(FIRST_NAMES, 8)} ${name.split(' ').pop()}`,
+      relationship: pick(RELATIONSHIPS, 9),
+      phone: phone(13)
+    }];
+
+    const mailingAddresses = [{
+      address: this.formatAddress(subject.mailingAddress || subject.address),
+      confidence: subject.mailingAddress ? 90 : 70
+    }];
+
+    return { id: subject.id, found: true, name, phones, emails, relatives, mailingAddresses };
+  }
+}
+
+module.exports = MockSkipTracer;
@@ -0,0 +1,189 @@
+const logger = require('../../utils/logger');
+const MockSkipTracer = require('./providers/mockSkipTracer');
+
+const PROVIDERS = {
+  mock: MockSkipTracer
+};
+
+// Leads traced more recently than this aren't looked up again unless forced
+const RETRACE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Appends owner phones, emails, relatives and mailing addresses to leads through the
+// provider named by SKIP_TRACE_PROVIDER. Every lookup is charged to the lead's
+// campaign as a 'Skip Trace' touchpoint, so ROI accounts for what the contact cost.
+class SkipTracer {
+  constructor(provider = null) {
+    const id = process.env.SKIP_TRACE_PROVIDER;
+    if (provider) {
+      this.provider = provider;
+    } else if (id && PROVIDERS[id]) {
+      this.provider = new PROVIDERS[id]();
+    } else {
+      if (id) logger.warn(`Unknown skip trace provider: ${id}`);
+      this.provider = null;
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.provider && this.provider.isConfigured());
+  }
+
+  // Whether a lead is due a lookup: never traced, or traced over RETRACE_DAYS ago
+  needsTrace(lead, options = {}) {
+    if (options.force || !lead.skipTrace || !lead.skipTrace.tracedAt) return true;
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    return asOf - new Date(lead.skipTrace.tracedAt) > RETRACE_DAYS * DAY_MS;
+  }
+
+  // What the provider searches on: the owner's name and the property (lead.property
+  // must be populated)
+  buildSubject(lead) {
+    const property = lead.property || {};
+    const owner = property.owner || {};
+    const name = lead.contact && lead.contact.name !== 'Unknown' ? lead.contact.name : owner.name;
+
+    return {
+      id: String(lead._id),
+      name: name || undefined,
+      address: property.address,
+      mailingAddress: owner.mailingAddress || undefined
+    };
+  }
+
+  // Phones best first: most confident, with mobile numbers ahead of others on a tie
+  rankPhones(phones) {
+    return [...phones].sort((a, b) => (b.confidence || 0) - (a.confidence || 0)
+      || (b.type === 'Mobile') - (a.type === 'Mobile'));
+  }
+
+  // Store a provider result on the lead, fill contact details that are still blank
+  // and charge the lookup to the campaign
+  applyResult(lead, result, cost, options = {}) {
+    const tracedAt = options.asOf ? new Date(options.asOf) : new Date();
+    const found = Boolean(result && result.found);
+    const previous = lead.skipTrace || {};
+
+    const phones = found ? this.rankPhones((result.phones || [])
+      .filter(phone => phone.number)
+      .map(phone => ({
+        number: phone.number,
+        type: this.provider.normalizePhoneType(phone.type),
+        confidence: phone.confidence
+      }))) : [];
+    const emails = found ? (result.emails || [])
+      .filter(email => email.address)
+      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0)) : [];
+
+    lead.skipTrace = {
+      status: found ? 'Found' : 'Not Found',
+      provider: this.provider.id,
+      tracedAt,
+      lookups: (previous.lookups || 0) + 1,
+      cost: roundCents((previous.cost || 0) + cost),
+      ownerName: found ? result.name : undefined,
+      phones,
+      emails,
+      relatives: found ? result.relatives || [] : [],
+      mailingAddresses: found ? (result.mailingAddresses || []).filter(mailing => mailing.address) : []
+    };
+
+    if (found) {
+      if (!lead.contact.phone && phones.length > 0) lead.contact.phone = phones[0].number;
+      if (!lead.contact.email && emails.length > 0) lead.contact.email = emails[0].address;
+      if ((!lead.contact.name || lead.contact.name === 'Unknown') && result.name) lead.contact.name = result.name;
+    }
+
+    lead.campaign.touchpoints.push({
+      date: tracedAt,
+      method: 'Skip Trace',
+      response: lead.skipTrace.status,
+      cost
+    });
+    lead.campaign.totalCost = roundCents((lead.campaign.totalCost || 0) + cost);
+    if (options.userId) lead.updatedBy = options.userId;
+
+    return lead;
+  }
+
+  // Fill the property owner's contact details that are still blank from the
+  // ranked skip trace stored on the lead
+  async updateOwner(property, skipTrace) {
+    if (!property || typeof property.save !== 'function' || !skipTrace || skipTrace.status !== 'Found') return;
+
+    const contactInfo = property.owner.contactInfo || {};
+    let changed = false;
+    if (!property.owner.name && skipTrace.ownerName) {
+      property.owner.name = skipTrace.ownerName;
+      changed = true;
+    }
+    if (!contactInfo.phone && skipTrace.phones.length > 0) {
+      property.set('owner.contactInfo.phone', skipTrace.phones[0].number);
+      changed = true;
+    }
+    if (!contactInfo.email && skipTrace.emails.length > 0) {
+      property.set('owner.contactInfo.email', skipTrace.emails[0].address);
+      changed = true;
+    }
+
+    if (changed) await property.save();
+  }
+
+  // Trace leads (documents with property populated) in provider-sized batches.
+  // Returns { requested, traced, found, notFound, skipped, failed, cost }.
+  async traceLeads(leads, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Skip tracing is not configured');
+    }
+
+    const summary = { requested: leads.length, traced: 0, found: 0, notFound: 0, skipped: 0, failed: 0, cost: 0 };
+    const due = leads.filter(lead => {
+      const traceable = lead.property && lead.property.address && this.needsTrace(lead, options);
+      if (!traceable) summary.skipped++;
+      return traceable;
+    });
+    const cost = this.provider.getCostPerLookup();
+
+    for (let start = 0; start < due.length; start += this.provider.batchSize) {
+      const batch = due.slice(start, start + this.provider.batchSize);
+
+      let results;
+      try {
+        results = await this.provider.lookupBatch(batch.map(lead => this.buildSubject(lead)));
+      } catch (error) {
+        logger.error(`Skip trace batch failed with ${this.provider.id}:`, error);
+        summary.failed += batch.length;
+        continue;
+      }
+
+      const byId = new Map((results || []).map(result => [String(result.id), result]));
+      for (const lead of batch) {
+        try {
+          const result = byId.get(String(lead._id));
+          this.applyResult(lead, result, cost, options);
+          await lead.save();
+          await this.updateOwner(lead.property, lead.skipTrace);
+
+          summary.traced++;
+          if (lead.skipTrace.status === 'Found') summary.found++;
+          else summary.notFound++;
+          summary.cost = roundCents(summary.cost + cost);
+        } catch (error) {
+          logger.error(`Error saving skip trace for lead ${lead._id}:`, error);
+          summary.failed++;
+        }
+      }
+    }
+
+    logger.info(`Skip trace completed with ${this.provider.id}: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+}
+
+SkipTracer.PROVIDERS = PROVIDERS;
+SkipTracer.RETRACE_DAYS = RETRACE_DAYS;
+
+module.exports = SkipTracer;
@@ -0,0 +1,194 @@
+const TitleRiskEvaluator = require('../titleRiskEvaluator');
+
+const { FLAG_TYPES } = TitleRiskEvaluator;
+const evaluator = new TitleRiskEvaluator();
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+
+const buildProperty = (overrides = {}) => ({
+  address: { street: '123 N Main St', city: 'Phoenix', county: 'Maricopa', state: 'AZ', zipCode: '85004' },
+  foreclosureStatus: 'Auction',
+  foreclosureDetails: { openingBid: 180000 },
+  valuation: { value: 350000 },
+  liens: [],
+  ...overrides
+});
+
+const evaluate = (property) => evaluator.evaluate(property, { asOf: AS_OF });
+const findFlags = (result, type) => result.flags.filter(flag => flag.type === type);
+
+describe('TitleRiskEvaluator', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('bankruptcy', () => {
+    it('flags a bankruptcy case number', () => {
+      const result = evaluate(buildProperty({ foreclosureDetails: { caseNumber: '2:24-bk-10234' } }));
+
+      expect(result.level).toBe('High');
+      expect(findFlags(result, FLAG_TYPES.BANKRUPTCY_STAY)).toEqual([expect.objectContaining({
+        severity: 'High',
+        explanation: expect.stringContaining('Case 2:24-bk-10234 looks like a bankruptcy filing')
+      })]);
+    });
+
+    it('flags a sale postponed for a bankruptcy', () => {
+      const result = evaluate(buildProperty({
+        foreclosureDetails: { caseNumber: 'CV2024-001234' },
+        foreclosureEvents: [{ type: 'Sale Postponed', date: new Date('2024-05-20T00:00:00Z'), notes: 'Borrower filed bankruptcy' }]
+      }));
+
+      expect(findFlags(result, FLAG_TYPES.BANKRUPTCY_STAY)).toEqual([expect.objectContaining({
+        explanation: 'The sale was postponed on 2024-05-20 for a bankruptcy ("Borrower filed bankruptcy"). ' +
+          'Check the stay has been lifted before bidding.'
+      })]);
+    });
+
+    it('leaves ordinary case numbers and postponements alone', () => {
+      const result = evaluate(buildProperty({
+        foreclosureDetails: { caseNumber: 'CV2024-001234' },
+        foreclosureEvents: [{ type: 'Sale Postponed', date: new Date('2024-05-20T00:00:00Z'), notes: 'Beneficiary request' }]
+      }));
+
+      expect(result).toEqual({ level: 'None', flags: [] });
+    });
+  });
+
+  describe('foreclosure sale', () => {
+    it('flags a senior lien surviving a junior foreclosure and the IRS right of redemption', () => {
+      const result = evaluate(buildProperty({
+        liens: [
+          { type: 'Deed of Trust', lienholder: 'First Bank', amount: 200000, dateRecorded: new Date('2015-03-01') },
+          { type: 'HELOC', lienholder: 'Second Bank', amount: 40000, dateRecorded: new Date('2019-06-01'), isForeclosing: true },
+          { type: 'IRS Federal Tax Lien', lienholder: 'Internal Revenue Service', amount: 15000, dateRecorded: new Date('2021-01-15') },
+          { type: 'State Tax Lien', lienholder: 'Arizona Department of Revenue', amount: 4000, dateRecorded: new Date('2022-02-01') }
+        ]
+      }));
+
+      expect(findFlags(result, FLAG_TYPES.SURVIVING_SENIOR_LIEN)).toEqual([{
+        type: FLAG_TYPES.SURVIVING_SENIOR_LIEN,
+        severity: 'High',
+        lienholder: 'First Bank',
+        amount: 200000,
+        explanation: 'The mortgage held by First Bank (about $200,000) is senior to the lien being foreclosed. ' +
+          'It survives the sale and the buyer takes the property subject to it.'
+      }]);
+      expect(findFlags(result, FLAG_TYPES.IRS_REDEMPTION)).toEqual([expect.objectContaining({
+        severity: 'High',
+        lienholder: 'Internal Revenue Service',
+        amount: 15000
+      })]);
+      expect(findFlags(result, FLAG_TYPES.STATE_TAX_LIEN)).toEqual([expect.objectContaining({ severity: 'Medium', amount: 4000 })]);
+      expect(result.level).toBe('High');
+    });
+
+    it('doesn\'t flag senior liens when the first mortgage is foreclosed', () => {
+      const result = evaluate(buildProperty({
+        liens: [
+          { type: 'Deed of Trust', lienholder: 'First Bank', amount: 200000, dateRecorded: new Date('2015-03-01'), isForeclosing: true },
+          { type: 'HELOC', lienholder: 'Second Bank', amount: 40000, dateRecorded: new Date('2019-06-01') }
+        ]
+      }));
+
+      expect(result).toEqual({ level: 'None', flags: [] });
+    });
+
+    it('flags the HOA super-priority portion that survives in Nevada', () => {
+      const result = evaluate(buildProperty({
+        address: { county: 'Clark', state: 'NV' },
+        liens: [
+          { type: 'Deed of Trust', lienholder: 'First Bank', amount: 200000, dateRecorded: new Date('2015-03-01') },
+          { type: 'HOA Assessment', lienholder: 'Desert Villas HOA', amount: 5000, monthlyAssessment: 300, dateRecorded: new Date('2023-01-01') }
+        ]
+      }));
+
+      expect(findFlags(result, FLAG_TYPES.HOA_SUPER_PRIORITY)).toEqual([{
+        type: FLAG_TYPES.HOA_SUPER_PRIORITY,
+        severity: 'Medium',
+        lienholder: 'Desert Villas HOA',
+        amount: 2700,
+        explanation: '9-month HOA super-priority lien in NV: about $2,700 owed to Desert Villas HOA survives the foreclosure sale.'
+      }]);
+    });
+  });
+
+  describe('liens', () => {
+    it('flags municipal liens, delinquent taxes, mechanics liens and liens it can\'t place', () => {
+      const result = evaluate(buildProperty({
+        taxInfo: { taxDelinquent: true, taxDelinquentAmount: 3000 },
+        liens: [
+          { type: 'Deed of Trust', lienholder: 'First Bank', amount: 200000, dateRecorded: new Date('2015-03-01') },
+          { type: 'Code Enforcement Lien', lienholder: 'City of Phoenix', amount: 2500 },
+          { type: 'Mechanics Lien', lienholder: 'ABC Roofing', amount: 8000, dateRecorded: new Date('2023-08-01') },
+          { type: 'Judgment', lienholder: 'Credit Collections LLC', amount: 6000 }
+        ]
+      }));
+
+      expect(result.flags.map(flag => [flag.type, flag.severity])).toEqual([
+        [FLAG_TYPES.MUNICIPAL_LIEN, 'Medium'],
+        [FLAG_TYPES.DELINQUENT_TAXES, 'Medium'],
+        [FLAG_TYPES.MECHANICS_LIEN, 'Low'],
+        [FLAG_TYPES.UNKNOWN_LIEN_PRIORITY, 'Low']
+      ]);
+      expect(findFlags(result, FLAG_TYPES.DELINQUENT_TAXES)[0].explanation).toMatch(/^About \$3,000 in delinquent property taxes/);
+      expect(findFlags(result, FLAG_TYPES.UNKNOWN_LIEN_PRIORITY)[0].explanation).toMatch(/^1 lien has no recording date or priority/);
+      expect(result.level).toBe('Medium');
+    });
+
+    it('doesn\'t question the priority of a lone undated lien', () => {
+      const result = evaluate(buildProperty({
+        foreclosureStatus: 'Pre-Foreclosure',
+        liens: [{ type: 'Mortgage', lienholder: 'First Bank', amount: 200000 }]
+      }));
+
+      expect(findFlags(result, FLAG_TYPES.UNKNOWN_LIEN_PRIORITY)).toEqual([]);
+    });
+  });
+
+  describe('redemption', () => {
+    const soldInMichigan = (saleDate) => buildProperty({
+      address: { county: 'Wayne', state: 'MI' },
+      foreclosureStatus: 'Sold',
+      foreclosureEvents: [{ type: 'Sold to Third Party', date: saleDate }]
+    });
+
+    it('flags a sold property still in its redemption period', () => {
+      const result = evaluate(soldInMichigan(new Date('2024-05-01T00:00:00Z')));
+
+      expect(result.flags).toEqual([{
+        type: FLAG_TYPES.REDEMPTION_PERIOD,
+        severity: 'High',
+        explanation: 'The former owner can redeem the property until 2024-10-28 by repaying the sale price plus interest and ' +
+          'costs. Title isn\'t final and improvements are at risk before then. 30 days for abandoned property, up to a year on larger lots.'
+      }]);
+    });
+
+    it('clears once the redemption period has run', () => {
+      expect(evaluate(soldInMichigan(new Date('2023-06-01T00:00:00Z'))).flags).toEqual([]);
+    });
+
+    it('warns about the redemption period before an upcoming sale', () => {
+      const result = evaluate(buildProperty({ address: { county: 'Wayne', state: 'MI' } }));
+
+      expect(result.flags).toEqual([expect.objectContaining({
+        type: FLAG_TYPES.REDEMPTION_PERIOD,
+        severity: 'Medium',
+        explanation: expect.stringContaining('MI gives the owner 180 days to redeem after a foreclosure sale.')
+      })]);
+    });
+
+    it('skips states without a right of redemption', () => {
+      expect(evaluate(buildProperty()).flags).toEqual([]);
+    });
+  });
+
+  it('reuses a lien analysis it is given', () => {
+    const property = buildProperty({ taxInfo: { taxDelinquent: true, taxDelinquentAmount: 3000 } });
+    const analysis = evaluator.liens.analyze(property, { asOf: AS_OF });
+    const analyze = jest.spyOn(evaluator.liens, 'analyze');
+
+    const result = evaluator.evaluate(property, { asOf: AS_OF, analysis });
+
+    expect(analyze).not.toHaveBeenCalled();
+    expect(findFlags(result, FLAG_TYPES.DELINQUENT_TAXES)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,231 @@
+const LienWaterfall = require('../valuation/lienWaterfall');
+const ForeclosureRules = require('../dataCollection/foreclosureRules');
+
+const SEVERITY_ORDER = ['Low', 'Medium', 'High'];
+
+const FLAG_TYPES = {
+  BANKRUPTCY_STAY: 'Bankruptcy Stay',
+  IRS_REDEMPTION: 'IRS Redemption Right',
+  SURVIVING_SENIOR_LIEN: 'Surviving Senior Lien',
+  MUNICIPAL_LIEN: 'Municipal Lien',
+  HOA_SUPER_PRIORITY: 'HOA Super-Priority Lien',
+  DELINQUENT_TAXES: 'Delinquent Taxes',
+  STATE_TAX_LIEN: 'State Tax Lien',
+  MECHANICS_LIEN: 'Mechanics Lien',
+  UNKNOWN_LIEN_PRIORITY: 'Unknown Lien Priority',
+  REDEMPTION_PERIOD: 'Redemption Period'
+};
+
+// Federal bankruptcy case numbers look like "2:24-bk-10234"; some sources record
+// the case as "BK 24-10234" or spell out bankruptcy
+const BANKRUPTCY_CASE = /\d{1,2}:\d{2}-bk-\d+|\bbk\b|bankr/i;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Rules-based title and lien risk checks run before bidding. Each flag has a
+// type, severity and plain-language explanation; the level is the worst severity.
+class TitleRiskEvaluator {
+  constructor(options = {}) {
+    this.liens = options.liens || new LienWaterfall();
+    this.foreclosureRules = options.foreclosureRules || new ForeclosureRules();
+  }
+
+  // A foreclosure sale can't go ahead while the automatic stay is in force
+  checkBankruptcy(property) {
+    const details = property.foreclosureDetails || {};
+    const flags = [];
+
+    if (details.caseNumber && BANKRUPTCY_CASE.test(details.caseNumber)) {
+      flags.push({
+        type: FLAG_TYPES.BANKRUPTCY_STAY,
+        severity: 'High',
+        explanation: `Case ${details.caseNumber} looks like a bankruptcy filing. The automatic stay halts the sale ` +
+          'until the case is dismissed or the court lifts the stay, and a sale held during the stay can be voided.'
+      });
+      return flags;
+    }
+
+    const postponement = (property.foreclosureEvents || [])
+      .filter(event => event.type === 'Sale Postponed' && event.notes && /bankrupt/i.test(event.notes))
+      .pop();
+    if (postponement) {
+      flags.push({
+        type: FLAG_TYPES.BANKRUPTCY_STAY,
+        severity: 'High',
+        explanation: `The sale was postponed on ${formatDate(postponement.date)} for a bankruptcy ` +
+          `("${postponement.notes}"). Check the stay has been lifted before bidding.`
+      });
+    }
+    return flags;
+  }
+
+  // The former owner can buy the property back after the sale in some states: a sold or
+  // REO property is at risk until the period ends, an upcoming sale ties the buyer up for it
+  checkRedemption(property, asOf) {
+    const state = property.address && property.address.state;
+    const rules = this.foreclosureRules.getRules(state);
+    if (!rules || !rules.redemptionDays) return [];
+
+    const note = rules.redemptionNote ? ` ${rules.redemptionNote}.` : '';
+    const redemption = this.foreclosureRules.getRedemption(property, { asOf });
+    if (redemption) {
+      if (!redemption.active) return [];
+      const until = redemption.endsAt ? `until ${formatDate(redemption.endsAt)}` : `for ${redemption.days} days after the sale`;
+      return [{
+        type: FLAG_TYPES.REDEMPTION_PERIOD,
+        severity: 'High',
+        explanation: `The former owner can redeem the property ${until} by repaying the sale price plus interest and ` +
+          `costs. Title isn't final and improvements are at risk before then.${note}`
+      }];
+    }
+
+    if (!['Pre-Foreclosure', 'Auction'].includes(property.foreclosureStatus)) return [];
+    return [{
+      type: FLAG_TYPES.REDEMPTION_PERIOD,
+      severity: 'Medium',
+      explanation: `${rules.state} gives the owner ${rules.redemptionDays} days to redeem after a foreclosure sale. ` +
+        `A buyer at the sale can't count on the property until then.${note}`
+    }];
+  }
+
+  checkForeclosureSale(analysis) {
+    const sale = analysis.scenarios.find(scenario => scenario.scenario === LienWaterfall.SCENARIOS.FORECLOSURE_SALE);
+    if (!sale) return [];
+
+    const flags = [];
+
+    sale.survivingLiens
+      .filter(lien => lien.reason === 'Senior to the foreclosed lien')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.SURVIVING_SENIOR_LIEN,
+          severity: 'High',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `The ${lien.category.toLowerCase()} held by ${lien.lienholder} (about ${formatMoney(lien.payoff)}) ` +
+            'is senior to the lien being foreclosed. It survives the sale and the buyer takes the property subject to it.'
+        });
+      });
+
+    sale.survivingLiens
+      .filter(lien => lien.category === 'HOA' && lien.reason !== 'Senior to the foreclosed lien')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.HOA_SUPER_PRIORITY,
+          severity: 'Medium',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `${lien.reason}: about ${formatMoney(lien.payoff)} owed to ${lien.lienholder} survives the foreclosure sale.`
+        });
+      });
+
+    sale.extinguishedLiens
+      .filter(lien => lien.category === 'Federal Tax')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.IRS_REDEMPTION,
+          severity: 'High',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `The federal tax lien (${formatMoney(lien.payoff)}) is wiped out by the sale, but the IRS can ` +
+            'redeem the property within 120 days by repaying the winning bid plus interest and expenses.'
+        });
+      });
+
+    sale.extinguishedLiens
+      .filter(lien => lien.category === 'State Tax')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.STATE_TAX_LIEN,
+          severity: 'Medium',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `The state tax lien held by ${lien.lienholder} (${formatMoney(lien.payoff)}) is junior, ` +
+            'but some states keep a right of redemption or require separate notice to clear it.'
+        });
+      });
+
+    return flags;
+  }
+
+  checkLiens(property, analysis) {
+    const flags = [];
+
+    analysis.liens
+      .filter(lien => lien.category === 'Municipal')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.MUNICIPAL_LIEN,
+          severity: 'Medium',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `${lien.type} held by ${lien.lienholder} (${formatMoney(lien.payoff)}). Code enforcement and ` +
+            'utility liens survive foreclosure and tax sales, and daily fines may still be accruing.'
+        });
+      });
+
+    const taxes = analysis.liens.filter(lien => lien.category === 'Property Tax');
+    if (taxes.length > 0) {
+      const owed = taxes.reduce((sum, lien) => sum + lien.payoff, 0);
+      flags.push({
+        type: FLAG_TYPES.DELINQUENT_TAXES,
+        severity: 'Medium',
+        amount: owed,
+        explanation: `About ${formatMoney(owed)} in delinquent property taxes, penalties included. Taxes outrank every ` +
+          'recorded lien and must be paid by the buyer; left unpaid they lead to a tax sale.'
+      });
+    }
+
+    analysis.liens
+      .filter(lien => lien.category === 'Mechanics')
+      .forEach(lien => {
+        flags.push({
+          type: FLAG_TYPES.MECHANICS_LIEN,
+          severity: 'Low',
+          lienholder: lien.lienholder,
+          amount: lien.payoff,
+          explanation: `Mechanics lien by ${lien.lienholder} (${formatMoney(lien.payoff)}). In many states its priority ` +
+            'dates from when work started rather than when it was recorded.'
+        });
+      });
+
+    // Order only matters among recorded liens; statutory liens always come first
+    const recorded = (property.liens || [])
+      .filter(lien => !['Property Tax', 'Municipal'].includes(this.liens.categorize(lien.type)));
+    const unplaced = recorded.filter(lien => !lien.dateRecorded && !lien.priority);
+    if (unplaced.length > 0 && recorded.length > 1) {
+      flags.push({
+        type: FLAG_TYPES.UNKNOWN_LIEN_PRIORITY,
+        severity: 'Low',
+        explanation: `${unplaced.length} lien${unplaced.length > 1 ? 's have' : ' has'} no recording date or priority, ` +
+          'so which liens survive a sale is uncertain. Pull a title report to confirm lien order.'
+      });
+    }
+
+    return flags;
+  }
+
+  // Returns { level, flags }. Pass analysis to reuse a lien waterfall already worked out.
+  evaluate(property, options = {}) {
+    const asOf = options.asOf || new Date();
+    const analysis = options.analysis || this.liens.analyze(property, { asOf });
+
+    const flags = [
+      ...this.checkBankruptcy(property),
+      ...this.checkRedemption(property, asOf),
+      ...this.checkForeclosureSale(analysis),
+      ...this.checkLiens(property, analysis)
+    ].sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+
+    return {
+      level: flags.length > 0 ? flags[0].severity : 'None',
+      flags
+    };
+  }
+}
+
+TitleRiskEvaluator.FLAG_TYPES = FLAG_TYPES;
+
+module.exports = TitleRiskEvaluator;
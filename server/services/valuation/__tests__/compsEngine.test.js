@@ -0,0 +1,60 @@
+const CompsEngine = require('../compsEngine');
+
+const engine = new CompsEngine();
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const comp = (adjustedPrice, overrides = {}) => ({
+  adjustedPrice,
+  weight: 50,
+  distance: 0.5,
+  saleDate: new Date(Date.now() - 3 * MONTH_MS),
+  grossAdjustment: 0.05,
+  ...overrides
+});
+
+describe('CompsEngine.reconcile', () => {
+  it('returns null without weighted comps', () => {
+    expect(engine.reconcile([])).toBeNull();
+    expect(engine.reconcile([comp(200000, { weight: 0 })])).toBeNull();
+  });
+
+  it('weights adjusted prices into a rounded value', () => {
+    const result = engine.reconcile([comp(200000, { weight: 75 }), comp(240000, { weight: 25 })]);
+
+    expect(result.value).toBe(210000);
+    expect(result.compCount).toBe(2);
+  });
+
+  it('ignores comps without weight', () => {
+    const result = engine.reconcile([comp(200000), comp(210000), comp(190000), comp(900000, { weight: 0 })]);
+
+    expect(result).toMatchObject({ value: 200000, compCount: 3 });
+  });
+
+  it('keeps at least the minimum range around the value', () => {
+    const result = engine.reconcile([comp(200000), comp(200000), comp(200000)]);
+
+    expect(result).toMatchObject({ value: 200000, low: 190000, high: 210000 });
+  });
+
+  it('widens the range with the spread of the comps', () => {
+    const result = engine.reconcile([comp(150000), comp(250000)]);
+
+    expect(result).toMatchObject({ value: 200000, low: 150000, high: 250000 });
+  });
+
+  it('is more confident in many close, recent, agreeing comps', () => {
+    const strong = engine.reconcile([190000, 195000, 200000, 200000, 205000, 210000].map(price => comp(price)));
+    const weak = engine.reconcile([
+      comp(120000, { distance: 4, saleDate: new Date(Date.now() - 22 * MONTH_MS), grossAdjustment: 0.35 }),
+      comp(280000, { distance: 4, saleDate: new Date(Date.now() - 20 * MONTH_MS), grossAdjustment: 0.3 })
+    ]);
+
+    expect(strong.confidence).toBeGreaterThan(weak.confidence);
+    [strong, weak].forEach(result => {
+      expect(result.confidence).toBeGreaterThanOrEqual(0);
+      expect(result.confidence).toBeLessThanOrEqual(100);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const LienWaterfall = require('../lienWaterfall');
+
+const { SCENARIOS } = LienWaterfall;
+const waterfall = new LienWaterfall();
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+
+const buildProperty = (state) => ({
+  address: { state, county: 'Clark' },
+  foreclosureStatus: 'Auction',
+  valuation: { value: 300000 },
+  taxInfo: { taxDelinquent: true, taxDelinquentAmount: 3000 },
+  foreclosureDetails: { openingBid: 180000 },
+  liens: [
+    { type: 'HOA Assessment', lienholder: 'Desert Villas HOA', amount: 5000, monthlyAssessment: 300, dateRecorded: new Date('2022-01-01') },
+    { type: 'Deed of Trust', lienholder: 'First Bank', amount: 200000, amountAsOf: AS_OF, dateRecorded: new Date('2018-01-01') }
+  ]
+});
+
+const findScenario = (result, scenario) => result.scenarios.find(item => item.scenario === scenario);
+const lienholders = (liens) => liens.map(lien => lien.lienholder);
+
+describe('LienWaterfall', () => {
+  it('categorizes lien descriptions', () => {
+    expect(waterfall.categorize('IRS Federal Tax Lien')).toBe('Federal Tax');
+    expect(waterfall.categorize('Delinquent Property Tax')).toBe('Property Tax');
+    expect(waterfall.categorize('HOA Assessment')).toBe('HOA');
+    expect(waterfall.categorize('HELOC')).toBe('Junior Mortgage');
+    expect(waterfall.categorize('Deed of Trust')).toBe('Mortgage');
+    expect(waterfall.categorize('Something else')).toBe('Other');
+  });
+
+  it('accrues simple interest from the date the amount was stated', () => {
+    const lien = { category: 'Property Tax', amount: 10000, amountAsOf: new Date('2023-06-02T00:00:00Z') };
+
+    expect(waterfall.payoff(lien, AS_OF)).toEqual({ accruedInterest: 1200, payoff: 11200 });
+    expect(waterfall.payoff({ ...lien, amountAsOf: undefined }, AS_OF)).toEqual({ accruedInterest: 0, payoff: 10000 });
+  });
+
+  it('puts delinquent taxes first, then recorded liens by date', () => {
+    const result = waterfall.analyze(buildProperty('NV'), { asOf: AS_OF });
+
+    expect(result.liens.map(lien => [lien.position, lien.category, lien.payoff])).toEqual([
+      [1, 'Property Tax', 3000],
+      [2, 'Mortgage', 200000],
+      [3, 'HOA', 5000]
+    ]);
+    expect(result.liens[1].isForeclosing).toBe(true);
+    expect(result.totalLienPayoff).toBe(208000);
+    expect(result.valueSource).toBe('Automated Valuation');
+  });
+
+  it('adds the foreclosing loan when no mortgage is recorded', () => {
+    const result = waterfall.analyze({
+      foreclosureStatus: 'Pre-Foreclosure',
+      foreclosureDetails: { loanAmount: 150000, lender: 'Big Lender' }
+    }, { asOf: AS_OF });
+
+    expect(result.liens).toEqual([expect.objectContaining({ category: 'Mortgage', lienholder: 'Big Lender', isForeclosing: true })]);
+    expect(result.value).toBeNull();
+  });
+
+  it('pays every lien and selling costs in an owner sale', () => {
+    const ownerSale = findScenario(waterfall.analyze(buildProperty('NV'), { asOf: AS_OF }), SCENARIOS.OWNER_SALE);
+
+    expect(ownerSale).toMatchObject({ price: 300000, sellingCosts: 24000, netEquity: 68000 });
+  });
+
+  it('keeps tax liens and the HOA super-lien through a mortgage foreclosure', () => {
+    const sale = findScenario(waterfall.analyze(buildProperty('NV'), { asOf: AS_OF }), SCENARIOS.FORECLOSURE_SALE);
+
+    expect(sale.price).toBe(180000);
+    expect(sale.survivingLiens.map(lien => [lien.category, lien.payoff])).toEqual([['Property Tax', 3000], ['HOA', 2700]]);
+    expect(sale.extinguishedLiens.map(lien => [lien.category, lien.payoff])).toEqual([['Mortgage', 200000], ['HOA', 2300]]);
+    expect(sale.netEquity).toBe(114300);
+  });
+
+  it('extinguishes a junior HOA lien in states without a super-lien', () => {
+    const sale = findScenario(waterfall.analyze(buildProperty('CA'), { asOf: AS_OF }), SCENARIOS.FORECLOSURE_SALE);
+
+    expect(lienholders(sale.survivingLiens)).toEqual(['Clark County']);
+    expect(sale.netEquity).toBe(117000);
+  });
+
+  it('wipes out every recorded lien in a tax sale', () => {
+    const sale = findScenario(waterfall.analyze(buildProperty('NV'), { asOf: AS_OF }), SCENARIOS.TAX_SALE);
+
+    expect(sale.survivingLiens).toEqual([]);
+    expect(sale).toMatchObject({ price: 3000, netEquity: 297000 });
+  });
+
+  it('lets an HOA foreclosure extinguish the first mortgage only where the law allows', () => {
+    const nevada = findScenario(waterfall.analyze(buildProperty('NV'), { asOf: AS_OF }), SCENARIOS.HOA_FORECLOSURE);
+    const california = findScenario(waterfall.analyze(buildProperty('CA'), { asOf: AS_OF }), SCENARIOS.HOA_FORECLOSURE);
+
+    expect(lienholders(nevada.survivingLiens)).toEqual(['Clark County']);
+    expect(nevada.netEquity).toBe(292000);
+    expect(lienholders(california.survivingLiens)).toEqual(['Clark County', 'First Bank']);
+    expect(california.netEquity).toBe(92000);
+  });
+
+  it('notes the IRS redemption right when a federal tax lien is extinguished', () => {
+    const property = buildProperty('CA');
+    property.liens.push({ type: 'IRS Tax Lien', lienholder: 'IRS', amount: 8000, dateRecorded: new Date('2023-01-01') });
+
+    const sale = findScenario(waterfall.analyze(property, { asOf: AS_OF }), SCENARIOS.FORECLOSURE_SALE);
+
+    expect(sale.notes).toEqual([expect.stringContaining('IRS can redeem')]);
+  });
+});
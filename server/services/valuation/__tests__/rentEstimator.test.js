@@ -0,0 +1,182 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const RentalComp = require('../../../models/RentalComp');
+const FairMarketRents = require('../fairMarketRents');
+const RentEstimator = require('../rentEstimator');
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const SMALL_AREA_FMR = path.join(__dirname, '..', '__fixtures__', 'small-area-fmr.csv');
+const COUNTY_FMR = path.join(__dirname, '..', '__fixtures__', 'county-fmr.csv');
+
+// Chained query stub: sort() and limit() return the query, which resolves to result
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const buildSubject = (overrides = {}) => ({
+  address: { street: '123 N Main St', city: 'Phoenix', county: 'Maricopa', state: 'AZ', zipCode: '85004' },
+  location: { type: 'Point', coordinates: [-112.0740, 33.4484] },
+  propertyType: 'Single Family',
+  bedrooms: 3,
+  bathrooms: 2,
+  squareFeet: 1500,
+  ...overrides
+});
+
+// A rental just like the subject, leased on AS_OF at the same spot
+const buildRental = (monthlyRent, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  address: { street: '125 N Main St', unit: 'B', city: 'Phoenix', state: 'AZ', zipCode: '85004' },
+  location: { type: 'Point', coordinates: [-112.0740, 33.4484] },
+  monthlyRent,
+  leaseDate: AS_OF,
+  bedrooms: 3,
+  bathrooms: 2,
+  squareFeet: 1500,
+  ...overrides
+});
+
+describe('RentEstimator', () => {
+  let estimator;
+
+  beforeEach(() => {
+    estimator = new RentEstimator({ fairMarketRents: new FairMarketRents(SMALL_AREA_FMR) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('comparable rentals', () => {
+    it('adjusts a rental for time, size, bedrooms and bathrooms', () => {
+      const rental = buildRental(1500, { bedrooms: 2, bathrooms: 1, squareFeet: 1200, leaseDate: new Date(AS_OF.getTime() - 10 * MONTH_MS) });
+
+      const comp = estimator.describeComp(buildSubject(), rental, AS_OF);
+
+      expect(comp).toMatchObject({
+        address: '125 N Main St, B, Phoenix, AZ',
+        distance: 0,
+        adjustments: { time: 45, size: 150, bedrooms: 120, bathrooms: 60 },
+        adjustedRent: 1875
+      });
+      expect(comp.similarity).toBeLessThan(100);
+      expect(comp.weight).toBeLessThan(comp.similarity);
+    });
+
+    it('widens the search until it finds enough rentals', async () => {
+      const find = jest.spyOn(RentalComp, 'find')
+        .mockReturnValueOnce(query([buildRental(1800)]))
+        .mockReturnValueOnce(query([buildRental(1800), buildRental(1850), buildRental(1750)]));
+
+      const comps = await estimator.findComps(buildSubject(), { asOf: AS_OF });
+
+      expect(comps).toHaveLength(3);
+      expect(find).toHaveBeenCalledTimes(2);
+      const [[first], [second]] = find.mock.calls;
+      expect(first.leaseDate.$gte).toEqual(new Date(AS_OF.getTime() - 6 * MONTH_MS));
+      expect(second.leaseDate.$gte).toEqual(new Date(AS_OF.getTime() - 12 * MONTH_MS));
+      expect(second).toMatchObject({
+        location: { $geoWithin: { $centerSphere: [[-112.0740, 33.4484], 1 / 3958.8] } },
+        propertyType: { $in: ['Single Family', null] },
+        bedrooms: { $gte: 2, $lte: 4 }
+      });
+    });
+
+    it('searches the ZIP code, widening only in time, without coordinates', async () => {
+      const find = jest.spyOn(RentalComp, 'find').mockReturnValue(query([]));
+
+      expect(await estimator.findComps(buildSubject({ location: undefined }), { asOf: AS_OF })).toEqual([]);
+
+      expect(find).toHaveBeenCalledTimes(3);
+      find.mock.calls.forEach(([conditions]) => {
+        expect(conditions['address.zipCode']).toBe('85004');
+        expect(conditions.location).toBeUndefined();
+      });
+    });
+
+    it('ranks the most similar rentals first', async () => {
+      const unlike = buildRental(2600, { bedrooms: 4, squareFeet: 2200, leaseDate: new Date(AS_OF.getTime() - 5 * MONTH_MS) });
+      const alike = buildRental(1800);
+      jest.spyOn(RentalComp, 'find').mockReturnValue(query([unlike, alike, buildRental(1820)]));
+
+      const comps = await estimator.findComps(buildSubject(), { asOf: AS_OF, maxComps: 2 });
+
+      expect(comps.map(comp => comp.rental)).toEqual([alike._id, expect.anything()]);
+      expect(comps.map(comp => comp.rental)).not.toContainEqual(unlike._id);
+    });
+  });
+
+  describe('estimate', () => {
+    it('reconciles agreeing rentals into a rent range', async () => {
+      jest.spyOn(RentalComp, 'find').mockReturnValue(query([buildRental(1800), buildRental(1800), buildRental(1800)]));
+
+      const estimate = await estimator.estimate(buildSubject(), { asOf: AS_OF });
+
+      expect(estimate).toMatchObject({
+        rent: 1800,
+        low: 1710,
+        high: 1890,
+        confidence: 75,
+        method: 'Rent Comps',
+        compCount: 3,
+        fairMarketRent: { rent: 2140, bedrooms: 3, area: 'ZIP 85004', source: 'HUD Small Area FMR' }
+      });
+      expect(estimate.comps).toHaveLength(3);
+    });
+
+    it('blends a thin set of rentals with the Fair Market Rent', async () => {
+      jest.spyOn(RentalComp, 'find').mockReturnValue(query([buildRental(1840)]));
+
+      const estimate = await estimator.estimate(buildSubject(), { asOf: AS_OF });
+
+      // One rental of the three wanted: a third rentals, two thirds FMR
+      expect(estimate).toMatchObject({ rent: 2040, method: 'Rent Comps + Fair Market Rent', compCount: 1 });
+      expect(estimate.low).toBeLessThan(estimate.rent);
+      expect(estimate.high).toBeGreaterThan(estimate.rent);
+    });
+
+    it('falls back on the Fair Market Rent without rentals', async () => {
+      jest.spyOn(RentalComp, 'find').mockReturnValue(query([]));
+
+      const estimate = await estimator.estimate(buildSubject(), { asOf: AS_OF });
+
+      expect(estimate).toMatchObject({ rent: 2140, low: 1820, high: 2460, confidence: 35, method: 'Fair Market Rent', comps: [] });
+    });
+
+    it('returns null when nothing covers the property', async () => {
+      jest.spyOn(RentalComp, 'find').mockReturnValue(query([]));
+      const uncovered = new RentEstimator({ fairMarketRents: new FairMarketRents(path.join(__dirname, 'missing.csv')) });
+
+      expect(await uncovered.estimate(buildSubject(), { asOf: AS_OF })).toBeNull();
+    });
+  });
+
+  describe('FairMarketRents', () => {
+    it('looks up Small Area FMRs by ZIP and unit size', async () => {
+      const fmr = new FairMarketRents(SMALL_AREA_FMR);
+
+      expect(await fmr.lookup({ zipCode: '85004-1234' }, 2)).toEqual({ rent: 1620, bedrooms: 2, area: 'ZIP 85004', source: 'HUD Small Area FMR' });
+      expect(await fmr.lookup({ zipCode: '02134' })).toMatchObject({ rent: 2430, bedrooms: 2 });
+      expect(await fmr.lookup({ zipCode: '85004' }, 6)).toMatchObject({ rent: Math.round(2480 * 1.15 ** 2), bedrooms: 6 });
+      expect(await fmr.lookup({ zipCode: '85099' }, 2)).toBeNull();
+    });
+
+    it('looks up county FMRs by county and state', async () => {
+      const fmr = new FairMarketRents(COUNTY_FMR);
+
+      expect(await fmr.lookup({ zipCode: '85004', county: 'maricopa', state: 'az' }, 1))
+        .toEqual({ rent: 1310, bedrooms: 1, area: 'maricopa County, az', source: 'HUD FMR' });
+      expect(await fmr.lookup({ zipCode: '85004', county: 'Pima', state: 'AZ' }, 1)).toBeNull();
+    });
+
+    it('is skipped when no file is configured', async () => {
+      expect(new FairMarketRents(undefined).isConfigured()).toBe(false);
+      expect(await new FairMarketRents(undefined).lookup({ zipCode: '85004' }, 2)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const RecordedSale = require('../../../models/RecordedSale');
+const ValuationModel = require('../valuationModel');
+
+const { APPROACHES, MODEL_VERSION } = ValuationModel;
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+const QUARTER_MS = 3 * 30.44 * 24 * 60 * 60 * 1000;
+
+// Chained query stub: select() and limit() return the query, which resolves to result
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Three 1,000 sq ft sales in each of the last four quarters, $10/sq ft dearer each quarter
+const risingSales = () => [230, 220, 210, 200].flatMap((pricePerSqFt, quarter) => [0, 1, 2].map(() => ({
+  salePrice: pricePerSqFt * 1000,
+  squareFeet: 1000,
+  saleDate: new Date(AS_OF.getTime() - (quarter + 0.5) * QUARTER_MS)
+})));
+
+const buildSubject = (overrides = {}) => ({
+  address: { street: '123 N Main St', city: 'Phoenix', county: 'Maricopa', state: 'AZ', zipCode: '85004' },
+  propertyType: 'Single Family',
+  squareFeet: 1500,
+  taxInfo: { assessedValue: 250000 },
+  ...overrides
+});
+
+const compsEstimate = {
+  value: 300000,
+  low: 280000,
+  high: 320000,
+  confidence: 80,
+  compCount: 5,
+  comps: [{ distance: 0.4 }, { distance: 1.2 }]
+};
+
+describe('ValuationModel', () => {
+  let comps;
+  let model;
+
+  beforeEach(() => {
+    comps = { estimate: jest.fn().mockResolvedValue(null) };
+    model = new ValuationModel({ comps });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('comparable sales', () => {
+    it('explains the comps estimate', async () => {
+      comps.estimate.mockResolvedValue(compsEstimate);
+
+      const approach = await model.valueFromComps(buildSubject(), { asOf: AS_OF });
+
+      expect(approach).toMatchObject({ approach: APPROACHES.COMPS, value: 300000, low: 280000, high: 320000, confidence: 80 });
+      expect(approach.explanation).toBe('5 comparable sales within 1.2 mi, adjusted for time, size, rooms and age, ' +
+        'indicate $300,000 ($280,000-$320,000)');
+      expect(comps.estimate).toHaveBeenCalledWith(expect.anything(), { asOf: AS_OF });
+    });
+
+    it('reuses the caller\'s estimate, including a missing one', async () => {
+      const approach = await model.valueFromComps(buildSubject(), { asOf: AS_OF, compsEstimate: null });
+
+      expect(approach).toEqual({ approach: APPROACHES.COMPS, explanation: 'Comparable sales not used: no recorded arms-length sales nearby' });
+      expect(comps.estimate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('price per square foot', () => {
+    it('projects the ZIP trend to the valuation date', async () => {
+      const find = jest.spyOn(RecordedSale, 'find').mockReturnValue(query(risingSales()));
+
+      const trend = await model.getPriceTrend('85004', 'Single Family', AS_OF);
+
+      expect(trend).toMatchObject({ salesCount: 12, quarterCount: 4, sameType: true });
+      expect(trend.pricePerSqFt).toBeCloseTo(235);
+      expect(trend.annualChange).toBeCloseTo(40 / 235);
+      expect(find).toHaveBeenCalledTimes(1);
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ 'address.zipCode': '85004', propertyType: 'Single Family', armsLength: true }));
+    });
+
+    it('values the living area at the trend price', async () => {
+      jest.spyOn(RecordedSale, 'find').mockReturnValue(query(risingSales()));
+
+      const approach = await model.valueFromPriceTrend(buildSubject(), { asOf: AS_OF });
+
+      expect(approach).toMatchObject({ value: 353000, low: 324000, high: 381000, confidence: 47 });
+      expect(approach.explanation).toBe('ZIP 85004 sells at $235/sq ft, up 17% a year over 12 sales; at 1,500 sq ft that is $352,500');
+    });
+
+    it('falls back to all property types with less trust', async () => {
+      jest.spyOn(RecordedSale, 'find')
+        .mockReturnValueOnce(query(risingSales().slice(0, 5)))
+        .mockReturnValueOnce(query(risingSales()));
+
+      const approach = await model.valueFromPriceTrend(buildSubject(), { asOf: AS_OF });
+
+      expect(approach.confidence).toBe(37);
+      expect(approach.explanation).toContain('over 12 sales (all property types)');
+    });
+
+    it('says why it was not used', async () => {
+      jest.spyOn(RecordedSale, 'find').mockReturnValue(query([]));
+
+      const reasons = [
+        await model.valueFromPriceTrend(buildSubject({ squareFeet: undefined }), { asOf: AS_OF }),
+        await model.valueFromPriceTrend(buildSubject({ address: {} }), { asOf: AS_OF }),
+        await model.valueFromPriceTrend(buildSubject(), { asOf: AS_OF })
+      ].map(approach => approach.explanation);
+
+      expect(reasons).toEqual([
+        'Price per square foot not used: living area unknown',
+        'Price per square foot not used: ZIP code unknown',
+        'Price per square foot not used: fewer than 10 sales with living area in ZIP 85004'
+      ]);
+    });
+  });
+
+  describe('assessed value', () => {
+    it('scales the assessment by the county sales ratio', async () => {
+      const sales = Array.from({ length: 10 }, () => ({ salePrice: 240000, assessedValue: 200000 }));
+      jest.spyOn(RecordedSale, 'find').mockReturnValue(query(sales));
+
+      const approach = await model.valueFromAssessment(buildSubject(), { asOf: AS_OF });
+
+      expect(approach).toMatchObject({ value: 300000, low: 276000, high: 324000, confidence: 42 });
+      expect(approach.explanation).toBe('Assessed value $250,000 × Maricopa County sales-to-assessment ratio 1.2 (10 sales) = $300,000');
+    });
+
+    it('takes the assessment at face value without enough county sales', async () => {
+      jest.spyOn(RecordedSale, 'find').mockReturnValue(query([]));
+
+      const approach = await model.valueFromAssessment(buildSubject(), { asOf: AS_OF });
+
+      expect(approach).toMatchObject({ value: 250000, low: 188000, high: 313000, confidence: 20 });
+    });
+
+    it('is skipped without an assessment', async () => {
+      const approach = await model.valueFromAssessment(buildSubject({ taxInfo: {} }), { asOf: AS_OF });
+
+      expect(approach).toEqual({ approach: APPROACHES.ASSESSED, explanation: 'Assessed value not used: no assessment on file' });
+    });
+  });
+
+  describe('reconcile', () => {
+    it('weights approaches by base share and confidence', () => {
+      const factors = [];
+
+      const result = model.reconcile([
+        { approach: APPROACHES.COMPS, value: 300000, low: 280000, high: 320000, confidence: 80 },
+        { approach: APPROACHES.PRICE_PER_SQFT, value: 310000, low: 285000, high: 335000, confidence: 50 },
+        { approach: APPROACHES.ASSESSED }
+      ], factors);
+
+      expect(result).toEqual({ value: 302000, low: 281000, high: 323000, confidence: 72 });
+      expect(factors).toEqual(['Weighted 79% comparable sales, 21% price per sq ft']);
+    });
+
+    it('widens the range and lowers confidence when approaches disagree', () => {
+      const factors = [];
+
+      const result = model.reconcile([
+        { approach: APPROACHES.COMPS, value: 200000, low: 190000, high: 210000, confidence: 60 },
+        { approach: APPROACHES.ASSESSED, value: 400000, low: 380000, high: 420000, confidence: 60 }
+      ], factors);
+
+      expect(result).toMatchObject({ value: 240000, low: 160000, high: 320000 });
+      expect(result.confidence).toBeLessThan(60);
+      expect(factors[1]).toMatch(/^Approaches differ by \d+(\.\d)?% on average, so the range is widened$/);
+    });
+
+    it('trusts a single approach less', () => {
+      const result = model.reconcile([{ approach: APPROACHES.COMPS, value: 300000, low: 280000, high: 320000, confidence: 80 }], []);
+
+      expect(result.confidence).toBe(68);
+    });
+
+    it('returns null when nothing could be valued', () => {
+      expect(model.reconcile([{ approach: APPROACHES.COMPS }, { approach: APPROACHES.ASSESSED, value: 100000, confidence: 0 }], [])).toBeNull();
+    });
+  });
+
+  describe('value', () => {
+    it('blends every approach and explains each', async () => {
+      comps.estimate.mockResolvedValue(compsEstimate);
+      jest.spyOn(RecordedSale, 'find').mockReturnValue(query(risingSales()));
+
+      const result = await model.value(buildSubject(), { asOf: AS_OF });
+
+      expect(result).toMatchObject({ valuedAt: AS_OF, modelVersion: MODEL_VERSION });
+      expect(result.value).toBeGreaterThanOrEqual(result.low);
+      expect(result.value).toBeLessThanOrEqual(result.high);
+      expect(result.approaches.map(approach => approach.approach)).toEqual([APPROACHES.COMPS, APPROACHES.PRICE_PER_SQFT, APPROACHES.ASSESSED]);
+      expect(result.approaches.reduce((sum, approach) => sum + approach.weight, 0)).toBeCloseTo(1);
+      expect(result.factors).toHaveLength(4);
+    });
+
+    it('returns no value, with the reasons, for a property nothing applies to', async () => {
+      const result = await model.value({ address: {} }, { asOf: AS_OF });
+
+      expect(result).toMatchObject({ value: null, low: null, high: null, confidence: 0 });
+      expect(result.approaches.every(approach => approach.weight === 0)).toBe(true);
+      expect(result.factors).toEqual([
+        'Comparable sales not used: no recorded arms-length sales nearby',
+        'Price per square foot not used: living area unknown',
+        'Assessed value not used: no assessment on file'
+      ]);
+    });
+  });
+});
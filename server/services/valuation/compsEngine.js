@@ -0,0 +1,242 @@
+const RecordedSale = require('../../models/RecordedSale');
+const { EARTH_RADIUS_MILES, distanceMiles } = require('../../utils/propertyFilter');
+const { MONTH_MS, round, clamp, median, getPoint } = require('./valuationMath');
+
+// Search widens step by step until enough comps are found
+const SEARCH_STEPS = [
+  { miles: 0.5, months: 6 },
+  { miles: 1, months: 6 },
+  { miles: 1, months: 12 },
+  { miles: 2, months: 12 },
+  { miles: 5, months: 24 }
+];
+
+const MIN_COMPS = 3;
+const MAX_COMPS = 6;
+
+// Candidates read per search step
+const CANDIDATE_LIMIT = 200;
+
+// Comps must be within this fraction of the subject's living area
+const SIZE_TOLERANCE = 0.35;
+
+// Standard adjustments, as fractions of the comp's sale price unless noted
+const ADJUSTMENTS = {
+  // Market movement per month since the sale
+  monthlyAppreciation: 0.003,
+  // Living area difference is valued at this share of the comp's price per square foot
+  sizeFactor: 0.5,
+  bedroom: 0.015,
+  bathroom: 0.02,
+  // Per year of age difference, capped at ageCap either way
+  age: 0.0025,
+  ageCap: 0.1
+};
+
+// Narrowest value range, as a fraction of the value either side
+const MIN_RANGE = 0.05;
+
+// Selects comparable recorded sales for a property, adjusts them to the subject
+// and reconciles them into a value with a range and confidence score.
+class CompsEngine {
+  constructor(options = {}) {
+    this.adjustments = { ...ADJUSTMENTS, ...options.adjustments };
+  }
+
+  buildQuery(subject, step, asOf) {
+    const point = getPoint(subject);
+    const query = {
+      armsLength: true,
+      saleDate: { $gte: new Date(asOf.getTime() - step.months * MONTH_MS), $lte: asOf }
+    };
+
+    // Without coordinates comps come from the same ZIP code
+    if (point) {
+      query.location = { $geoWithin: { $centerSphere: [[point.lng, point.lat], step.miles / EARTH_RADIUS_MILES] } };
+    } else {
+      query['address.zipCode'] = subject.address.zipCode;
+    }
+
+    if (subject.propertyType) query.propertyType = subject.propertyType;
+    if (subject.addressKey) query.addressKey = { $ne: subject.addressKey };
+    if (subject.squareFeet) {
+      query.squareFeet = {
+        $gte: subject.squareFeet * (1 - SIZE_TOLERANCE),
+        $lte: subject.squareFeet * (1 + SIZE_TOLERANCE)
+      };
+    }
+
+    return query;
+  }
+
+  // Find the most similar recent sales, widening the search until MIN_COMPS are found
+  async findComps(subject, options = {}) {
+    const asOf = options.asOf || new Date();
+    const hasPoint = Boolean(getPoint(subject));
+    if (!hasPoint && !(subject.address && subject.address.zipCode)) return [];
+
+    // Without coordinates only the time window can widen
+    const steps = hasPoint
+      ? SEARCH_STEPS
+      : SEARCH_STEPS.filter((step, index) => index === 0 || step.months !== SEARCH_STEPS[index - 1].months);
+
+    let candidates = [];
+    for (const step of steps) {
+      candidates = await RecordedSale.find(this.buildQuery(subject, step, asOf))
+        .sort({ saleDate: -1 })
+        .limit(CANDIDATE_LIMIT);
+      if (candidates.length >= MIN_COMPS) break;
+    }
+
+    return candidates
+      .map(sale => this.describeComp(subject, sale, asOf))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, options.maxComps || MAX_COMPS);
+  }
+
+  // Similarity (0-100) of a sale to the subject: nearer, newer and more alike scores higher
+  scoreSimilarity(subject, sale, distance, months) {
+    let score = 100;
+    if (distance !== null) score -= Math.min(distance * 10, 30);
+    score -= Math.min(months * 1.5, 25);
+    if (subject.squareFeet && sale.squareFeet) {
+      score -= Math.min((Math.abs(subject.squareFeet - sale.squareFeet) / subject.squareFeet) * 50, 25);
+    }
+    if (subject.bedrooms !== undefined && sale.bedrooms !== undefined) score -= Math.abs(subject.bedrooms - sale.bedrooms) * 5;
+    if (subject.bathrooms !== undefined && sale.bathrooms !== undefined) score -= Math.abs(subject.bathrooms - sale.bathrooms) * 4;
+    if (subject.yearBuilt && sale.yearBuilt) score -= Math.min(Math.abs(subject.yearBuilt - sale.yearBuilt) / 2, 10);
+    return clamp(Math.round(score), 0, 100);
+  }
+
+  // Dollar adjustments that bring a comp's sale price in line with the subject
+  adjust(subject, sale, months) {
+    const rates = this.adjustments;
+    const price = sale.salePrice;
+    const adjustments = { time: round(price * rates.monthlyAppreciation * months) };
+
+    if (subject.squareFeet && sale.squareFeet) {
+      adjustments.size = round((subject.squareFeet - sale.squareFeet) * (price / sale.squareFeet) * rates.sizeFactor);
+    }
+    if (subject.bedrooms !== undefined && sale.bedrooms !== undefined) {
+      adjustments.bedrooms = round((subject.bedrooms - sale.bedrooms) * price * rates.bedroom);
+    }
+    if (subject.bathrooms !== undefined && sale.bathrooms !== undefined) {
+      adjustments.bathrooms = round((subject.bathrooms - sale.bathrooms) * price * rates.bathroom);
+    }
+    if (subject.yearBuilt && sale.yearBuilt) {
+      adjustments.age = round(clamp((subject.yearBuilt - sale.yearBuilt) * rates.age, -rates.ageCap, rates.ageCap) * price);
+    }
+
+    return adjustments;
+  }
+
+  describeComp(subject, sale, asOf) {
+    const point = getPoint(subject);
+    const salePoint = getPoint(sale);
+    const distance = point && salePoint ? Math.round(distanceMiles(point, salePoint) * 100) / 100 : null;
+    const months = Math.max(0, (asOf - sale.saleDate) / MONTH_MS);
+
+    const adjustments = this.adjust(subject, sale, months);
+    const values = Object.values(adjustments);
+    const netAdjustment = values.reduce((sum, value) => sum + value, 0);
+    const grossAdjustment = values.reduce((sum, value) => sum + Math.abs(value), 0) / sale.salePrice;
+    const similarity = this.scoreSimilarity(subject, sale, distance, months);
+
+    return {
+      sale: sale._id,
+      address: [sale.address.street, sale.address.unit, sale.address.city, sale.address.state].filter(Boolean).join(', '),
+      salePrice: sale.salePrice,
+      saleDate: sale.saleDate,
+      propertyType: sale.propertyType,
+      squareFeet: sale.squareFeet,
+      bedrooms: sale.bedrooms,
+      bathrooms: sale.bathrooms,
+      yearBuilt: sale.yearBuilt,
+      pricePerSqFt: sale.pricePerSqFt,
+      distance,
+      adjustments,
+      adjustedPrice: sale.salePrice + netAdjustment,
+      grossAdjustment: Math.round(grossAdjustment * 1000) / 1000,
+      similarity,
+      // Heavily adjusted comps say less about the subject
+      weight: Math.round((similarity / (1 + grossAdjustment * 2)) * 100) / 100
+    };
+  }
+
+  // Reconcile comps into { value, low, high, confidence, compCount }, or null without comps
+  reconcile(comps) {
+    const weighted = comps.filter(comp => comp.weight > 0);
+    if (weighted.length === 0) return null;
+
+    const totalWeight = weighted.reduce((sum, comp) => sum + comp.weight, 0);
+    const value = weighted.reduce((sum, comp) => sum + comp.adjustedPrice * comp.weight, 0) / totalWeight;
+    const variance = weighted.reduce((sum, comp) => sum + comp.weight * (comp.adjustedPrice - value) ** 2, 0) / totalWeight;
+    const spread = Math.max(Math.sqrt(variance), value * MIN_RANGE);
+
+    return {
+      value: round(value, 1000),
+      low: round(value - spread, 1000),
+      high: round(value + spread, 1000),
+      confidence: this.scoreConfidence(weighted, value, Math.sqrt(variance)),
+      compCount: weighted.length
+    };
+  }
+
+  // Confidence (0-100) from comp count, agreement, proximity, recency and adjustment size
+  scoreConfidence(comps, value, deviation) {
+    const average = (pick) => comps.reduce((sum, comp) => sum + pick(comp), 0) / comps.length;
+    const withDistance = comps.filter(comp => comp.distance !== null);
+    const now = Date.now();
+
+    const count = (Math.min(comps.length, MAX_COMPS) / MAX_COMPS) * 30;
+    const agreement = (1 - Math.min(deviation / value / 0.2, 1)) * 30;
+    const proximity = withDistance.length > 0
+      ? (1 - Math.min(withDistance.reduce((sum, comp) => sum + comp.distance, 0) / withDistance.length / 3, 1)) * 15
+      : 5;
+    const recency = (1 - Math.min(average(comp => (now - comp.saleDate) / MONTH_MS) / 24, 1)) * 15;
+    const adjustment = (1 - Math.min(average(comp => comp.grossAdjustment) / 0.4, 1)) * 10;
+
+    return clamp(Math.round(count + agreement + proximity + recency + adjustment), 0, 100);
+  }
+
+  // Value a property from comparable sales. Returns { value, low, high, confidence,
+  // compCount, comps } or null when there are no usable sales nearby.
+  async estimate(subject, options = {}) {
+    const comps = await this.findComps(subject, options);
+    const result = this.reconcile(comps);
+    return result ? { ...result, comps } : null;
+  }
+
+  // Sale statistics for the area around a property over the last year
+  async getAreaStats(subject, options = {}) {
+    const asOf = options.asOf || new Date();
+    const point = getPoint(subject);
+    const query = {
+      armsLength: true,
+      saleDate: { $gte: new Date(asOf.getTime() - 12 * MONTH_MS), $lte: asOf }
+    };
+
+    if (point) {
+      query.location = { $geoWithin: { $centerSphere: [[point.lng, point.lat], 1 / EARTH_RADIUS_MILES] } };
+    } else if (subject.address && subject.address.zipCode) {
+      query['address.zipCode'] = subject.address.zipCode;
+    } else {
+      return null;
+    }
+    if (subject.propertyType) query.propertyType = subject.propertyType;
+
+    const sales = await RecordedSale.find(query).select('salePrice squareFeet').limit(1000);
+    if (sales.length === 0) return null;
+
+    const pricesPerSqFt = sales.filter(sale => sale.squareFeet).map(sale => sale.salePrice / sale.squareFeet);
+    return {
+      medianPrice: round(median(sales.map(sale => sale.salePrice)), 1000),
+      pricePerSqFt: pricesPerSqFt.length > 0 ? Math.round(median(pricesPerSqFt)) : undefined,
+      salesCount: sales.length
+    };
+  }
+}
+
+CompsEngine.ADJUSTMENTS = ADJUSTMENTS;
+
+module.exports = CompsEngine;
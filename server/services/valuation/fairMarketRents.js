@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { parseTabularFile } = require('../../utils/tabularFile');
+
+// Headers are compared lowercase with spaces and punctuation removed
+const ZIP_COLUMNS = ['zipcode', 'zip', 'zcta'];
+const COUNTY_COLUMNS = ['countyname', 'county'];
+const STATE_COLUMNS = ['stusps', 'statealpha', 'state'];
+
+// "SAFMR 0BR" in Small Area FMR files, "fmr_0" in county FMR files
+const BEDROOM_COLUMN = /^(?:safmr|fmr)([0-4])(?:br)?$/;
+
+// HUD sets larger units at +15% per bedroom over the 4-bedroom rent
+const EXTRA_BEDROOM_FACTOR = 1.15;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const countyKey = (county, state) =>
+  `${String(county).replace(/\s+(county|parish|borough)$/i, '').trim().toLowerCase()}|${String(state).trim().toUpperCase()}`;
+
+// HUD Fair Market Rents read from a local file set by FAIR_MARKET_RENTS_FILE:
+// either the Small Area FMR table (by ZIP code) or the county FMR table.
+// FMRs are 40th percentile gross rents, so they run a little under market asking rents.
+class FairMarketRents {
+  constructor(filePath = process.env.FAIR_MARKET_RENTS_FILE) {
+    this.filePath = filePath;
+    this.byZip = null;
+    this.byCounty = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.filePath) && fs.existsSync(this.filePath);
+  }
+
+  // Load the FMR file once, on first use
+  async load() {
+    if (this.byZip) return;
+
+    const { headers, rows } = await parseTabularFile({
+      originalname: path.basename(this.filePath),
+      buffer: fs.readFileSync(this.filePath)
+    });
+
+    const columns = {};
+    const bedroomColumns = [];
+    headers.forEach(header => {
+      const name = normalizeHeader(header);
+      if (ZIP_COLUMNS.includes(name) && !columns.zip) columns.zip = header;
+      if (COUNTY_COLUMNS.includes(name) && !columns.county) columns.county = header;
+      if (STATE_COLUMNS.includes(name) && !columns.state) columns.state = header;
+      const bedroom = name.match(BEDROOM_COLUMN);
+      if (bedroom) bedroomColumns[Number(bedroom[1])] = header;
+    });
+
+    if (bedroomColumns.filter(Boolean).length === 0 || !(columns.zip || (columns.county && columns.state))) {
+      throw new Error(`Fair Market Rent file ${this.filePath} needs ZIP or county/state columns and rents by bedroom`);
+    }
+
+    this.byZip = new Map();
+    this.byCounty = new Map();
+    rows.forEach(row => {
+      const rents = bedroomColumns.map(column => (column ? parseFloat(String(row[column]).replace(/[$,]/g, '')) : NaN));
+      if (!rents.some(rent => rent > 0)) return;
+
+      if (columns.zip && row[columns.zip]) {
+        this.byZip.set(String(row[columns.zip]).trim().padStart(5, '0'), rents);
+      } else if (columns.county && row[columns.county] && row[columns.state]) {
+        this.byCounty.set(countyKey(row[columns.county], row[columns.state]), rents);
+      }
+    });
+
+    logger.info(`Loaded Fair Market Rents for ${this.byZip.size} ZIP codes and ${this.byCounty.size} counties from ${this.filePath}`);
+  }
+
+  // Fair Market Rent for a unit size at an address: { rent, bedrooms, area, source },
+  // or null when the file isn't configured or doesn't cover the address
+  async lookup(address, bedrooms) {
+    if (!this.isConfigured() || !address) return null;
+    await this.load();
+
+    const zip = String(address.zipCode || '').slice(0, 5);
+    let rents = this.byZip.get(zip);
+    let area = `ZIP ${zip}`;
+    let source = 'HUD Small Area FMR';
+
+    if (!rents && address.county && address.state) {
+      rents = this.byCounty.get(countyKey(address.county, address.state));
+      area = `${address.county} County, ${address.state}`;
+      source = 'HUD FMR';
+    }
+    if (!rents) return null;
+
+    const units = Math.max(0, Math.round(bedrooms !== undefined && bedrooms !== null ? bedrooms : 2));
+    const base = rents[Math.min(units, 4)];
+    if (!(base > 0)) return null;
+
+    return {
+      rent: Math.round(units > 4 ? base * EXTRA_BEDROOM_FACTOR ** (units - 4) : base),
+      bedrooms: units,
+      area,
+      source
+    };
+  }
+}
+
+module.exports = FairMarketRents;
@@ -0,0 +1,276 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCENARIOS = {
+  OWNER_SALE: 'Owner Sale',
+  FORECLOSURE_SALE: 'Foreclosure Sale',
+  TAX_SALE: 'Tax Sale',
+  HOA_FORECLOSURE: 'HOA Foreclosure'
+};
+
+// Lien type descriptions -> category, first match wins
+const LIEN_CATEGORIES = [
+  [/\birs\b|federal|internal revenue/i, 'Federal Tax'],
+  [/state tax|franchise tax|income tax|revenue|sales tax/i, 'State Tax'],
+  [/tax/i, 'Property Tax'],
+  [/hoa|owners?'? assoc|condo|association/i, 'HOA'],
+  [/municipal|code|utility|water|sewer|weed|demolition|special assessment|city|county lien/i, 'Municipal'],
+  [/mechanic|contractor|material/i, 'Mechanics'],
+  [/judg|child support|abstract/i, 'Judgment'],
+  [/heloc|second|2nd|junior|home equity|subordinate/i, 'Junior Mortgage'],
+  [/mortgage|deed of trust|first|1st|loan|reverse|dot\b/i, 'Mortgage']
+];
+
+// Statutory liens that outrank every recorded lien regardless of date
+const SUPER_PRIORITY_CATEGORIES = ['Property Tax', 'Municipal'];
+
+// Annual interest (%) accrued on a lien amount when the lien doesn't state a rate
+const DEFAULT_INTEREST_RATES = {
+  'Mortgage': 7,
+  'Junior Mortgage': 9,
+  'Property Tax': 12,
+  'Federal Tax': 8,
+  'State Tax': 8,
+  'HOA': 10,
+  'Municipal': 10,
+  'Mechanics': 8,
+  'Judgment': 8
+};
+
+// States where unpaid HOA assessments for this many months outrank the first
+// mortgage; that portion survives a mortgage foreclosure
+const HOA_SUPER_LIEN_MONTHS = {
+  AK: 6, AL: 6, CO: 6, CT: 9, DC: 6, DE: 6, HI: 6, MA: 6, MD: 4, MN: 6,
+  NH: 6, NJ: 6, NV: 9, OR: 6, PA: 6, RI: 6, VT: 6, WA: 6, WV: 6
+};
+
+// States where an HOA foreclosure of its super-priority lien wipes out the first mortgage
+const HOA_FORECLOSURE_EXTINGUISHES_MORTGAGE = ['NV', 'DC'];
+
+// Agent commission, closing and transfer costs on a conventional sale, as a share of value
+const SELLING_COST_RATE = 0.08;
+
+// Days the IRS can redeem after a sale that extinguishes a federal tax lien
+const IRS_REDEMPTION_DAYS = 120;
+
+const round = (value) => Math.round(value);
+
+// Works out which recorded liens survive each way a property can be sold,
+// what each lien takes to pay off, and the equity left in each scenario.
+class LienWaterfall {
+  categorize(type) {
+    const match = LIEN_CATEGORIES.find(([pattern]) => pattern.test(type || ''));
+    return match ? match[1] : 'Other';
+  }
+
+  // Liens on file, plus delinquent taxes and the foreclosing loan when they aren't
+  // recorded as liens yet
+  collectLiens(property) {
+    const liens = (property.liens || []).map(lien => ({
+      type: lien.type,
+      category: this.categorize(lien.type),
+      lienholder: lien.lienholder,
+      amount: lien.amount,
+      amountAsOf: lien.amountAsOf,
+      interestRate: lien.interestRate,
+      monthlyAssessment: lien.monthlyAssessment,
+      dateRecorded: lien.dateRecorded,
+      priority: lien.priority,
+      isForeclosing: lien.isForeclosing
+    }));
+
+    const taxInfo = property.taxInfo || {};
+    if (taxInfo.taxDelinquent && taxInfo.taxDelinquentAmount && !liens.some(lien => lien.category === 'Property Tax')) {
+      liens.push({
+        type: 'Delinquent Property Taxes',
+        category: 'Property Tax',
+        lienholder: property.address && property.address.county ? `${property.address.county} County` : 'Tax Collector',
+        amount: taxInfo.taxDelinquentAmount
+      });
+    }
+
+    const details = property.foreclosureDetails || {};
+    if (details.loanAmount && !liens.some(lien => ['Mortgage', 'Junior Mortgage'].includes(lien.category))) {
+      liens.push({
+        type: 'Mortgage',
+        category: 'Mortgage',
+        lienholder: details.lender || 'Foreclosing Lender',
+        amount: details.loanAmount,
+        amountAsOf: details.noticeOfDefaultDate
+      });
+    }
+
+    return liens;
+  }
+
+  // Amount plus simple interest since the date the amount was stated. Amounts without
+  // a date are taken as current, except the foreclosing loan, which accrues from default.
+  payoff(lien, asOf, defaultDate) {
+    const since = lien.amountAsOf || (lien.isForeclosing ? defaultDate : null);
+    const rate = lien.interestRate !== undefined && lien.interestRate !== null
+      ? lien.interestRate
+      : DEFAULT_INTEREST_RATES[lien.category] || 0;
+    const days = since ? Math.max(0, (asOf - new Date(since)) / DAY_MS) : 0;
+    const interest = lien.amount * (rate / 100) * (days / 365);
+
+    return { accruedInterest: round(interest), payoff: round(lien.amount + interest) };
+  }
+
+  // Statutory liens first, then by stated priority, then by recording date
+  order(liens) {
+    const rank = (lien) => (SUPER_PRIORITY_CATEGORIES.includes(lien.category) ? 0 : 1);
+    const recorded = (lien) => (lien.dateRecorded ? new Date(lien.dateRecorded).getTime() : Infinity);
+
+    return [...liens]
+      .map((lien, index) => ({ ...lien, index }))
+      .sort((a, b) => rank(a) - rank(b) ||
+        (a.priority || Infinity) - (b.priority || Infinity) ||
+        recorded(a) - recorded(b) ||
+        a.index - b.index)
+      .map(({ index, ...lien }, position) => ({ ...lien, position: position + 1 }));
+  }
+
+  // The lien being foreclosed: flagged, held by the foreclosing lender, or the senior mortgage
+  findForeclosing(liens, property) {
+    const flagged = liens.find(lien => lien.isForeclosing);
+    if (flagged) return flagged;
+
+    const lender = property.foreclosureDetails && property.foreclosureDetails.lender;
+    const mortgages = liens.filter(lien => ['Mortgage', 'Junior Mortgage'].includes(lien.category));
+    if (lender) {
+      const name = lender.toLowerCase();
+      const held = mortgages.find(lien => lien.lienholder && lien.lienholder.toLowerCase().includes(name));
+      if (held) return held;
+    }
+
+    return ['Pre-Foreclosure', 'Auction'].includes(property.foreclosureStatus) ? mortgages[0] || null : null;
+  }
+
+  // Split liens into those a sale foreclosing `foreclosed` extinguishes and those that
+  // survive it. Liens after position `cutoff` are junior (the foreclosed lien's own by default).
+  sale(scenario, liens, foreclosed, options) {
+    const { price, value, state } = options;
+    const cutoff = options.cutoff !== undefined ? options.cutoff : foreclosed.position;
+    const superLienMonths = HOA_SUPER_LIEN_MONTHS[state];
+    const surviving = [];
+    const extinguished = [];
+    const notes = [];
+
+    liens.forEach(lien => {
+      if (lien === foreclosed) {
+        extinguished.push({ ...lien, reason: 'Foreclosed lien, paid from the sale' });
+      } else if (SUPER_PRIORITY_CATEGORIES.includes(lien.category)) {
+        surviving.push({ ...lien, reason: 'Statutory priority' });
+      } else if (lien.position <= cutoff) {
+        surviving.push({ ...lien, reason: 'Senior to the foreclosed lien' });
+      } else if (lien.category === 'HOA' && superLienMonths && scenario === SCENARIOS.FORECLOSURE_SALE) {
+        // A junior HOA lien keeps its super-priority portion against a mortgage foreclosure
+        const superPriority = lien.monthlyAssessment
+          ? Math.min(lien.payoff, lien.monthlyAssessment * superLienMonths)
+          : lien.payoff;
+        surviving.push({ ...lien, payoff: superPriority, reason: `${superLienMonths}-month HOA super-priority lien in ${state}` });
+        if (superPriority < lien.payoff) {
+          extinguished.push({ ...lien, payoff: lien.payoff - superPriority, reason: 'Junior to the foreclosed lien' });
+        }
+      } else {
+        if (lien.category === 'Federal Tax') {
+          notes.push(`The IRS can redeem the ${lien.lienholder} lien within ${IRS_REDEMPTION_DAYS} days of the sale`);
+        }
+        extinguished.push({ ...lien, reason: 'Junior to the foreclosed lien' });
+      }
+    });
+
+    const survivingPayoff = surviving.reduce((sum, lien) => sum + lien.payoff, 0);
+    return {
+      scenario,
+      price,
+      survivingLiens: surviving,
+      extinguishedLiens: extinguished,
+      survivingLienPayoff: survivingPayoff,
+      netEquity: value ? round(value - price - survivingPayoff) : null,
+      notes
+    };
+  }
+
+  // The owner sells and every lien is paid from the proceeds
+  ownerSale(liens, value) {
+    const totalPayoff = liens.reduce((sum, lien) => sum + lien.payoff, 0);
+    const sellingCosts = value ? round(value * SELLING_COST_RATE) : 0;
+
+    return {
+      scenario: SCENARIOS.OWNER_SALE,
+      price: value,
+      survivingLiens: [],
+      extinguishedLiens: liens.map(lien => ({ ...lien, reason: 'Paid at closing' })),
+      survivingLienPayoff: 0,
+      sellingCosts,
+      netEquity: value ? round(value - sellingCosts - totalPayoff) : null,
+      notes: []
+    };
+  }
+
+  // Market value used for equity: the automated valuation, then the current value
+  getValue(property) {
+    if (property.valuation && property.valuation.value) return { value: property.valuation.value, source: 'Automated Valuation' };
+    const financials = property.financials || {};
+    if (financials.currentValue) return { value: financials.currentValue, source: 'Current Value' };
+    const details = property.foreclosureDetails || {};
+    if (details.estimatedValue) return { value: details.estimatedValue, source: 'Estimated Value' };
+    return { value: null, source: null };
+  }
+
+  // Lien positions, payoffs and net equity for each sale scenario that applies.
+  // Scenario prices are what a buyer pays: market value for an owner sale, the
+  // opening bid (or the foreclosed lien's payoff) at a foreclosure, tax or HOA sale.
+  analyze(property, options = {}) {
+    const asOf = options.asOf || new Date();
+    const details = property.foreclosureDetails || {};
+    const state = property.address && property.address.state;
+    const { value, source } = this.getValue(property);
+
+    const liens = this.order(this.collectLiens(property));
+    const foreclosing = this.findForeclosing(liens, property);
+    liens.forEach(lien => {
+      lien.isForeclosing = lien === foreclosing;
+      Object.assign(lien, this.payoff(lien, asOf, details.noticeOfDefaultDate));
+    });
+
+    const scenarios = [this.ownerSale(liens, value)];
+
+    if (foreclosing) {
+      scenarios.push(this.sale(SCENARIOS.FORECLOSURE_SALE, liens, foreclosing, {
+        price: details.openingBid || foreclosing.payoff, value, state
+      }));
+    }
+
+    // A tax sale forecloses ahead of every recorded lien
+    const taxLien = liens.find(lien => lien.category === 'Property Tax');
+    if (taxLien) {
+      scenarios.push(this.sale(SCENARIOS.TAX_SALE, liens, taxLien, { price: taxLien.payoff, value, state, cutoff: 0 }));
+    }
+
+    // Where the HOA's super-priority lien can wipe out the first mortgage, it forecloses ahead of it
+    const hoaLien = liens.find(lien => lien.category === 'HOA');
+    if (hoaLien) {
+      const firstMortgage = HOA_FORECLOSURE_EXTINGUISHES_MORTGAGE.includes(state)
+        ? liens.find(lien => lien.category === 'Mortgage' && lien.position < hoaLien.position)
+        : null;
+      scenarios.push(this.sale(SCENARIOS.HOA_FORECLOSURE, liens, hoaLien, {
+        price: hoaLien.payoff, value, state, cutoff: firstMortgage ? firstMortgage.position - 1 : hoaLien.position
+      }));
+    }
+
+    return {
+      value,
+      valueSource: source,
+      asOf,
+      liens,
+      totalLienPayoff: liens.reduce((sum, lien) => sum + lien.payoff, 0),
+      scenarios
+    };
+  }
+}
+
+LienWaterfall.SCENARIOS = SCENARIOS;
+LienWaterfall.HOA_SUPER_LIEN_MONTHS = HOA_SUPER_LIEN_MONTHS;
+
+module.exports = LienWaterfall;
@@ -0,0 +1,256 @@
+const logger = require('../../utils/logger');
+const RecordedSale = require('../../models/RecordedSale');
+const Geocoder = require('../geocoding/geocoder');
+const { normalizeAddress, parseAddressString } = require('../../utils/addressNormalizer');
+
+// Sales written per bulk upsert
+const BATCH_SIZE = 500;
+
+// Row errors kept in the report
+const ERROR_LIMIT = 100;
+
+// Sales below this are gifts, nominal transfers or data errors
+const MIN_SALE_PRICE = 10000;
+
+// Deed and instrument types that don't reflect market value
+const NON_ARMS_LENGTH_DOCUMENTS = /quit\s*claim|trustee|sheriff|foreclos|tax deed|gift|correct|affidavit|certificate of (title|sale)|executor|administrator|divorce|transfer on death|in lieu/i;
+
+// Common column headings in county deed and sales files, matched case-insensitively
+const COLUMN_ALIASES = {
+  'address.street': ['address', 'street', 'property address', 'site address', 'situs address', 'street address'],
+  'address.unit': ['unit', 'apt', 'suite'],
+  'address.city': ['city', 'property city', 'site city', 'situs city'],
+  'address.state': ['state', 'st', 'property state'],
+  'address.zipCode': ['zip', 'zip code', 'zipcode', 'postal code', 'property zip', 'situs zip'],
+  'address.county': ['county'],
+  parcelNumber: ['parcel', 'parcel number', 'parcel id', 'apn', 'pin', 'account number'],
+  salePrice: ['sale price', 'sales price', 'price', 'sale amount', 'consideration', 'document amount'],
+  saleDate: ['sale date', 'recording date', 'recorded date', 'deed date', 'instrument date'],
+  documentType: ['document type', 'deed type', 'instrument type', 'doc type'],
+  documentNumber: ['document number', 'instrument number', 'doc number', 'doc #', 'instrument #'],
+  propertyType: ['property type', 'land use', 'use code', 'property use', 'use description'],
+  bedrooms: ['beds', 'bedrooms'],
+  bathrooms: ['baths', 'bathrooms'],
+  squareFeet: ['sqft', 'square feet', 'living area', 'building sqft', 'gla'],
+  lotSize: ['lot size', 'lot sqft', 'land sqft', 'lot area'],
+  yearBuilt: ['year built'],
+  assessedValue: ['assessed value', 'assessed', 'total assessed value', 'assessment'],
+  lat: ['latitude', 'lat'],
+  lng: ['longitude', 'lng', 'lon', 'long']
+};
+
+// Land use descriptions -> Property propertyType, first match wins
+const PROPERTY_TYPES = [
+  [/condo/i, 'Condo'],
+  [/town\s*h|townhome|row\s*house/i, 'Townhouse'],
+  [/multi|duplex|triplex|fourplex|quad|apartment|2-4/i, 'Multi-Family'],
+  [/commercial|retail|office|industrial|warehouse/i, 'Commercial'],
+  [/vacant|land|\blot\b|acreage/i, 'Land'],
+  [/single|sfr|residential|house|mobile|manufactured/i, 'Single Family']
+];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+// Loads recorded sales from county deed/sales files into the RecordedSale
+// collection the comps engine searches. Reloading a file updates sales in place.
+class RecordedSalesLoader {
+  constructor(geocoder = new Geocoder()) {
+    this.geocoder = geocoder;
+    this.model = RecordedSale;
+    this.label = 'Recorded sales';
+    this.columnAliases = COLUMN_ALIASES;
+  }
+
+  // Map file headers to fields by their common names
+  suggestMapping(headers) {
+    const mapping = {};
+    Object.entries(this.columnAliases).forEach(([field, aliases]) => {
+      const column = headers.find(header => aliases.includes(header.trim().toLowerCase()));
+      if (column) mapping[field] = column;
+    });
+    return mapping;
+  }
+
+  mapPropertyType(value) {
+    const text = toText(value);
+    if (!text) return undefined;
+    const match = PROPERTY_TYPES.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : undefined;
+  }
+
+  isArmsLength(sale) {
+    if (sale.salePrice < MIN_SALE_PRICE) return false;
+    return !(sale.documentType && NON_ARMS_LENGTH_DOCUMENTS.test(sale.documentType));
+  }
+
+  // Normalized address with its key from a file row. Throws when incomplete.
+  mapAddress(value, options = {}) {
+    let address = {
+      street: toText(value('address.street')),
+      unit: toText(value('address.unit')),
+      city: toText(value('address.city')),
+      state: toText(value('address.state')) || options.state,
+      zipCode: toText(value('address.zipCode'))
+    };
+
+    // Some files only have a one-line address
+    if (address.street && !address.city) {
+      const parsed = parseAddressString(address.street);
+      if (parsed) address = { ...parsed, state: parsed.state || address.state };
+    }
+
+    const normalized = normalizeAddress(address);
+    if (!normalized || !normalized.key || !normalized.city) throw new Error('Address is missing or incomplete');
+
+    const mapped = {
+      street: normalized.street,
+      unit: normalized.unit,
+      city: normalized.city,
+      state: normalized.state,
+      zipCode: normalized.zipCode,
+      county: toText(value('address.county')) || options.county
+    };
+
+    const lat = toNumber(value('lat'));
+    const lng = toNumber(value('lng'));
+    if (lat !== undefined && lng !== undefined && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      mapped.coordinates = { lat, lng };
+    }
+
+    return { address: mapped, addressKey: normalized.key };
+  }
+
+  // Turn one file row into sale data. Throws with a row-level message.
+  mapRow(row, mapping, options = {}) {
+    const value = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+    const { address, addressKey } = this.mapAddress(value, options);
+
+    const salePrice = toNumber(value('salePrice'));
+    const saleDate = toDate(value('saleDate'));
+    if (!salePrice || salePrice <= 0) throw new Error('Sale price is missing');
+    if (!saleDate) throw new Error('Sale date is missing');
+
+    const sale = {
+      address,
+      addressKey,
+      parcelNumber: toText(value('parcelNumber')),
+      propertyType: this.mapPropertyType(value('propertyType')),
+      bedrooms: toNumber(value('bedrooms')),
+      bathrooms: toNumber(value('bathrooms')),
+      squareFeet: toNumber(value('squareFeet')),
+      lotSize: toNumber(value('lotSize')),
+      yearBuilt: toNumber(value('yearBuilt')),
+      assessedValue: toNumber(value('assessedValue')),
+      salePrice,
+      saleDate,
+      documentType: toText(value('documentType')),
+      documentNumber: toText(value('documentNumber')),
+      source: options.source || 'County Records',
+      sourceFile: options.sourceFile
+    };
+    sale.armsLength = this.isArmsLength(sale);
+
+    return sale;
+  }
+
+  // Throws when the mapping lacks columns every row needs
+  checkMapping(mapping) {
+    if (!mapping['address.street'] || !mapping.salePrice || !mapping.saleDate) {
+      throw new Error('Sales files need address, sale price and sale date columns');
+    }
+  }
+
+  createReport(total) {
+    return { total, created: 0, updated: 0, unchanged: 0, nonArmsLength: 0, failed: 0, errors: [] };
+  }
+
+  tally(report, sale) {
+    if (!sale.armsLength) report.nonArmsLength++;
+  }
+
+  // The same sale recorded again is updated rather than duplicated
+  upsertFilter(sale) {
+    return { addressKey: sale.addressKey, saleDate: sale.saleDate, salePrice: sale.salePrice };
+  }
+
+  // Geocode records without coordinates; the geocode cache makes reloads free
+  async locate(record) {
+    if (record.address.coordinates) return;
+
+    const geocode = await this.geocoder.geocode(record.address);
+    if (geocode) record.address.coordinates = { lat: geocode.lat, lng: geocode.lng };
+  }
+
+  // Load rows into the collection. Options: mapping (field -> column, defaults to
+  // suggestMapping), source, sourceFile, county/state for files without them,
+  // geocode (default true). Returns a report.
+  async load(rows, options = {}) {
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const mapping = options.mapping || this.suggestMapping(headers);
+    const report = this.createReport(rows.length);
+
+    this.checkMapping(mapping);
+
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      const operations = [];
+
+      for (const [offset, row] of rows.slice(start, start + BATCH_SIZE).entries()) {
+        // Row numbers as seen in a spreadsheet, after the header row
+        const rowNumber = start + offset + 2;
+        try {
+          const record = this.mapRow(row, mapping, options);
+          if (options.geocode !== false) await this.locate(record);
+          this.tally(report, record);
+
+          const { lat, lng } = record.address.coordinates || {};
+          if (lat !== undefined) record.location = { type: 'Point', coordinates: [lng, lat] };
+
+          operations.push({
+            updateOne: {
+              filter: this.upsertFilter(record),
+              update: { $set: record },
+              upsert: true
+            }
+          });
+        } catch (error) {
+          report.failed++;
+          if (report.errors.length < ERROR_LIMIT) report.errors.push({ row: rowNumber, message: error.message });
+        }
+      }
+
+      if (operations.length === 0) continue;
+
+      const result = await this.model.bulkWrite(operations, { ordered: false });
+      report.created += result.upsertedCount;
+      report.updated += result.modifiedCount;
+      report.unchanged += operations.length - result.upsertedCount - result.modifiedCount;
+    }
+
+    logger.info(`${this.label} loaded${options.sourceFile ? ` from ${options.sourceFile}` : ''}: ${report.created} created, ${report.updated} updated, ${report.failed} failed`);
+    return report;
+  }
+}
+
+RecordedSalesLoader.COLUMN_ALIASES = COLUMN_ALIASES;
+RecordedSalesLoader.toNumber = toNumber;
+RecordedSalesLoader.toDate = toDate;
+RecordedSalesLoader.toText = toText;
+
+module.exports = RecordedSalesLoader;
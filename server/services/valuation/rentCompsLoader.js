@@ -0,0 +1,80 @@
+const RentalComp = require('../../models/RentalComp');
+const RecordedSalesLoader = require('./recordedSalesLoader');
+
+const { toNumber, toDate, toText } = RecordedSalesLoader;
+
+// Rents below this are parking spaces, rooms or data errors
+const MIN_MONTHLY_RENT = 200;
+
+// Common column headings in rent listing and lease exports, matched case-insensitively
+const COLUMN_ALIASES = {
+  'address.street': ['address', 'street', 'property address', 'street address', 'listing address'],
+  'address.unit': ['unit', 'apt', 'unit number'],
+  'address.city': ['city'],
+  'address.state': ['state', 'st'],
+  'address.zipCode': ['zip', 'zip code', 'zipcode', 'postal code'],
+  'address.county': ['county'],
+  monthlyRent: ['rent', 'monthly rent', 'lease amount', 'list price', 'asking rent', 'price'],
+  leaseDate: ['lease date', 'lease start', 'move in date', 'leased date', 'list date', 'listing date', 'date'],
+  propertyType: ['property type', 'type', 'home type'],
+  bedrooms: ['beds', 'bedrooms'],
+  bathrooms: ['baths', 'bathrooms'],
+  squareFeet: ['sqft', 'square feet', 'living area'],
+  lat: ['latitude', 'lat'],
+  lng: ['longitude', 'lng', 'lon', 'long']
+};
+
+// Loads leased or listed rentals from CSV/.xlsx exports into the RentalComp
+// collection the rent estimator searches. Reloading a file updates rentals in place.
+class RentCompsLoader extends RecordedSalesLoader {
+  constructor(geocoder) {
+    super(geocoder);
+    this.model = RentalComp;
+    this.label = 'Rent comps';
+    this.columnAliases = COLUMN_ALIASES;
+  }
+
+  // Turn one file row into rental data. Throws with a row-level message.
+  mapRow(row, mapping, options = {}) {
+    const value = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+    const { address, addressKey } = this.mapAddress(value, options);
+
+    const monthlyRent = toNumber(value('monthlyRent'));
+    const leaseDate = toDate(value('leaseDate'));
+    if (!monthlyRent || monthlyRent < MIN_MONTHLY_RENT) throw new Error('Monthly rent is missing or too low');
+    if (!leaseDate) throw new Error('Lease date is missing');
+
+    return {
+      address,
+      addressKey,
+      propertyType: this.mapPropertyType(value('propertyType')),
+      bedrooms: toNumber(value('bedrooms')),
+      bathrooms: toNumber(value('bathrooms')),
+      squareFeet: toNumber(value('squareFeet')),
+      monthlyRent,
+      leaseDate,
+      source: toText(options.source) || 'Rent Comps',
+      sourceFile: options.sourceFile
+    };
+  }
+
+  checkMapping(mapping) {
+    if (!mapping['address.street'] || !mapping.monthlyRent || !mapping.leaseDate) {
+      throw new Error('Rent files need address, rent and lease date columns');
+    }
+  }
+
+  createReport(total) {
+    return { total, created: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+  }
+
+  tally() {}
+
+  upsertFilter(rental) {
+    return { addressKey: rental.addressKey, leaseDate: rental.leaseDate, monthlyRent: rental.monthlyRent };
+  }
+}
+
+RentCompsLoader.COLUMN_ALIASES = COLUMN_ALIASES;
+
+module.exports = RentCompsLoader;
@@ -0,0 +1,218 @@
+const RentalComp = require('../../models/RentalComp');
+const FairMarketRents = require('./fairMarketRents');
+const { EARTH_RADIUS_MILES, distanceMiles } = require('../../utils/propertyFilter');
+const { MONTH_MS, round, clamp, getPoint } = require('./valuationMath');
+
+// Search widens step by step until enough rentals are found
+const SEARCH_STEPS = [
+  { miles: 1, months: 6 },
+  { miles: 1, months: 12 },
+  { miles: 3, months: 12 },
+  { miles: 5, months: 24 }
+];
+
+const MIN_COMPS = 3;
+const MAX_COMPS = 8;
+
+// Candidates read per search step
+const CANDIDATE_LIMIT = 200;
+
+// Standard adjustments, as fractions of the comp's rent unless noted
+const ADJUSTMENTS = {
+  // Rent growth per month since the lease
+  monthlyGrowth: 0.003,
+  // Living area difference is valued at this share of the comp's rent per square foot
+  sizeFactor: 0.4,
+  bedroom: 0.08,
+  bathroom: 0.04
+};
+
+// Narrowest rent range, as a fraction of the rent either side
+const MIN_RANGE = 0.05;
+
+// Range either side of a rent taken from Fair Market Rents alone
+const FMR_RANGE = 0.15;
+
+// Estimates market rent for a property from nearby leased or listed rentals,
+// falling back on HUD Fair Market Rents where rentals are thin or missing.
+class RentEstimator {
+  constructor(options = {}) {
+    this.adjustments = { ...ADJUSTMENTS, ...options.adjustments };
+    this.fairMarketRents = options.fairMarketRents || new FairMarketRents();
+  }
+
+  buildQuery(subject, step, asOf) {
+    const point = getPoint(subject);
+    const query = {
+      leaseDate: { $gte: new Date(asOf.getTime() - step.months * MONTH_MS), $lte: asOf }
+    };
+
+    // Without coordinates rentals come from the same ZIP code
+    if (point) {
+      query.location = { $geoWithin: { $centerSphere: [[point.lng, point.lat], step.miles / EARTH_RADIUS_MILES] } };
+    } else {
+      query['address.zipCode'] = subject.address.zipCode;
+    }
+
+    // Rental exports often leave the type blank, so untyped rentals still count
+    if (subject.propertyType) query.propertyType = { $in: [subject.propertyType, null] };
+    if (subject.bedrooms !== undefined && subject.bedrooms !== null) {
+      query.bedrooms = { $gte: subject.bedrooms - 1, $lte: subject.bedrooms + 1 };
+    }
+
+    return query;
+  }
+
+  // Find the most similar recent rentals, widening the search until MIN_COMPS are found
+  async findComps(subject, options = {}) {
+    const asOf = options.asOf || new Date();
+    const hasPoint = Boolean(getPoint(subject));
+    if (!hasPoint && !(subject.address && subject.address.zipCode)) return [];
+
+    // Without coordinates only the time window can widen
+    const steps = hasPoint
+      ? SEARCH_STEPS
+      : SEARCH_STEPS.filter((step, index) => index === 0 || step.months !== SEARCH_STEPS[index - 1].months);
+
+    let candidates = [];
+    for (const step of steps) {
+      candidates = await RentalComp.find(this.buildQuery(subject, step, asOf))
+        .sort({ leaseDate: -1 })
+        .limit(CANDIDATE_LIMIT);
+      if (candidates.length >= MIN_COMPS) break;
+    }
+
+    return candidates
+      .map(rental => this.describeComp(subject, rental, asOf))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, options.maxComps || MAX_COMPS);
+  }
+
+  // Similarity (0-100) of a rental to the subject: nearer, newer and more alike scores higher
+  scoreSimilarity(subject, rental, distance, months) {
+    let score = 100;
+    if (distance !== null) score -= Math.min(distance * 8, 30);
+    score -= Math.min(months * 2, 25);
+    if (subject.squareFeet && rental.squareFeet) {
+      score -= Math.min((Math.abs(subject.squareFeet - rental.squareFeet) / subject.squareFeet) * 50, 25);
+    }
+    if (subject.bedrooms !== undefined && rental.bedrooms !== undefined) score -= Math.abs(subject.bedrooms - rental.bedrooms) * 10;
+    if (subject.bathrooms !== undefined && rental.bathrooms !== undefined) score -= Math.abs(subject.bathrooms - rental.bathrooms) * 5;
+    return clamp(Math.round(score), 0, 100);
+  }
+
+  // Dollar adjustments that bring a rental's rent in line with the subject
+  adjust(subject, rental, months) {
+    const rates = this.adjustments;
+    const rent = rental.monthlyRent;
+    const adjustments = { time: round(rent * rates.monthlyGrowth * months) };
+
+    if (subject.squareFeet && rental.squareFeet) {
+      adjustments.size = round((subject.squareFeet - rental.squareFeet) * (rent / rental.squareFeet) * rates.sizeFactor);
+    }
+    if (subject.bedrooms !== undefined && rental.bedrooms !== undefined) {
+      adjustments.bedrooms = round((subject.bedrooms - rental.bedrooms) * rent * rates.bedroom);
+    }
+    if (subject.bathrooms !== undefined && rental.bathrooms !== undefined) {
+      adjustments.bathrooms = round((subject.bathrooms - rental.bathrooms) * rent * rates.bathroom);
+    }
+
+    return adjustments;
+  }
+
+  describeComp(subject, rental, asOf) {
+    const point = getPoint(subject);
+    const rentalPoint = getPoint(rental);
+    const distance = point && rentalPoint ? Math.round(distanceMiles(point, rentalPoint) * 100) / 100 : null;
+    const months = Math.max(0, (asOf - rental.leaseDate) / MONTH_MS);
+
+    const adjustments = this.adjust(subject, rental, months);
+    const values = Object.values(adjustments);
+    const netAdjustment = values.reduce((sum, value) => sum + value, 0);
+    const grossAdjustment = values.reduce((sum, value) => sum + Math.abs(value), 0) / rental.monthlyRent;
+    const similarity = this.scoreSimilarity(subject, rental, distance, months);
+
+    return {
+      rental: rental._id,
+      address: [rental.address.street, rental.address.unit, rental.address.city, rental.address.state].filter(Boolean).join(', '),
+      monthlyRent: rental.monthlyRent,
+      leaseDate: rental.leaseDate,
+      bedrooms: rental.bedrooms,
+      bathrooms: rental.bathrooms,
+      squareFeet: rental.squareFeet,
+      distance,
+      adjustments,
+      adjustedRent: rental.monthlyRent + netAdjustment,
+      similarity,
+      // Heavily adjusted rentals say less about the subject
+      weight: Math.round((similarity / (1 + grossAdjustment * 2)) * 100) / 100
+    };
+  }
+
+  // Reconcile rentals into { rent, low, high, confidence }, or null without rentals
+  reconcile(comps) {
+    const weighted = comps.filter(comp => comp.weight > 0);
+    if (weighted.length === 0) return null;
+
+    const totalWeight = weighted.reduce((sum, comp) => sum + comp.weight, 0);
+    const rent = weighted.reduce((sum, comp) => sum + comp.adjustedRent * comp.weight, 0) / totalWeight;
+    const deviation = Math.sqrt(weighted.reduce((sum, comp) => sum + comp.weight * (comp.adjustedRent - rent) ** 2, 0) / totalWeight);
+    const spread = Math.max(deviation, rent * MIN_RANGE);
+
+    const count = (Math.min(weighted.length, MAX_COMPS) / MAX_COMPS) * 40;
+    const agreement = (1 - Math.min(deviation / rent / 0.2, 1)) * 35;
+    const similarity = (weighted.reduce((sum, comp) => sum + comp.similarity, 0) / weighted.length / 100) * 25;
+
+    return {
+      rent: round(rent, 5),
+      low: round(rent - spread, 5),
+      high: round(rent + spread, 5),
+      confidence: clamp(Math.round(count + agreement + similarity), 0, 100)
+    };
+  }
+
+  // Estimate monthly rent. Returns { rent, low, high, confidence, method, compCount,
+  // comps, fairMarketRent }, or null when neither rentals nor Fair Market Rents cover
+  // the property. With fewer than MIN_COMPS rentals the Fair Market Rent fills the gap.
+  async estimate(subject, options = {}) {
+    const comps = await this.findComps(subject, options);
+    const fairMarketRent = await this.fairMarketRents.lookup(subject.address, subject.bedrooms);
+    const result = this.reconcile(comps);
+
+    if (!result && !fairMarketRent) return null;
+
+    if (!result) {
+      return {
+        rent: fairMarketRent.rent,
+        low: round(fairMarketRent.rent * (1 - FMR_RANGE), 5),
+        high: round(fairMarketRent.rent * (1 + FMR_RANGE), 5),
+        confidence: 35,
+        method: 'Fair Market Rent',
+        compCount: 0,
+        comps: [],
+        fairMarketRent
+      };
+    }
+
+    if (fairMarketRent && comps.length < MIN_COMPS) {
+      const share = comps.length / MIN_COMPS;
+      const blend = (value) => round(value * share + fairMarketRent.rent * (1 - share), 5);
+      return {
+        rent: blend(result.rent),
+        low: blend(result.low),
+        high: blend(result.high),
+        confidence: Math.round(result.confidence * share + 35 * (1 - share)),
+        method: 'Rent Comps + Fair Market Rent',
+        compCount: comps.length,
+        comps,
+        fairMarketRent
+      };
+    }
+
+    return { ...result, method: 'Rent Comps', compCount: comps.length, comps, fairMarketRent: fairMarketRent || undefined };
+  }
+}
+
+RentEstimator.ADJUSTMENTS = ADJUSTMENTS;
+
+module.exports = RentEstimator;
@@ -0,0 +1,33 @@
+// Numeric and location helpers shared by the valuation services
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const round = (value, step = 1) => Math.round(value / step) * step;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// { lat, lng } of a property, sale or rental; coordinates set since the last save count too
+const getPoint = (record) => {
+  const coordinates = record.location && record.location.coordinates;
+  if (coordinates && coordinates.length === 2) return { lat: coordinates[1], lng: coordinates[0] };
+
+  const fallback = record.address && record.address.coordinates;
+  return fallback && typeof fallback.lat === 'number' && typeof fallback.lng === 'number'
+    ? { lat: fallback.lat, lng: fallback.lng }
+    : null;
+};
+
+module.exports = {
+  MONTH_MS,
+  round,
+  clamp,
+  median,
+  getPoint
+};
@@ -0,0 +1,302 @@
+const RecordedSale = require('../../models/RecordedSale');
+const CompsEngine = require('./compsEngine');
+const { MONTH_MS, round, clamp, median } = require('./valuationMath');
+
+const MODEL_VERSION = 'avm-1';
+
+const QUARTER_MS = 3 * MONTH_MS;
+
+const APPROACHES = {
+  COMPS: 'Comparable Sales',
+  PRICE_PER_SQFT: 'Price per Sq Ft',
+  ASSESSED: 'Assessed Value'
+};
+
+// Share of the blend each approach gets at full confidence
+const BASE_WEIGHTS = {
+  [APPROACHES.COMPS]: 0.6,
+  [APPROACHES.PRICE_PER_SQFT]: 0.25,
+  [APPROACHES.ASSESSED]: 0.15
+};
+
+// Price per square foot trend: ZIP sales over the last TREND_MONTHS, in quarters
+// with at least MIN_QUARTER_SALES sales
+const TREND_MONTHS = 24;
+const MIN_TREND_SALES = 10;
+const MIN_QUARTER_SALES = 3;
+
+// County sales-to-assessment ratio needs this many recent sales with an assessed value
+const MIN_RATIO_SALES = 10;
+
+// Narrowest range either side for the trend and assessed approaches
+const MIN_RANGE = 0.08;
+
+// Spread of values around their median, as a fraction of it
+const dispersion = (values) => {
+  const middle = median(values);
+  return middle ? median(values.map(value => Math.abs(value - middle))) / middle : 0;
+};
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+const formatPercent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+// Values a property by blending comparable sales, the ZIP price per square foot
+// trend and the tax assessed value, weighted by how much each can be trusted.
+// Every value comes with the factors behind it so analysts can see why it was chosen.
+class ValuationModel {
+  constructor(options = {}) {
+    this.comps = options.comps || new CompsEngine();
+  }
+
+  // Comparable sales approach; reuses an estimate already made by the caller
+  async valueFromComps(subject, options) {
+    const estimate = options.compsEstimate !== undefined
+      ? options.compsEstimate
+      : await this.comps.estimate(subject, { asOf: options.asOf });
+
+    if (!estimate) {
+      return { approach: APPROACHES.COMPS, explanation: 'Comparable sales not used: no recorded arms-length sales nearby' };
+    }
+
+    const comps = estimate.comps || [];
+    const distances = comps.map(comp => comp.distance).filter(distance => distance !== null && distance !== undefined);
+    const where = distances.length > 0 ? `within ${Math.max(...distances)} mi` : `in ZIP ${subject.address.zipCode}`;
+
+    return {
+      approach: APPROACHES.COMPS,
+      value: estimate.value,
+      low: estimate.low,
+      high: estimate.high,
+      confidence: estimate.confidence,
+      explanation: `${estimate.compCount} comparable sales ${where}, adjusted for time, size, rooms and age, ` +
+        `indicate ${formatMoney(estimate.value)} (${formatMoney(estimate.low)}-${formatMoney(estimate.high)})`
+    };
+  }
+
+  // Quarterly median price per square foot in a ZIP code, fitted to a straight line
+  // and projected to asOf. Returns null with too few sales.
+  async getPriceTrend(zipCode, propertyType, asOf) {
+    const query = {
+      'address.zipCode': zipCode,
+      armsLength: true,
+      squareFeet: { $gt: 0 },
+      saleDate: { $gte: new Date(asOf.getTime() - TREND_MONTHS * MONTH_MS), $lte: asOf }
+    };
+
+    let sales = [];
+    let sameType = false;
+    if (propertyType) {
+      sales = await RecordedSale.find({ ...query, propertyType }).select('salePrice squareFeet saleDate').limit(5000);
+      sameType = sales.length >= MIN_TREND_SALES;
+    }
+    if (!sameType) {
+      sales = await RecordedSale.find(query).select('salePrice squareFeet saleDate').limit(5000);
+    }
+    if (sales.length < MIN_TREND_SALES) return null;
+
+    const quarters = new Map();
+    for (const sale of sales) {
+      const quarter = Math.floor((asOf - sale.saleDate) / QUARTER_MS);
+      if (!quarters.has(quarter)) quarters.set(quarter, []);
+      quarters.get(quarter).push(sale.salePrice / sale.squareFeet);
+    }
+
+    // Points are (quarters before asOf, median $/sqft) at each quarter's midpoint
+    const points = [...quarters.entries()]
+      .filter(([, values]) => values.length >= MIN_QUARTER_SALES)
+      .map(([quarter, values]) => ({ x: -(quarter + 0.5), y: median(values) }));
+
+    const allPrices = sales.map(sale => sale.salePrice / sale.squareFeet);
+    let current = median(allPrices);
+    let annualChange = 0;
+
+    if (points.length >= 2) {
+      const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+      const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+      const slope = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) /
+        points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+      const projected = meanY - slope * meanX;
+
+      // A trend that projects nonsense falls back to the plain median
+      if (projected > 0) {
+        current = projected;
+        annualChange = (slope * 4) / projected;
+      }
+    }
+
+    return {
+      pricePerSqFt: current,
+      annualChange,
+      salesCount: sales.length,
+      quarterCount: points.length,
+      dispersion: dispersion(allPrices),
+      sameType
+    };
+  }
+
+  async valueFromPriceTrend(subject, options) {
+    const zipCode = subject.address && subject.address.zipCode;
+    if (!subject.squareFeet) {
+      return { approach: APPROACHES.PRICE_PER_SQFT, explanation: 'Price per square foot not used: living area unknown' };
+    }
+    if (!zipCode) {
+      return { approach: APPROACHES.PRICE_PER_SQFT, explanation: 'Price per square foot not used: ZIP code unknown' };
+    }
+
+    const trend = await this.getPriceTrend(zipCode, subject.propertyType, options.asOf);
+    if (!trend) {
+      return {
+        approach: APPROACHES.PRICE_PER_SQFT,
+        explanation: `Price per square foot not used: fewer than ${MIN_TREND_SALES} sales with living area in ZIP ${zipCode}`
+      };
+    }
+
+    const value = trend.pricePerSqFt * subject.squareFeet;
+    const range = Math.max(trend.dispersion, MIN_RANGE);
+    const confidence = clamp(Math.round(
+      (Math.min(trend.salesCount / 40, 1) * 40) +
+      ((1 - Math.min(trend.dispersion / 0.3, 1)) * 30) +
+      (Math.min(trend.quarterCount / 8, 1) * 20) -
+      (trend.sameType ? 0 : 10)
+    ), 0, 100);
+
+    const direction = trend.annualChange >= 0 ? 'up' : 'down';
+    const movement = trend.quarterCount >= 2
+      ? `, ${direction} ${formatPercent(Math.abs(trend.annualChange))} a year`
+      : '';
+    const mix = trend.sameType ? '' : ' (all property types)';
+
+    return {
+      approach: APPROACHES.PRICE_PER_SQFT,
+      value: round(value, 1000),
+      low: round(value * (1 - range), 1000),
+      high: round(value * (1 + range), 1000),
+      confidence,
+      explanation: `ZIP ${zipCode} sells at ${formatMoney(trend.pricePerSqFt)}/sq ft${movement} over ${trend.salesCount} sales${mix}; ` +
+        `at ${subject.squareFeet.toLocaleString('en-US')} sq ft that is ${formatMoney(value)}`
+    };
+  }
+
+  // Median sale price to assessed value ratio of recent sales in the county
+  async getAssessmentRatio(address, asOf) {
+    if (!address || !address.county || !address.state) return null;
+
+    const sales = await RecordedSale.find({
+      'address.county': address.county,
+      'address.state': address.state,
+      armsLength: true,
+      assessedValue: { $gt: 0 },
+      saleDate: { $gte: new Date(asOf.getTime() - TREND_MONTHS * MONTH_MS), $lte: asOf }
+    }).select('salePrice assessedValue').limit(2000);
+
+    if (sales.length < MIN_RATIO_SALES) return null;
+
+    const ratios = sales.map(sale => sale.salePrice / sale.assessedValue);
+    return { ratio: median(ratios), salesCount: sales.length, dispersion: dispersion(ratios) };
+  }
+
+  async valueFromAssessment(subject, options) {
+    const assessedValue = subject.taxInfo && subject.taxInfo.assessedValue;
+    if (!assessedValue) {
+      return { approach: APPROACHES.ASSESSED, explanation: 'Assessed value not used: no assessment on file' };
+    }
+
+    const ratio = await this.getAssessmentRatio(subject.address, options.asOf);
+
+    // Without a county ratio the assessment is taken at face value, with little trust
+    if (!ratio) {
+      return {
+        approach: APPROACHES.ASSESSED,
+        value: round(assessedValue, 1000),
+        low: round(assessedValue * (1 - 0.25), 1000),
+        high: round(assessedValue * (1 + 0.25), 1000),
+        confidence: 20,
+        explanation: `Assessed value ${formatMoney(assessedValue)} taken at face value; ` +
+          `too few county sales with assessments to calibrate it`
+      };
+    }
+
+    const value = assessedValue * ratio.ratio;
+    const range = Math.max(ratio.dispersion, MIN_RANGE);
+    const confidence = clamp(Math.round(
+      20 + (Math.min(ratio.salesCount / 100, 1) * 20) + ((1 - Math.min(ratio.dispersion / 0.3, 1)) * 20)
+    ), 0, 100);
+
+    return {
+      approach: APPROACHES.ASSESSED,
+      value: round(value, 1000),
+      low: round(value * (1 - range), 1000),
+      high: round(value * (1 + range), 1000),
+      confidence,
+      explanation: `Assessed value ${formatMoney(assessedValue)} × ${subject.address.county} County sales-to-assessment ` +
+        `ratio ${Math.round(ratio.ratio * 100) / 100} (${ratio.salesCount} sales) = ${formatMoney(value)}`
+    };
+  }
+
+  // Blend the approaches into { value, low, high, confidence }, adding to factors why.
+  // Approaches that disagree widen the range and lower the confidence.
+  reconcile(approaches, factors) {
+    const used = approaches.filter(approach => approach.value > 0 && approach.confidence > 0);
+    if (used.length === 0) return null;
+
+    const totalWeight = used.reduce((sum, approach) => sum + BASE_WEIGHTS[approach.approach] * approach.confidence, 0);
+    used.forEach(approach => {
+      approach.weight = Math.round((BASE_WEIGHTS[approach.approach] * approach.confidence / totalWeight) * 100) / 100;
+    });
+
+    const blend = (pick) => used.reduce((sum, approach) => sum + pick(approach) * approach.weight, 0) /
+      used.reduce((sum, approach) => sum + approach.weight, 0);
+
+    const value = blend(approach => approach.value);
+    const deviation = Math.sqrt(blend(approach => (approach.value - value) ** 2));
+    const disagreement = deviation / value;
+
+    let confidence = blend(approach => approach.confidence) - Math.min(disagreement / 0.2, 1) * 20;
+    if (used.length === 1) confidence *= 0.85;
+
+    factors.push(`Weighted ${used.map(approach => `${Math.round(approach.weight * 100)}% ${approach.approach.toLowerCase()}`).join(', ')}`);
+    if (disagreement > 0.1) {
+      factors.push(`Approaches differ by ${formatPercent(disagreement)} on average, so the range is widened`);
+    }
+
+    return {
+      value: round(value, 1000),
+      low: round(Math.min(blend(approach => approach.low), value - deviation), 1000),
+      high: round(Math.max(blend(approach => approach.high), value + deviation), 1000),
+      confidence: clamp(Math.round(confidence), 0, 100)
+    };
+  }
+
+  // Value a property. Returns { value, low, high, confidence, approaches, factors,
+  // valuedAt, modelVersion }; value is null when no approach applies, with factors
+  // saying why. options.compsEstimate reuses a comps estimate made by the caller.
+  async value(subject, options = {}) {
+    const settings = { ...options, asOf: options.asOf || new Date() };
+
+    const approaches = [
+      await this.valueFromComps(subject, settings),
+      await this.valueFromPriceTrend(subject, settings),
+      await this.valueFromAssessment(subject, settings)
+    ];
+
+    const factors = approaches.map(approach => approach.explanation);
+    const result = this.reconcile(approaches, factors);
+
+    return {
+      value: result ? result.value : null,
+      low: result ? result.low : null,
+      high: result ? result.high : null,
+      confidence: result ? result.confidence : 0,
+      approaches: approaches.map(approach => ({ weight: 0, ...approach })),
+      factors,
+      valuedAt: settings.asOf,
+      modelVersion: MODEL_VERSION
+    };
+  }
+}
+
+ValuationModel.APPROACHES = APPROACHES;
+ValuationModel.MODEL_VERSION = MODEL_VERSION;
+
+module.exports = ValuationModel;
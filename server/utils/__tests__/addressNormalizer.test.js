@@ -0,0 +1,103 @@
+const {
+  normalizeAddress,
+  normalizeStreet,
+  normalizeState,
+  normalizeZip,
+  parseAddressString,
+  buildAddressKey
+} = require('../addressNormalizer');
+
+describe('addressNormalizer', () => {
+  describe('normalizeStreet', () => {
+    it('abbreviates directionals and street suffixes', () => {
+      expect(normalizeStreet('123 north main street')).toEqual({ street: '123 N MAIN ST', unit: '' });
+      expect(normalizeStreet('45 Elm Avenue Southwest')).toEqual({ street: '45 ELM AVE SW', unit: '' });
+    });
+
+    it('splits a trailing unit off the street line', () => {
+      expect(normalizeStreet('123 Main St Apartment 4B')).toEqual({ street: '123 MAIN ST', unit: 'APT 4B' });
+      expect(normalizeStreet('123 Main St #12')).toEqual({ street: '123 MAIN ST', unit: '# 12' });
+      expect(normalizeStreet('9 Oak Ave Suite 200')).toEqual({ street: '9 OAK AVE', unit: 'STE 200' });
+    });
+
+    it('keeps designator words that are part of the street name', () => {
+      expect(normalizeStreet('1 Lot St')).toEqual({ street: '1 LOT ST', unit: '' });
+      expect(normalizeStreet('5 Trailer Way')).toEqual({ street: '5 TRAILER WAY', unit: '' });
+      expect(normalizeStreet('12 Main St Lot')).toEqual({ street: '12 MAIN ST LOT', unit: '' });
+    });
+
+    it('uses a separate unit field when given', () => {
+      expect(normalizeStreet('123 Main St', 'unit 7')).toEqual({ street: '123 MAIN ST', unit: 'UNIT 7' });
+    });
+  });
+
+  it('normalizes state names and codes', () => {
+    expect(normalizeState('california')).toBe('CA');
+    expect(normalizeState(' tx ')).toBe('TX');
+    expect(normalizeState('New York')).toBe('NY');
+  });
+
+  it('splits ZIP+4', () => {
+    expect(normalizeZip('90001-1234')).toEqual({ zipCode: '90001', zipPlus4: '1234' });
+    expect(normalizeZip('900011234')).toEqual({ zipCode: '90001', zipPlus4: '1234' });
+    expect(normalizeZip(90001)).toEqual({ zipCode: '90001', zipPlus4: '' });
+  });
+
+  describe('normalizeAddress', () => {
+    it('returns display-cased fields and a canonical key', () => {
+      const address = normalizeAddress({ street: '22nd street north apt 3', city: 'SAINT PAUL', state: 'Minnesota', zipCode: '55101-0001' });
+
+      expect(address).toMatchObject({
+        street: '22nd St N',
+        unit: 'Apt 3',
+        city: 'Saint Paul',
+        state: 'MN',
+        zipCode: '55101',
+        zipPlus4: '0001',
+        key: '22ND ST N|3|SAINT PAUL|MN'
+      });
+    });
+
+    it('gives the same key to differently written copies of an address', () => {
+      const keys = [
+        { street: '123 North Main Street Apt 4', city: 'Springfield', state: 'IL' },
+        { street: '123 N. Main St. #4', city: 'springfield', state: 'Illinois', zipCode: '62701' },
+        { street: '123 N MAIN ST', unit: 'Unit 4', city: 'SPRINGFIELD', state: 'il' }
+      ].map(buildAddressKey);
+
+      expect(new Set(keys).size).toBe(1);
+    });
+
+    it('keeps different streets apart', () => {
+      expect(buildAddressKey({ street: '1 Lot St', city: 'Springfield', state: 'IL' }))
+        .not.toBe(buildAddressKey({ street: '1 Main St', city: 'Springfield', state: 'IL' }));
+    });
+
+    it('has no key without a street, city and state', () => {
+      expect(buildAddressKey({ street: '123 Main St', state: 'IL' })).toBeNull();
+      expect(normalizeAddress(null)).toBeNull();
+    });
+  });
+
+  describe('parseAddressString', () => {
+    it('parses a one-line address', () => {
+      expect(parseAddressString('123 Main St Apt 4, Anytown, CA 90001-1234')).toMatchObject({
+        street: '123 Main St',
+        unit: 'Apt 4',
+        city: 'Anytown',
+        state: 'CA',
+        zipCode: '90001',
+        zipPlus4: '1234'
+      });
+    });
+
+    it('treats a part between street and city as the unit', () => {
+      expect(parseAddressString('123 Main St, Suite 200, Anytown, CA 90001')).toMatchObject({ street: '123 Main St', unit: 'Ste 200' });
+    });
+
+    it('returns null without a city and state', () => {
+      expect(parseAddressString('123 Main St')).toBeNull();
+      expect(parseAddressString('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const {
+  isExportFormat,
+  selectColumns,
+  describeColumns,
+  formatCsvValue,
+  toCsvRow,
+  streamExport
+} = require('../exporter');
+
+const columns = [
+  { key: 'name', header: 'Name', value: doc => doc.name },
+  { key: 'city', header: 'City', value: doc => doc.address.city },
+  { key: 'phone', header: 'Phone', value: doc => doc.phone, extra: true }
+];
+
+const docs = [
+  { name: 'Smith, John', address: { city: 'Austin' }, phone: '+15125550100' },
+  { name: '=HYPERLINK("x")', address: { city: 'Dallas' } }
+];
+
+// A writable response that records headers and collects the body
+const response = () => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.headers = {};
+  res.headersSent = false;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.removeHeader = (name) => { delete res.headers[name]; };
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const exportDocs = async (format, exportColumns = columns.slice(0, 2)) => {
+  const res = response();
+  await streamExport(res, { source: docs, columns: exportColumns, format, filename: 'leads' });
+  await finished(res);
+  return res;
+};
+
+describe('exporter', () => {
+  describe('formatCsvValue', () => {
+    it('quotes fields with commas, quotes and line breaks and doubles embedded quotes', () => {
+      expect(formatCsvValue('Smith, John')).toBe('"Smith, John"');
+      expect(formatCsvValue('The "Oaks"')).toBe('"The ""Oaks"""');
+      expect(formatCsvValue('Line 1\nLine 2')).toBe('"Line 1\nLine 2"');
+      expect(formatCsvValue('Line 1\r\nLine 2')).toBe('"Line 1\r\nLine 2"');
+      expect(formatCsvValue('plain')).toBe('plain');
+    });
+
+    it('prefixes text that a spreadsheet would run as a formula', () => {
+      expect(formatCsvValue('=SUM(A1:A2)')).toBe('\'=SUM(A1:A2)');
+      expect(formatCsvValue('@cmd')).toBe('\'@cmd');
+      expect(formatCsvValue('+cmd')).toBe('\'+cmd');
+      expect(formatCsvValue('-cmd')).toBe('\'-cmd');
+      expect(formatCsvValue('\tcmd')).toBe('\'\tcmd');
+      expect(formatCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    });
+
+    it('leaves signed numbers and phone numbers alone', () => {
+      expect(formatCsvValue('-12.5')).toBe('-12.5');
+      expect(formatCsvValue('+15125550100')).toBe('+15125550100');
+      expect(formatCsvValue(-3)).toBe('-3');
+    });
+
+    it('writes blanks, dates and objects', () => {
+      expect(formatCsvValue(null)).toBe('');
+      expect(formatCsvValue(undefined)).toBe('');
+      expect(formatCsvValue(new Date('2024-03-01T00:00:00Z'))).toBe('2024-03-01T00:00:00.000Z');
+      expect(formatCsvValue(new Date('invalid'))).toBe('');
+      expect(formatCsvValue({ a: 1 })).toBe('"{""a"":1}"');
+    });
+
+    it('ends rows with CRLF', () => {
+      expect(toCsvRow(['a', 'b,c', null])).toBe('a,"b,c",\r\n');
+    });
+  });
+
+  describe('selectColumns', () => {
+    it('exports the default columns when no fields are given', () => {
+      expect(selectColumns(columns).columns.map(column => column.key)).toEqual(['name', 'city']);
+    });
+
+    it('picks the requested fields in the order requested, including extras', () => {
+      const { columns: selected, error } = selectColumns(columns, 'phone, name');
+
+      expect(error).toBeNull();
+      expect(selected.map(column => column.key)).toEqual(['phone', 'name']);
+      expect(selectColumns(columns, ['city']).columns.map(column => column.key)).toEqual(['city']);
+    });
+
+    it('rejects unknown or empty field lists', () => {
+      expect(selectColumns(columns, 'name,ssn,dob').error).toBe('Unknown export fields: ssn, dob');
+      expect(selectColumns(columns, ' , ').error).toBe('No export fields selected');
+    });
+
+    it('describes which columns are exported by default', () => {
+      expect(describeColumns(columns)).toEqual([
+        { key: 'name', header: 'Name', default: true },
+        { key: 'city', header: 'City', default: true },
+        { key: 'phone', header: 'Phone', default: false }
+      ]);
+    });
+  });
+
+  it('knows its formats', () => {
+    expect(isExportFormat('csv')).toBe(true);
+    expect(isExportFormat('xlsx')).toBe(true);
+    expect(isExportFormat('ndjson')).toBe(true);
+    expect(isExportFormat('toString')).toBe(false);
+  });
+
+  describe('streamExport', () => {
+    it('streams CSV with a byte order mark and a header row', async () => {
+      const res = await exportDocs('csv');
+
+      expect(res.headers).toEqual({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename=leads.csv'
+      });
+      expect(res.body().toString('utf8')).toBe(
+        '\uFEFFName,City\r\n"Smith, John",Austin\r\n"\'=HYPERLINK(""x"")",Dallas\r\n'
+      );
+    });
+
+    it('streams NDJSON records keyed by field, with missing values as null', async () => {
+      const res = await exportDocs('ndjson', [columns[0], columns[2]]);
+
+      expect(res.headers['Content-Type']).toBe('application/x-ndjson; charset=utf-8');
+      const lines = res.body().toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([
+        { name: 'Smith, John', phone: '+15125550100' },
+        { name: '=HYPERLINK("x")', phone: null }
+      ]);
+    });
+
+    it('streams an XLSX workbook with a header row', async () => {
+      const res = await exportDocs('xlsx');
+
+      expect(res.headers['Content-Disposition']).toBe('attachment; filename=leads.xlsx');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body());
+      const sheet = workbook.getWorksheet('Export');
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'City']);
+      expect(sheet.getRow(2).values.slice(1)).toEqual(['Smith, John', 'Austin']);
+      expect(sheet.getRow(3).values.slice(1)).toEqual(['=HYPERLINK("x")', 'Dallas']);
+    });
+
+    it('closes the source and rethrows when the export fails before headers are sent', async () => {
+      const res = response();
+      const source = Object.assign([], { close: jest.fn().mockResolvedValue() });
+      jest.spyOn(res, 'write').mockImplementation(() => {
+        throw new Error('write failed');
+      });
+
+      await expect(streamExport(res, { source, columns, filename: 'leads' })).rejects.toThrow('write failed');
+      expect(source.close).toHaveBeenCalled();
+      expect(res.headers['Content-Disposition']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,13 @@
+// Admins see every record; everyone else sees records owned by them or their team
+const buildAccessFilter = (user) => {
+  const filter = { isActive: true };
+  if (user.role === 'Admin') return filter;
+
+  filter.$or = [{ owner: user._id }];
+  if (user.team && user.team.teamId) {
+    filter.$or.push({ team: user.team.teamId });
+  }
+  return filter;
+};
+
+module.exports = { buildAccessFilter };
@@ -0,0 +1,225 @@
+// US address normalization following USPS Publication 28 abbreviations.
+// Produces display-ready components and a canonical key used to match the
+// same property across scraped sources, manual entry and imports.
+
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', ALLY: 'ALY', ANNEX: 'ANX', ARCADE: 'ARC', AVENUE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE',
+  BAYOU: 'BYU', BEACH: 'BCH', BEND: 'BND', BLUFF: 'BLF', BOTTOM: 'BTM', BOULEVARD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD',
+  BRANCH: 'BR', BRIDGE: 'BRG', BROOK: 'BRK', BURG: 'BG', BYPASS: 'BYP', CAMP: 'CP', CANYON: 'CYN', CAPE: 'CPE',
+  CAUSEWAY: 'CSWY', CENTER: 'CTR', CENTRE: 'CTR', CIRCLE: 'CIR', CIRC: 'CIR', CLIFF: 'CLF', CLUB: 'CLB', COMMON: 'CMN',
+  CORNER: 'COR', COURSE: 'CRSE', COURT: 'CT', COVE: 'CV', CREEK: 'CRK', CRESCENT: 'CRES', CROSSING: 'XING', CROSSROAD: 'XRD',
+  CURVE: 'CURV', DALE: 'DL', DAM: 'DM', DIVIDE: 'DV', DRIVE: 'DR', DRIV: 'DR', DRV: 'DR', ESTATE: 'EST', ESTATES: 'ESTS',
+  EXPRESSWAY: 'EXPY', EXPRESS: 'EXPY', EXTENSION: 'EXT', FALLS: 'FLS', FERRY: 'FRY', FIELD: 'FLD', FIELDS: 'FLDS', FLAT: 'FLT',
+  FORD: 'FRD', FOREST: 'FRST', FORGE: 'FRG', FORK: 'FRK', FORT: 'FT', FREEWAY: 'FWY', GARDEN: 'GDN', GARDENS: 'GDNS',
+  GATEWAY: 'GTWY', GLEN: 'GLN', GREEN: 'GRN', GROVE: 'GRV', HARBOR: 'HBR', HAVEN: 'HVN', HEIGHTS: 'HTS', HIGHWAY: 'HWY',
+  HIGHWY: 'HWY', HIWAY: 'HWY', HILL: 'HL', HILLS: 'HLS', HOLLOW: 'HOLW', ISLAND: 'IS', JUNCTION: 'JCT', KEY: 'KY',
+  KNOLL: 'KNL', LAKE: 'LK', LAKES: 'LKS', LANDING: 'LNDG', LANE: 'LN', LIGHT: 'LGT', LOCK: 'LCK', LODGE: 'LDG',
+  MANOR: 'MNR', MEADOW: 'MDW', MEADOWS: 'MDWS', MILL: 'ML', MISSION: 'MSN', MOTORWAY: 'MTWY', MOUNT: 'MT', MOUNTAIN: 'MTN',
+  ORCHARD: 'ORCH', OVERPASS: 'OPAS', PARKWAY: 'PKWY', PARKWY: 'PKWY', PKY: 'PKWY', PASSAGE: 'PSGE', PINE: 'PNE', PINES: 'PNES',
+  PLACE: 'PL', PLAIN: 'PLN', PLAINS: 'PLNS', PLAZA: 'PLZ', POINT: 'PT', POINTE: 'PT', PORT: 'PRT', PRAIRIE: 'PR',
+  RANCH: 'RNCH', RAPIDS: 'RPDS', RIDGE: 'RDG', RIVER: 'RIV', ROAD: 'RD', ROUTE: 'RTE', SHORE: 'SHR', SHORES: 'SHRS',
+  SKYWAY: 'SKWY', SPRING: 'SPG', SPRINGS: 'SPGS', SQUARE: 'SQ', STATION: 'STA', STREET: 'ST', STR: 'ST', STRT: 'ST',
+  STREAM: 'STRM', SUMMIT: 'SMT', TERRACE: 'TER', TRACE: 'TRCE', TRACK: 'TRAK', TRAIL: 'TRL', TRAILER: 'TRLR',
+  TUNNEL: 'TUNL', TURNPIKE: 'TPKE', UNION: 'UN', VALLEY: 'VLY', VIADUCT: 'VIA', VIEW: 'VW', VILLAGE: 'VLG', VILLE: 'VL',
+  VISTA: 'VIS', WALK: 'WALK', WAY: 'WAY', WELL: 'WL', WELLS: 'WLS'
+};
+
+const SUFFIX_CODES = new Set(Object.values(STREET_SUFFIXES));
+
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  N: 'N', S: 'S', E: 'E', W: 'W', NE: 'NE', NW: 'NW', SE: 'SE', SW: 'SW'
+};
+
+const UNIT_DESIGNATORS = {
+  APARTMENT: 'APT', APT: 'APT', BUILDING: 'BLDG', BLDG: 'BLDG', DEPARTMENT: 'DEPT', DEPT: 'DEPT', FLOOR: 'FL', FL: 'FL',
+  HANGAR: 'HNGR', LOT: 'LOT', PIER: 'PIER', ROOM: 'RM', RM: 'RM', SLIP: 'SLIP', SPACE: 'SPC', SPC: 'SPC',
+  SUITE: 'STE', STE: 'STE', TRAILER: 'TRLR', TRLR: 'TRLR', UNIT: 'UNIT', '#': '#'
+};
+
+const STATES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO', CONNECTICUT: 'CT',
+  DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA', HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL',
+  INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY', LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD',
+  MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN', MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE',
+  NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC',
+  'NORTH DAKOTA': 'ND', OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT', VIRGINIA: 'VA',
+  WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY', 'PUERTO RICO': 'PR'
+};
+
+const STATE_CODES = new Set(Object.values(STATES));
+
+const isStreetSuffix = (token) => Boolean(STREET_SUFFIXES[token]) || SUFFIX_CODES.has(token);
+
+const clean = (value) => (value || '')
+  .toString()
+  .toUpperCase()
+  .replace(/[.,]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const titleCase = (value) => value
+  .toLowerCase()
+  .replace(/\b([a-z])/g, letter => letter.toUpperCase())
+  // Keep ordinals lower case: 1st, 22nd, 3rd
+  .replace(/(\d)(St|Nd|Rd|Th)\b/g, (match, digit, suffix) => digit + suffix.toLowerCase());
+
+const normalizeState = (state) => {
+  const value = clean(state);
+  if (STATE_CODES.has(value)) return value;
+  return STATES[value] || value;
+};
+
+// Split "90001-1234" / "900011234" into ZIP and ZIP+4
+const normalizeZip = (zip) => {
+  const digits = (zip || '').toString().replace(/[^0-9]/g, '');
+  if (digits.length < 5) return { zipCode: digits, zipPlus4: '' };
+  return {
+    zipCode: digits.slice(0, 5),
+    zipPlus4: digits.length >= 9 ? digits.slice(5, 9) : ''
+  };
+};
+
+// Pull a trailing unit ("APT 4B", "# 12", "STE 200") off a street line
+const splitUnit = (tokens, unit) => {
+  if (unit) {
+    const unitTokens = clean(unit).replace(/#/g, ' # ').split(' ').filter(Boolean);
+    return { tokens, unitTokens };
+  }
+
+  for (let i = tokens.length - 1; i > 0; i--) {
+    const token = tokens[i];
+
+    if (token.startsWith('#') && token.length > 1) {
+      return { tokens: tokens.slice(0, i), unitTokens: ['#', token.slice(1), ...tokens.slice(i + 1)] };
+    }
+
+    // A designator needs a street name before it and a value after it that isn't a
+    // street suffix, so street names such as "1 Lot St" or "5 Trailer Way" stay whole
+    if (UNIT_DESIGNATORS[token] && i > 1 && i < tokens.length - 1 && !isStreetSuffix(tokens[tokens.length - 1])) {
+      return { tokens: tokens.slice(0, i), unitTokens: tokens.slice(i) };
+    }
+  }
+
+  return { tokens, unitTokens: [] };
+};
+
+const normalizeUnit = (unitTokens) => {
+  if (unitTokens.length === 0) return '';
+
+  const [designator, ...rest] = unitTokens;
+  const value = rest.join('').replace(/^#/, '');
+  const abbreviation = UNIT_DESIGNATORS[designator];
+
+  if (!abbreviation) return unitTokens.join(' ');
+  if (abbreviation === '#') return value ? `# ${value}` : '';
+  return value ? `${abbreviation} ${value}` : abbreviation;
+};
+
+// Normalize a street line to USPS form: "123 north main street apt 4" -> "123 N MAIN ST" + "APT 4"
+const normalizeStreet = (street, unit) => {
+  const split = splitUnit(clean(street).replace(/#\s+/g, '#').split(' ').filter(Boolean), unit);
+  const tokens = [...split.tokens];
+
+  // Pre-directional right after the house number
+  if (tokens.length > 2 && DIRECTIONALS[tokens[1]]) {
+    tokens[1] = DIRECTIONALS[tokens[1]];
+  }
+
+  // Post-directional at the end
+  let postDirectional = null;
+  if (tokens.length > 2 && DIRECTIONALS[tokens[tokens.length - 1]]) {
+    postDirectional = DIRECTIONALS[tokens.pop()];
+  }
+
+  // Street suffix is the last remaining word
+  if (tokens.length > 1) {
+    const last = tokens[tokens.length - 1];
+    tokens[tokens.length - 1] = STREET_SUFFIXES[last] || last;
+  }
+
+  if (postDirectional) tokens.push(postDirectional);
+
+  return {
+    street: tokens.join(' '),
+    unit: normalizeUnit(split.unitTokens)
+  };
+};
+
+const formatStreet = (street) => titleCase(street)
+  .split(' ')
+  .map(token => (DIRECTIONALS[token.toUpperCase()] && token.length <= 2 ? token.toUpperCase() : token))
+  .join(' ');
+
+const formatUnit = (unit) => unit.split(' ')
+  .map((token, index) => (index === 0 ? titleCase(token) : token))
+  .join(' ');
+
+// Canonical identity of a property address. ZIP is left out because sources
+// frequently omit or mistype it, and the unit designator is dropped so
+// "Apt 3", "Unit 3" and "#3" resolve to the same key.
+const composeKey = (street, unit, city, state) => {
+  if (!street || !city || !state) return null;
+
+  const unitValue = unit.split(' ').slice(1).join('') || unit;
+  return [street, unitValue, city, state].join('|');
+};
+
+// Normalize address components; returns display-cased fields plus the canonical key
+const normalizeAddress = (address) => {
+  if (!address) return null;
+
+  const { street, unit } = normalizeStreet(address.street, address.unit);
+  const { zipCode, zipPlus4 } = normalizeZip(address.zipCode);
+  const city = clean(address.city);
+  const state = normalizeState(address.state);
+
+  const normalized = {
+    ...address,
+    street: formatStreet(street),
+    unit: unit ? formatUnit(unit) : undefined,
+    city: titleCase(city),
+    state,
+    zipCode: zipCode || address.zipCode,
+    zipPlus4: zipPlus4 || undefined
+  };
+
+  normalized.key = composeKey(street, unit, city, state);
+  return normalized;
+};
+
+const buildAddressKey = (address) => {
+  const normalized = normalizeAddress(address);
+  return normalized ? normalized.key : null;
+};
+
+// Parse a one-line address: "123 Main St Apt 4, Anytown, CA 90001-1234"
+const parseAddressString = (addressString) => {
+  if (!addressString) return null;
+
+  const parts = addressString.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  // "CA 90001-1234" or "California 90001"
+  const stateZip = parts[parts.length - 1].match(/^(.*?)\s*(\d{5}(?:-?\d{4})?)?$/);
+  const state = stateZip ? stateZip[1] : parts[parts.length - 1];
+  const zipCode = stateZip && stateZip[2] ? stateZip[2] : '';
+  const city = parts[parts.length - 2];
+
+  // Anything between the street and the city is a unit line
+  const street = parts[0];
+  const unit = parts.length > 3 ? parts.slice(1, parts.length - 2).join(' ') : undefined;
+
+  return normalizeAddress({ street, unit, city, state, zipCode });
+};
+
+module.exports = {
+  normalizeAddress,
+  normalizeStreet,
+  normalizeState,
+  normalizeZip,
+  parseAddressString,
+  buildAddressKey
+};
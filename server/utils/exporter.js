@@ -0,0 +1,163 @@
+const ExcelJS = require('exceljs');
+const logger = require('./logger');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Spreadsheet apps run cells starting with these as formulas; signed numbers
+// and E.164 phone numbers (+15551234567) are left alone
+const FORMULA_PREFIX = /^[=@\t\r]|^[+-](?!\d)/;
+
+const isExportFormat = (format) => Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+
+// Column definitions are { key, header, value(doc) }; columns marked extra are
+// only exported when requested. Picks columns from a fields=a,b,c parameter in
+// the order requested and returns { columns, error }.
+const selectColumns = (columns, fields) => {
+  if (!fields) return { columns: columns.filter(column => !column.extra), error: null };
+
+  const keys = (Array.isArray(fields) ? fields : String(fields).split(','))
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  const unknown = keys.filter(key => !columns.some(column => column.key === key));
+  if (unknown.length > 0) return { columns: [], error: `Unknown export fields: ${unknown.join(', ')}` };
+  if (keys.length === 0) return { columns: [], error: 'No export fields selected' };
+
+  return { columns: keys.map(key => columns.find(column => column.key === key)), error: null };
+};
+
+const describeColumns = (columns) => columns.map(({ key, header, extra }) => ({ key, header, default: !extra }));
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  // RFC 4180: quote fields containing delimiters, quotes or line breaks; double embedded quotes
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(formatCsvValue).join(',') + '\r\n';
+
+const readRow = (columns, doc) => columns.map(column => {
+  const value = column.value(doc);
+  return value === undefined ? null : value;
+});
+
+// Stops the row loop (and with it the cursor) once the client has gone away
+const checkOpen = (res) => {
+  if (res.destroyed) throw new Error('Client disconnected');
+};
+
+// 'drain' never fires after a disconnect, so waiting for it also ends on 'close' or 'error'
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', settle);
+    if (error) reject(error); else resolve();
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(new Error('Client disconnected'));
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', settle);
+});
+
+// Write with backpressure so large exports don't buffer in memory
+const write = async (res, chunk) => {
+  checkOpen(res);
+  if (!res.write(chunk)) await waitForDrain(res);
+};
+
+const writeCsv = async (res, columns, source) => {
+  // Byte order mark so Excel opens the file as UTF-8
+  await write(res, '\uFEFF' + toCsvRow(columns.map(column => column.header)));
+  for await (const doc of source) {
+    await write(res, toCsvRow(readRow(columns, doc)));
+  }
+  res.end();
+};
+
+const writeNdjson = async (res, columns, source) => {
+  for await (const doc of source) {
+    checkOpen(res);
+    const values = readRow(columns, doc);
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column.key] = values[index];
+    });
+    await write(res, JSON.stringify(record) + '\n');
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, columns, source, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of source) {
+    checkOpen(res);
+    const values = readRow(columns, doc)
+      .map(value => (value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value));
+    sheet.addRow(values).commit();
+    if (res.writableNeedDrain) await waitForDrain(res);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream rows from a Mongo cursor (or any iterable) to the response.
+// Once streaming has started errors can't be reported as JSON, so the
+// response is cut off and the error logged.
+const streamExport = async (res, options) => {
+  const { source, columns, format = 'csv', filename = 'export', sheetName = 'Export' } = options;
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}.${extension}`);
+
+  try {
+    if (format === 'xlsx') {
+      await writeXlsx(res, columns, source, sheetName);
+    } else if (format === 'ndjson') {
+      await writeNdjson(res, columns, source);
+    } else {
+      await writeCsv(res, columns, source);
+    }
+  } catch (error) {
+    if (typeof source.close === 'function') await source.close().catch(() => {});
+    if (res.destroyed) {
+      logger.warn(`Export ${filename}.${extension} stopped: client disconnected`);
+      return;
+    }
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+
+    logger.error(`Error streaming ${filename}.${extension}:`, error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  selectColumns,
+  describeColumns,
+  formatCsvValue,
+  toCsvRow,
+  streamExport
+};
@@ -0,0 +1,105 @@
+// GeoJSON output for property map and search results
+
+// Clusters are grid cells about this many pixels wide on a 256px web map tile
+const CLUSTER_CELL_PIXELS = 64;
+const TILE_PIXELS = 256;
+
+// Summary fields shown for a property marker
+const FEATURE_FIELDS = 'address location propertyType foreclosureStatus foreclosureDetails leadInfo.status leadInfo.priority dataQuality titleRisk.level';
+
+const toFeature = (property) => {
+  const details = property.foreclosureDetails || {};
+  const leadInfo = property.leadInfo || {};
+
+  return {
+    type: 'Feature',
+    id: property._id.toString(),
+    geometry: { type: 'Point', coordinates: property.location.coordinates },
+    properties: {
+      id: property._id.toString(),
+      address: property.fullAddress,
+      county: property.address.county,
+      propertyType: property.propertyType,
+      foreclosureStatus: property.foreclosureStatus,
+      auctionDate: details.auctionDate,
+      openingBid: details.openingBid,
+      estimatedEquity: details.estimatedEquity,
+      status: leadInfo.status,
+      priority: leadInfo.priority,
+      titleRisk: property.titleRisk ? property.titleRisk.level : undefined,
+      completeness: property.dataQuality ? property.dataQuality.completeness : undefined
+    }
+  };
+};
+
+const toFeatureCollection = (features) => ({ type: 'FeatureCollection', features });
+
+// Grid cell size in degrees for a web map zoom level
+const clusterCellSize = (zoom) => (360 / 2 ** zoom) * (CLUSTER_CELL_PIXELS / TILE_PIXELS);
+
+// Aggregation grouping matching properties into grid cells with a count per
+// foreclosure status, largest clusters first
+const buildClusterPipeline = (filter, zoom, limit) => {
+  const cell = clusterCellSize(zoom);
+
+  return [
+    { $match: { ...filter, 'location.type': 'Point' } },
+    {
+      $project: {
+        foreclosureStatus: 1,
+        lng: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cell] } },
+          y: { $floor: { $divide: ['$lat', cell] } },
+          status: '$foreclosureStatus'
+        },
+        count: { $sum: 1 },
+        lng: { $sum: '$lng' },
+        lat: { $sum: '$lat' },
+        propertyId: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        lng: { $sum: '$lng' },
+        lat: { $sum: '$lat' },
+        propertyId: { $first: '$propertyId' },
+        statuses: { $push: { status: '$_id.status', count: '$count' } }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ];
+};
+
+// Cluster features sit at the mean position of their properties
+const toClusterFeature = (cluster) => ({
+  type: 'Feature',
+  id: `cluster-${cluster._id.x}-${cluster._id.y}`,
+  geometry: { type: 'Point', coordinates: [cluster.lng / cluster.count, cluster.lat / cluster.count] },
+  properties: {
+    cluster: true,
+    pointCount: cluster.count,
+    // A single property can be opened directly
+    propertyId: cluster.count === 1 ? cluster.propertyId.toString() : undefined,
+    statusCounts: cluster.statuses.reduce((counts, { status, count }) => {
+      counts[status] = count;
+      return counts;
+    }, {})
+  }
+});
+
+module.exports = {
+  FEATURE_FIELDS,
+  toFeature,
+  toFeatureCollection,
+  buildClusterPipeline,
+  toClusterFeature
+};
@@ -0,0 +1,26 @@
+// US phone number helpers. Numbers are compared in E.164 form (+15125550123) since
+// leads, imports and carriers all write them differently.
+
+// E.164 form of a US number, or null when it isn't a valid 10-digit NANP number
+const normalizePhone = (value) => {
+  if (value === undefined || value === null) return null;
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return null;
+  // Area codes and exchanges can't start with 0 or 1
+  if (/^[01]/.test(digits) || /^[01]/.test(digits.slice(3))) return null;
+  return `+1${digits}`;
+};
+
+// Regex matching the number however it was typed, e.g. (512) 555-0123 or 512.555.0123,
+// for finding it in fields that store it as entered
+const phonePattern = (value) => {
+  const normalized = normalizePhone(value);
+  if (!normalized) return null;
+  return new RegExp(`^\\D*(1\\D*)?${normalized.slice(2).split('').join('\\D*')}\\D*$`);
+};
+
+module.exports = {
+  normalizePhone,
+  phonePattern
+};
@@ -0,0 +1,230 @@
+// Property search vocabulary shared by getProperties and saved searches.
+// Criteria may come from a query string (strings, comma lists) or a saved search (typed values).
+
+const METERS_PER_MILE = 1609.344;
+const EARTH_RADIUS_MILES = 3958.8;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// "lat,lng" or { lat, lng }
+const parseNear = (near) => {
+  if (!near) return null;
+  const [lat, lng] = typeof near === 'string' ? near.split(',').map(toNumber) : [toNumber(near.lat), toNumber(near.lng)];
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+};
+
+const addRange = (filter, path, min, max) => {
+  const low = toNumber(min);
+  const high = toNumber(max);
+  if (low === null && high === null) return;
+
+  filter[path] = {};
+  if (low !== null) filter[path].$gte = low;
+  if (high !== null) filter[path].$lte = high;
+};
+
+// Great-circle distance between two { lat, lng } points
+const distanceMiles = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  position.slice(0, 2).every(value => typeof value === 'number' && Number.isFinite(value)) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// GeoJSON rings must be closed and have at least four positions
+const toRing = (positions) => {
+  if (!Array.isArray(positions) || !positions.every(isPosition)) return null;
+  const ring = positions.map(position => [position[0], position[1]]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (ring.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) ring.push([first[0], first[1]]);
+  return ring.length >= 4 ? ring : null;
+};
+
+const toPolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) return null;
+  const closed = rings.map(toRing);
+  return closed.every(Boolean) ? closed : null;
+};
+
+// "lat,lng;lat,lng;..." in the same order as near
+const parsePolygon = (value) => {
+  const positions = String(value).split(';')
+    .map(point => point.split(',').map(toNumber))
+    .map(([lat, lng]) => [lng, lat]);
+  const ring = toRing(positions);
+  return ring ? { type: 'Polygon', coordinates: [ring] } : null;
+};
+
+// A shape drawn on the map: a GeoJSON Polygon or MultiPolygon, or a Point with a
+// radius in meters (how drawing tools export circles), as a geometry or Feature.
+// Returns the $geoWithin operand, or null when the shape isn't usable.
+const parseShape = (value) => {
+  const shape = parseJson(value);
+  if (!shape || typeof shape !== 'object') return null;
+
+  const geometry = shape.type === 'Feature' ? shape.geometry : shape;
+  if (!geometry) return null;
+
+  if (geometry.type === 'Polygon') {
+    const coordinates = toPolygon(geometry.coordinates);
+    return coordinates ? { $geometry: { type: 'Polygon', coordinates } } : null;
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) return null;
+    const coordinates = geometry.coordinates.map(toPolygon);
+    return coordinates.every(Boolean) ? { $geometry: { type: 'MultiPolygon', coordinates } } : null;
+  }
+
+  const radius = toNumber((shape.properties && shape.properties.radius) || geometry.radius);
+  if (geometry.type === 'Point' && isPosition(geometry.coordinates) && radius !== null && radius > 0) {
+    const [lng, lat] = geometry.coordinates;
+    return { $centerSphere: [[lng, lat], radius / METERS_PER_MILE / EARTH_RADIUS_MILES] };
+  }
+
+  return null;
+};
+
+// Map viewport { north, south, east, west }. Returns null when the viewport is too
+// wide for a polygon or wraps the antimeridian (no filter), and false when invalid.
+const parseBounds = (value) => {
+  const bounds = parseJson(value);
+  if (!bounds || typeof bounds !== 'object') return false;
+
+  const [north, south, east, west] = ['north', 'south', 'east', 'west'].map(key => toNumber(bounds[key]));
+  if ([north, south, east, west].includes(null) || north <= south) return false;
+  if (east - west >= 180 || east <= west) return null;
+
+  const ring = [[west, south], [east, south], [east, north], [west, north], [west, south]];
+  return ring.every(isPosition) ? { $geometry: { type: 'Polygon', coordinates: [ring] } } : false;
+};
+
+// $geoWithin operands for the spatial criteria: near with miles, polygon, shape
+// and bounds. Several may be combined. Returns { conditions, error }.
+const buildGeoConditions = (criteria = {}) => {
+  const conditions = [];
+  const hasNear = criteria.near !== undefined && criteria.near !== null && criteria.near !== '';
+  const hasMiles = criteria.miles !== undefined && criteria.miles !== null && criteria.miles !== '';
+
+  if (hasNear || hasMiles) {
+    const near = parseNear(criteria.near);
+    const miles = toNumber(criteria.miles);
+    if (!hasNear || !hasMiles) return { conditions: [], error: 'near and miles must be used together' };
+    if (!near) return { conditions: [], error: 'near must be a valid lat,lng' };
+    if (miles === null || miles <= 0) return { conditions: [], error: 'miles must be a positive number' };
+    conditions.push({ $centerSphere: [[near.lng, near.lat], miles / EARTH_RADIUS_MILES] });
+  }
+
+  if (criteria.polygon) {
+    const polygon = parsePolygon(criteria.polygon);
+    if (!polygon) return { conditions: [], error: 'polygon must be at least three lat,lng points separated by ;' };
+    conditions.push({ $geometry: polygon });
+  }
+
+  if (criteria.shape) {
+    const shape = parseShape(criteria.shape);
+    if (!shape) return { conditions: [], error: 'shape must be a GeoJSON Polygon, MultiPolygon or Point with a radius' };
+    conditions.push(shape);
+  }
+
+  if (criteria.bounds) {
+    const bounds = parseBounds(criteria.bounds);
+    if (bounds === false) return { conditions: [], error: 'bounds must be JSON with north, south, east and west' };
+    if (bounds) conditions.push(bounds);
+  }
+
+  return { conditions, error: null };
+};
+
+// Error message for invalid spatial criteria, or null
+const validateGeoCriteria = (criteria) => buildGeoConditions(criteria).error;
+
+// Build a Property query from search criteria
+const buildPropertyFilter = (criteria = {}) => {
+  const filter = { isActive: true };
+
+  if (criteria.status) filter['leadInfo.status'] = criteria.status;
+  if (criteria.priority) filter['leadInfo.priority'] = criteria.priority;
+  if (criteria.assignedTo) filter['leadInfo.assignedTo'] = criteria.assignedTo;
+  if (criteria.county) filter['address.county'] = new RegExp(escapeRegex(criteria.county), 'i');
+  if (criteria.state) filter['address.state'] = new RegExp(escapeRegex(criteria.state), 'i');
+
+  const foreclosureStatuses = toList(criteria.foreclosureStatus);
+  if (foreclosureStatuses.length > 0) filter.foreclosureStatus = { $in: foreclosureStatuses };
+
+  const propertyTypes = toList(criteria.propertyType);
+  if (propertyTypes.length > 0) filter.propertyType = { $in: propertyTypes };
+
+  // Price is the opening bid
+  addRange(filter, 'foreclosureDetails.openingBid', criteria.minPrice, criteria.maxPrice);
+  addRange(filter, 'foreclosureDetails.estimatedEquity', criteria.minEquity, criteria.maxEquity);
+
+  // Title risk by overall level and by specific flag
+  const titleRiskLevels = toList(criteria.titleRisk);
+  if (titleRiskLevels.length > 0) filter['titleRisk.level'] = { $in: titleRiskLevels };
+
+  const titleFlags = toList(criteria.titleFlag);
+  if (titleFlags.length > 0) filter['titleRisk.flags.type'] = { $in: titleFlags };
+
+  const excludedTitleFlags = toList(criteria.excludeTitleFlag);
+  if (excludedTitleFlags.length > 0) {
+    filter['titleRisk.flags.type'] = { ...filter['titleRisk.flags.type'], $nin: excludedTitleFlags };
+  }
+
+  // Invalid spatial criteria are ignored here; check them first with validateGeoCriteria
+  const { conditions } = buildGeoConditions(criteria);
+  if (conditions.length === 1) {
+    filter.location = { $geoWithin: conditions[0] };
+  } else if (conditions.length > 1) {
+    filter.$and = conditions.map(condition => ({ location: { $geoWithin: condition } }));
+  }
+
+  if (criteria.search) {
+    const search = new RegExp(escapeRegex(criteria.search), 'i');
+    filter.$or = [
+      { 'address.street': search },
+      { 'address.city': search },
+      { 'owner.name': search }
+    ];
+  }
+
+  return filter;
+};
+
+module.exports = {
+  EARTH_RADIUS_MILES,
+  buildPropertyFilter,
+  validateGeoCriteria,
+  distanceMiles,
+  parseNear
+};
@@ -0,0 +1,17 @@
+// Socket.io server shared with background services, which have no req.io
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const getIO = () => io;
+
+// Clients join their user room with socket.emit('join-room', `user-${userId}`)
+const emitToUser = (userId, event, data) => {
+  if (!io) return false;
+  io.to(`user-${userId}`).emit(event, data);
+  return true;
+};
+
+module.exports = { setIO, getIO, emitToUser };
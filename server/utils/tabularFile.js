@@ -0,0 +1,58 @@
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+
+const parseCsv = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+
+  Readable.from([buffer])
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('headers', (names) => { headers = names; })
+    .on('data', (row) => rows.push(row))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+const parseWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column - 1] = String(cell.text).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const row = {};
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const cell = sheetRow.getCell(index + 1);
+      // Keep dates and numbers typed; everything else (rich text, formulas) as displayed
+      row[header] = cell.value instanceof Date || typeof cell.value === 'number' ? cell.value : cell.text;
+    });
+    rows.push(row);
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Read a CSV or Excel file ({ originalname, buffer }, as from multer) into
+// header names and row objects keyed by header
+const parseTabularFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return extension === '.xlsx' ? parseWorkbook(file.buffer) : parseCsv(file.buffer);
+};
+
+module.exports = {
+  parseTabularFile,
+  parseCsv,
+  parseWorkbook
+};